@@ -0,0 +1,60 @@
+/* eslint-disable no-restricted-globals */
+// ##############################################
+// ##        DASH-Q SERVICE WORKER (PUSH)      ##
+// ##############################################
+// Shows queue / chat / appointment alerts while the app is in the background
+// and deep-links back into the right view when one is tapped.
+//
+// Push payload (JSON): { title, body, tag, url }
+
+const DEFAULT_ICON = '/logo192.png';
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+async function showAlert(payload) {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    // The open tab already plays sounds and blinks the title; don't double up
+    if (windows.some(client => client.focused && client.visibilityState === 'visible')) return;
+
+    await self.registration.showNotification(payload.title || 'Dash-Q', {
+        body: payload.body || '',
+        tag: payload.tag,
+        renotify: Boolean(payload.tag),
+        icon: DEFAULT_ICON,
+        badge: DEFAULT_ICON,
+        vibrate: [500, 200, 500],
+        data: { url: payload.url || '/' },
+    });
+}
+
+self.addEventListener('push', (event) => {
+    let payload = {};
+    try {
+        payload = event.data ? event.data.json() : {};
+    } catch (err) {
+        payload = { body: event.data ? event.data.text() : '' };
+    }
+    event.waitUntil(showAlert(payload));
+});
+
+// Mock mode has no push service; src/mock hands payloads over directly.
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'MOCK_PUSH') event.waitUntil(showAlert(event.data.payload));
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const existing = windows.find(client => new URL(client.url).origin === self.location.origin);
+        if (existing) {
+            await existing.focus();
+            existing.postMessage({ type: 'NOTIFICATION_CLICK', url });
+            return;
+        }
+        await self.clients.openWindow(url);
+    })());
+});
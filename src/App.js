@@ -1,16 +1,28 @@
-import React, { useState, useEffect, useCallback, useRef, createContext, useContext } from 'react';
-import axios from 'axios';
-import { createClient } from '@supabase/supabase-js';
+import React, { useState, useEffect, useCallback, useMemo, useRef, createContext, useContext } from 'react';
+import QRCode from 'qrcode';
 
 // --- Chart.js Imports ---
 import { Bar } from 'react-chartjs-2';
 import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend } from 'chart.js';
 
 import './App.css';
+import supabase from './supabaseClient';
+import * as api from './api';
+import { BrowserRouter, Routes, Route, Navigate, useNavigate, useLocation, useParams, useMatch, useSearchParams } from 'react-router-dom';
+import { subscribeToPush, onNotificationClick } from './push';
+import { I18nProvider, useI18n, LANGUAGES } from './i18n';
+import { priceBreakdown, pricingRules, cancellationPolicy, DEFAULT_PRICING_RULES, DEFAULT_CANCELLATION_POLICY } from './pricing';
+import { estimateWait, finishTimes, steadyFinishTimes } from './waitTime';
+import { MAX_PARTY_SIZE, partyMembers, serviceCounts, partyItems, partyMinutes } from './party';
+import { DEFAULT_HOURS, defaultSchedule, dateKey, hoursOn, workStatus, canJoinNow } from './schedule';
+import { DEFAULT_REMINDER_HOURS, LATE_MINUTES, awaitsReply } from './reminders';
+import { isOfferOpen, offerMinutesLeft } from './waitlist';
+import { DEFAULT_PUSH_BACK_LIMIT, MAX_PUSH_BACK_PLACES } from './pushBack';
 
 // --- SOUND NOTIFICATION SETUP ---
 const queueNotificationSound = new Audio('/queue_sound.mp3');
 const messageNotificationSound = new Audio('/chat_sound.mp3');
+const buzzerSound = new Audio('/buzzer.mp3'); // Now Serving display
 
 /**
  * Helper function to play a sound, with error handling
@@ -27,26 +39,7 @@ const playSound = (audioElement) => {
 
 // --- Global Constants ---
 ChartJS.register(CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend);
-const API_URL = 'https://dash-q-backend.onrender.com/api' || 'http://localhost:3000';
-
-// --- Supabase Client Setup ---
-const supabaseUrl = process.env.REACT_APP_SUPABASE_URL;
-const supabaseAnonKey = process.env.REACT_APP_SUPABASE_ANON_KEY;
-
-let supabase;
-if (supabaseUrl && supabaseAnonKey) {
-    supabase = createClient(supabaseUrl, supabaseAnonKey);
-} else {
-    console.error("Supabase URL or Anon Key is missing! Check Vercel Environment Variables.");
-    // Provide a dummy client for graceful failure
-    supabase = {
-        auth: { getSession: () => Promise.resolve({ data: { session: null } }), onAuthStateChange: () => ({ data: { subscription: { unsubscribe: () => { } } } }), signInWithPassword: () => { throw new Error('Supabase client not configured') }, signUp: () => { throw new Error('Supabase client not configured') }, signOut: () => { throw new Error('Supabase client not configured') } },
-        channel: () => ({ on: () => ({ subscribe: () => { } }), subscribe: () => { console.warn("Realtime disabled: Supabase client not configured.") } }),
-        removeChannel: () => Promise.resolve(),
-        from: () => ({ select: () => ({ eq: () => ({ maybeSingle: () => Promise.resolve({ data: null, error: new Error('Supabase client not configured') }) }) }) }),
-        storage: { from: () => ({ upload: () => { throw new Error('Supabase storage not configured') }, getPublicUrl: () => ({ data: { publicUrl: null } }) }) }
-    };
-}
+
 // --- iOS Install Modal Component ---
 // Apple requires users to "Add to Home Screen" to receive notifications.
 function IOSInstallPrompt({ onClose }) {
@@ -54,21 +47,22 @@ function IOSInstallPrompt({ onClose }) {
     const isStandalone = window.matchMedia('(display-mode: standalone)').matches || window.navigator.standalone === true;
 
     // Only show if on iOS AND NOT yet installed (in browser mode)
+    const { t } = useI18n();
     if (!isIOS || isStandalone) return null;
 
     return (
         <div className="modal-overlay">
             <div className="modal-content">
                 <div className="modal-body">
-                    <h2 style={{color: 'var(--primary-orange)'}}>📲 Enable Notifications</h2>
-                    <p>To get notified when it's your turn, you <strong>must</strong> add this app to your Home Screen.</p>
+                    <h2 style={{color: 'var(--primary-orange)'}}>📲 {t('ios.title')}</h2>
+                    <p>{t('ios.intro')}</p>
                     <ol style={{textAlign:'left', margin:'20px 0', lineHeight:'1.8'}}>
-                        <li>Tap the <strong>Share</strong> button <span style={{fontSize:'1.2rem'}}>⎋</span> below.</li>
-                        <li>Scroll down and select <strong>"Add to Home Screen"</strong> <span style={{fontSize:'1.2rem'}}>⊞</span>.</li>
+                        <li>{t('ios.step1')} <span style={{fontSize:'1.2rem'}}>⎋</span></li>
+                        <li>{t('ios.step2')} <span style={{fontSize:'1.2rem'}}>⊞</span></li>
                     </ol>
                 </div>
                 <div className="modal-footer single-action">
-                    <button onClick={onClose} className="btn btn-secondary">I'll do it later</button>
+                    <button onClick={onClose} className="btn btn-secondary">{t('ios.later')}</button>
                 </div>
             </div>
         </div>
@@ -112,21 +106,22 @@ const IconNext = () => <IconWrapper><polyline points="9 18 15 12 9 6"></polyline
 const IconUpload = () => <IconWrapper><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><polyline points="17 8 12 3 7 8"></polyline><line x1="12" y1="3" x2="12" y2="15"></line></IconWrapper>;
 
 const DistanceBadge = ({ meters }) => {
+    const { t, fmt } = useI18n();
     if (meters === null || meters === undefined) return null;
     
     let colorClass = 'dist-green';
-    let text = `${meters}m`;
+    let text = `${fmt.number(meters)}m`;
 
     if (meters > 1000) {
         colorClass = 'dist-red';
-        text = `${(meters / 1000).toFixed(1)}km`;
+        text = `${fmt.number(Math.round(meters / 100) / 10)}km`;
     } else if (meters > 200) {
         colorClass = 'dist-orange';
     }
 
     return (
         <span className={`distance-badge ${colorClass}`}>
-            📍 {text} away
+            📍 {t('common.distanceAway', { distance: text })}
         </span>
     );
 };
@@ -169,18 +164,144 @@ export const useTheme = () => useContext(ThemeContext);
 
 const ThemeToggleButton = () => {
     const { theme, toggleTheme } = useTheme();
+    const { t } = useI18n();
 
     return (
         <button 
             onClick={toggleTheme} 
             className="btn btn-icon" 
-            title={`Switch to ${theme === 'light' ? 'dark' : 'light'} mode`}
+            title={theme === 'light' ? t('common.switchToDark') : t('common.switchToLight')}
         >
             {theme === 'light' ? <IconMoon /> : <IconSun />}
         </button>
     );
 };
 
+const LanguageSwitcher = () => {
+    const { lang, setLang, t } = useI18n();
+
+    return (
+        <select
+            value={lang}
+            onChange={(e) => setLang(e.target.value)}
+            className="language-switcher"
+            title={t('common.language')}
+            aria-label={t('common.language')}
+        >
+            {LANGUAGES.map(l => <option key={l.code} value={l.code}>{l.short}</option>)}
+        </select>
+    );
+};
+
+// ##############################################
+// ##         TOASTS & DIALOGS PROVIDER        ##
+// ##############################################
+// In-app replacements for window.alert/confirm/prompt, which block the
+// realtime updates and look broken in the installed PWA.
+//   toast(message, { type: 'success' | 'error' | 'info', duration })
+//   await confirmDialog({ title, message, confirmLabel, cancelLabel, danger })  -> true / false
+//   await promptDialog({ title, message, inputType: 'text' | 'number' | 'textarea' | 'select',
+//                        choices, placeholder, defaultValue, required, validate })  -> value / null
+
+const DialogContext = createContext(null);
+
+export const DialogProvider = ({ children }) => {
+    const [toasts, setToasts] = useState([]);
+    const [dialogs, setDialogs] = useState([]); // Shown one at a time, oldest first
+    const [inputValue, setInputValue] = useState('');
+    const [inputError, setInputError] = useState('');
+    const toastCounter = useRef(0);
+    const { t } = useI18n();
+
+    const dismissToast = useCallback((id) => setToasts(prev => prev.filter(item => item.id !== id)), []);
+
+    const toast = useCallback((message, { type = 'info', duration = 4000 } = {}) => {
+        const id = ++toastCounter.current;
+        setToasts(prev => [...prev, { id, message, type }]);
+        if (duration) setTimeout(() => dismissToast(id), duration);
+        return id;
+    }, [dismissToast]);
+
+    const openDialog = useCallback((kind, options) => new Promise(resolve => {
+        setDialogs(prev => [...prev, { kind, options: typeof options === 'string' ? { message: options } : options, resolve }]);
+    }), []);
+    const confirmDialog = useCallback((options) => openDialog('confirm', options), [openDialog]);
+    const promptDialog = useCallback((options) => openDialog('prompt', options), [openDialog]);
+
+    const current = dialogs[0];
+    useEffect(() => {
+        setInputValue(current?.options.defaultValue ?? '');
+        setInputError('');
+    }, [current]);
+
+    const closeDialog = (result) => {
+        current.resolve(result);
+        setDialogs(prev => prev.slice(1));
+    };
+
+    const handleDialogSubmit = (e) => {
+        e.preventDefault();
+        if (current.kind === 'confirm') return closeDialog(true);
+
+        const { inputType = 'text', required = true, validate } = current.options;
+        const value = inputType === 'number' ? (inputValue === '' ? null : Number(inputValue)) : String(inputValue).trim();
+        let error = '';
+        if (required && (value === null || value === '')) error = t('dialog.required');
+        else if (inputType === 'number' && Number.isNaN(value)) error = t('dialog.enterNumber');
+        else if (validate) error = validate(value) || '';
+        if (error) { setInputError(error); return; }
+        closeDialog(value);
+    };
+
+    const renderInput = ({ inputType = 'text', choices = [], placeholder, min, max }) => {
+        const common = { id: 'dialog-input', value: inputValue, onChange: (e) => { setInputValue(e.target.value); setInputError(''); }, autoFocus: true, style: { width: '100%', marginTop: '15px' } };
+        if (inputType === 'textarea') return <textarea {...common} rows={3} placeholder={placeholder} />;
+        if (inputType === 'select') return (
+            <select {...common}>
+                <option value="">{placeholder || t('dialog.select')}</option>
+                {choices.map(choice => <option key={choice.value} value={choice.value}>{choice.label}</option>)}
+            </select>
+        );
+        return <input {...common} type={inputType} placeholder={placeholder} min={min} max={max} />;
+    };
+
+    const value = useMemo(() => ({ toast, confirmDialog, promptDialog }), [toast, confirmDialog, promptDialog]);
+
+    return (
+        <DialogContext.Provider value={value}>
+            {children}
+
+            {current && (
+                <div className="modal-overlay dialog-overlay" onKeyDown={(e) => { if (e.key === 'Escape') closeDialog(current.kind === 'confirm' ? false : null); }}>
+                    <form className="modal-content" role="dialog" aria-modal="true" aria-labelledby="dialog-title" onSubmit={handleDialogSubmit}>
+                        <div className="modal-body">
+                            <h2 id="dialog-title">{current.options.title || (current.kind === 'confirm' ? t('dialog.areYouSure') : t('dialog.inputRequired'))}</h2>
+                            {current.options.message && <p style={{ whiteSpace: 'pre-line' }}>{current.options.message}</p>}
+                            {current.kind === 'prompt' && renderInput(current.options)}
+                            {inputError && <p className="message error">{inputError}</p>}
+                        </div>
+                        <div className="modal-footer">
+                            <button type="button" className="btn btn-secondary" onClick={() => closeDialog(current.kind === 'confirm' ? false : null)}>
+                                {current.options.cancelLabel || t('common.cancel')}
+                            </button>
+                            <button type="submit" className={`btn ${current.options.danger ? 'btn-danger' : 'btn-primary'}`} autoFocus={current.kind === 'confirm'}>
+                                {current.options.confirmLabel || (current.kind === 'confirm' ? t('dialog.confirm') : t('dialog.submit'))}
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            )}
+
+            <div className="toast-stack" role="status" aria-live="polite">
+                {toasts.map(item => (
+                    <div key={item.id} className={`toast ${item.type}`} onClick={() => dismissToast(item.id)}>{item.message}</div>
+                ))}
+            </div>
+        </DialogContext.Provider>
+    );
+};
+
+export const useDialog = () => useContext(DialogContext);
 
 // --- Helper Function: Calculate Distance ---
 function getDistanceInMeters(lat1, lon1, lat2, lon2) {
@@ -223,6 +344,24 @@ function isIOsDevice() {
     return /iPad|iPhone|iPod/.test(navigator.userAgent) && !window.MSStream;
 }
 
+// Queue and appointment statuses are stored in English; t(statusKey(s)) shows them translated
+const STATUS_KEYS = {
+    'Waiting': 'status.waiting', 'Up Next': 'status.upNext', 'In Progress': 'status.inProgress',
+    'Done': 'status.done', 'Cancelled': 'status.cancelled', 'Reserved': 'status.reserved',
+    'Pending': 'status.pending', 'Resolved': 'status.resolved', 'Dismissed': 'status.dismissed',
+    'pending': 'appointmentStatus.pending', 'confirmed': 'appointmentStatus.confirmed', 'cancelled': 'appointmentStatus.cancelled',
+};
+const statusKey = (status) => STATUS_KEYS[status] || status;
+
+// Report reasons are stored in English for the admin queue; only the labels are translated
+const REPORT_REASONS = [
+    { value: 'Rude Behavior', key: 'reports.reasons.rude' },
+    { value: 'No-Show / Late', key: 'reports.reasons.noShow' },
+    { value: 'Inappropriate Language', key: 'reports.reasons.language' },
+    { value: 'Scam / Spam', key: 'reports.reasons.scam' },
+    { value: 'Other', key: 'reports.reasons.other' },
+];
+
 // ##############################################
 // ##           MODERN UI COMPONENTS           ##
 // ##############################################
@@ -241,6 +380,26 @@ function SkeletonLoader({ height, width, className = '' }) {
     );
 }
 
+/** Itemized price from priceBreakdown(), laid out the same on every screen that shows a total. */
+function PriceBreakdown({ breakdown, totalLabel, note }) {
+    const { t, fmt } = useI18n();
+    return (
+        <div className="price-breakdown">
+            {breakdown.lines.map(line => (
+                <div key={line.id} className={`price-line ${line.amount < 0 ? 'discount' : ''}`}>
+                    <span>{t(line.key, line.vars)}</span>
+                    <span>{line.amount < 0 ? '− ' : ''}{fmt.money(Math.abs(line.amount))}</span>
+                </div>
+            ))}
+            <div className="price-line total">
+                <span>{totalLabel}</span>
+                <strong>{fmt.money(breakdown.total)}</strong>
+            </div>
+            {note && <p className="price-note">{note}</p>}
+        </div>
+    );
+}
+
 
 // ##############################################
 // ##           CHAT COMPONENT               ##
@@ -248,6 +407,7 @@ function SkeletonLoader({ height, width, className = '' }) {
 function ChatWindow({ currentUser_id, otherUser_id, messages = [], onSendMessage }) {
     const [newMessage, setNewMessage] = useState('');
     const messagesEndRef = useRef(null);
+    const { t } = useI18n();
 
 
     useEffect(() => {
@@ -279,7 +439,7 @@ function ChatWindow({ currentUser_id, otherUser_id, messages = [], onSendMessage
                     type="text"
                     value={newMessage}
                     onChange={(e) => setNewMessage(e.target.value)}
-                    placeholder="Type a message..."
+                    placeholder={t('chat.placeholder')}
                 />
                 <button type="submit" disabled={!onSendMessage || !newMessage.trim()} className="btn btn-icon btn-send">
                     <IconSend />
@@ -289,12 +449,14 @@ function ChatWindow({ currentUser_id, otherUser_id, messages = [], onSendMessage
     );
 }
 
-function ReportModal({ isOpen, onClose, reporterId, reportedId, userRole, onSubmit }) {
+function ReportModal({ isOpen, onClose, reporterId, reportedId, queueId, userRole, onSubmit }) {
     const [reason, setReason] = useState('Rude Behavior');
     const [description, setDescription] = useState('');
     const [selectedFile, setSelectedFile] = useState(null);
     const [isUploading, setIsUploading] = useState(false);
     const [loading, setLoading] = useState(false);
+    const { toast } = useDialog();
+    const { t } = useI18n();
 
     if (!isOpen) return null;
 
@@ -328,20 +490,21 @@ function ReportModal({ isOpen, onClose, reporterId, reportedId, userRole, onSubm
             }
 
             // 2. Submit Report
-            await axios.post(`${API_URL}/reports`, {
+            await api.reports.submit({
                 reporterId,
                 reportedId,
+                queueId,
                 role: userRole,
                 reason,
                 description,
                 proofImageUrl
             });
 
-            alert("Report submitted successfully.");
+            toast(t('reports.submitted'), { type: 'success' });
             onClose();
         } catch (err) {
             console.error(err);
-            alert("Failed to submit report. " + (err.message || ''));
+            toast(t('reports.submitFailed', { message: err.message || '' }), { type: 'error' });
         } finally {
             setLoading(false);
             setIsUploading(false);
@@ -354,38 +517,34 @@ function ReportModal({ isOpen, onClose, reporterId, reportedId, userRole, onSubm
         <div className="modal-overlay">
             <div className="modal-content">
                 <div className="modal-body">
-                    <h2 style={{color: 'var(--error-color)'}}>⚠️ Report User</h2>
-                    <p>Submit a report to the Admin.</p>
+                    <h2 style={{color: 'var(--error-color)'}}>⚠️ {t('reports.title')}</h2>
+                    <p>{t('reports.intro')}</p>
                     <form onSubmit={handleSubmit}>
                         <div className="form-group">
-                            <label>Reason:</label>
+                            <label>{t('reports.reason')}</label>
                             <select value={reason} onChange={e => setReason(e.target.value)}>
-                                <option>Rude Behavior</option>
-                                <option>No-Show / Late</option>
-                                <option>Inappropriate Language</option>
-                                <option>Scam / Spam</option>
-                                <option>Other</option>
+                                {REPORT_REASONS.map(r => <option key={r.value} value={r.value}>{t(r.key)}</option>)}
                             </select>
                         </div>
                         <div className="form-group">
-                            <label>Details:</label>
-                            <textarea value={description} onChange={e => setDescription(e.target.value)} required placeholder="Describe what happened..." />
+                            <label>{t('reports.details')}</label>
+                            <textarea value={description} onChange={e => setDescription(e.target.value)} required placeholder={t('reports.detailsPlaceholder')} />
                         </div>
                         
                         {/* --- NEW: Screenshot Upload --- */}
                         <div className="form-group photo-upload-group">
-                            <label>Attach Screenshot (Optional):</label>
+                            <label>{t('reports.attach')}</label>
                             <input type="file" accept="image/*" onChange={handleFileChange} id="report-proof-upload" className="file-upload-input" />
                             <label htmlFor="report-proof-upload" className="btn btn-secondary btn-icon-label file-upload-label">
-                                <IconCamera /> {selectedFile ? selectedFile.name : 'Choose Image...'}
+                                <IconCamera /> {selectedFile ? selectedFile.name : t('reports.chooseImage')}
                             </label>
                         </div>
                         {/* ----------------------------- */}
 
                         <div className="modal-footer">
-                            <button type="button" onClick={onClose} className="btn btn-secondary">Cancel</button>
+                            <button type="button" onClick={onClose} className="btn btn-secondary">{t('common.cancel')}</button>
                             <button type="submit" disabled={loading || isUploading} className="btn btn-danger">
-                                {loading || isUploading ? <Spinner /> : 'Submit Report'}
+                                {loading || isUploading ? <Spinner /> : t('reports.submit')}
                             </button>
                         </div>
                     </form>
@@ -401,12 +560,13 @@ function ReportModal({ isOpen, onClose, reporterId, reportedId, userRole, onSubm
 function MyReportsModal({ isOpen, onClose, userId }) {
     const [reports, setReports] = useState([]);
     const [loading, setLoading] = useState(false);
+    const { t, fmt } = useI18n();
 
     useEffect(() => {
         if (isOpen && userId) {
             setLoading(true);
-            axios.get(`${API_URL}/reports/my/${userId}`)
-                .then(res => setReports(res.data))
+            api.reports.mine(userId)
+                .then(data => setReports(data))
                 .catch(err => console.error(err))
                 .finally(() => setLoading(false));
         }
@@ -418,40 +578,40 @@ function MyReportsModal({ isOpen, onClose, userId }) {
         <div className="modal-overlay">
             <div className="modal-content">
                 <div className="modal-header" style={{padding: '20px 25px 0', display:'flex', justifyContent:'space-between', alignItems:'center'}}>
-                    <h2 style={{margin:0, color: 'var(--primary-orange)'}}>My Reports</h2>
+                    <h2 style={{margin:0, color: 'var(--primary-orange)'}}>{t('reports.myReports')}</h2>
                     <button onClick={onClose} className="btn btn-icon"><IconX /></button>
                 </div>
                 <div className="modal-body" style={{textAlign:'left', maxHeight: '60vh', overflowY: 'auto'}}>
                     {loading ? <Spinner /> : reports.length === 0 ? (
-                        <p className="empty-text">You haven't submitted any reports.</p>
+                        <p className="empty-text">{t('reports.none')}</p>
                     ) : (
                         <ul className="queue-list">
                             {reports.map(r => (
                                 <li key={r.id} style={{display:'block', marginBottom:'10px', padding:'15px'}}>
                                     <div style={{display:'flex', justifyContent:'space-between', marginBottom:'8px'}}>
-                                        <strong>{r.reason}</strong>
+                                        <strong>{t(REPORT_REASONS.find(reason => reason.value === r.reason)?.key || r.reason)}</strong>
                                         <span className="status-badge" style={{
                                             backgroundColor: r.status === 'Pending' ? 'rgba(255, 149, 0, 0.2)' : 
                                                            r.status === 'Resolved' ? 'rgba(52, 199, 89, 0.2)' : 'rgba(100, 100, 100, 0.2)',
                                             color: r.status === 'Pending' ? 'var(--primary-orange)' : 
                                                    r.status === 'Resolved' ? 'var(--success-color)' : 'var(--text-secondary)'
                                         }}>
-                                            {r.status}
+                                            {t(statusKey(r.status))}
                                         </span>
                                     </div>
                                     <p style={{fontSize:'0.85rem', color:'var(--text-secondary)', margin:'0 0 5px'}}>
-                                        Reported: <strong>{r.reported?.full_name || 'Unknown User'}</strong>
+                                        {t('reports.reported')} <strong>{r.reported?.full_name || t('common.unknownUser')}</strong>
                                     </p>
                                     <p style={{fontSize:'0.9rem', marginBottom:'10px'}}>"{r.description}"</p>
                                     
                                     {r.admin_notes && (
                                         <div style={{background:'var(--bg-dark)', padding:'10px', borderRadius:'6px', borderLeft:'3px solid var(--link-color)'}}>
-                                            <strong style={{fontSize:'0.8rem', color:'var(--link-color)'}}>Admin Response:</strong>
+                                            <strong style={{fontSize:'0.8rem', color:'var(--link-color)'}}>{t('reports.adminResponse')}</strong>
                                             <p style={{margin:'5px 0 0', fontSize:'0.9rem'}}>{r.admin_notes}</p>
                                         </div>
                                     )}
                                     <div style={{textAlign:'right', marginTop:'10px', fontSize:'0.75rem', color:'var(--text-secondary)'}}>
-                                        {new Date(r.created_at).toLocaleDateString()}
+                                        {fmt.date(r.created_at)}
                                     </div>
                                 </li>
                             ))}
@@ -459,7 +619,7 @@ function MyReportsModal({ isOpen, onClose, userId }) {
                     )}
                 </div>
                 <div className="modal-footer single-action">
-                    <button onClick={onClose} className="btn btn-secondary">Close</button>
+                    <button onClick={onClose} className="btn btn-secondary">{t('common.close')}</button>
                 </div>
             </div>
         </div>
@@ -471,6 +631,7 @@ function MyReportsModal({ isOpen, onClose, userId }) {
 // ##       LOGIN/SIGNUP COMPONENTS          ##
 // ##############################################
 function AuthForm() {
+    const { t } = useI18n();
     const [isWelcomeModalOpen, setIsWelcomeModalOpen] = useState(true);
     const [username, setUsername] = useState('');
     const [email, setEmail] = useState('');
@@ -483,29 +644,31 @@ function AuthForm() {
 
     const [loading, setLoading] = useState(false);
     const [message, setMessage] = useState('');
+    const [messageType, setMessageType] = useState('error'); // 'error' or 'success'
     const [selectedRole, setSelectedRole] = useState('customer');
     const [showPassword, setShowPassword] = useState(false);
 
     const handleAuth = async (e) => {
-        e.preventDefault(); setLoading(true); setMessage('');
+        e.preventDefault(); setLoading(true); setMessage(''); setMessageType('error');
         try {
             if (authView === 'login') {
-                if (!username || !password) throw new Error("Username/password required.");
-                if (selectedRole === 'barber' && !pin) throw new Error("Barber PIN required.");
-                const response = await axios.post(`${API_URL}/login/username`, { username: username.trim(), password, role: selectedRole, pin: selectedRole === 'barber' ? pin : undefined });
-                if (response.data.user?.email && supabase?.auth) {
-                    const { error } = await supabase.auth.signInWithPassword({ email: response.data.user.email, password });
+                if (!username || !password) throw new Error(t('auth.errUsernamePassword'));
+                if (selectedRole === 'barber' && !pin) throw new Error(t('auth.errPinRequired'));
+                const data = await api.auth.login({ username: username.trim(), password, role: selectedRole, pin: selectedRole === 'barber' ? pin : undefined });
+                if (data.user?.email && supabase?.auth) {
+                    const { error } = await supabase.auth.signInWithPassword({ email: data.user.email, password });
                     if (error) throw error;
-                } else { throw new Error("Login failed: Invalid server response."); }
+                } else { throw new Error(t('auth.errInvalidResponse')); }
             } else { // This is now just for 'signup'
-                if (!email.trim() || !fullName.trim()) throw new Error("Email/Full Name required.");
-                if (selectedRole === 'barber' && !barberCode.trim()) throw new Error("Barber Code required.");
-                const response = await axios.post(`${API_URL}/signup/username`, { username: username.trim(), email: email.trim(), password, fullName: fullName.trim(), role: selectedRole, barberCode: selectedRole === 'barber' ? barberCode.trim() : undefined });
-                setMessage(response.data.message || 'Account created! You can now log in.');
+                if (!email.trim() || !fullName.trim()) throw new Error(t('auth.errEmailName'));
+                if (selectedRole === 'barber' && !barberCode.trim()) throw new Error(t('auth.errBarberCode'));
+                const data = await api.auth.signup({ username: username.trim(), email: email.trim(), password, fullName: fullName.trim(), role: selectedRole, barberCode: selectedRole === 'barber' ? barberCode.trim() : undefined });
+                setMessage(data.message || t('auth.accountCreated'));
+                setMessageType('success');
                 setAuthView('login');
                 setUsername(''); setEmail(''); setPassword(''); setFullName(''); setBarberCode(''); setPin(''); setSelectedRole('customer');
             }
-        } catch (error) { console.error('Auth error:', error); setMessage(`Authentication failed: ${error.response?.data?.error || error.message || 'Unexpected error.'}`); }
+        } catch (error) { console.error('Auth error:', error); setMessage(t('auth.failed', { reason: error.message || t('common.unexpectedError') })); }
         finally { setLoading(false); }
     };
 
@@ -515,39 +678,42 @@ function AuthForm() {
         e.preventDefault();
         setLoading(true);
         setMessage('');
+        setMessageType('error');
 
         try {
-            if (!email) throw new Error("Email is required.");
+            if (!email) throw new Error(t('auth.errEmailRequired'));
             const trimmedEmail = email.trim();
 
             console.log(`Checking if email ${trimmedEmail} exists...`);
             
             // 1. SECURELY CHECK IF EMAIL EXISTS
-            const checkResponse = await axios.post(`${API_URL}/check-email`, { email: trimmedEmail });
+            const checkResult = await api.auth.checkEmail(trimmedEmail);
             
             // 2. LOGIC SPLIT: If email is NOT found, throw a clean, display-ready error.
-            if (!checkResponse.data.found) {
+            if (!checkResult.found) {
                 console.log("Email not found, throwing specific display error.");
                 // Throw an error that we can catch below
-                throw new Error(`The email address "${trimmedEmail}" is not registered.`); 
+                const notRegistered = new Error(t('auth.errNotRegistered', { email: trimmedEmail }));
+                notRegistered.isNotRegistered = true;
+                throw notRegistered;
             }
 
             // 3. If found, proceed with the actual password reset link generation via Supabase.
             console.log("Email found. Sending reset link via Supabase...");
             const { error: resetError } = await supabase.auth.resetPasswordForEmail(trimmedEmail, {
-                redirectTo: window.location.origin,
+                redirectTo: `${window.location.origin}/reset-password`,
             });
             
             if (resetError) {
                 if (resetError.message.includes('rate limit')) {
-                    throw new Error('Email rate limit exceeded. Please wait a moment.');
+                    throw new Error(t('auth.errRateLimit'));
                 }
                 throw resetError; 
             }
 
             // 4. Show SUCCESS message 
-            // NOTE: The word 'sent' here triggers the success class in the JSX below.
-            setMessage('Success! Check your email. The password reset link has been sent.');
+            setMessage(t('auth.resetSent'));
+            setMessageType('success');
             
             setTimeout(() => {
                 setAuthView('login');
@@ -561,12 +727,12 @@ function AuthForm() {
             // NEW LOGIC: Extract and display a clean message.
             let clientMessage = '';
             
-            if (error.message.includes('not registered')) {
+            if (error.isNotRegistered) {
                  // Custom user error: Display the clean message only
-                 clientMessage = `Error: ${error.message}`;
+                 clientMessage = t('common.errorPrefix', { message: error.message });
             } else {
                  // Generic failure: Prefix with Authentication failed
-                 clientMessage = `Authentication failed: ${error.message}`;
+                 clientMessage = t('auth.failed', { reason: error.message });
             }
 
             setMessage(clientMessage);
@@ -585,12 +751,12 @@ function AuthForm() {
             >
                 <div className="modal-content">
                     <div className="modal-body">
-                        <h2>Welcome to Dash-Q!</h2>
-                        <p>This application was proudly developed by:<br />
+                        <h2>{t('auth.welcomeTitle')}</h2>
+                        <p>{t('auth.developedBy')}<br />
                             <strong>Aquino, Zaldy Castro Jr.</strong><br />
                             <strong>Galima, Denmark Perpose</strong><br />
                             <strong>Saldivar, Reuben Andrei Santos</strong>
-                            <br /><br />from<br /><br />
+                            <br /><br />{t('auth.from')}<br /><br />
                             <strong>University of the Cordilleras</strong>
                         </p>
                     </div>
@@ -600,7 +766,7 @@ function AuthForm() {
                             onClick={() => setIsWelcomeModalOpen(false)}
                             className="btn btn-primary"
                         >
-                            Get Started
+                            {t('auth.getStarted')}
                         </button>
                     </div>
                 </div>
@@ -609,13 +775,16 @@ function AuthForm() {
             {authView === 'forgotPassword' ? (
                 <>
                     <div className="card-header">
-                        <h2>Reset Password</h2>
-                        <ThemeToggleButton />
+                        <h2>{t('auth.resetTitle')}</h2>
+                        <div className="header-actions">
+                            <LanguageSwitcher />
+                            <ThemeToggleButton />
+                        </div>
                     </div>
                     <form onSubmit={handleForgotPassword} className="card-body">
-                        <p>Enter your email. We will send you a link to reset your password.</p>
+                        <p>{t('auth.resetIntro')}</p>
                         <div className="form-group">
-                            <label>Email:</label>
+                            <label>{t('auth.email')}</label>
                             <input
                                 type="email"
                                 value={email}
@@ -625,26 +794,29 @@ function AuthForm() {
                             />
                         </div>
                         <button type="submit" disabled={loading} className="btn btn-primary btn-full-width">
-                            {loading ? <Spinner /> : 'Send Reset Link'}
+                            {loading ? <Spinner /> : t('auth.sendResetLink')}
                         </button>
                     </form>
                     <div className="card-footer">
                         <button type="button" onClick={() => { setAuthView('login'); setMessage(''); }} className="btn btn-link">
-                            Back to Login
+                            {t('auth.backToLogin')}
                         </button>
                     </div>
                 </>
             ) : (
                 <>
                     <div className="card-header">
-                        <h2>{authView === 'login' ? 'Login' : 'Sign Up'}</h2>
-                        <ThemeToggleButton />
+                        <h2>{authView === 'login' ? t('auth.login') : t('auth.signUp')}</h2>
+                        <div className="header-actions">
+                            <LanguageSwitcher />
+                            <ThemeToggleButton />
+                        </div>
                     </div>
                     <form onSubmit={handleAuth} className="card-body">
-                        <div className="form-group"><label>Username:</label><input type="text" value={username} onChange={(e) => setUsername(e.target.value)} required minLength="3" autoComplete="username" /></div>
+                        <div className="form-group"><label>{t('auth.username')}</label><input type="text" value={username} onChange={(e) => setUsername(e.target.value)} required minLength="3" autoComplete="username" /></div>
 
                         <div className="form-group password-group">
-                            <label>Password:</label>
+                            <label>{t('auth.password')}</label>
                             <input
                                 type={showPassword ? 'text' : 'password'}
                                 value={password}
@@ -657,7 +829,7 @@ function AuthForm() {
                                 type="button"
                                 className="toggle-password"
                                 onClick={() => setShowPassword(!showPassword)}
-                                title={showPassword ? 'Hide password' : 'Show password'}
+                                title={showPassword ? t('auth.hidePassword') : t('auth.showPassword')}
                             >
                                 {showPassword ? <IconEyeOff /> : <IconEye />}
                             </button>
@@ -666,23 +838,23 @@ function AuthForm() {
                         {authView === 'login' && (
                             <>
                                 <div className="form-group">
-                                    <label>Login As:</label>
+                                    <label>{t('auth.loginAs')}</label>
                                     <div className="role-toggle">
-                                        <button type="button" className={selectedRole === 'customer' ? 'active' : ''} onClick={() => setSelectedRole('customer')}>Customer</button>
-                                        <button type="button" className={selectedRole === 'barber' ? 'active' : ''} onClick={() => setSelectedRole('barber')}>Barber</button>
+                                        <button type="button" className={selectedRole === 'customer' ? 'active' : ''} onClick={() => setSelectedRole('customer')}>{t('auth.roleCustomer')}</button>
+                                        <button type="button" className={selectedRole === 'barber' ? 'active' : ''} onClick={() => setSelectedRole('barber')}>{t('auth.roleBarber')}</button>
                                     </div>
                                 </div>
                                 
                                 {selectedRole === 'barber' && (
                                     <div className="form-group pin-input">
-                                        <label>Barber PIN:</label>
+                                        <label>{t('auth.barberPin')}</label>
                                         <input type="password" value={pin} onChange={(e) => setPin(e.target.value)} required={selectedRole === 'barber'} autoComplete="off" />
                                     </div>
                                 )}
 
                                 <div className="forgot-password-link">
                                     <button type="button" onClick={() => { setAuthView('forgotPassword'); setMessage(''); setEmail(''); }}>
-                                        Forgot Password?
+                                        {t('auth.forgotPassword')}
                                     </button>
                                 </div>
                             </>
@@ -691,32 +863,31 @@ function AuthForm() {
                         {authView === 'signup' && (
                             <>
                                 <div className="form-group">
-                                    <label>Sign Up As:</label>
+                                    <label>{t('auth.signUpAs')}</label>
                                     <div className="role-toggle">
-                                        <button type="button" className={selectedRole === 'customer' ? 'active' : ''} onClick={() => setSelectedRole('customer')}>Customer</button>
-                                        <button type="button" className={selectedRole === 'barber' ? 'active' : ''} onClick={() => setSelectedRole('barber')}>Barber</button>
+                                        <button type="button" className={selectedRole === 'customer' ? 'active' : ''} onClick={() => setSelectedRole('customer')}>{t('auth.roleCustomer')}</button>
+                                        <button type="button" className={selectedRole === 'barber' ? 'active' : ''} onClick={() => setSelectedRole('barber')}>{t('auth.roleBarber')}</button>
                                     </div>
                                 </div>
-                                <div className="form-group"><label>Email:</label><input type="email" value={email} onChange={(e) => setEmail(e.target.value)} required autoComplete="email" /><small>Needed for account functions.</small></div>
-                                <div className="form-group"><label>Full Name:</label><input type="text" value={fullName} onChange={(e) => setFullName(e.target.value)} required autoComplete="name" /></div>
-                                {selectedRole === 'barber' && (<div className="form-group"><label>Barber Code:</label><input type="text" value={barberCode} placeholder="Secret code" onChange={(e) => setBarberCode(e.target.value)} required={selectedRole === 'barber'} /><small>Required.</small></div>)}
+                                <div className="form-group"><label>{t('auth.email')}</label><input type="email" value={email} onChange={(e) => setEmail(e.target.value)} required autoComplete="email" /><small>{t('auth.emailHint')}</small></div>
+                                <div className="form-group"><label>{t('auth.fullName')}</label><input type="text" value={fullName} onChange={(e) => setFullName(e.target.value)} required autoComplete="name" /></div>
+                                {selectedRole === 'barber' && (<div className="form-group"><label>{t('auth.barberCode')}</label><input type="text" value={barberCode} placeholder={t('auth.barberCodePlaceholder')} onChange={(e) => setBarberCode(e.target.value)} required={selectedRole === 'barber'} /><small>{t('auth.required')}</small></div>)}
                             </>
                         )}
                         
                         <button type="submit" disabled={loading} className="btn btn-primary btn-full-width">
-                            {loading ? <Spinner /> : (authView === 'login' ? 'Login' : 'Sign Up')}
+                            {loading ? <Spinner /> : (authView === 'login' ? t('auth.login') : t('auth.signUp'))}
                         </button>
                     </form>
                     <div className="card-footer">
-                        {/* FIX: improved message coloring logic */}
                         {message && (
-                            <p className={`message ${/failed|error|taken|registered|required|invalid/i.test(message) ? 'error' : 'success'}`}>
+                            <p className={`message ${messageType}`}>
                                 {message}
                             </p>
                         )}
                         
                         <button type="button" onClick={() => { setAuthView(authView === 'login' ? 'signup' : 'login'); setMessage(''); setSelectedRole('customer'); setPin(''); setBarberCode(''); }} className="btn btn-link">
-                            {authView === 'login' ? 'Need account? Sign Up' : 'Have account? Login'}
+                            {authView === 'login' ? t('auth.needAccount') : t('auth.haveAccount')}
                         </button>
                     </div>
                 </>
@@ -730,17 +901,20 @@ function AuthForm() {
 // ##       UPDATE PASSWORD COMPONENT          ##
 // ##############################################
 function UpdatePasswordForm({ onPasswordUpdated }) {
+    const { t } = useI18n();
     const [password, setPassword] = useState('');
     const [loading, setLoading] = useState(false);
     const [message, setMessage] = useState('');
+    const [messageType, setMessageType] = useState('error');
 
     const handlePasswordReset = async (e) => {
         e.preventDefault();
         setLoading(true);
         setMessage('');
+        setMessageType('error');
 
         if (password.length < 6) {
-            setMessage('Password must be at least 6 characters.');
+            setMessage(t('auth.errPasswordLength'));
             setLoading(false);
             return;
         }
@@ -749,14 +923,15 @@ function UpdatePasswordForm({ onPasswordUpdated }) {
             const { error } = await supabase.auth.updateUser({ password: password });
             if (error) throw error;
 
-            setMessage('Password updated successfully! You can now log in.');
+            setMessage(t('auth.passwordUpdated'));
+            setMessageType('success');
             setTimeout(() => {
                 onPasswordUpdated();
             }, 2000);
 
         } catch (error) {
             console.error('Error updating password:', error);
-            setMessage(`Error: ${error.message}`);
+            setMessage(t('common.errorPrefix', { message: error.message }));
         } finally {
             setLoading(false);
         }
@@ -765,13 +940,16 @@ function UpdatePasswordForm({ onPasswordUpdated }) {
     return (
         <div className="card auth-card">
             <div className="card-header">
-                <h2>Set Your New Password</h2>
-                <ThemeToggleButton />
+                <h2>{t('auth.newPasswordTitle')}</h2>
+                <div className="header-actions">
+                    <LanguageSwitcher />
+                    <ThemeToggleButton />
+                </div>
             </div>
             <form onSubmit={handlePasswordReset} className="card-body">
-                <p>You have been verified. Please enter a new password.</p>
+                <p>{t('auth.newPasswordIntro')}</p>
                 <div className="form-group password-group">
-                    <label>New Password:</label>
+                    <label>{t('auth.newPassword')}</label>
                     <input
                         type='password'
                         value={password}
@@ -781,12 +959,12 @@ function UpdatePasswordForm({ onPasswordUpdated }) {
                     />
                 </div>
                 <button type="submit" disabled={loading} className="btn btn-primary btn-full-width">
-                    {loading ? <Spinner /> : 'Set New Password'}
+                    {loading ? <Spinner /> : t('auth.setNewPassword')}
                 </button>
             </form>
             <div className="card-footer">
                 {message && (
-                    <p className={`message ${/error|failed|must be/i.test(message) ? 'error' : 'success'}`}>
+                    <p className={`message ${messageType}`}>
                         {message}
                     </p>
                 )}
@@ -799,6 +977,7 @@ function UpdatePasswordForm({ onPasswordUpdated }) {
 // ##     BARBER-SPECIFIC COMPONENTS         ##
 // ##############################################
 function AvailabilityToggle({ barberProfile, session, onAvailabilityChange }) {
+    const { t } = useI18n();
     const isAvailable = barberProfile?.is_available || false;
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
@@ -807,25 +986,25 @@ function AvailabilityToggle({ barberProfile, session, onAvailabilityChange }) {
         setLoading(true); setError('');
         const newAvailability = !isAvailable;
         try {
-            const response = await axios.put(`${API_URL}/barber/availability`, {
+            const data = await api.barbers.setAvailability({
                 barberId: barberProfile.id, isAvailable: newAvailability, userId: session.user.id
             });
-            onAvailabilityChange(response.data.is_available);
-        } catch (err) { console.error("Failed toggle availability:", err); setError(err.response?.data?.error || "Could not update."); }
+            onAvailabilityChange(data.is_available);
+        } catch (err) { console.error("Failed toggle availability:", err); setError(err.message || t('barber.couldNotUpdate')); }
         finally { setLoading(false); }
     };
     return (
         <div className="availability-toggle">
-            <p>Status: 
+            <p>{t('barber.status')} 
                 <span className={`status-dot ${isAvailable ? 'online' : 'offline'}`}></span>
-                <strong>{isAvailable ? 'Available' : 'Offline'}</strong>
+                <strong>{isAvailable ? t('barber.available') : t('barber.offline')}</strong>
             </p>
             <button 
                 onClick={handleToggle} 
                 disabled={loading} 
                 className={`btn ${isAvailable ? 'btn-danger' : 'btn-success'}`}
             >
-                {loading ? <Spinner /> : (isAvailable ? 'Go Offline' : 'Go Online')}
+                {loading ? <Spinner /> : (isAvailable ? t('barber.goOffline') : t('barber.goOnline'))}
             </button>
             {error && <p className="error-message small">{error}</p>}
         </div>
@@ -834,7 +1013,7 @@ function AvailabilityToggle({ barberProfile, session, onAvailabilityChange }) {
 
 // --- AnalyticsDashboard (Displays Barber Stats) ---
 function AnalyticsDashboard({ barberId, refreshSignal }) {
-    const [analytics, setAnalytics] = useState({ totalEarningsToday: 0, totalCutsToday: 0, totalEarningsWeek: 0, totalCutsWeek: 0, dailyData: [], busiestDay: { name: 'N/A', earnings: 0 }, currentQueueSize: 0, totalCutsAllTime: 0, carbonSavedTotal: 0 });
+    const [analytics, setAnalytics] = useState({ totalEarningsToday: 0, totalCutsToday: 0, totalEarningsWeek: 0, totalCutsWeek: 0, dailyData: [], busiestDay: { name: null, earnings: 0 }, currentQueueSize: 0, totalCutsAllTime: 0, carbonSavedTotal: 0 });
     const [error, setError] = useState('');
     const [showEarnings, setShowEarnings] = useState(true);
     const [feedback, setFeedback] = useState([]);
@@ -843,6 +1022,7 @@ function AnalyticsDashboard({ barberId, refreshSignal }) {
     const [isRefreshing, setIsRefreshing] = useState(false);
 
     const { theme } = useTheme();
+    const { t, fmt } = useI18n();
 
     const fetchAnalytics = useCallback(async (isRefreshClick = false) => {
         if (!barberId) return;
@@ -855,29 +1035,29 @@ function AnalyticsDashboard({ barberId, refreshSignal }) {
         }
 
         try {
-            const response = await axios.get(`${API_URL}/analytics/${barberId}`);
-            setAnalytics({ dailyData: [], busiestDay: { name: 'N/A', earnings: 0 }, ...response.data });
-            setShowEarnings(response.data?.showEarningsAnalytics ?? true);
+            const analyticsData = await api.analytics.forBarber(barberId);
+            setAnalytics({ dailyData: [], busiestDay: { name: null, earnings: 0 }, ...analyticsData });
+            setShowEarnings(analyticsData?.showEarningsAnalytics ?? true);
 
-            const feedbackResponse = await axios.get(`${API_URL}/feedback/${barberId}`);
-            setFeedback(feedbackResponse.data || []);
+            const feedbackData = await api.feedback.forBarber(barberId);
+            setFeedback(feedbackData || []);
 
         } catch (err) {
             console.error('Failed fetch analytics/feedback:', err);
-            setError('Could not load dashboard data.');
-            setAnalytics({ totalEarningsToday: 0, totalCutsToday: 0, totalEarningsWeek: 0, totalCutsWeek: 0, dailyData: [], busiestDay: { name: 'N/A', earnings: 0 }, currentQueueSize: 0 });
+            setError(t('analytics.loadFailed'));
+            setAnalytics({ totalEarningsToday: 0, totalCutsToday: 0, totalEarningsWeek: 0, totalCutsWeek: 0, dailyData: [], busiestDay: { name: null, earnings: 0 }, currentQueueSize: 0 });
         } finally {
             setIsLoading(false);
             setIsRefreshing(false);
         }
-    }, [barberId]);
+    }, [barberId, t]);
 
     useEffect(() => {
         fetchAnalytics(false); // Initial load
     }, [refreshSignal, barberId, fetchAnalytics]);
 
-    const avgPriceToday = (analytics.totalCutsToday ?? 0) > 0 ? ((analytics.totalEarningsToday ?? 0) / analytics.totalCutsToday).toFixed(2) : '0.00';
-    const avgPriceWeek = (analytics.totalCutsWeek ?? 0) > 0 ? ((analytics.totalEarningsWeek ?? 0) / analytics.totalCutsWeek).toFixed(2) : '0.00';
+    const avgPriceToday = (analytics.totalCutsToday ?? 0) > 0 ? (analytics.totalEarningsToday ?? 0) / analytics.totalCutsToday : 0;
+    const avgPriceWeek = (analytics.totalCutsWeek ?? 0) > 0 ? (analytics.totalEarningsWeek ?? 0) / analytics.totalCutsWeek : 0;
     
     const chartTextColor = theme === 'light' ? '#18181B' : '#FFFFFF';
     const chartGridColor = theme === 'light' ? 'rgba(0, 0, 0, 0.1)' : 'rgba(255, 255, 255, 0.1)';
@@ -887,7 +1067,7 @@ function AnalyticsDashboard({ barberId, refreshSignal }) {
         maintainAspectRatio: false, 
         plugins: { 
             legend: { position: 'top', labels: { color: chartTextColor } }, 
-            title: { display: true, text: 'Earnings per Day (Last 7 Days)', color: chartTextColor } 
+            title: { display: true, text: t('analytics.chartTitle'), color: chartTextColor } 
         }, 
         scales: { 
             y: { 
@@ -903,14 +1083,14 @@ function AnalyticsDashboard({ barberId, refreshSignal }) {
     };
     
     const dailyDataSafe = Array.isArray(analytics.dailyData) ? analytics.dailyData : [];
-    const chartData = { labels: dailyDataSafe.map(d => { try { return new Date(d.day + 'T00:00:00Z').toLocaleString(undefined, { month: 'numeric', day: 'numeric' }); } catch (e) { return '?'; } }), datasets: [{ label: 'Daily Earnings (₱)', data: dailyDataSafe.map(d => d.daily_earnings ?? 0), backgroundColor: 'rgba(52, 199, 89, 0.6)', borderColor: 'rgba(52, 199, 89, 1)', borderWidth: 1 }] };
+    const chartData = { labels: dailyDataSafe.map(d => { try { return fmt.date(d.day + 'T00:00:00Z', { month: 'numeric', day: 'numeric' }); } catch (e) { return '?'; } }), datasets: [{ label: t('analytics.chartLabel'), data: dailyDataSafe.map(d => d.daily_earnings ?? 0), backgroundColor: 'rgba(52, 199, 89, 0.6)', borderColor: 'rgba(52, 199, 89, 1)', borderWidth: 1 }] };
     const carbonSavedTotal = analytics.carbonSavedTotal || 0;
     const carbonSavedToday = analytics.carbonSavedToday || 0;
 
     // Logic: If today is 5, it means SOMEONE (maybe you, maybe another barber) did a cut.
     const carbonStatusMessage = carbonSavedToday > 0 
-        ? "✅ Daily Goal Reached!" 
-        : "⏳ Waiting for first cut...";
+        ? t('analytics.goalReached')
+        : t('analytics.waitingFirstCut');
 
     const renderSkeletons = () => (
         <>
@@ -920,7 +1100,7 @@ function AnalyticsDashboard({ barberId, refreshSignal }) {
                 <SkeletonLoader height="75px" />
                 <SkeletonLoader height="75px" />
             </div>
-            <h3 className="analytics-subtitle">Last 7 Days</h3>
+            <h3 className="analytics-subtitle">{t('analytics.last7Days')}</h3>
             <div className="analytics-grid">
                 <SkeletonLoader height="75px" />
                 <SkeletonLoader height="75px" />
@@ -933,43 +1113,43 @@ function AnalyticsDashboard({ barberId, refreshSignal }) {
     return (
     <div className="card">
         <div className="card-header">
-            <h2>Dashboard</h2>
+            <h2>{t('analytics.title')}</h2>
             <button 
                 onClick={() => setShowEarnings(!showEarnings)} 
                 className="btn btn-secondary btn-icon-label"
             >
                 {showEarnings ? <IconEyeOff /> : <IconEye />}
-                {showEarnings ? 'Hide' : 'Show'}
+                {showEarnings ? t('common.hide') : t('common.show')}
             </button>
         </div>
         
         <div className="card-body">
             {error && <p className="error-message">{error}</p>}
-            <h3 className="analytics-subtitle">Today</h3>
+            <h3 className="analytics-subtitle">{t('analytics.today')}</h3>
             
             {isLoading ? renderSkeletons() : (
                 <>
                     <div className="analytics-grid">
-                        {showEarnings && <div className="analytics-item"><span className="analytics-label">Earnings</span><span className="analytics-value">₱{analytics.totalEarningsToday ?? 0}</span></div>}
-                        <div className="analytics-item"><span className="analytics-label">Cuts</span><span className="analytics-value">{analytics.totalCutsToday ?? 0}</span></div>
-                        {showEarnings && <div className="analytics-item"><span className="analytics-label">Avg Price</span><span className="analytics-value small">₱{avgPriceToday}</span></div>}
-                        <div className="analytics-item"><span className="analytics-label">Queue Size</span><span className="analytics-value small">{analytics.currentQueueSize ?? 0}</span></div>
+                        {showEarnings && <div className="analytics-item"><span className="analytics-label">{t('analytics.earnings')}</span><span className="analytics-value">{fmt.money(analytics.totalEarningsToday)}</span></div>}
+                        <div className="analytics-item"><span className="analytics-label">{t('analytics.cuts')}</span><span className="analytics-value">{analytics.totalCutsToday ?? 0}</span></div>
+                        {showEarnings && <div className="analytics-item"><span className="analytics-label">{t('analytics.avgPrice')}</span><span className="analytics-value small">{fmt.money(avgPriceToday)}</span></div>}
+                        <div className="analytics-item"><span className="analytics-label">{t('analytics.queueSize')}</span><span className="analytics-value small">{analytics.currentQueueSize ?? 0}</span></div>
                     </div>
-                    <h3 className="analytics-subtitle">Last 7 Days</h3>
+                    <h3 className="analytics-subtitle">{t('analytics.last7Days')}</h3>
                     <div className="analytics-grid">
-                        {showEarnings && <div className="analytics-item"><span className="analytics-label">Total Earnings</span><span className="analytics-value">₱{analytics.totalEarningsWeek ?? 0}</span></div>}
-                        <div className="analytics-item"><span className="analytics-label">Total Cuts</span><span className="analytics-value">{analytics.totalCutsWeek ?? 0}</span></div>
-                        {showEarnings && <div className="analytics-item"><span className="analytics-label">Avg Price</span><span className="analytics-value small">₱{avgPriceWeek}</span></div>}
-                        <div className="analytics-item"><span className="analytics-label">Busiest Day</span><span className="analytics-value small">{analytics.busiestDay?.name ?? 'N/A'} {showEarnings && `(₱${analytics.busiestDay?.earnings ?? 0})`}</span></div>
+                        {showEarnings && <div className="analytics-item"><span className="analytics-label">{t('analytics.totalEarnings')}</span><span className="analytics-value">{fmt.money(analytics.totalEarningsWeek)}</span></div>}
+                        <div className="analytics-item"><span className="analytics-label">{t('analytics.totalCuts')}</span><span className="analytics-value">{analytics.totalCutsWeek ?? 0}</span></div>
+                        {showEarnings && <div className="analytics-item"><span className="analytics-label">{t('analytics.avgPrice')}</span><span className="analytics-value small">{fmt.money(avgPriceWeek)}</span></div>}
+                        <div className="analytics-item"><span className="analytics-label">{t('analytics.busiestDay')}</span><span className="analytics-value small">{analytics.busiestDay?.name ?? t('common.notAvailable')} {showEarnings && `(${fmt.money(analytics.busiestDay?.earnings)})`}</span></div>
                     </div>
                 </>
             )}
             
             <div className="carbon-footprint-section">
-                <h3 className="analytics-subtitle">🌱 Shop Carbon Savings</h3>
+                <h3 className="analytics-subtitle">🌱 {t('analytics.carbonTitle')}</h3>
                 <div className="analytics-grid carbon-grid">
                     <div className="analytics-item">
-                        <span className="analytics-label">Today's Impact</span>
+                        <span className="analytics-label">{t('analytics.todaysImpact')}</span>
                         <span className="analytics-value carbon">
                             +{carbonSavedToday}g
                         </span>
@@ -978,24 +1158,24 @@ function AnalyticsDashboard({ barberId, refreshSignal }) {
                         </small>
                     </div>
                     <div className="analytics-item">
-                        <span className="analytics-label">All-Time Reduced</span>
+                        <span className="analytics-label">{t('analytics.allTimeReduced')}</span>
                         <span className="analytics-value carbon">
                             {carbonSavedTotal}g
                         </span>
                         <small style={{color: 'var(--text-secondary)', fontSize: '0.8rem'}}>
-                            Dynamic Shop Total
+                            {t('analytics.shopTotal')}
                         </small>
                     </div>
                 </div>
             </div>
             {showEarnings && (
                 <div className="chart-container">
-                    {dailyDataSafe.length > 0 ? (<div style={{ height: '250px' }}><Bar options={chartOptions} data={chartData} /></div>) : (<p className='empty-text'>No chart data yet.</p>)}
+                    {dailyDataSafe.length > 0 ? (<div style={{ height: '250px' }}><Bar options={chartOptions} data={chartData} /></div>) : (<p className='empty-text'>{t('analytics.noChartData')}</p>)}
                 </div>
             )}
             
             <div className="feedback-list-container">
-                <h3 className="analytics-subtitle">Recent Feedback</h3>
+                <h3 className="analytics-subtitle">{t('analytics.recentFeedback')}</h3>
                 <ul className="feedback-list">
                     {feedback.length > 0 ? (
                         feedback.map((item, index) => (
@@ -1012,7 +1192,7 @@ function AnalyticsDashboard({ barberId, refreshSignal }) {
                                     </span>
                                     {/* END FIX */}
                                     <span className="feedback-customer">
-                                        {item.customer_name || 'Customer'}
+                                        {item.customer_name || t('auth.roleCustomer')}
                                     </span>
                                 </div>
                                 {/* FIX: Ensure it handles null/empty comments */}
@@ -1022,7 +1202,7 @@ function AnalyticsDashboard({ barberId, refreshSignal }) {
                             </li>
                         ))
                     ) : (
-                        <p className="empty-text">No feedback yet.</p>
+                        <p className="empty-text">{t('analytics.noFeedback')}</p>
                     )}
                 </ul>
             </div>
@@ -1031,15 +1211,393 @@ function AnalyticsDashboard({ barberId, refreshSignal }) {
         <div className="card-footer">
             <button onClick={() => fetchAnalytics(true)} className="btn btn-secondary btn-full-width btn-icon-label" disabled={isRefreshing}>
                 {isRefreshing ? <Spinner /> : <IconRefresh />}
-                {isRefreshing ? 'Refreshing...' : 'Refresh Stats'}
+                {isRefreshing ? t('common.refreshing') : t('analytics.refreshStats')}
             </button>
         </div>
     </div>);
 }
 
+// --- CheckInQrCard (Arrival QR shown at the counter) ---
+// Customers scan it from their live ticket to mark themselves "Arrived"; the code changes daily.
+const checkInLink = (code) => `${window.location.origin}/checkin/${code}`;
+
+function CheckInQrCard({ shop, userId }) {
+    const { t } = useI18n();
+    const [isOpen, setIsOpen] = useState(false);
+    const [code, setCode] = useState('');
+    const [qrSvg, setQrSvg] = useState('');
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        if (!isOpen || !shop?.id) return;
+        let isCancelled = false;
+        setError('');
+        api.queue.checkinCode({ shopId: shop.id, userId })
+            .then(async ({ code: todaysCode }) => {
+                const svg = await QRCode.toString(checkInLink(todaysCode), { type: 'svg', margin: 1 });
+                if (isCancelled) return;
+                setCode(todaysCode);
+                setQrSvg(svg);
+            })
+            .catch(err => {
+                console.error('[CheckIn] Failed to load check-in code:', err);
+                if (!isCancelled) setError(err.message || t('checkIn.qrFailed'));
+            });
+        return () => { isCancelled = true; };
+    }, [isOpen, shop?.id, userId, t]);
+
+    if (!isOpen) {
+        return <button type="button" onClick={() => setIsOpen(true)} className="btn btn-secondary btn-full-width walk-in-toggle">📍 {t('checkIn.showQr')}</button>;
+    }
+
+    return (
+        <div className="checkin-qr-card">
+            <h3 className="queue-subtitle">{t('checkIn.qrTitle')}</h3>
+            {error ? <p className="message error">{error}</p> : !qrSvg ? <Spinner /> : (
+                <>
+                    <img className="checkin-qr" src={`data:image/svg+xml;charset=utf-8,${encodeURIComponent(qrSvg)}`} alt={t('checkIn.qrAlt')} />
+                    <p className="checkin-code">{code}</p>
+                    <p className="message small">{t('checkIn.qrHint')}</p>
+                </>
+            )}
+            <button type="button" onClick={() => setIsOpen(false)} className="btn btn-secondary">{t('common.close')}</button>
+        </div>
+    );
+}
+
+// --- ArrivalBadge ("here" as opposed to the "on the way" confirmation) ---
+function ArrivalBadge({ entry }) {
+    const { t, fmt } = useI18n();
+    if (!entry?.arrived_at) return null;
+    return <span className="badge-arrived">📍 {t('checkIn.arrivedAt', { time: fmt.time(entry.arrived_at) })}</span>;
+}
+
+// --- EntryTimeline (what happened to one queue entry, and when) ---
+// Rows come from the backend's `queue_events`; new ones arrive over realtime.
+function EntryTimeline({ queueId }) {
+    const { t, fmt } = useI18n();
+    const [events, setEvents] = useState(null);
+
+    useEffect(() => {
+        if (!queueId) return;
+        let isCancelled = false;
+        const load = () => api.queue.events(queueId)
+            .then(data => { if (!isCancelled) setEvents(data || []); })
+            .catch(err => console.error('[Timeline] Failed to load events:', err));
+        load();
+        const channel = supabase.channel(`timeline_${queueId}`)
+            .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'queue_events', filter: `queue_id=eq.${queueId}` }, load)
+            .subscribe();
+        return () => {
+            isCancelled = true;
+            supabase.removeChannel(channel);
+        };
+    }, [queueId]);
+
+    if (!events) return <Spinner />;
+    if (events.length === 0) return <p className="empty-text">{t('timeline.empty')}</p>;
+    return (
+        <ol className="entry-timeline">
+            {events.map(event => (
+                <li key={event.id}>
+                    <time dateTime={event.at}>{fmt.time(event.at)}</time>
+                    <span>{t(`timeline.${event.type}`, { ...event.details, amount: event.details?.amount !== undefined ? fmt.money(event.details.amount) : undefined, from: event.details?.from || t('customer.firstAvailable') })}</span>
+                    <small>{t(`timeline.by.${event.by}`)}</small>
+                </li>
+            ))}
+        </ol>
+    );
+}
+
+// --- TimelineDrawer (EntryTimeline in a side panel for barbers and admins) ---
+function TimelineDrawer({ entry, onClose }) {
+    const { t } = useI18n();
+    if (!entry) return null;
+    return (
+        <div className="modal-overlay drawer-overlay">
+            <aside className="timeline-drawer" role="dialog" aria-label={t('timeline.title')}>
+                <div className="timeline-drawer-header">
+                    <h3>🕒 {t('timeline.title')}</h3>
+                    <button type="button" onClick={onClose} className="btn btn-icon" title={t('common.close')}><IconX /></button>
+                </div>
+                {entry.customer_name && <p className="small">#{entry.daily_number || entry.id} - {entry.customer_name}</p>}
+                <EntryTimeline queueId={entry.id} />
+            </aside>
+        </div>
+    );
+}
+
+function TimelineButton({ entry, onOpen }) {
+    const { t } = useI18n();
+    return <button type="button" onClick={() => onOpen(entry)} className="btn btn-icon" title={t('timeline.open')} aria-label={t('timeline.openFor', { name: entry.customer_name })}>🕒</button>;
+}
+
+// --- PartyBadge ("Group of 3 · Haircut, Kids Cut ×2") ---
+function PartyBadge({ entry, services = [] }) {
+    const { t } = useI18n();
+    const members = partyMembers(entry);
+    if (members.length < 2) return null;
+    const names = serviceCounts(members).map(({ service_id, count }) => {
+        const name = services.find(s => String(s.id) === String(service_id))?.name || entry.services?.name || '';
+        return count > 1 ? `${name} ×${count}` : name;
+    });
+    return <span className="badge-party">👥 {t('barber.groupOf', { count: members.length })} · {names.join(', ')}</span>;
+}
+
+// --- First available pool (branch customers any barber may call) ---
+// Same order the backend keeps a line in: VIPs first, then whoever joined first
+const byQueueOrder = (a, b) => (Number(!!b.is_vip) - Number(!!a.is_vip)) || (new Date(a.line_at || a.created_at) - new Date(b.line_at || b.created_at));
+
+// --- GuestBadge (Entries with no customer account behind them) ---
+function GuestBadge({ entry }) {
+    const { t } = useI18n();
+    if (!entry || entry.user_id) return null;
+    return (
+        <span className="badge-walk-in">
+            🚶 {t('walkIn.badge')}
+            {entry.customer_phone && <> · <a href={`tel:${entry.customer_phone}`}>{entry.customer_phone}</a></>}
+        </span>
+    );
+}
+
+// --- WalkInForm (Staff check-in for customers without an account) ---
+// The barber dashboard passes its own barberId; Admin → Live Shop passes the branch's barbers to pick from.
+function WalkInForm({ shop, barberId, barbers, onAdded }) {
+    const { toast } = useDialog();
+    const { t, fmt } = useI18n();
+    const [isOpen, setIsOpen] = useState(false);
+    const [services, setServices] = useState([]);
+    const [form, setForm] = useState({ barberId: '', name: '', serviceId: '', headCount: 1, phone: '' });
+    const [isSaving, setIsSaving] = useState(false);
+
+    useEffect(() => {
+        if (!isOpen || !shop?.id) return;
+        api.services.list(shop.id)
+            .then(data => setServices(data || []))
+            .catch(err => console.error('[WalkIn] Failed to load services:', err));
+    }, [isOpen, shop?.id]);
+
+    const setField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const targetBarberId = barberId || form.barberId;
+        if (!targetBarberId || !form.name.trim() || !form.serviceId) return toast(t('walkIn.missingFields'), { type: 'error' });
+
+        setIsSaving(true);
+        try {
+            const entry = await api.queue.addWalkIn({ barberId: targetBarberId, customerName: form.name.trim(), serviceId: form.serviceId, headCount: Number(form.headCount) || 1, phone: form.phone.trim() });
+            toast(t('walkIn.added', { name: entry.customer_name, number: entry.daily_number || entry.id }), { type: 'success' });
+            setForm(prev => ({ ...prev, name: '', headCount: 1, phone: '' }));
+            setIsOpen(false);
+            onAdded?.();
+        } catch (err) {
+            toast(t('walkIn.failed', { error: err.message }), { type: 'error' });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    if (!isOpen) {
+        return <button type="button" onClick={() => setIsOpen(true)} className="btn btn-secondary btn-full-width walk-in-toggle">➕ {t('walkIn.add')}</button>;
+    }
+
+    return (
+        <form onSubmit={handleSubmit} className="walk-in-form">
+            <h3 className="queue-subtitle">{t('walkIn.title')}</h3>
+            <p className="message small">{t('walkIn.note')}</p>
+            {barbers && (
+                <div className="form-group">
+                    <label htmlFor="walk-in-barber">{t('walkIn.barber')}</label>
+                    <select id="walk-in-barber" value={form.barberId} onChange={setField('barberId')} required>
+                        <option value="">{t('walkIn.chooseBarber')}</option>
+                        {barbers.map(b => <option key={b.id} value={b.id}>{b.full_name}</option>)}
+                    </select>
+                </div>
+            )}
+            <div className="form-group">
+                <label htmlFor="walk-in-name">{t('walkIn.name')}</label>
+                <input id="walk-in-name" value={form.name} onChange={setField('name')} required autoComplete="off" />
+            </div>
+            <div className="form-group">
+                <label htmlFor="walk-in-service">{t('walkIn.service')}</label>
+                <select id="walk-in-service" value={form.serviceId} onChange={setField('serviceId')} required>
+                    <option value="">{t('walkIn.chooseService')}</option>
+                    {services.map(s => <option key={s.id} value={s.id}>{t('customer.serviceOption', { name: s.name, minutes: s.duration_minutes, price: fmt.money(s.price_php) })}</option>)}
+                </select>
+            </div>
+            <div className="walk-in-row">
+                <div className="form-group">
+                    <label htmlFor="walk-in-heads">{t('walkIn.headCount')}</label>
+                    <input id="walk-in-heads" type="number" min="1" max="10" value={form.headCount} onChange={setField('headCount')} required />
+                </div>
+                <div className="form-group">
+                    <label htmlFor="walk-in-phone">{t('walkIn.phone')}</label>
+                    <input id="walk-in-phone" type="tel" value={form.phone} onChange={setField('phone')} placeholder="09171234567" autoComplete="off" />
+                </div>
+            </div>
+            <div className="walk-in-actions">
+                <button type="submit" className="btn btn-primary" disabled={isSaving}>{isSaving ? t('walkIn.adding') : t('walkIn.submit')}</button>
+                <button type="button" onClick={() => setIsOpen(false)} className="btn btn-secondary">{t('common.cancel')}</button>
+            </div>
+        </form>
+    );
+}
+
+// --- CalendarFeedCard (private iCalendar feed of this barber's bookings) ---
+// Calendar apps poll the URL, so reschedules and cancellations show up there by themselves.
+function CalendarFeedCard({ barberId, userId }) {
+    const { t } = useI18n();
+    const { toast, confirmDialog } = useDialog();
+    const [feedUrl, setFeedUrl] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+
+    const load = async (rotate = false) => {
+        if (rotate && !(await confirmDialog({ title: t('calendar.resetTitle'), message: t('calendar.resetMessage'), confirmLabel: t('calendar.reset'), danger: true }))) return;
+        setIsLoading(true);
+        try {
+            const { token } = await api.barbers.calendarFeed({ barberId, userId, rotate });
+            setFeedUrl(api.calendarFeedUrl(token));
+            if (rotate) toast(t('calendar.resetDone'), { type: 'success' });
+        } catch (err) {
+            toast(err.message || t('calendar.feedFailed'), { type: 'error' });
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const copy = async () => {
+        try {
+            await navigator.clipboard.writeText(feedUrl);
+            toast(t('tracking.copied'), { type: 'success' });
+        } catch (err) {
+            toast(t('tracking.copyManually'));
+        }
+    };
+
+    return (
+        <div className="arrival-checkin tracking-share">
+            <h3>🗓 {t('calendar.feedHeading')}</h3>
+            <p>{t('calendar.feedHint')}</p>
+            {!feedUrl ? (
+                <button type="button" className="btn btn-secondary" onClick={() => load()} disabled={isLoading}>{t('calendar.showFeed')}</button>
+            ) : (
+                <>
+                    <input type="text" value={feedUrl} readOnly onFocus={(e) => e.target.select()} aria-label={t('calendar.feedLabel')} />
+                    <div className="reschedule-actions" style={{marginTop:'10px'}}>
+                        <a className="btn btn-primary" href={feedUrl.replace(/^https?:/, 'webcal:')}>{t('calendar.subscribe')}</a>
+                        <button type="button" className="btn btn-secondary" onClick={copy}>{t('calendar.copy')}</button>
+                        <button type="button" className="btn btn-secondary" onClick={() => load(true)} disabled={isLoading}>{t('calendar.reset')}</button>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+
+// --- RescheduleControls (propose a new slot for a booking, or answer the other side's) ---
+// `side` is 'customer' or 'barber'. The booking keeps its slot until the other side accepts.
+function RescheduleControls({ appointment, userId, side, onChanged }) {
+    const { t, fmt } = useI18n();
+    const { toast } = useDialog();
+    const [isPicking, setIsPicking] = useState(false);
+    const [date, setDate] = useState(() => dateKey(appointment.scheduled_time));
+    const [slots, setSlots] = useState(null);
+    const [slot, setSlot] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+    const proposal = appointment.reschedule;
+
+    useEffect(() => {
+        if (!isPicking || !date) return;
+        let isCancelled = false;
+        setSlots(null);
+        setSlot(null);
+        api.appointments.slots({ appointmentId: appointment.id, date })
+            .then(data => { if (!isCancelled) setSlots(data || []); })
+            .catch(err => {
+                console.error('[Reschedule] Failed to load slots:', err);
+                if (!isCancelled) setSlots([]);
+            });
+        return () => { isCancelled = true; };
+    }, [isPicking, date, appointment.id]);
+
+    if (appointment.status === 'cancelled' || appointment.is_converted_to_queue || new Date(appointment.scheduled_time) < new Date()) return null;
+
+    const propose = async () => {
+        setIsSaving(true);
+        try {
+            await api.appointments.reschedule({ appointmentId: appointment.id, userId, scheduledTime: slot });
+            toast(t('reschedule.proposed'), { type: 'success' });
+            setIsPicking(false);
+            onChanged();
+        } catch (err) {
+            toast(err.message || t('reschedule.failed'), { type: 'error' });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const answer = async (accept) => {
+        setIsSaving(true);
+        try {
+            await api.appointments.respondToReschedule({ appointmentId: appointment.id, userId, accept });
+            toast(t(accept ? 'reschedule.accepted' : 'reschedule.declined'), { type: accept ? 'success' : 'info' });
+            onChanged();
+        } catch (err) {
+            toast(err.message || t('reschedule.failed'), { type: 'error' });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    if (proposal) {
+        const isMine = proposal.proposed_by === side;
+        return (
+            <div className="reschedule-notice" role="status">
+                <p>
+                    {t(isMine ? 'reschedule.waiting' : `reschedule.asked.${proposal.proposed_by}`, { time: fmt.dateTime(proposal.proposed_time) })}
+                </p>
+                {!isMine && (
+                    <div className="reschedule-actions">
+                        <button type="button" className="btn btn-primary" onClick={() => answer(true)} disabled={isSaving}>{t('reschedule.accept')}</button>
+                        <button type="button" className="btn btn-secondary" onClick={() => answer(false)} disabled={isSaving}>{t('reschedule.decline')}</button>
+                    </div>
+                )}
+            </div>
+        );
+    }
+
+    if (!isPicking) {
+        return <button type="button" className="btn btn-secondary reschedule-toggle" onClick={() => setIsPicking(true)}>🕒 {t('reschedule.button')}</button>;
+    }
+
+    return (
+        <div className="reschedule-picker">
+            <label htmlFor={`reschedule-date-${appointment.id}`}>{t('reschedule.newDate')}</label>
+            <input id={`reschedule-date-${appointment.id}`} type="date" value={date} min={dateKey(new Date())} onChange={e => setDate(e.target.value)} />
+            <div className="slots-grid">
+                {slots === null ? <Spinner /> : slots.length > 0 ? slots.map(option => (
+                    <button type="button" key={option} className={`btn ${slot === option ? 'btn-primary' : 'btn-secondary'}`} onClick={() => setSlot(option)}>
+                        {fmt.time(option)}
+                    </button>
+                )) : <p className="empty-text">{t('customer.noSlots')}</p>}
+            </div>
+            <div className="reschedule-actions">
+                <button type="button" className="btn btn-primary" onClick={propose} disabled={!slot || isSaving}>{t('reschedule.propose')}</button>
+                <button type="button" className="btn btn-secondary" onClick={() => setIsPicking(false)} disabled={isSaving}>{t('common.cancel')}</button>
+            </div>
+        </div>
+    );
+}
+
 // --- BarberDashboard (Handles Barber's Queue Management) ---
-function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
-    const [queueDetails, setQueueDetails] = useState({ waiting: [], inProgress: null, upNext: null });
+export function BarberDashboard({ barberId, barberName, onCutComplete, session, shop }) {
+    const [queueDetails, setQueueDetails] = useState({ waiting: [], inProgress: null, upNext: null, pool: [] });
+    const shopId = shop?.id;
+    const poolEntries = queueDetails.pool || [];
+    // Own line first, unless the head of the First available pool outranks it
+    const ownNext = queueDetails.upNext || queueDetails.waiting[0] || null;
+    const nextCustomer = ownNext && poolEntries[0] ? [ownNext, poolEntries[0]].sort(byQueueOrder)[0] : ownNext || poolEntries[0] || null;
     const [error, setError] = useState('');
     const [fetchError, setFetchError] = useState('');
     const [chatMessages, setChatMessages] = useState({});
@@ -1050,42 +1608,73 @@ function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
         return saved ? JSON.parse(saved) : {};
     });
 
+    const [services, setServices] = useState([]); // to name each service in a group
     const [modalState, setModalState] = useState({ type: null, data: null });
     const [viewImageModalUrl, setViewImageModalUrl] = useState(null);
     const [tipInput, setTipInput] = useState('');
+    const [tipSeniorPwd, setTipSeniorPwd] = useState(false);
     const [modalError, setModalError] = useState('');
     const [isReportModalOpen, setIsReportModalOpen] = useState(false);
     const [reportTargetId, setReportTargetId] = useState(null);
+    const [timelineEntry, setTimelineEntry] = useState(null);
     const [isApptListOpen, setIsApptListOpen] = useState(false);
     const [barberAppointments, setBarberAppointments] = useState([]);
     const [loadingAppts, setLoadingAppts] = useState(false);
+    const { toast, confirmDialog, promptDialog } = useDialog();
+    const { t, fmt } = useI18n();
+
+    useEffect(() => {
+        if (!shopId) return;
+        api.services.list(shopId)
+            .then(data => setServices(data || []))
+            .catch(err => console.error('[Barber] Failed to load services:', err));
+    }, [shopId]);
 
     const fetchBarberAppointments = async () => {
         setLoadingAppts(true);
         try {
-            const res = await axios.get(`${API_URL}/appointments/barber/${barberId}`);
-            setBarberAppointments(res.data || []);
+            const data = await api.appointments.forBarber(barberId);
+            setBarberAppointments(data || []);
             setIsApptListOpen(true);
         } catch (err) {
-            alert("Failed to load appointments.");
+            toast(t('barber.appointmentsLoadFailed'), { type: 'error' });
         } finally {
             setLoadingAppts(false);
         }
     };
 
+    const refreshBarberAppointments = useCallback(() => api.appointments.forBarber(barberId)
+        .then(data => setBarberAppointments(data || []))
+        .catch(err => console.error('[Barber] Failed to refresh appointments:', err)), [barberId]);
+
+    // Bookings list follows new bookings and reschedule answers while it's open
+    useEffect(() => {
+        if (!isApptListOpen || !barberId) return;
+        const channel = supabase.channel(`barber_appointments_${barberId}`)
+            .on('postgres_changes', { event: '*', schema: 'public', table: 'appointments', filter: `barber_id=eq.${barberId}` }, refreshBarberAppointments)
+            .subscribe();
+        return () => {
+            supabase.removeChannel(channel);
+        };
+    }, [isApptListOpen, barberId, refreshBarberAppointments]);
+
     const handleRejectAppointment = async (apptId) => {
-        const reason = prompt("Reason for cancellation? (e.g., Emergency, Shop Closed)");
-        if (!reason) return; // Stop if they cancel the prompt
+        const reason = await promptDialog({
+            title: t('barber.cancelAppointment'),
+            message: t('barber.cancelReasonPrompt'),
+            placeholder: t('barber.cancelReasonPlaceholder'),
+            confirmLabel: t('barber.cancelAppointment'),
+            cancelLabel: t('barber.keep'),
+            danger: true,
+        });
+        if (!reason) return; // Stop if they dismiss the dialog
 
         try {
-            await axios.put(`${API_URL}/appointments/reject`, {
-                appointmentId: apptId,
-                reason: reason
-            });
-            alert("Appointment cancelled. Customer has been notified.");
+            await api.appointments.reject(apptId, reason);
+            toast(t('barber.appointmentCancelled'), { type: 'success' });
             fetchBarberAppointments(); // Refresh the list
         } catch (err) {
-            alert("Failed to cancel appointment.");
+            toast(t('barber.appointmentCancelFailed'), { type: 'error' });
         }
     };
 
@@ -1093,7 +1682,7 @@ function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
         if (!customer.customer_email) {
             setModalState({ 
                 type: 'alert', 
-                data: { title: 'Loyalty Check Failed', message: `Customer ${customer.customer_name} joined as a guest (no email recorded).` } 
+                data: { title: t('barber.loyaltyFailedTitle'), message: t('barber.loyaltyGuest', { name: customer.customer_name }) } 
             });
             return;
         }
@@ -1101,15 +1690,15 @@ function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
         setModalState({ type: 'loyaltyLoading', data: { name: customer.customer_name } });
 
         try {
-            const response = await axios.get(`${API_URL}/barber/customer-loyalty/${customer.customer_email}`);
+            const loyalty = await api.barbers.customerLoyalty(customer.customer_email);
 
             setModalState({ 
                 type: 'loyaltyResult', 
                 data: { 
                     name: customer.customer_name,
                     email: customer.customer_email,
-                    count: response.data.count,
-                    history: response.data.history
+                    count: loyalty.count,
+                    history: loyalty.history
                 } 
             });
 
@@ -1117,7 +1706,7 @@ function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
             console.error('Failed loyalty check:', err);
             setModalState({ 
                 type: 'alert', 
-                data: { title: 'Loyalty Check Error', message: err.response?.data?.error || 'Failed to retrieve history from server.' } 
+                data: { title: t('barber.loyaltyErrorTitle'), message: err.message || t('barber.loyaltyErrorMessage') } 
             });
         }
     };
@@ -1127,17 +1716,17 @@ function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
         setFetchError('');
         if (!barberId) { console.warn('[BarberDashboard] fetchQueueDetails called without barberId.'); return; }
         try {
-            const response = await axios.get(`${API_URL}/queue/details/${barberId}`);
-            console.log('[BarberDashboard] Successfully fetched queue details:', response.data);
-            setQueueDetails(response.data);
+            const details = await api.queue.details(barberId);
+            console.log('[BarberDashboard] Successfully fetched queue details:', details);
+            setQueueDetails(details);
         } catch (err) {
             console.error('[BarberDashboard] Failed fetch queue details:', err);
-            const errMsg = err.response?.data?.error || err.message || 'Could not load queue details.';
+            const errMsg = err.message || t('barber.queueLoadFailed');
             setError(errMsg);
             setFetchError(errMsg);
-            setQueueDetails({ waiting: [], inProgress: null, upNext: null });
+            setQueueDetails({ waiting: [], inProgress: null, upNext: null, pool: [] });
         }
-    }, [barberId]);
+    }, [barberId, t]);
 
     // --- REPLACED SOCKET.IO WITH SUPABASE REALTIME ---
     useEffect(() => {
@@ -1189,7 +1778,7 @@ function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
         });
 
         try {
-            await axios.post(`${API_URL}/chat/send`, {
+            await api.chat.send({
                 senderId: session.user.id,
                 queueId: openChatQueueId,
                 message: messageText
@@ -1204,11 +1793,21 @@ function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
         if (!barberId || !supabase?.channel) return;
         let dashboardRefreshInterval = null;
         fetchQueueDetails();
+        // Realtime `old` rows only carry the key, so toast push-backs made since subscribing, each once
+        const subscribedAt = new Date();
+        const toastedPushBacks = {};
         const channel = supabase.channel(`barber_queue_${barberId}`)
             .on('postgres_changes', { event: '*', schema: 'public', table: 'queue_entries', filter: `barber_id=eq.${barberId}` }, (payload) => {
                 console.log('Barber dashboard received queue update (via Realtime):', payload);
+                const pushedBackAt = payload.eventType === 'UPDATE' && payload.new.pushed_back_at;
+                if (pushedBackAt && new Date(pushedBackAt) > subscribedAt && toastedPushBacks[payload.new.id] !== pushedBackAt) {
+                    toastedPushBacks[payload.new.id] = pushedBackAt;
+                    toast(t('barber.pushedBack', { name: payload.new.customer_name, count: payload.new.pushed_back_places }));
+                }
                 fetchQueueDetails();
             })
+            // "First available" customers have no barber yet, so watch the whole branch for them
+            .on('postgres_changes', { event: '*', schema: 'public', table: 'queue_entries', filter: `shop_id=eq.${shopId}` }, () => fetchQueueDetails())
             .subscribe((status, err) => {
                 if (status === 'SUBSCRIBED') {
                     console.log(`Barber dashboard subscribed to queue ${barberId}`);
@@ -1240,7 +1839,7 @@ function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
             if (channel && supabase?.removeChannel) { supabase.removeChannel(channel).then(() => console.log('Barber unsubscribed.')); }
             if (dashboardRefreshInterval) { clearInterval(dashboardRefreshInterval); }
         };
-    }, [barberId, fetchQueueDetails, setUnreadMessages]); // <-- Add setUnreadMessages here
+    }, [barberId, shopId, fetchQueueDetails, setUnreadMessages, toast, t]); // <-- Add setUnreadMessages here
 
     useEffect(() => {
         const handleVisibility = () => {
@@ -1285,24 +1884,24 @@ function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
 
             // Warn if appointment is within 30 minutes
             if (diffInMinutes <= 30 && diffInMinutes >= -10) {
-                const confirmMsg = `⚠️ SAFETY WARNING ⚠️\n\nYou have an appointment with ${nextAppt.customer_name} at ${apptTime.toLocaleTimeString([], {hour:'2-digit', minute:'2-digit'})} (in ${diffInMinutes} mins).\n\nTaking a walk-in now might make you late. Are you sure?`;
-                if (!window.confirm(confirmMsg)) return; 
+                const confirmMsg = t('barber.safetyGapMessage', { name: nextAppt.customer_name, time: fmt.time(apptTime), minutes: diffInMinutes });
+                if (!(await confirmDialog({ title: t('barber.safetyGapTitle'), message: confirmMsg, confirmLabel: t('barber.callAnyway'), cancelLabel: t('barber.wait') }))) return;
             }
         }
         // -------------------------------
 
-        const next = queueDetails.upNext || (queueDetails.waiting.length > 0 ? queueDetails.waiting[0] : null);
+        const next = nextCustomer;
         if (!next) {
-            setModalState({ type: 'alert', data: { title: 'Queue Empty', message: 'There are no customers waiting to be called.' } });
+            setModalState({ type: 'alert', data: { title: t('barber.queueEmptyTitle'), message: t('barber.queueEmptyMessage') } });
             return;
         }
         if (queueDetails.inProgress) {
-            setModalState({ type: 'alert', data: { title: 'Action Required', message: `Please complete ${queueDetails.inProgress.customer_name} first before calling the next customer.` } });
+            setModalState({ type: 'alert', data: { title: t('barber.actionRequired'), message: t('barber.completeFirst', { name: queueDetails.inProgress.customer_name }) } });
             return;
         }
         setError('');
-        try { await axios.put(`${API_URL}/queue/next`, { queue_id: next.id, barber_id: barberId }); }
-        catch (err) { console.error('Failed next customer:', err); setError(err.response?.data?.error || 'Failed call next.'); }
+        try { await api.queue.next(next.id, barberId); }
+        catch (err) { console.error('Failed next customer:', err); setError(err.message || t('barber.callNextFailed')); }
     };
 
     const handleCompleteCut = async () => {
@@ -1310,31 +1909,30 @@ function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
         setModalState({ type: 'tipPrompt', data: queueDetails.inProgress });
         setModalError('');
         setTipInput('');
+        setTipSeniorPwd(!!queueDetails.inProgress.is_senior_pwd);
     };
+
+    const completionBreakdown = (entry) => priceBreakdown(shop, {
+        items: partyItems(entry, id => services.find(s => String(s.id) === String(id)) || (String(id) === String(entry.service_id) ? entry.services : null)),
+        isVip: entry.is_vip === true,
+        isSeniorPwd: tipSeniorPwd,
+        at: entry.created_at,
+    });
     
     const handleSubmitTipForm = async (e) => {
         e.preventDefault();
         const entry = modalState.data;
         if (!entry) return;
 
-        // --- NEW GROUP LOGIC ---
         const queueId = entry.id;
         const heads = entry.head_count || 1; // Default to 1 if missing
-        const servicePrice = parseFloat(entry.services?.price_php) || 0;
-        
-        // Calculate Base: Price x Heads
-        const baseTotal = servicePrice * heads;
-        
-        const isVIP = entry.is_vip === true;
-        const vipCharge = isVIP ? 100 : 0;
-        
-        // Total before tip
-        const subtotalDue = baseTotal + vipCharge;
+        const breakdown = completionBreakdown(entry);
+        const subtotalDue = breakdown.total;
         
         const parsedTip = parseInt(tipInput || '0');
 
         if (isNaN(parsedTip) || parsedTip < 0) {
-            setModalError('Invalid tip. Please enter 0 or more.');
+            setModalError(t('barber.invalidTip'));
             return;
         }
 
@@ -1342,25 +1940,24 @@ function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
         setError('');
         
         try {
-            await axios.post(`${API_URL}/queue/complete`, {
-                queue_id: queueId,
-                barber_id: barberId,
-                tip_amount: parsedTip,
-                vip_charge: vipCharge,
-                // The backend server.js will handle the (Price * Heads) math 
-                // using the head_count stored in the DB, as we discussed.
+            await api.queue.complete({
+                queueId,
+                barberId,
+                tipAmount: parsedTip,
+                isSeniorPwd: tipSeniorPwd,
+                breakdown,
             });
             onCutComplete();
             setModalState({ 
                 type: 'alert', 
                 data: { 
-                    title: 'Cut Completed!', 
-                    message: `Total logged profit: ₱${finalLoggedProfit.toFixed(2)} (Group of ${heads})` 
+                    title: t('barber.cutCompleted'),
+                    message: t('barber.cutCompletedMessage', { amount: fmt.money(finalLoggedProfit), count: heads }) 
                 } 
             });
         } catch (err) {
             console.error('Failed complete cut:', err);
-            setError(err.response?.data?.error || 'Failed to complete cut.');
+            setError(err.message || t('barber.completeFailed'));
             closeModal();
         }
     };
@@ -1376,13 +1973,10 @@ function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
         console.log("[handleCancel] Sending PUT request to /api/queue/cancel", { queue_id: customerToCancel.id, barber_id: barberId });
         setError('');
         try {
-            await axios.put(`${API_URL}/queue/cancel`, {
-                queue_id: customerToCancel.id,
-                barber_id: barberId
-            });
+            await api.queue.cancel(customerToCancel.id, barberId);
         } catch (err) {
-            console.error('[handleCancel] Failed to cancel customer:', err.response?.data || err.message);
-            setError(err.response?.data?.error || 'Failed to mark as cancelled.');
+            console.error('[handleCancel] Failed to cancel customer:', err.data || err.message);
+            setError(err.message || t('barber.cancelFailed'));
         } finally {
             closeModal();
         }
@@ -1414,11 +2008,24 @@ function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
             };
             fetchHistory();
 
-        } else { console.error("Cannot open chat: Customer user ID or Queue ID missing.", customer); setError("Could not get customer details."); }
+        } else { console.error("Cannot open chat: Customer user ID or Queue ID missing.", customer); setError(t('barber.customerDetailsFailed')); }
     };
 
     const closeChat = () => { setOpenChatCustomerId(null); setOpenChatQueueId(null); };
 
+    // --- Chat notification tap (/barber?chat=<queueId>) ---
+    const [searchParams, setSearchParams] = useSearchParams();
+    const chatLinkQueueId = searchParams.get('chat');
+    const openChatRef = useRef(openChat);
+    openChatRef.current = openChat;
+    useEffect(() => { // Waits until the customer shows up in the fetched queue
+        if (!chatLinkQueueId) return;
+        const customer = [queueDetails.inProgress, queueDetails.upNext, ...queueDetails.waiting].find(c => c && String(c.id) === String(chatLinkQueueId));
+        if (!customer) return;
+        openChatRef.current(customer);
+        setSearchParams(params => { params.delete('chat'); return params; }, { replace: true });
+    }, [chatLinkQueueId, queueDetails, setSearchParams]);
+
     // REPLACE the old PhotoDisplay component with this:
     const PhotoDisplay = ({ entry, label }) => {
         if (!entry?.reference_image_url) return null;
@@ -1429,7 +2036,7 @@ function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
                     onClick={() => setViewImageModalUrl(entry.reference_image_url)}
                     className="btn-link-style"
                 >
-                    <IconCamera /> {label} Photo
+                    <IconCamera /> {t('barber.photo', { label })}
                 </button>
             </div>
         );
@@ -1439,15 +2046,15 @@ function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
     return (
         <div className="card">
             <div className="card-header">
-                <h2>My Queue ({barberName || '...'})</h2>
+                <h2>{t('barber.myQueue', { name: barberName || '...' })}</h2>
             </div>
             <div className="card-body">
-                {fetchError && <p className="error-message large">Error loading queue: {fetchError}</p>}
+                {fetchError && <p className="error-message large">{t('barber.queueError', { error: fetchError })}</p>}
                 {!fetchError && (
                     <>
                         <div className="current-serving-display">
-                            <div className="serving-item now-serving"><span>Now Serving</span><strong>{queueDetails.inProgress ? `Customer #${queueDetails.inProgress.id}` : '---'}</strong></div>
-                            <div className="serving-item up-next"><span>Up Next</span><strong>{queueDetails.upNext ? `Customer #${queueDetails.upNext.id}` : '---'}</strong></div>
+                            <div className="serving-item now-serving"><span>{t('barber.nowServing')}</span><strong>{queueDetails.inProgress ? t('barber.customerNumber', { id: queueDetails.inProgress.id }) : '---'}</strong></div>
+                            <div className="serving-item up-next"><span>{t('barber.upNext')}</span><strong>{queueDetails.upNext ? t('barber.customerNumber', { id: queueDetails.upNext.id }) : '---'}</strong></div>
                         </div>
                         {error && !fetchError && <p className="error-message">{error}</p>}
                         
@@ -1455,114 +2062,129 @@ function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
                             {queueDetails.inProgress ? (
                                 <>
                                     <button onClick={handleCompleteCut} className="btn btn-success btn-full-width btn-icon-label">
-                                        <IconCheck /> Complete: #{queueDetails.inProgress.id} - {queueDetails.inProgress.customer_name}
+                                        <IconCheck /> {t('barber.completeCustomer', { id: queueDetails.inProgress.id, name: queueDetails.inProgress.customer_name })}
                                     </button>
                                     <button onClick={() => handleCancel(queueDetails.inProgress)} className="btn btn-danger btn-full-width btn-icon-label">
-                                        <IconX /> Cancel / No-Show
+                                        <IconX /> {t('barber.cancelNoShow')}
                                     </button>
                                 </>
-                            ) : queueDetails.upNext ? (
-                                <button onClick={handleNextCustomer} className="btn btn-primary btn-full-width btn-icon-label">
-                                    <IconNext /> Call: #{queueDetails.upNext.id} - {queueDetails.upNext.customer_name}
-                                </button>
-                            ) : queueDetails.waiting.length > 0 ? (
+                            ) : nextCustomer ? (
                                 <button onClick={handleNextCustomer} className="btn btn-primary btn-full-width btn-icon-label">
-                                    <IconNext /> Call: #{queueDetails.waiting[0].id} - {queueDetails.waiting[0].customer_name}
+                                    <IconNext /> {t('barber.callCustomer', { id: nextCustomer.id, name: nextCustomer.customer_name })}
                                 </button>
                             ) : (<button onClick={handleNextCustomer} className="btn btn-primary btn-full-width btn-icon-label">
-                                <IconNext /> Call Next Customer
+                                <IconNext /> {t('barber.callNext')}
                                 </button>
                             )}
                         </div>
 
-                        <h3 className="queue-subtitle">In Chair</h3>
+                        <WalkInForm shop={shop} barberId={barberId} onAdded={fetchQueueDetails} />
+                        <CheckInQrCard shop={shop} userId={session.user.id} />
+
+                        <h3 className="queue-subtitle">{t('barber.inChair')}</h3>
                         {queueDetails.inProgress ? (
                             <ul className="queue-list">
                                 <li className={`in-progress ${queueDetails.inProgress.is_vip ? 'vip-entry' : ''}`}>
                                     <div className="queue-item-info">
                                         <strong>#{queueDetails.inProgress.daily_number || queueDetails.inProgress.id} - {queueDetails.inProgress.customer_name}</strong>
 
+                                        <GuestBadge entry={queueDetails.inProgress} />
                                         <DistanceBadge meters={queueDetails.inProgress.current_distance_meters} />
-                                        <PhotoDisplay entry={queueDetails.inProgress} label="In Chair" />
+                                        <PhotoDisplay entry={queueDetails.inProgress} label={t('barber.inChair')} />
                                         <button 
                                             onClick={() => handleLoyaltyCheck(queueDetails.inProgress)} 
                                             className="btn btn-link-style" 
-                                            title="Check Customer Loyalty History"
+                                            title={t('barber.loyaltyTooltip')}
                                             style={{padding: '5px 0'}}
                                         >
-                                            ⭐ Check Loyalty
+                                            ⭐ {t('barber.checkLoyalty')}
                                         </button>
                                     </div>
-                                    <button onClick={() => openChat(queueDetails.inProgress)} className="btn btn-icon" title={queueDetails.inProgress.profiles?.id ? "Chat" : "Guest"} disabled={!queueDetails.inProgress.profiles?.id}>
+                                    <TimelineButton entry={queueDetails.inProgress} onOpen={setTimelineEntry} />
+                                    <button onClick={() => openChat(queueDetails.inProgress)} className="btn btn-icon" title={queueDetails.inProgress.profiles?.id ? t('barber.chat') : t('barber.guestNoChat')} disabled={!queueDetails.inProgress.profiles?.id}>
                                         <IconChat />
                                         {queueDetails.inProgress.profiles?.id && unreadMessages[queueDetails.inProgress.profiles.id] && (<span className="notification-badge"></span>)}
                                     </button>
                                 </li>
                             </ul>
-                        ) : (<p className="empty-text">Chair empty</p>)}
+                        ) : (<p className="empty-text">{t('barber.chairEmpty')}</p>)}
 
-                        <h3 className="queue-subtitle">Up Next</h3>
+                        <h3 className="queue-subtitle">{t('barber.upNext')}</h3>
                         {queueDetails.upNext ? (
                             <ul className="queue-list">
                                 <li className={`up-next ${queueDetails.upNext.is_vip ? 'vip-entry' : ''}`}>
                                     <div className="queue-item-info">
                                         <strong>#{queueDetails.upNext.id} - {queueDetails.upNext.customer_name}</strong>
+                                        <GuestBadge entry={queueDetails.upNext} />
                                         <DistanceBadge meters={queueDetails.upNext.current_distance_meters} />
-                                        {queueDetails.upNext.is_confirmed ? (
-                                            <span className="badge-confirmed">✅ CONFIRMED</span>
+                                        <ArrivalBadge entry={queueDetails.upNext} />
+                                        {queueDetails.upNext.arrived_at ? null : queueDetails.upNext.is_confirmed ? (
+                                            <span className="badge-confirmed">✅ {t('barber.confirmed')}</span>
                                         ) : (
-                                            <span className="badge-waiting">⏳ Waiting for confirm...</span>
+                                            <span className="badge-waiting">⏳ {t('barber.waitingConfirm')}</span>
                                         )}
-                                        <PhotoDisplay entry={queueDetails.upNext} label="Up Next" />
+                                        <PhotoDisplay entry={queueDetails.upNext} label={t('barber.upNext')} />
                                     </div>
-                                    <button onClick={() => openChat(queueDetails.upNext)} className="btn btn-icon" title={queueDetails.upNext.profiles?.id ? "Chat" : "Guest"} disabled={!queueDetails.upNext.profiles?.id}>
+                                    <TimelineButton entry={queueDetails.upNext} onOpen={setTimelineEntry} />
+                                    <button onClick={() => openChat(queueDetails.upNext)} className="btn btn-icon" title={queueDetails.upNext.profiles?.id ? t('barber.chat') : t('barber.guestNoChat')} disabled={!queueDetails.upNext.profiles?.id}>
                                         <IconChat />
                                         {queueDetails.upNext.profiles?.id && unreadMessages[queueDetails.upNext.profiles.id] && (<span className="notification-badge"></span>)}
                                     </button>
                                 </li>
                             </ul>
-                        ) : (<p className="empty-text">Nobody Up Next</p>)}
+                        ) : (<p className="empty-text">{t('barber.nobodyUpNext')}</p>)}
 
-                        <h3 className="queue-subtitle">Waiting</h3>
-                        <ul className="queue-list">{queueDetails.waiting.length === 0 ? (<li className="empty-text">Waiting queue empty.</li>) : (queueDetails.waiting.map(c => (
+                        <h3 className="queue-subtitle">{t('barber.waiting')}</h3>
+                        <ul className="queue-list">{queueDetails.waiting.length === 0 ? (<li className="empty-text">{t('barber.waitingEmpty')}</li>) : (queueDetails.waiting.map(c => (
                             <li key={c.id} className={c.is_vip ? 'vip-entry' : ''}>
                                 <div className="queue-item-info">
                                     <span>#{c.id} - {c.customer_name}</span>
-                                    {(c.head_count && c.head_count > 1) && (
-                                    <span className="badge-confirmed" style={{background: '#7c4dff', color: 'white', border: 'none'}}>
-                                        👥 Group of {c.head_count}
-                                    </span>
-    )}
+                                    <PartyBadge entry={c} services={services} />
+                                    <GuestBadge entry={c} />
                                     <DistanceBadge meters={c.current_distance_meters} />
-                                    {c.reference_image_url && <PhotoDisplay entry={c} label="Waiting" />}
+                                    <ArrivalBadge entry={c} />
+                                    {c.reference_image_url && <PhotoDisplay entry={c} label={t('barber.waiting')} />}
                                 </div>
-                                <button onClick={() => openChat(c)} className="btn btn-icon" title={c.profiles?.id ? "Chat" : "Guest"} disabled={!c.profiles?.id}>
+                                <TimelineButton entry={c} onOpen={setTimelineEntry} />
+                                <button onClick={() => openChat(c)} className="btn btn-icon" title={c.profiles?.id ? t('barber.chat') : t('barber.guestNoChat')} disabled={!c.profiles?.id}>
                                     <IconChat />
                                     {c.profiles?.id && unreadMessages[c.profiles.id] && (<span className="notification-badge"></span>)}
                                 </button>
                             </li>
                         )))}</ul>
 
+                        <h3 className="queue-subtitle">⚡ {t('barber.firstAvailable', { count: poolEntries.length })}</h3>
+                        <ul className="queue-list">{poolEntries.length === 0 ? (<li className="empty-text">{t('barber.poolEmpty')}</li>) : (poolEntries.map(c => (
+                            <li key={c.id} className={c.is_vip ? 'vip-entry' : ''}>
+                                <div className="queue-item-info">
+                                    <span>#{c.id} - {c.customer_name}</span>
+                                    <PartyBadge entry={c} services={services} />
+                                    <ArrivalBadge entry={c} />
+                                    {c.reference_image_url && <PhotoDisplay entry={c} label={t('barber.waiting')} />}
+                                </div>
+                            </li>
+                        )))}</ul>
+
                         {/* REPLACEMENT FOR CHAT SECTION */}
                         {openChatCustomerId && (
                             <div className="barber-chat-container">
                                 {/* Header with Report Button */}
                                 <div style={{display:'flex', justifyContent:'space-between', alignItems:'center', padding:'10px', borderBottom:'1px solid var(--border-color)', background:'var(--surface-color)'}}>
-                                     <h4 style={{margin:0}}>Chat with Customer</h4>
+                                     <h4 style={{margin:0}}>{t('barber.chatWithCustomer')}</h4>
                                      <button 
                                         onClick={() => {
                                             setReportTargetId(openChatCustomerId); // <--- Uses reportTargetId
                                             setIsReportModalOpen(true);            // <--- Uses isReportModalOpen
                                         }}
                                         className="btn btn-danger btn-icon" 
-                                        title="Report Customer"
+                                        title={t('barber.reportCustomer')}
                                         style={{padding: '4px', height:'30px', width:'30px'}}
                                     >
                                         ⚠️
                                     </button>
                                 </div>
 
-                                <p className="chat-warning">Hey there! Just a friendly nudge to keep the chat open even when your phone’s screen is off.</p>
+                                <p className="chat-warning">{t('common.chatWarning')}</p>
                                 <ChatWindow
                                     currentUser_id={session.user.id}
                                     otherUser_id={openChatCustomerId}
@@ -1570,7 +2192,7 @@ function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
                                     onSendMessage={sendBarberMessage}
                                     isVisible={!!openChatCustomerId}
                                 />
-                                <button onClick={closeChat} className="btn btn-secondary btn-full-width">Close Chat</button>
+                                <button onClick={closeChat} className="btn btn-secondary btn-full-width">{t('common.closeChat')}</button>
                             </div>
                         )}
                     </>
@@ -1578,10 +2200,10 @@ function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
             </div>
             <div className="card-footer" style={{display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '10px'}}>
                 <button onClick={fetchBarberAppointments} className="btn btn-primary btn-icon-label" disabled={loadingAppts}>
-                    {loadingAppts ? <Spinner /> : '📅 Bookings'}
+                    {loadingAppts ? <Spinner /> : `📅 ${t('barber.bookings')}`}
                 </button>
                 <button onClick={fetchQueueDetails} className="btn btn-secondary btn-icon-label">
-                    <IconRefresh /> Refresh
+                    <IconRefresh /> {t('common.refresh')}
                 </button>
             </div>
 
@@ -1590,12 +2212,12 @@ function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
                 <div className="modal-overlay">
                     <div className="modal-content">
                         <div className="modal-body">
-                            <h2>{modalState.data?.title || 'Alert'}</h2>
-                            <p>{modalState.data?.message || 'An error occurred.'}</p>
+                            <h2>{modalState.data?.title || t('common.alert')}</h2>
+                            <p>{modalState.data?.message || t('common.errorOccurred')}</p>
                         </div>
                         <div className="modal-footer">
                             <button onClick={closeModal} className="btn btn-primary">
-                                OK
+                                {t('common.ok')}
                             </button>
                         </div>
                     </div>
@@ -1606,15 +2228,15 @@ function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
                 <div className="modal-overlay">
                     <div className="modal-content">
                         <div className="modal-body">
-                            <h2>Confirm Cancellation</h2>
-                            <p>Are you sure you want to mark Customer #{modalState.data.id} ({modalState.data.customer_name}) as Cancelled/No-Show? This will not log earnings.</p>
+                            <h2>{t('barber.confirmCancelTitle')}</h2>
+                            <p>{t('barber.confirmCancelMessage', { id: modalState.data.id, name: modalState.data.customer_name })}</p>
                         </div>
                         <div className="modal-footer">
                             <button onClick={closeModal} className="btn btn-secondary">
-                                Back
+                                {t('common.back')}
                             </button>
                             <button onClick={handleConfirmCancel} className="btn btn-danger">
-                                Yes, Cancel
+                                {t('common.yesCancel')}
                             </button>
                         </div>
                     </div>
@@ -1626,48 +2248,38 @@ function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
                     <div className="modal-content modal-form">
                         <form onSubmit={handleSubmitTipForm}>
                             <div className="modal-body">
-                                <h2>Complete Cut</h2>
+                                <h2>{t('barber.completeCut')}</h2>
                                 <p className="modal-form-details">
-                                    <strong>Customer:</strong> {modalState.data.customer_name} (#{modalState.data.id})<br/>
+                                    <strong>{t('barber.customerLabel')}</strong> {modalState.data.customer_name} (#{modalState.data.id})<br/>
                                     
                                     {/* --- NEW: GROUP DISPLAY --- */}
-                                    <strong>Heads:</strong> {modalState.data.head_count || 1}<br/> 
-                                    
-                                    <strong>Service:</strong> {modalState.data.services?.name || 'Service'} 
-                                    {' '}(₱{parseFloat(modalState.data.services?.price_php || 0).toFixed(2)} x {modalState.data.head_count || 1})<br/>
-
-                                    {modalState.data.is_vip && (
-                                        <>
-                                            {/* Updated Label for clarity */}
-                                            <div style={{display:'flex', justifyContent:'space-between', color:'var(--primary-orange)'}}>
-                                                <span>VIP / Appointment Fee:</span>
-                                                <span>+ ₱100.00</span>
-                                            </div>
-                                        </>
-                                    )}
+                                    <strong>{t('barber.headsLabel')}</strong> {modalState.data.head_count || 1}
+                                </p>
+                                {(modalState.data.head_count || 1) > 1 && (
+                                    <ul className="party-members">
+                                        {partyMembers(modalState.data).map((member, i) => (
+                                            <li key={i}>{member.name || (i === 0 ? modalState.data.customer_name : t('party.guest', { number: i }))} — {services.find(s => String(s.id) === String(member.service_id))?.name || modalState.data.services?.name}</li>
+                                        ))}
+                                    </ul>
+                                )}
 
-                                    <hr style={{borderColor:'var(--border-color)', margin:'10px 0'}} />
+                                <PriceBreakdown breakdown={completionBreakdown(modalState.data)} totalLabel={t('barber.totalDue')} />
 
-                                    {/* Total Due Calculation */}
-                                    <div style={{display:'flex', justifyContent:'space-between', alignItems:'center', fontSize: '1.2rem', fontWeight:'bold'}}>
-                                        <span>Total Due:</span>
-                                        <span style={{color: 'var(--success-color)'}}>
-                                            ₱{(
-                                                ((parseFloat(modalState.data.services?.price_php || 0)) * (modalState.data.head_count || 1)) + 
-                                                (modalState.data.is_vip ? 100 : 0)
-                                            ).toFixed(2)}
-                                        </span>
-                                    </div>
-                                </p>
+                                {pricingRules(shop).seniorPwdPercent > 0 && (
+                                    <label className="checkbox-row">
+                                        <input type="checkbox" checked={tipSeniorPwd} onChange={(e) => setTipSeniorPwd(e.target.checked)} />
+                                        {t('barber.seniorPwdVerified')}
+                                    </label>
+                                )}
                                 
                                 <div className="form-group">
-                                    <label htmlFor="tipAmount">Enter TIP Amount (Optional):</label>
+                                    <label htmlFor="tipAmount">{t('barber.tipLabel')}</label>
                                     <input
                                         type="number"
                                         id="tipAmount"
                                         value={tipInput}
                                         onChange={(e) => setTipInput(e.target.value)}
-                                        placeholder="e.g., 50"
+                                        placeholder={t('barber.tipPlaceholder')}
                                         autoFocus
                                     />
                                 </div>
@@ -1676,10 +2288,10 @@ function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
                             
                             <div className="modal-footer">
                                 <button onClick={closeModal} type="button" className="btn btn-secondary">
-                                    Cancel
+                                    {t('common.cancel')}
                                 </button>
                                 <button type="submit" className="btn btn-primary">
-                                    Complete & Log Profit
+                                    {t('barber.completeAndLog')}
                                 </button>
                             </div>
                         </form>
@@ -1694,7 +2306,7 @@ function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
                 >
                     <img 
                         src={viewImageModalUrl} 
-                        alt="Reference" 
+                        alt={t('common.reference')}
                         className="image-modal-img" 
                     />
                     <div className="modal-footer single-action">
@@ -1702,7 +2314,7 @@ function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
                             onClick={() => setViewImageModalUrl(null)} 
                             className="btn btn-secondary"
                         >
-                            Close
+                            {t('common.close')}
                         </button>
                     </div>
                 </div>
@@ -1714,13 +2326,13 @@ function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
             <div className="modal-overlay">
                 <div className="modal-content">
                     <div className="modal-body">
-                        <h2>Loyalty Check</h2>
-                        <p>Fetching history for {modalState.data?.name || 'Customer'}...</p>
+                        <h2>{t('barber.loyaltyCheck')}</h2>
+                        <p>{t('barber.fetchingHistory', { name: modalState.data?.name || t('auth.roleCustomer') })}</p>
                         <Spinner />
                     </div>
                     <div className="modal-footer single-action">
                         <button onClick={closeModal} className="btn btn-secondary">
-                            Cancel
+                            {t('common.cancel')}
                         </button>
                     </div>
                 </div>
@@ -1732,29 +2344,29 @@ function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
             <div className="modal-overlay">
                 <div className="modal-content">
                     <div className="modal-body" style={{textAlign: 'left'}}>
-                        <h2>⭐ Loyalty Status</h2>
+                        <h2>⭐ {t('barber.loyaltyStatus')}</h2>
                         <p>
-                            Customer: {modalState.data.name}<br/>
-                            Email: {modalState.data.email}
+                            {t('barber.customerLabel')} {modalState.data.name}<br/>
+                            {t('barber.emailLabel')} {modalState.data.email}
                         </p>
 
                         <h3 style={{color: modalState.data.count >= 10 ? 'var(--success-color)' : 'var(--primary-orange)', marginTop: '15px'}}>
-                            Completed Cuts: {modalState.data.count}
+                            {t('barber.completedCuts', { count: modalState.data.count })}
                         </h3>
 
                         {modalState.data.count >= 10 && (
                             <p className="success-message">
-                                Loyalty Achieved! This customer qualifies for a discount.
+                                {t('barber.loyaltyAchieved')}
                             </p>
                         )}
 
-                        <h4 className="queue-subtitle">Past Services:</h4>
+                        <h4 className="queue-subtitle">{t('barber.pastServices')}</h4>
                         <ul className="history-list" style={{maxHeight: '200px', overflowY: 'auto'}}>
                             {modalState.data.history.length > 0 ? (
                                 modalState.data.history.map((entry, index) => (
                                     <li key={index} className={`history-item ${entry.status === 'Done' ? 'done' : 'cancelled'}`} style={{padding: '10px', marginBottom: '8px'}}>
                                         <span className="service">
-                                            {entry.services?.name || 'Unknown Service'}
+                                            {entry.services?.name || t('common.unknownService')}
                                         </span>
                                         {entry.is_vip && (
                                             <span className="status-badge" style={{ 
@@ -1773,18 +2385,18 @@ function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
                                             {entry.status}
                                         </span>
                                         <span className="date" style={{marginLeft: 'auto'}}>
-                                            {new Date(entry.created_at).toLocaleDateString()}
+                                            {fmt.date(entry.created_at)}
                                         </span>
                                     </li>
                                 ))
                             ) : (
-                                <p className="empty-text">No service history found.</p>
+                                <p className="empty-text">{t('barber.noServiceHistory')}</p>
                             )}
                         </ul>
                     </div>
                     <div className="modal-footer single-action">
                         <button onClick={closeModal} className="btn btn-primary">
-                            Close
+                            {t('common.close')}
                         </button>
                     </div>
                 </div>
@@ -1795,25 +2407,28 @@ function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
                     onClose={() => setIsReportModalOpen(false)}
                     reporterId={session.user.id}
                     reportedId={reportTargetId}         // <--- Uses reportTargetId
+                    queueId={openChatQueueId}
                     userRole="barber"
                 />
+            <TimelineDrawer entry={timelineEntry} onClose={() => setTimelineEntry(null)} />
             {isApptListOpen && (
                 <div className="modal-overlay">
                     <div className="modal-content">
                         <div className="modal-header" style={{display:'flex', justifyContent:'space-between', alignItems:'center', padding:'15px'}}>
-                            <h2 style={{margin:0}}>📅 Upcoming Bookings</h2>
+                            <h2 style={{margin:0}}>📅 {t('barber.upcomingBookings')}</h2>
                             <button onClick={() => setIsApptListOpen(false)} className="btn btn-icon"><IconX /></button>
                         </div>
                         
                         <div className="modal-body" style={{textAlign:'left', maxHeight: '60vh', overflowY: 'auto'}}>
                             {barberAppointments.length === 0 ? (
-                                <p className="empty-text">No upcoming appointments found.</p>
+                                <p className="empty-text">{t('barber.noUpcomingAppointments')}</p>
                             ) : (
                                 <ul className="queue-list">
                                     {barberAppointments.map((appt) => {
                                         const dateObj = new Date(appt.scheduled_time);
                                         // Highlight "Today"
                                         const isToday = new Date().toDateString() === dateObj.toDateString();
+                                        const isCancelled = appt.status === 'cancelled';
                                         
                                         return (
                                             <li key={appt.id} style={{
@@ -1821,7 +2436,7 @@ function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
                                             flexDirection: 'column', 
                                             gap: '10px',
                                             borderLeft: isToday ? '4px solid var(--primary-orange)' : '4px solid var(--text-secondary)',
-                                            opacity: appt.is_converted_to_queue ? 0.6 : 1,
+                                            opacity: appt.is_converted_to_queue || isCancelled ? 0.6 : 1,
                                             padding: '10px',
                                             marginBottom: '10px',
                                             background: 'var(--bg-dark)',
@@ -1831,10 +2446,10 @@ function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
                                             {/* Date & Time */}
                                             <div style={{display:'flex', justifyContent:'center', alignItems:'center', gap: '10px'}}>
                                                 <strong style={{fontSize:'1.1rem', color: isToday ? 'var(--primary-orange)' : 'var(--text-primary)'}}>
-                                                    {dateObj.toLocaleDateString([], {weekday: 'short', month:'short', day:'numeric'})}
+                                                    {fmt.date(dateObj, { weekday: 'short', month: 'short', day: 'numeric' })}
                                                 </strong>
                                                 <span style={{fontSize:'1.1rem', fontWeight:'bold'}}>
-                                                    {dateObj.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}
+                                                    {fmt.time(dateObj)}
                                                 </span>
                                             </div>
                                             
@@ -1842,14 +2457,28 @@ function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
                                             <div style={{fontSize:'1rem'}}>
                                                 👤 <strong>{appt.customer_name}</strong>
                                             </div>
+
+                                            {/* Reminder & confirmation */}
+                                            {!appt.is_converted_to_queue && !isCancelled && (
+                                                <div className="reminder-status">
+                                                    <span>{appt.last_reminder_at ? `🔔 ${t('reminders.sentAt', { time: fmt.dateTime(appt.last_reminder_at) })}` : `🔕 ${t('reminders.notSent')}`}</span>
+                                                    <span className={`reminder-reply ${appt.customer_response || 'waiting'}`}>
+                                                        {appt.customer_response === 'confirmed' ? `✅ ${t('reminders.statusConfirmed')}`
+                                                            : appt.customer_response === 'late' ? `⏰ ${t('reminders.statusLate', { minutes: appt.late_minutes })}`
+                                                            : t(appt.last_reminder_at ? 'reminders.statusWaiting' : 'reminders.statusNotAsked')}
+                                                    </span>
+                                                </div>
+                                            )}
                                             
                                             {/* Service & Action Row */}
                                             <div style={{display:'flex', justifyContent:'space-between', alignItems:'center', marginTop:'5px', gap:'10px'}}>
                                                 <span style={{fontSize:'0.9rem', color:'var(--text-secondary)'}}>✂️ {appt.services?.name}</span>
                                                 
-                                                {appt.is_converted_to_queue ? (
+                                                {isCancelled ? (
+                                                    <small className="cancel-note">{t('cancellation.feeDue', { fee: fmt.money(appt.cancellation_fee_php) })}</small>
+                                                ) : appt.is_converted_to_queue ? (
                                                     <span style={{color: 'var(--success-color)', fontWeight:'bold', fontSize:'0.75rem'}}>
-                                                        (IN QUEUE)
+                                                        ({t('barber.inQueue')})
                                                     </span>
                                                 ) : (
                                                     /* ▼▼▼ REJECT BUTTON ▼▼▼ */
@@ -1858,19 +2487,21 @@ function BarberDashboard({ barberId, barberName, onCutComplete, session }) {
                                                         className="btn btn-danger"
                                                         style={{padding: '4px 10px', fontSize: '0.75rem', minHeight: '30px'}}
                                                     >
-                                                        ❌ Reject
+                                                        ❌ {t('barber.reject')}
                                                     </button>
                                                 )}
                                             </div>
+                                            {!isCancelled && <RescheduleControls appointment={appt} userId={session?.user?.id} side="barber" onChanged={refreshBarberAppointments} />}
                                         </li>
                                         );
                                     })}
                                 </ul>
                             )}
+                            <CalendarFeedCard barberId={barberId} userId={session?.user?.id} />
                         </div>
                         
                         <div className="modal-footer single-action">
-                            <button onClick={() => setIsApptListOpen(false)} className="btn btn-secondary">Close</button>
+                            <button onClick={() => setIsApptListOpen(false)} className="btn btn-secondary">{t('common.close')}</button>
                         </div>
                     </div>
                 </div>
@@ -1882,7 +2513,7 @@ const handleLogout = async (userId) => {
     // 1. Clear Server Availability Flag (Barbers only)
     if (userId) {
         try {
-            await axios.put(`${API_URL}/logout/flag`, { userId });
+            await api.auth.clearLogoutFlag(userId);
             console.log("Server status updated successfully.");
         } catch (error) {
             console.warn("Warning: Failed to clear barber availability status on server.", error.message);
@@ -1902,50 +2533,471 @@ const handleLogout = async (userId) => {
         console.log("Session already expired. Clearing local state only.");
     }
 
-    // 3. Force Local Cleanup (Always do this)
+    // 3. Stop background notifications for this device
+    const pushPlayerId = localStorage.getItem('pushPlayerId');
+    if (pushPlayerId) {
+        try {
+            await api.push.unsubscribe(pushPlayerId);
+        } catch (error) {
+            console.warn("Warning: Failed to remove push subscription.", error.message);
+        }
+    }
+
+    // 4. Force Local Cleanup (Always do this)
+    const language = localStorage.getItem('language');
     localStorage.clear(); // Clear all app state (IDs, queue position, etc)
+    if (language) localStorage.setItem('language', language); // The language choice belongs to the device, not the account
     
     // Force a "hard" session clear in Supabase client just in case
     await supabase.auth.setSession({ access_token: 'expired', refresh_token: 'expired' });
     
-    // Reload to reset all React states cleanly
-    window.location.reload();
+    // Reload from the home page to reset all React states cleanly
+    window.location.replace('/');
 };
 // ##############################################
 // ##    CUSTOMER-SPECIFIC COMPONENTS        ##
 // ##############################################
 
-function CustomerView({ session }) {
-    const [barbers, setBarbers] = useState([]);
-    const [selectedBarberId, setSelectedBarberId] = useState('');
-    const [customerName] = useState(() => session.user?.user_metadata?.full_name || '');
-    const [customerEmail] = useState(() => session.user?.email || '');
-    const [message, setMessage] = useState('');
-    const [player_id, setPlayerId] = useState(null);
-    const [myQueueEntryId, setMyQueueEntryId] = useState(() => localStorage.getItem('myQueueEntryId') || null);
-    const [joinedBarberId, setJoinedBarberId] = useState(() => localStorage.getItem('joinedBarberId') || null);
-    const [liveQueue, setLiveQueue] = useState([]);
-    const [queueMessage, setQueueMessage] = useState('');
-    const [peopleWaiting, setPeopleWaiting] = useState(0);
-    const [isLoading, setIsLoading] = useState(false);
-    const [isModalButtonDisabled, setIsModalButtonDisabled] = useState(false);
-    const [modalCountdown, setModalCountdown] = useState(10);
-    const [isQueueLoading, setIsQueueLoading] = useState(true);
-    const [services, setServices] = useState([]);
-    const [selectedServiceId, setSelectedServiceId] = useState('');
-    const [isChatOpen, setIsChatOpen] = useState(() => {
-        return localStorage.getItem('myQueueEntryId') ? true : false;
+// --- "First available" pool ---
+// Stands in for a barber id (selection, joinedBarberId) while the customer waits
+// in the branch's shared pool; the first barber to call them takes them.
+const FIRST_AVAILABLE = 'pool';
+const queueKeyFor = (entry) => (entry.barber_id ? entry.barber_id.toString() : FIRST_AVAILABLE);
+
+// --- Arrival check-in (customer side of CheckInQrCard) ---
+const canScanQr = () => typeof window !== 'undefined' && 'BarcodeDetector' in window && !!navigator.mediaDevices?.getUserMedia;
+
+/** The QR holds a /checkin/<code> link; a bare code (typed or scanned) is accepted too. */
+const codeFromScan = (value) => {
+    const match = String(value || '').match(/\/checkin\/([A-Za-z0-9]+)/);
+    return (match ? match[1] : String(value || '')).trim().toUpperCase();
+};
+
+function ArrivalScanner({ onCode, onClose }) {
+    const { t } = useI18n();
+    const videoRef = useRef(null);
+    const onCodeRef = useRef(onCode);
+    onCodeRef.current = onCode;
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let stream = null;
+        let intervalId = null;
+        let isCancelled = false;
+        const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+
+        navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+            .then(mediaStream => {
+                stream = mediaStream;
+                if (isCancelled) return;
+                videoRef.current.srcObject = mediaStream;
+                videoRef.current.play().catch(() => {});
+                intervalId = setInterval(async () => {
+                    try {
+                        const [found] = await detector.detect(videoRef.current);
+                        if (!found || isCancelled) return;
+                        clearInterval(intervalId);
+                        onCodeRef.current(codeFromScan(found.rawValue));
+                    } catch (err) { /* the first frames aren't ready yet */ }
+                }, 400);
+            })
+            .catch(err => {
+                console.warn('[CheckIn] Camera unavailable:', err.message);
+                if (!isCancelled) setError(t('checkIn.cameraBlocked'));
+            });
+
+        return () => {
+            isCancelled = true;
+            clearInterval(intervalId);
+            stream?.getTracks().forEach(track => track.stop());
+        };
+    }, [t]);
+
+    return (
+        <div className="arrival-scanner">
+            {error ? <p className="message error small">{error}</p> : <video ref={videoRef} muted playsInline />}
+            <button type="button" onClick={onClose} className="btn btn-secondary btn-full-width">{t('common.cancel')}</button>
+        </div>
+    );
+}
+
+function ArrivalCheckIn({ entry, onCheckIn }) {
+    const { t, fmt } = useI18n();
+    const [isScanning, setIsScanning] = useState(false);
+    const [code, setCode] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState('');
+
+    if (entry.arrived_at) {
+        return <p className="success-message small arrival-done">📍 {t('checkIn.youArrived', { time: fmt.time(entry.arrived_at) })}</p>;
+    }
+
+    const submit = async (value) => {
+        const cleanCode = codeFromScan(value);
+        setIsScanning(false);
+        if (!cleanCode) return;
+        setIsSubmitting(true);
+        setError('');
+        try {
+            await onCheckIn(cleanCode);
+        } catch (err) {
+            setError(err.message || t('checkIn.failed'));
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="arrival-checkin">
+            <h3>📍 {t('checkIn.title')}</h3>
+            <p>{t('checkIn.prompt')}</p>
+            {isScanning ? (
+                <ArrivalScanner onCode={submit} onClose={() => setIsScanning(false)} />
+            ) : canScanQr() && (
+                <button type="button" onClick={() => setIsScanning(true)} className="btn btn-primary btn-full-width" disabled={isSubmitting}>{t('checkIn.scan')}</button>
+            )}
+            <form onSubmit={(e) => { e.preventDefault(); submit(code); }} className="arrival-code-form">
+                <input value={code} onChange={(e) => setCode(e.target.value)} placeholder={t('checkIn.codePlaceholder')} aria-label={t('checkIn.codeLabel')} autoCapitalize="characters" autoComplete="off" />
+                <button type="submit" className="btn btn-secondary" disabled={isSubmitting || !code.trim()}>{t('checkIn.submit')}</button>
+            </form>
+            {error && <p className="message error small">{error}</p>}
+        </div>
+    );
+}
+
+// --- PushBackCard ("Push me back" for a customer running late) ---
+const PUSH_BACK_PLACES = Array.from({ length: MAX_PUSH_BACK_PLACES }, (_, i) => i + 1);
+
+function PushBackCard({ peopleBehind, usesLeft, onPushBack }) {
+    const { t } = useI18n();
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const pushBack = async (places) => {
+        setIsSubmitting(true);
+        try { await onPushBack(places); } finally { setIsSubmitting(false); }
+    };
+
+    return (
+        <div className="arrival-checkin push-back">
+            <h3>⏪ {t('pushBack.title')}</h3>
+            <p>{t('pushBack.prompt')}</p>
+            {peopleBehind === 0 ? <p className="small">{t('pushBack.nobodyBehind')}</p> : (
+                <div className="push-back-options">
+                    {PUSH_BACK_PLACES.map(places => (
+                        <button key={places} type="button" className="btn btn-secondary" onClick={() => pushBack(places)} disabled={isSubmitting || usesLeft === 0 || places > peopleBehind}>
+                            {t('pushBack.letAhead', { count: places })}
+                        </button>
+                    ))}
+                </div>
+            )}
+            <p className="small">{t('pushBack.usesLeft', { count: usesLeft })}</p>
+        </div>
+    );
+}
+
+// --- TrackingLinkCard (read-only link for someone following this ticket) ---
+const trackingLink = (token) => `${window.location.origin}/track/${token}`;
+
+function TrackingLinkCard({ queueId, userId }) {
+    const { t } = useI18n();
+    const { toast } = useDialog();
+    const [link, setLink] = useState('');
+    const [isLoading, setIsLoading] = useState(false);
+
+    const share = async () => {
+        setIsLoading(true);
+        let url;
+        try {
+            const { token } = await api.queue.trackingLink(queueId, userId);
+            url = trackingLink(token);
+            setLink(url);
+        } catch (err) {
+            console.error('[Tracking] Failed to create link:', err);
+            toast(err.message || t('tracking.createFailed'), { type: 'error' });
+            setIsLoading(false);
+            return;
+        }
+        try {
+            if (navigator.share) {
+                await navigator.share({ title: t('tracking.shareTitle'), url });
+            } else {
+                await navigator.clipboard.writeText(url);
+                toast(t('tracking.copied'), { type: 'success' });
+            }
+        } catch (err) {
+            if (err.name !== 'AbortError') toast(t('tracking.copyManually')); // the link stays on screen to copy by hand
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return (
+        <div className="arrival-checkin tracking-share">
+            <h3>🔗 {t('tracking.shareHeading')}</h3>
+            <p>{t('tracking.shareHint')}</p>
+            <button type="button" className="btn btn-secondary" onClick={share} disabled={isLoading}>{t('tracking.shareButton')}</button>
+            {link && <input type="text" value={link} readOnly onFocus={(e) => e.target.select()} aria-label={t('tracking.linkLabel')} />}
+        </div>
+    );
+}
+
+// --- AddToCalendarButton (.ics download for one booking in My Bookings) ---
+// Downloading again after a reschedule or cancellation updates the same calendar entry (see src/calendar.js).
+function AddToCalendarButton({ appointment, userId }) {
+    const { t } = useI18n();
+    const { toast } = useDialog();
+    const [isLoading, setIsLoading] = useState(false);
+    const isCancelled = appointment.status === 'cancelled';
+
+    const download = async () => {
+        setIsLoading(true);
+        try {
+            const ics = await api.appointments.calendarFile({ appointmentId: appointment.id, userId });
+            const url = URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `dashq-booking-${appointment.id}.ics`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            console.error('[Calendar] Failed to export booking:', err);
+            toast(err.message || t('calendar.exportFailed'), { type: 'error' });
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    return (
+        <button type="button" className="btn btn-secondary reschedule-toggle" onClick={download} disabled={isLoading}>
+            📅 {t(isCancelled ? 'calendar.removeFromCalendar' : 'calendar.addToCalendar')}
+        </button>
+    );
+}
+
+// --- ReminderBanner (in-app copy of a booking reminder: Confirm / I'll be late / Cancel) ---
+// Stays on top of every customer tab until answered; the same reminder also arrives as a push notification.
+function ReminderBanner({ appointment, userId, onReplied, onCancel }) {
+    const { t, fmt } = useI18n();
+    const { toast } = useDialog();
+    const [isPickingLate, setIsPickingLate] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const when = new Date(appointment.scheduled_time);
+    const isToday = when.toDateString() === new Date().toDateString();
+
+    const reply = async (response, lateMinutes) => {
+        setIsSaving(true);
+        try {
+            await api.appointments.reply({ appointmentId: appointment.id, userId, response, lateMinutes });
+            toast(response === 'late' ? t('reminders.lateSent', { minutes: lateMinutes }) : t('reminders.confirmed'), { type: 'success' });
+            onReplied();
+        } catch (err) {
+            toast(err.message || t('reminders.replyFailed'), { type: 'error' });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="reminder-banner" role="status">
+            <p>🔔 {t(isToday ? 'reminders.bannerToday' : 'reminders.banner', {
+                service: appointment.services?.name || t('common.service'),
+                barber: appointment.barber_profiles?.full_name || t('customer.anyBarber'),
+                date: fmt.date(when, { weekday: 'short', month: 'short', day: 'numeric' }),
+                time: fmt.time(when),
+            })}</p>
+            {isPickingLate ? (
+                <div className="reschedule-actions">
+                    {LATE_MINUTES.map(minutes => (
+                        <button key={minutes} type="button" className="btn btn-secondary" onClick={() => reply('late', minutes)} disabled={isSaving}>
+                            {t('reminders.lateBy', { minutes })}
+                        </button>
+                    ))}
+                    <button type="button" className="btn btn-secondary" onClick={() => setIsPickingLate(false)} disabled={isSaving}>{t('common.back')}</button>
+                </div>
+            ) : (
+                <div className="reschedule-actions">
+                    <button type="button" className="btn btn-primary" onClick={() => reply('confirmed')} disabled={isSaving}>✅ {t('reminders.confirm')}</button>
+                    <button type="button" className="btn btn-secondary" onClick={() => setIsPickingLate(true)} disabled={isSaving}>⏰ {t('reminders.late')}</button>
+                    <button type="button" className="btn btn-danger" onClick={onCancel} disabled={isSaving}>{t('cancellation.button')}</button>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// --- WaitlistJoinForm (under "No slots available" in Book Later) ---
+// The window starts out as the barber's hours that day; freed slots inside it are offered in turn (see src/waitlist.js).
+function WaitlistJoinForm({ barber, date, request, onJoined }) {
+    const { t, fmt } = useI18n();
+    const { toast } = useDialog();
+    const hours = barber && date ? hoursOn(barber.schedule, `${date}T00:00:00`) : null;
+    const [windowStart, setWindowStart] = useState(hours?.start || DEFAULT_HOURS.start);
+    const [windowEnd, setWindowEnd] = useState(hours?.end || DEFAULT_HOURS.end);
+    const [isSaving, setIsSaving] = useState(false);
+    if (!hours) return null; // a day off has nothing to wait for
+
+    const join = async () => {
+        setIsSaving(true);
+        try {
+            await api.waitlist.join({ ...request, date, window_start: windowStart, window_end: windowEnd });
+            toast(t('waitlist.joined', { name: barber.full_name, date: fmt.date(`${date}T00:00:00`, { weekday: 'short', month: 'short', day: 'numeric' }) }), { type: 'success' });
+            onJoined();
+        } catch (err) {
+            toast(err.message || t('waitlist.joinFailed'), { type: 'error' });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="waitlist-join">
+            <p>{t('waitlist.prompt', { name: barber.full_name })}</p>
+            <div className="waitlist-window">
+                <label>{t('waitlist.from')} <input type="time" value={windowStart} min={hours.start} max={hours.end} onChange={(e) => setWindowStart(e.target.value)} /></label>
+                <label>{t('waitlist.to')} <input type="time" value={windowEnd} min={hours.start} max={hours.end} onChange={(e) => setWindowEnd(e.target.value)} /></label>
+            </div>
+            <button type="button" className="btn btn-secondary" onClick={join} disabled={isSaving || !request.user_id}>📝 {t('waitlist.join')}</button>
+        </div>
+    );
+}
+
+// --- WaitlistOfferBanner (a freed slot held for this customer: one-tap claim) ---
+// Disappears by itself when the offer runs out; the backend then offers the slot to the next customer.
+function WaitlistOfferBanner({ entry, userId, onChanged }) {
+    const { t, fmt } = useI18n();
+    const { toast } = useDialog();
+    const [now, setNow] = useState(() => Date.now());
+    const [isSaving, setIsSaving] = useState(false);
+
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), 15000);
+        return () => clearInterval(timer);
+    }, []);
+
+    if (!isOfferOpen(entry, now)) return null;
+    const slot = entry.offer.scheduled_time;
+
+    const answer = async (claim) => {
+        setIsSaving(true);
+        try {
+            if (claim) {
+                await api.waitlist.claim({ waitlistId: entry.id, userId });
+                toast(t('waitlist.claimed', { time: fmt.dateTime(slot) }), { type: 'success' });
+            } else {
+                await api.waitlist.pass({ waitlistId: entry.id, userId });
+                toast(t('waitlist.passed'));
+            }
+            onChanged();
+        } catch (err) {
+            toast(err.message || t('waitlist.claimFailed'), { type: 'error' });
+            onChanged();
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="reminder-banner waitlist-offer" role="status">
+            <p>🎉 {t('waitlist.offer', {
+                barber: entry.barber_profiles?.full_name || t('customer.anyBarber'),
+                date: fmt.date(slot, { weekday: 'short', month: 'short', day: 'numeric' }),
+                time: fmt.time(slot),
+                count: offerMinutesLeft(entry, now),
+            })}</p>
+            <div className="reschedule-actions">
+                <button type="button" className="btn btn-primary" onClick={() => answer(true)} disabled={isSaving}>✅ {t('waitlist.claim')}</button>
+                <button type="button" className="btn btn-secondary" onClick={() => answer(false)} disabled={isSaving}>{t('waitlist.pass')}</button>
+            </div>
+        </div>
+    );
+}
+
+// --- PartyEditor (Group size plus a name and service for each guest) ---
+// `guests` is everyone after the lead customer; a guest with no service of their own gets the lead's.
+function PartyEditor({ services, leadServiceId, guests, onChange }) {
+    const { t, fmt } = useI18n();
+    const headCount = guests.length + 1;
+    const findService = (id) => services.find(s => String(s.id) === String(id));
+    const party = [{ service_id: leadServiceId }, ...guests.map(guest => ({ service_id: guest.service_id || leadServiceId }))];
+    const setGuest = (index, field, value) => onChange(guests.map((guest, i) => (i === index ? { ...guest, [field]: value } : guest)));
+
+    return (
+        <div className="form-group">
+            <label>{t('customer.groupSize')}</label>
+            <div className="stepper-wrapper">
+                <button type="button" className="btn-stepper" onClick={() => onChange(guests.slice(0, -1))} disabled={headCount === 1}>−</button>
+                <span className="stepper-count">{headCount}</span>
+                <button type="button" className="btn-stepper" onClick={() => onChange([...guests, { name: '', service_id: '' }])} disabled={headCount >= MAX_PARTY_SIZE}>+</button>
+            </div>
+
+            {guests.map((guest, i) => (
+                <div key={i} className="party-guest">
+                    <input type="text" value={guest.name} onChange={(e) => setGuest(i, 'name', e.target.value)} placeholder={t('party.guest', { number: i + 1 })} aria-label={t('party.guestName', { number: i + 1 })} />
+                    <select value={guest.service_id || leadServiceId} onChange={(e) => setGuest(i, 'service_id', e.target.value)} aria-label={t('party.guestService', { number: i + 1 })}>
+                        <option value="">{t('customer.chooseService')}</option>
+                        {services.map(service => <option key={service.id} value={service.id}>{t('customer.serviceOption', { name: service.name, minutes: service.duration_minutes, price: fmt.money(service.price_php) })}</option>)}
+                    </select>
+                </div>
+            ))}
+
+            <div style={{marginTop: '10px'}}>
+                {headCount > 1 ? (
+                    <div className="message warning small" style={{textAlign:'left'}}>
+                        <strong style={{display:'block', marginBottom:'4px'}}>👥 {t('customer.groupDetails')}</strong>
+                        <ul style={{margin:0, paddingLeft:'20px'}}>
+                            <li>{t('customer.groupSlots', { count: headCount })}</li>
+                            <li>{t('customer.groupDuration')} <strong>{t('common.minutes', { count: partyMinutes({ party }, findService) })}</strong>.</li>
+                            <li>{t('party.ownService')}</li>
+                        </ul>
+                    </div>
+                ) : (
+                    <p className="message small">{t('customer.bookingForOne')}</p>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export function CustomerView({ session, shop, onChangeShop }) {
+    const { toast, confirmDialog } = useDialog();
+    const { t, fmt } = useI18n();
+    const [barbers, setBarbers] = useState([]);
+    const [selectedBarberId, setSelectedBarberId] = useState('');
+    const [customerName] = useState(() => session.user?.user_metadata?.full_name || '');
+    const [customerEmail] = useState(() => session.user?.email || '');
+    const [message, setMessageText] = useState('');
+    const [messageType, setMessageType] = useState('success');
+    const setMessage = useCallback((text, type = 'success') => { setMessageText(text); setMessageType(type); }, []);
+    const [player_id, setPlayerId] = useState(null);
+    const [myQueueEntryId, setMyQueueEntryId] = useState(() => localStorage.getItem('myQueueEntryId') || null);
+    const [joinedBarberId, setJoinedBarberId] = useState(() => localStorage.getItem('joinedBarberId') || null);
+    const [liveQueue, setLiveQueue] = useState([]);
+    const [queueMessage, setQueueMessage] = useState('');
+    const [peopleWaiting, setPeopleWaiting] = useState(0);
+    const [isLoading, setIsLoading] = useState(false);
+    const [isModalButtonDisabled, setIsModalButtonDisabled] = useState(false);
+    const [modalCountdown, setModalCountdown] = useState(10);
+    const [isQueueLoading, setIsQueueLoading] = useState(true);
+    const [services, setServices] = useState([]);
+    const [selectedServiceId, setSelectedServiceId] = useState('');
+    const [isChatOpen, setIsChatOpen] = useState(() => {
+        return localStorage.getItem('myQueueEntryId') ? true : false;
     });
     const [isServiceCompleteModalOpen, setIsServiceCompleteModalOpen] = useState(false);
     const [isCancelledModalOpen, setIsCancelledModalOpen] = useState(false);
     const [hasUnreadFromBarber, setHasUnreadFromBarber] = useState(() => localStorage.getItem('hasUnreadFromBarber') === 'true');
     const [chatMessagesFromBarber, setChatMessagesFromBarber] = useState([]);
     const [optimisticMessage, setOptimisticMessage] = useState(null);
-    const [displayWait, setDisplayWait] = useState(0);
-    const [finishTime, setFinishTime] = useState(() => {
-        const saved = localStorage.getItem('targetFinishTime');
-        return saved ? parseInt(saved, 10) : 0;
+    const [durationRanges, setDurationRanges] = useState({});
+    const [poolProjection, setPoolProjection] = useState(null); // { barberId, low, typical, high } while on First available
+    const [finishAt, setFinishAt] = useState(() => { // { low, typical, high } clock times; see src/waitTime.js
+        try { return JSON.parse(localStorage.getItem('waitEstimate')); } catch (err) { return null; }
     });
+    const [clockNow, setClockNow] = useState(() => Date.now());
+    const waitMinutes = (at) => Math.max(0, Math.round((at - clockNow) / 60000));
+    const displayWait = finishAt ? waitMinutes(finishAt.typical) : 0;
     const [isTooFarModalOpen, setIsTooFarModalOpen] = useState(false);
     const [isOnCooldown, setIsOnCooldown] = useState(false);
     const locationWatchId = useRef(null);
@@ -1961,13 +3013,56 @@ function CustomerView({ session }) {
     const [feedbackText, setFeedbackText] = useState('');
     const [feedbackSubmitted, setFeedbackSubmitted] = useState(false);
     const [barberFeedback, setBarberFeedback] = useState([]);
-    const [viewMode, setViewMode] = useState('join'); // 'join' or 'history'
+
+    // --- Routing: /join[/:barberId], /queue/:entryId, /history, /appointments ---
+    const navigate = useNavigate();
+    const location = useLocation();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const linkedBarberId = useMatch('/join/:barberId')?.params.barberId || null;
+    const routeEntryId = useMatch('/queue/:entryId')?.params.entryId || null;
+    const checkInLinkCode = useMatch('/checkin/:code')?.params.code || null;
+    const viewMode = location.pathname === '/history' ? 'history' : location.pathname === '/appointments' ? 'appointments' : 'join';
+    const setViewMode = (mode) => navigate(mode === 'join' ? (myQueueEntryId ? `/queue/${myQueueEntryId}` : '/join') : `/${mode}`);
     const [loyaltyHistory, setLoyaltyHistory] = useState([]);
 
+    useEffect(() => { // Web Push: lets the backend reach this device while the app is in the background
+        let isCancelled = false;
+        subscribeToPush(session.user.id, { prompt: true })
+            .then(id => { if (!isCancelled && id) setPlayerId(id); })
+            .catch(err => console.warn('[Push] Could not subscribe:', err.message));
+        return () => { isCancelled = true; };
+    }, [session.user.id]);
+
+    useEffect(() => { // Keep the address bar on the ticket while in line
+        if (viewMode !== 'join' || checkInLinkCode) return;
+        if (myQueueEntryId && routeEntryId !== myQueueEntryId) navigate(`/queue/${myQueueEntryId}`, { replace: true });
+        else if (!myQueueEntryId && routeEntryId) navigate('/join', { replace: true });
+    }, [viewMode, myQueueEntryId, routeEntryId, checkInLinkCode, navigate]);
+
+    const appliedBarberLink = useRef(null);
+    useEffect(() => { // QR code at a barber's station (/join/:barberId) preselects that barber
+        if (!linkedBarberId || appliedBarberLink.current === linkedBarberId) return;
+        if (!barbers.some(b => b.id.toString() === linkedBarberId)) return;
+        appliedBarberLink.current = linkedBarberId;
+        setSelectedBarberId(linkedBarberId);
+    }, [linkedBarberId, barbers]);
+
+    useEffect(() => { // Chat notification tap (?chat=open)
+        if (searchParams.get('chat') !== 'open') return;
+        if (myQueueEntryId) {
+            setIsChatOpen(true);
+            setHasUnreadFromBarber(false);
+            localStorage.removeItem('hasUnreadFromBarber');
+        }
+        setSearchParams(params => { params.delete('chat'); return params; }, { replace: true });
+    }, [searchParams, setSearchParams, myQueueEntryId]);
+
     const nowServing = liveQueue.find(entry => entry.status === 'In Progress');
     const upNext = liveQueue.find(entry => entry.status === 'Up Next');
+    const isInPool = joinedBarberId === FIRST_AVAILABLE;
     const targetBarber = barbers.find(b => b.id === parseInt(joinedBarberId));
-    const currentBarberName = targetBarber?.full_name || `Barber #${joinedBarberId}`;
+    const currentBarberName = isInPool ? t('customer.firstAvailable') : targetBarber?.full_name || t('customer.barberNumber', { id: joinedBarberId });
+    const likelyBarber = poolProjection && barbers.find(b => b.id === poolProjection.barberId);
     const currentChatTargetBarberUserId = targetBarber?.user_id;
 
     const myQueueEntry = liveQueue.find(e => e.id.toString() === myQueueEntryId);
@@ -1983,11 +3078,17 @@ function CustomerView({ session }) {
     // Initialize with Tomorrow's date
     const [selectedDate, setSelectedDate] = useState(getTomorrowDate());
     const [availableSlots, setAvailableSlots] = useState([]);
+    const [isSlotsLoading, setIsSlotsLoading] = useState(false);
     const [selectedSlot, setSelectedSlot] = useState(null);
     const [isReportModalOpen, setReportModalOpen] = useState(false);
     const [freeBarber, setFreeBarber] = useState(null);
     const [myAppointments, setMyAppointments] = useState([]);
-    const [headCount, setHeadCount] = useState(1);
+    const [myWaitlist, setMyWaitlist] = useState([]);
+    const [partyGuests, setPartyGuests] = useState([]); // everyone after you: [{ name, service_id }], '' = same service as yours
+    const headCount = partyGuests.length + 1;
+    const party = [{ name: customerName, service_id: selectedServiceId }, ...partyGuests.map(guest => ({ name: guest.name.trim(), service_id: guest.service_id || selectedServiceId }))];
+    const partyServiceIds = party.map(member => member.service_id).join(',');
+    const [isSeniorPwd, setIsSeniorPwd] = useState(false);
     const [showIOSPrompt, setShowIOSPrompt] = useState(true);
     const [isMyReportsOpen, setIsMyReportsOpen] = useState(false);
     const [viewProduct, setViewProduct] = useState(null);
@@ -1996,8 +3097,8 @@ function CustomerView({ session }) {
         if (!session?.user?.id) return;
         setIsLoading(true);
         try {
-            const response = await axios.get(`${API_URL}/appointments/my/${session.user.id}`);
-            setMyAppointments(response.data || []);
+            const data = await api.appointments.mine(session.user.id);
+            setMyAppointments(data || []);
         } catch (err) {
             console.error("Failed to load appointments", err);
         } finally {
@@ -2008,8 +3109,8 @@ function CustomerView({ session }) {
     const fetchLoyaltyHistory = useCallback(async (userId) => {
         if (!userId) return;
         try {
-            const response = await axios.get(`${API_URL}/customer/history/${userId}`);
-            setLoyaltyHistory(response.data || []);
+            const data = await api.customer.history(userId);
+            setLoyaltyHistory(data || []);
         } catch (error) {
             console.error('Failed to fetch loyalty history:', error);
         }
@@ -2038,26 +3139,23 @@ function CustomerView({ session }) {
         if (userInitiated && myQueueEntryId) {
             setIsLoading(true);
             try {
-                await axios.delete(`${API_URL}/queue/${myQueueEntryId}`, {
-                    data: { userId: session.user.id }
-                });
-                setMessage("You left the queue.");
+                await api.queue.leave(myQueueEntryId, session.user.id);
+                setMessage(t('customer.leftQueue'));
             }
-            catch (error) { console.error("Failed to leave queue:", error); setMessage("Error leaving queue."); }
+            catch (error) { console.error("Failed to leave queue:", error); setMessage(t('customer.leaveError'), 'error'); }
             finally { setIsLoading(false); }
         }
         setIsServiceCompleteModalOpen(false); setIsCancelledModalOpen(false);
         stopBlinking();
         localStorage.removeItem('myQueueEntryId'); 
         localStorage.removeItem('joinedBarberId');
-        localStorage.removeItem('displayWait');
-        localStorage.removeItem('targetFinishTime'); 
+        localStorage.removeItem('waitEstimate');
         localStorage.removeItem('pendingFeedback');// <-- ADD THIS
         setMyQueueEntryId(null); setJoinedBarberId(null);
         setLiveQueue([]); setQueueMessage(''); setSelectedBarberId('');
         setSelectedServiceId(''); setMessage('');
         setIsChatOpen(false);
-        setChatMessagesFromBarber([]); setDisplayWait(0);
+        setChatMessagesFromBarber([]); setFinishAt(null);
         setReferenceImageUrl('');
         setSelectedFile(null);
         setIsUploading(false);
@@ -2067,7 +3165,7 @@ function CustomerView({ session }) {
         setBarberFeedback([]);
 
         console.log("[handleReturnToJoin] State reset complete.");
-    }, [myQueueEntryId, session]);
+    }, [myQueueEntryId, session, setMessage, t]);
 
     const fetchPublicQueue = useCallback(async (barberId) => {
         if (!barberId) {
@@ -2079,12 +3177,17 @@ function CustomerView({ session }) {
         setIsQueueLoading(true);
         
         try {
-            const response = await axios.get(`${API_URL}/queue/public/${barberId}`);
-            const queueData = response.data || [];
+            const currentQueueId = localStorage.getItem('myQueueEntryId');
+            let queueData;
+            if (barberId === FIRST_AVAILABLE) {
+                const pool = await api.queue.pool(shop.id, currentQueueId ? { entryId: currentQueueId } : { serviceIds: partyServiceIds.split(',') });
+                queueData = pool?.entries || [];
+                setPoolProjection(pool?.projection || null);
+            } else {
+                queueData = (await api.queue.publicList(barberId)) || [];
+            }
             setLiveQueue(queueData);
             liveQueueRef.current = queueData;
-
-            const currentQueueId = localStorage.getItem('myQueueEntryId');
             
             // --- NOTIFICATION LOGIC (Your Turn / Up Next) ---
             if (currentQueueId) {
@@ -2138,11 +3241,12 @@ function CustomerView({ session }) {
                             
                             // Optional: If the barber ID changed on the server but not locally, update it now
                             const currentStoredBarber = localStorage.getItem('joinedBarberId');
-                            if (myEntry.barber_id.toString() !== currentStoredBarber) {
+                            const serverBarber = queueKeyFor(myEntry);
+                            if (serverBarber !== currentStoredBarber) {
                                 console.log(`[Transfer] Detected move to Barber ${myEntry.barber_id}. Updating local state.`);
-                                localStorage.setItem('joinedBarberId', myEntry.barber_id.toString());
-                                setJoinedBarberId(myEntry.barber_id.toString());
-                                setMessage("🔄 You have been transferred to another barber.");
+                                localStorage.setItem('joinedBarberId', serverBarber);
+                                setJoinedBarberId(serverBarber);
+                                setMessage(currentStoredBarber === FIRST_AVAILABLE ? `✂️ ${t('customer.pickedFromPool')}` : `🔄 ${t('customer.transferred')}`);
                             }
                             return; 
                         }
@@ -2153,8 +3257,7 @@ function CustomerView({ session }) {
                         if (!userId) return;
 
                         try {
-                            const response = await axios.get(`${API_URL}/missed-event/${userId}`);
-                            const eventType = response.data.event;
+                            const { event: eventType } = await api.queue.missedEvent(userId);
 
                             if (eventType === 'Done') {
                                 console.log("[Catcher] Confirmed 'Done'.");
@@ -2175,7 +3278,7 @@ function CustomerView({ session }) {
                             } else {
                                 // 4. FALLBACK: It was deleted manually (e.g. by Admin/Barber) without a status change
                                 console.warn("[Catcher] Entry disappeared completely.");
-                                setQueueMessage("Your queue entry was removed.");
+                                setQueueMessage(t('customer.entryRemoved'));
                                 handleReturnToJoin(false); // Clean up local state
                             }
                         } catch (error) {
@@ -2190,7 +3293,7 @@ function CustomerView({ session }) {
             console.error("Failed fetch public queue:", error);
             setLiveQueue([]);
             liveQueueRef.current = [];
-            setQueueMessage("Could not load queue data.");
+            setQueueMessage(t('customer.queueLoadFailed'));
         } finally {
             setIsQueueLoading(false);
         }
@@ -2205,7 +3308,11 @@ function CustomerView({ session }) {
     setJoinedBarberId,
     handleReturnToJoin,
     myQueueEntryId,
-    joinedBarberId
+    joinedBarberId,
+    setMessage,
+    shop.id,
+    partyServiceIds,
+    t
     ]);
 
     const handleFileChange = (e) => {
@@ -2215,11 +3322,11 @@ function CustomerView({ session }) {
     };
 
     const handleUploadPhoto = async (targetQueueId = myQueueEntryId) => {
-        if (!selectedFile) { setMessage("Please select a file first."); return; }
+        if (!selectedFile) { setMessage(t('customer.selectFileFirst'), 'error'); return; }
         if (!targetQueueId && myQueueEntryId) { targetQueueId = myQueueEntryId; }
 
         setIsUploading(true);
-        setMessage('Uploading photo...');
+        setMessage(t('customer.uploadingPhoto'));
 
         try {
             const fileExtension = selectedFile.name.split('.').pop();
@@ -2243,17 +3350,15 @@ function CustomerView({ session }) {
 
             if (!myQueueEntryId) {
                 setReferenceImageUrl(imageUrl);
-                setMessage('Photo uploaded. Ready to join queue.');
+                setMessage(t('customer.photoUploaded'));
             } else {
-                const updateResponse = await axios.put(`${API_URL}/queue/photo`, {
+                await api.queue.updatePhoto({
                     queueId: targetQueueId,
                     barberId: joinedBarberId,
                     referenceImageUrl: imageUrl
                 });
-
-                if (updateResponse.status !== 200) throw new Error("Failed to update queue entry.");
                 setReferenceImageUrl(imageUrl);
-                setMessage('Photo successfully updated!');
+                setMessage(t('customer.photoUpdated'));
                 fetchPublicQueue(joinedBarberId);
             }
 
@@ -2261,7 +3366,7 @@ function CustomerView({ session }) {
 
         } catch (error) {
             console.error('Photo upload failed:', error);
-            setMessage(`Photo upload failed: ${error.message || 'Server error.'}`);
+            setMessage(t('customer.photoUploadFailed', { error: error.message || t('common.serverError') }), 'error');
             setReferenceImageUrl('');
         } finally {
             setIsUploading(false);
@@ -2289,71 +3394,72 @@ function CustomerView({ session }) {
 
     const handleJoinQueue = async (e) => {
         e.preventDefault();
-        if (!customerName || !selectedBarberId || !selectedServiceId) { setMessage('Name, Barber, AND Service required.'); return; }
-        if (myQueueEntryId) { setMessage('You are already checked in!'); return; }
-        if (selectedFile && !referenceImageUrl) { setMessage('Please click "Upload Photo" first!'); return; }
+        if (!customerName || !selectedBarberId || !selectedServiceId) { setMessage(t('customer.joinFieldsRequired'), 'error'); return; }
+        if (myQueueEntryId) { setMessage(t('customer.alreadyCheckedIn'), 'error'); return; }
+        if (selectedFile && !referenceImageUrl) { setMessage(t('customer.uploadPhotoFirst'), 'error'); return; }
 
-        setIsLoading(true); setMessage('Joining queue...');
+        setIsLoading(true); setMessage(t('customer.joiningQueue'));
         try {
-            const response = await axios.post(`${API_URL}/queue`, {
+            const newEntry = await api.queue.join({
                 customer_name: customerName,
                 customer_email: customerEmail,
-                barber_id: selectedBarberId,
+                ...(selectedBarberId === FIRST_AVAILABLE ? { first_available: true, shop_id: shop.id } : { barber_id: selectedBarberId }),
                 reference_image_url: referenceImageUrl || null,
                 service_id: selectedServiceId,
                 player_id: player_id,
                 user_id: session.user.id,
                 is_vip: isVIPToggled,
+                is_senior_pwd: isSeniorPwd,
                 head_count: headCount,
+                party,
             });
-            const newEntry = response.data;
             if (newEntry && newEntry.id) {
-                setMessage(`Success! You are #${newEntry.id} in the queue.`);
+                setMessage(t('customer.joinSuccess', { id: newEntry.id }));
                 localStorage.setItem('myQueueEntryId', newEntry.id.toString());
-                localStorage.setItem('joinedBarberId', newEntry.barber_id.toString());
+                localStorage.setItem('joinedBarberId', queueKeyFor(newEntry));
                 setMyQueueEntryId(newEntry.id.toString());
-                setJoinedBarberId(newEntry.barber_id.toString());
+                setJoinedBarberId(queueKeyFor(newEntry));
                 setIsChatOpen(true);
-                setSelectedBarberId(''); setSelectedServiceId('');
+                setSelectedBarberId(''); setSelectedServiceId(''); setPartyGuests([]);
                 setReferenceImageUrl(newEntry.reference_image_url || '');
-                fetchPublicQueue(newEntry.barber_id.toString());
+                fetchPublicQueue(queueKeyFor(newEntry));
                 setIsVIPToggled(false);
-            } else { throw new Error("Invalid response from server."); }
+            } else { throw new Error(t('common.invalidResponse')); }
        } catch (error) {
         console.error('Failed to join queue:', error);
         
         // --- START: HANDLE 409 CONFLICT (AUTO-RECOVER) ---
-        if (error.response && error.response.status === 409) {
+        if (error.status === 409) {
             // Check if 'details' actually exists before trying to read it
-            const existing = error.response.data.details;
+            const existing = error.details;
             
             if (existing && existing.id) {
                 // Scenario A: User is already in queue (Recovery)
-                setMessage(`⚠️ Found active booking! Recovering your spot (ID: #${existing.id})...`);
+                setMessage(`⚠️ ${t('customer.recoveringSpot', { id: existing.id })}`);
                 
                 localStorage.setItem('myQueueEntryId', existing.id.toString());
-                localStorage.setItem('joinedBarberId', existing.barber_id.toString());
+                localStorage.setItem('joinedBarberId', queueKeyFor(existing));
 
                 setMyQueueEntryId(existing.id.toString());
-                setJoinedBarberId(existing.barber_id.toString());
+                setJoinedBarberId(queueKeyFor(existing));
                 setIsChatOpen(true);
                 
                 setSelectedBarberId('');
                 setSelectedServiceId('');
                 setReferenceImageUrl(existing.reference_image_url || '');
 
-                fetchPublicQueue(existing.barber_id.toString());
+                fetchPublicQueue(queueKeyFor(existing));
             } else {
                 // Scenario B: Database Error or Generic Conflict (Prevent Crash)
-                const errorMsg = error.response.data.error || "A conflict occurred.";
+                const errorMsg = error.message || t('customer.conflict');
                 console.error("409 Error without details:", errorMsg);
-                setMessage(`Error: ${errorMsg}`);
+                setMessage(t('common.errorPrefix', { message: errorMsg }), 'error');
             }
         }
         // --- END: HANDLE 409 CONFLICT ---
         else {
-            const errorMessage = error.response?.data?.error || error.message;
-            setMessage(errorMessage.includes('unavailable') ? errorMessage : 'Failed to join. Try again.');
+            const errorMessage = error.message;
+            setMessage(errorMessage.includes('unavailable') ? errorMessage : t('customer.joinFailed'), 'error');
         }
     } finally { 
         setIsLoading(false); 
@@ -2363,28 +3469,31 @@ function CustomerView({ session }) {
     const handleBooking = async (e) => {
         e.preventDefault();
         if (!customerName || !selectedBarberId || !selectedServiceId || !selectedSlot) { 
-            setMessage('All fields including a Time Slot are required.'); 
+            setMessage(t('customer.bookingFieldsRequired'), 'error');
             return; 
         }
 
         setIsLoading(true);
-        setMessage('Booking appointment...');
+        setMessage(t('customer.booking'));
 
         try {
-            await axios.post(`${API_URL}/appointments/book`, {
+            await api.appointments.book({
                 customer_name: customerName,
                 customer_email: customerEmail,
                 user_id: session.user.id,
                 barber_id: selectedBarberId,
                 service_id: selectedServiceId,
-                scheduled_time: selectedSlot
+                party,
+                scheduled_time: selectedSlot,
+                is_senior_pwd: isSeniorPwd,
             });
 
-            setMessage(`Success! Appointment confirmed for ${new Date(selectedSlot).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}.`);
+            setMessage(t('customer.bookingSuccess', { time: fmt.time(selectedSlot) }));
             
             // Optional: Reset form or switch to history view
             setSelectedSlot(null);
             setAvailableSlots([]);
+            setPartyGuests([]);
             setTimeout(() => {
                 setMessage('');
                 setViewMode('history'); // Switch to history so they can see the booking? (Requires history update)
@@ -2392,7 +3501,7 @@ function CustomerView({ session }) {
 
         } catch (error) {
             console.error('Booking failed:', error);
-            setMessage(error.response?.data?.error || 'Booking failed.');
+            setMessage(error.message || t('customer.bookingFailed'), 'error');
         } finally {
             setIsLoading(false);
         }
@@ -2402,9 +3511,9 @@ function CustomerView({ session }) {
         {
             id: 'sea-salt',
             title: "Sea Salt Spray",
-            description: "Achieve that messy, beach-vibes texture instantly.",
-            price: "₱200.00",
-            badge: "BEST SELLER",
+            description: t('ads.seaSaltDescription'),
+            price: 200,
+            badge: t('ads.bestSeller'),
             image: "/IMG_0616.PNG", // REPLACE THIS URL
             theme: { 
                 background: 'linear-gradient(135deg, #fffbeb 0%, #fff3cd 100%)', // Gold Gradient
@@ -2416,9 +3525,9 @@ function CustomerView({ session }) {
         {
             id: 'pomade',
             title: "Pomade Water Based/Oil Based",
-            description: "Slick back style with high shine and all-day control.",
-            price: "₱200.00",
-            badge: "BARBER'S CHOICE",
+            description: t('ads.pomadeDescription'),
+            price: 200,
+            badge: t('ads.barbersChoice'),
             image: "/IMG_0614.PNG", // REPLACE THIS URL
             theme: { 
                 background: 'linear-gradient(135deg, #e3f2fd 0%, #bbdefb 100%)', // Blue Gradient
@@ -2430,9 +3539,9 @@ function CustomerView({ session }) {
         {
             id: 'powder',
             title: "Textured Powder",
-            description: "Instant Volume & Stronghold matte finish.",
-            price: "₱100.00",
-            badge: "NEW ARRIVAL",
+            description: t('ads.powderDescription'),
+            price: 100,
+            badge: t('ads.newArrival'),
             image: "/IMG_0615.PNG", // REPLACE THIS URL
             theme: { 
                 background: 'linear-gradient(135deg, #e8f5e9 0%, #c8e6c9 100%)', // Green Gradient
@@ -2443,26 +3552,18 @@ function CustomerView({ session }) {
         }
     ];
 
-    const CAFE_AD = {
-    name: "Safehouse Cafe",
-    pitch: "Tired of standing? Wait here instead! nearby cafe",
-    perks: "☕ Free WiFi  •   ₱159 Buy1Take1 Milktea  •  Board Games",
-    image: "/sahouselogo.jpg", // Replace with real cafe photo
-    // REPLACE WITH CAFE COORDINATES or Google Maps Link
-    locationLink: "https://maps.app.goo.gl/ETUu5bxPA6t2yuSs6" 
-};
+    const partnerPromo = shop.partner_promo; // Waiting-area partner for this branch (optional)
 
     // --- Effects ---
 
     useEffect(() => {
-    // Only run if we are already in a queue and waiting
-    if (!myQueueEntryId || !joinedBarberId) return;
+    // Only run if we are already in a queue and waiting (the pool already goes to whoever frees up first)
+    if (!myQueueEntryId || !joinedBarberId || joinedBarberId === FIRST_AVAILABLE) return;
 
         const checkOpportunities = async () => {
             try {
                 // 1. Fetch all public barber statuses
-                const res = await axios.get(`${API_URL}/barbers`); //
-                const allBarbers = res.data;
+                const allBarbers = await api.barbers.list(shop.id);
 
                 // 2. Find a barber who is Active, Available, AND has a Rating > 4.0 (optional quality filter)
                 // Note: You might need to fetch their specific queue length if your /api/barbers doesn't return it.
@@ -2474,7 +3575,8 @@ function CustomerView({ session }) {
                 const opportunity = allBarbers.find(b => 
                     b.id.toString() !== currentBarberIdStr && // Not my current barber
                     b.is_active && 
-                    b.is_available // They are marked Online
+                    b.is_available && // They are marked Online
+                    canJoinNow(b.schedule) // ...and still working today
                 );
 
                 // If found, set them as an opportunity
@@ -2488,41 +3590,66 @@ function CustomerView({ session }) {
             }
         };
 
+        checkOpportunities();
         const interval = setInterval(checkOpportunities, 10000); // Check every 10s
         return () => clearInterval(interval);
-    }, [myQueueEntryId, joinedBarberId]);
+    }, [myQueueEntryId, joinedBarberId, shop.id]);
+
+    // --- "Push me back" ---
+    const pushBackLimit = shop.push_back_limit ?? DEFAULT_PUSH_BACK_LIMIT;
+    const pushBackUsesLeft = Math.max(0, pushBackLimit - (myQueueEntry?.push_back_count || 0));
+    const peopleBehind = myQueueEntry ? liveQueue.slice(liveQueue.indexOf(myQueueEntry) + 1).filter(e => !e.is_ghost && !!e.is_vip === !!myQueueEntry.is_vip).length : 0;
+    const handlePushBack = async (places) => {
+        try {
+            const moved = await api.queue.pushBack(myQueueEntryId, session.user.id, places);
+            toast(t('pushBack.done', { count: moved.pushed_back_places, position: moved.position }), { type: 'success' });
+            fetchPublicQueue(joinedBarberId);
+        } catch (err) {
+            toast(err.message || t('pushBack.failed'), { type: 'error' });
+        }
+    };
+
+    // --- Arrival check-in (code from the shop's QR) ---
+    const handleCheckIn = async (code) => {
+        await api.queue.checkIn(myQueueEntryId, code);
+        toast(t('checkIn.done'), { type: 'success' });
+        fetchPublicQueue(joinedBarberId);
+    };
+
+    const handledCheckInLink = useRef(null);
+    useEffect(() => { // Scanned with the phone's own camera app: /checkin/:code
+        if (!checkInLinkCode || handledCheckInLink.current === checkInLinkCode) return;
+        handledCheckInLink.current = checkInLinkCode;
+        if (!myQueueEntryId) {
+            toast(t('checkIn.joinFirst'), { type: 'error' });
+            navigate('/join', { replace: true });
+            return;
+        }
+        api.queue.checkIn(myQueueEntryId, checkInLinkCode)
+            .then(() => toast(t('checkIn.done'), { type: 'success' }))
+            .catch(err => toast(err.message || t('checkIn.failed'), { type: 'error' }))
+            .finally(() => {
+                fetchPublicQueue(joinedBarberId);
+                navigate(`/queue/${myQueueEntryId}`, { replace: true });
+            });
+    }, [checkInLinkCode, myQueueEntryId, joinedBarberId, fetchPublicQueue, navigate, toast, t]);
 
     // FUNCTION: Handle the switch
     const handleSelfTransfer = async () => {
         if (!freeBarber) return;
-        if (!window.confirm(`Switch to ${freeBarber.full_name}? You will lose your spot with your current barber.`)) return;
+        if (!(await confirmDialog({ title: t('customer.switchTitle'), message: t('customer.switchMessage', { name: freeBarber.full_name }), confirmLabel: t('customer.switch') }))) return;
 
         setIsLoading(true);
         try {
-            // OPTION A: The Clean Way (Requires new endpoint in server.js)
-            // await axios.post(`${API_URL}/queue/self-transfer`, { queueId: myQueueEntryId, targetBarberId: freeBarber.id });
-            
-            // OPTION B: The "Hack" Way (Leave & Rejoin using existing endpoints)
-            // 1. Leave current queue
-            await axios.delete(`${API_URL}/queue/${myQueueEntryId}`, { data: { userId: session.user.id } }); //
-            
-            // 2. Join new barber (Re-using your join logic)
-            // Note: You'd need to refactor handleJoinQueue to accept params, or just manually call axios.post('/api/queue'...) here
-            await axios.post(`${API_URL}/queue`, {
-                customer_name: customerName,
-                customer_email: customerEmail,
-                barber_id: freeBarber.id,
-                service_id: selectedServiceId || 1, // You might need to save their service ID in localstorage to preserve it
-                user_id: session.user.id,
-                is_vip: false // Reset VIP on transfer?
-            });
-
-            // 3. Force Reload / Reset State
-            alert(`Switched to ${freeBarber.full_name}!`);
-            window.location.reload(); // Simplest way to reset state for now
-            
+            // One server-side move: the entry keeps its service, photo, VIP, group size, chat and place in line
+            const moved = await api.queue.selfTransfer(myQueueEntryId, freeBarber.id);
+            const newBarberId = moved.barber_id.toString();
+            localStorage.setItem('joinedBarberId', newBarberId);
+            setJoinedBarberId(newBarberId); // re-subscribes the live queue to the new barber
+            setFreeBarber(null);
+            toast(t('customer.switched', { name: freeBarber.full_name, position: moved.position }), { type: 'success' });
         } catch (e) {
-            alert("Failed to switch.");
+            toast(e.message || t('customer.switchFailed'), { type: 'error' });
         } finally {
             setIsLoading(false);
         }
@@ -2534,6 +3661,45 @@ function CustomerView({ session }) {
         }
     }, [viewMode, fetchMyAppointments]);
 
+    // Bookings stay loaded on every tab so reminders can show up as banners, and
+    // follow the barber's reschedule proposals and answers as they happen
+    const refreshMyAppointments = useCallback(() => {
+        if (!session?.user?.id) return;
+        api.appointments.mine(session.user.id)
+            .then(data => setMyAppointments(data || []))
+            .catch(err => console.error('Failed to refresh appointments', err));
+    }, [session?.user?.id]);
+
+    useEffect(() => {
+        if (!session?.user?.id) return;
+        refreshMyAppointments();
+        const channel = supabase.channel(`my_appointments_${session.user.id}`)
+            .on('postgres_changes', { event: '*', schema: 'public', table: 'appointments', filter: `user_id=eq.${session.user.id}` }, refreshMyAppointments)
+            .subscribe();
+        return () => {
+            supabase.removeChannel(channel);
+        };
+    }, [session?.user?.id, refreshMyAppointments]);
+
+    // Waitlist requests, so an offered slot shows up on every tab
+    const refreshMyWaitlist = useCallback(() => {
+        if (!session?.user?.id) return;
+        api.waitlist.mine(session.user.id)
+            .then(data => setMyWaitlist(data || []))
+            .catch(err => console.error('Failed to refresh the waitlist', err));
+    }, [session?.user?.id]);
+
+    useEffect(() => {
+        if (!session?.user?.id) return;
+        refreshMyWaitlist();
+        const channel = supabase.channel(`my_waitlist_${session.user.id}`)
+            .on('postgres_changes', { event: '*', schema: 'public', table: 'appointment_waitlist', filter: `user_id=eq.${session.user.id}` }, refreshMyWaitlist)
+            .subscribe();
+        return () => {
+            supabase.removeChannel(channel);
+        };
+    }, [session?.user?.id, refreshMyWaitlist]);
+
     useEffect(() => {
         const restoreSession = async () => {
             // Only run if we don't have a local ID but we DO have a logged-in user
@@ -2551,12 +3717,12 @@ function CustomerView({ session }) {
                         console.log(`[Recovery] Found active ticket #${activeEntry.id}. Restoring...`);
                         // RESTORE STATE
                         localStorage.setItem('myQueueEntryId', activeEntry.id.toString());
-                        localStorage.setItem('joinedBarberId', activeEntry.barber_id.toString());
+                        localStorage.setItem('joinedBarberId', queueKeyFor(activeEntry));
                         setMyQueueEntryId(activeEntry.id.toString());
-                        setJoinedBarberId(activeEntry.barber_id.toString());
+                        setJoinedBarberId(queueKeyFor(activeEntry));
                         setReferenceImageUrl(activeEntry.reference_image_url || '');
                         setIsChatOpen(true);
-                        fetchPublicQueue(activeEntry.barber_id.toString());
+                        fetchPublicQueue(queueKeyFor(activeEntry));
                     }
                 } catch (err) {
                     console.error("[Recovery] Failed to restore session:", err);
@@ -2567,15 +3733,20 @@ function CustomerView({ session }) {
     }, [session, myQueueEntryId, fetchPublicQueue]);
 
     useEffect(() => {
-        if (joinMode === 'later' && selectedBarberId && selectedServiceId && selectedDate) {
-            setAvailableSlots([]); // Clear old slots while loading
-            axios.get(`${API_URL}/appointments/slots`, {
-                params: { barberId: selectedBarberId, serviceId: selectedServiceId, date: selectedDate }
-            })
-            .then(res => setAvailableSlots(res.data))
-            .catch(err => console.error(err));
+        if (!(joinMode === 'later' && selectedBarberId && selectedServiceId && selectedDate)) {
+            setIsSlotsLoading(false);
+            return;
         }
-    }, [joinMode, selectedBarberId, selectedServiceId, selectedDate]);
+        // A slower answer for an earlier pick must not overwrite the current one
+        let isCancelled = false;
+        setAvailableSlots([]); // Clear old slots while loading
+        setIsSlotsLoading(true);
+        api.appointments.slots({ barberId: selectedBarberId, serviceId: selectedServiceId, serviceIds: headCount > 1 ? partyServiceIds.split(',') : undefined, date: selectedDate })
+            .then(slots => { if (!isCancelled) setAvailableSlots(slots); })
+            .catch(err => console.error(err))
+            .finally(() => { if (!isCancelled) setIsSlotsLoading(false); });
+        return () => { isCancelled = true; };
+    }, [joinMode, selectedBarberId, selectedServiceId, selectedDate, headCount, partyServiceIds]);
 
     useEffect(() => {
         if (viewMode === 'history' && session?.user?.id) {
@@ -2583,19 +3754,18 @@ function CustomerView({ session }) {
         }
     }, [viewMode, session?.user?.id, fetchLoyaltyHistory]);
     useEffect(() => { // Geolocation Watcher + Uploader
-        const BARBERSHOP_LAT = 16.414830431367967;
-        const BARBERSHOP_LON = 120.59712292628716;
-        const DISTANCE_THRESHOLD_METERS = 200;
+        const { latitude: shopLat, longitude: shopLon, arrival_radius_meters: arrivalRadius } = shop;
 
         if (!('geolocation' in navigator)) { console.warn('Geolocation not available.'); return; }
+        if (shopLat == null || shopLon == null) { console.warn(`No coordinates set for ${shop.name}; distance tracking off.`); return; }
 
         if (myQueueEntryId) {
             const onPositionUpdate = (position) => {
                 const { latitude, longitude } = position.coords;
-                const distance = getDistanceInMeters(latitude, longitude, BARBERSHOP_LAT, BARBERSHOP_LON);
+                const distance = getDistanceInMeters(latitude, longitude, shopLat, shopLon);
                 
                 // 1. LOCAL ALERT LOGIC (Existing)
-                if (distance > DISTANCE_THRESHOLD_METERS && displayWait < 15) {
+                if (distance > arrivalRadius && displayWait < 15) {
                     if (!isTooFarModalOpen && !isOnCooldown) {
                         localStorage.setItem('stickyModal', 'tooFar');
                         setIsTooFarModalOpen(true);
@@ -2610,10 +3780,8 @@ function CustomerView({ session }) {
                 const now = Date.now();
                 if (now - lastUploadTime.current > 60000) { 
                     console.log(`[X-Ray] Uploading distance: ${Math.round(distance)}m`);
-                    axios.put(`${API_URL}/queue/location`, {
-                        queueId: myQueueEntryId,
-                        distance: distance
-                    }).catch(err => console.error("Loc upload failed", err));
+                    api.queue.updateLocation(myQueueEntryId, distance)
+                        .catch(err => console.error("Loc upload failed", err));
                     
                     lastUploadTime.current = now;
                 }
@@ -2626,7 +3794,7 @@ function CustomerView({ session }) {
         
         return () => { if (locationWatchId.current) { navigator.geolocation.clearWatch(locationWatchId.current); } };
     
-    }, [myQueueEntryId, isTooFarModalOpen, isOnCooldown, displayWait]);
+    }, [myQueueEntryId, isTooFarModalOpen, isOnCooldown, displayWait, shop]);
 
     useEffect(() => { // First Time Instructions
         const hasSeen = localStorage.getItem('hasSeenInstructions_v1');
@@ -2650,22 +3818,22 @@ function CustomerView({ session }) {
 
     useEffect(() => { // Fetch Services
         const fetchServices = async () => {
-            try { const response = await axios.get(`${API_URL}/services`); setServices(response.data || []); }
+            try { const data = await api.services.list(shop.id); setServices(data || []); }
             catch (error) { console.error('Failed to fetch services:', error); }
         };
         fetchServices();
-    }, []);
+    }, [shop.id]);
 
 
     useEffect(() => { // Fetch Available Barbers
         const loadBarbers = async () => {
-            try { const response = await axios.get(`${API_URL}/barbers`); setBarbers(response.data || []); }
-            catch (error) { console.error('Failed fetch available barbers:', error); setMessage('Could not load barbers.'); setBarbers([]); }
+            try { const data = await api.barbers.list(shop.id); setBarbers(data || []); }
+            catch (error) { console.error('Failed fetch available barbers:', error); setMessage(t('customer.barbersLoadFailed'), 'error'); setBarbers([]); }
         };
         loadBarbers();
         const intervalId = setInterval(loadBarbers, 15000);
         return () => clearInterval(intervalId);
-    }, []);
+    }, [shop.id, setMessage, t]);
 
     // Find this useEffect (around line 1073)
     useEffect(() => { // Blinking Tab Listeners
@@ -2702,12 +3870,13 @@ function CustomerView({ session }) {
 
     useEffect(() => { // Realtime Subscription & Notifications
         if (joinedBarberId) { fetchPublicQueue(joinedBarberId); } else { setLiveQueue([]); setIsQueueLoading(false); }
-        if ("Notification" in window && Notification.permission !== "granted" && Notification.permission !== "denied") { Notification.requestPermission(); }
         let queueChannel = null; let refreshInterval = null;
         if (joinedBarberId && myQueueEntryId && supabase?.channel) {
             console.log(`Subscribing queue changes: barber ${joinedBarberId}`);
-            queueChannel = supabase.channel(`public_queue_${joinedBarberId}`)
-                .on('postgres_changes', { event: '*', schema: 'public', table: 'queue_entries', filter: `barber_id=eq.${joinedBarberId}` }, (payload) => {
+            // The pool has no barber yet, so watch the whole branch until someone calls us
+            const filter = joinedBarberId === FIRST_AVAILABLE ? `shop_id=eq.${shop.id}` : `barber_id=eq.${joinedBarberId}`;
+            queueChannel = supabase.channel(`public_queue_${joinedBarberId}_${shop.id}`)
+                .on('postgres_changes', { event: '*', schema: 'public', table: 'queue_entries', filter }, (payload) => {
                     console.log("Realtime Update Received:", payload);
                     if (payload.eventType === 'UPDATE' && payload.new.id.toString() === myQueueEntryId) {
                         const newStatus = payload.new.status;
@@ -2742,7 +3911,7 @@ function CustomerView({ session }) {
                 })
                 .subscribe((status, err) => {
                     if (status === 'SUBSCRIBED') { console.log('Subscribed to Realtime queue!'); setQueueMessage(''); fetchPublicQueue(joinedBarberId); }
-                    else { console.error('Supabase Realtime error:', status, err); setQueueMessage('Live updates unavailable.'); }
+                    else { console.error('Supabase Realtime error:', status, err); setQueueMessage(t('customer.liveUpdatesUnavailable')); }
                 });
             refreshInterval = setInterval(() => { console.log("Periodic refresh..."); fetchPublicQueue(joinedBarberId); }, 15000);
         }
@@ -2751,16 +3920,16 @@ function CustomerView({ session }) {
             if (queueChannel && supabase?.removeChannel) { supabase.removeChannel(queueChannel).catch(err => console.error("Error removing channel:", err)); }
             if (refreshInterval) { clearInterval(refreshInterval); }
         };
-    }, [joinedBarberId, myQueueEntryId, fetchPublicQueue]);
+    }, [joinedBarberId, myQueueEntryId, fetchPublicQueue, shop.id, t]);
 
     useEffect(() => { // Fetch feedback when barber is selected
-        if (selectedBarberId) {
+        if (selectedBarberId && selectedBarberId !== FIRST_AVAILABLE) {
             console.log(`Fetching feedback for barber ${selectedBarberId}`);
             setBarberFeedback([]);
             const fetchFeedback = async () => {
                 try {
-                    const response = await axios.get(`${API_URL}/feedback/${selectedBarberId}`);
-                    setBarberFeedback(response.data || []);
+                    const data = await api.feedback.forBarber(selectedBarberId);
+                    setBarberFeedback(data || []);
                 } catch (err) {
                     console.error("Failed to fetch barber feedback:", err);
                 }
@@ -2830,14 +3999,14 @@ function CustomerView({ session }) {
         setChatMessagesFromBarber(prev => [...prev, tempMsg]);
 
         try {
-            await axios.post(`${API_URL}/chat/send`, {
+            await api.chat.send({
                 senderId: session.user.id,
                 queueId: myQueueEntryId,
                 message: messageText
             });
         } catch (error) {
             console.error("Failed to send message:", error);
-            setMessage("Failed to send message. Profanity?");
+            setMessage(t('customer.sendFailed'), 'error');
             // Rollback UI if needed, or just show error
         }
     };
@@ -2853,69 +4022,34 @@ function CustomerView({ session }) {
         }
     }, [selectedBarberId, fetchPublicQueue]);
 
-    useEffect(() => { // Smart EWT Calculation (Time-Adjusted)
-        const calculateWaitTime = () => {
-            const newQueue = liveQueue;
-            const myIndexNew = newQueue.findIndex(e => e.id.toString() === myQueueEntryId);
-            
-            // Determine who is ahead of us
-            const peopleAheadNew = myIndexNew !== -1 ? newQueue.slice(0, myIndexNew) : newQueue;
-            
-            const relevantEntries = newQueue.filter(e => e.status === 'Waiting' || e.status === 'Up Next');
-            setPeopleWaiting(relevantEntries.length);
-
-            const now = Date.now();
-
-            // --- THE NEW LOGIC ---
-            const dbWaitMinutes = peopleAheadNew.reduce((sum, entry) => {
-            const duration = entry.services?.duration_minutes || 30;
-            const heads = entry.head_count || 1; // <--- Get group size
-            const totalDuration = duration * heads; // <--- Multiply!
-
-            // If In Progress, we assume (Total Duration - Time Elapsed)
-            if (entry.status === 'In Progress' && entry.updated_at) {
-                const startTime = new Date(entry.updated_at).getTime();
-                const minutesElapsed = (now - startTime) / 60000;
-                const minutesRemaining = Math.max(5, totalDuration - minutesElapsed);
-                return sum + minutesRemaining;
-            }
-
-            // If waiting, add full duration
-            return sum + totalDuration;
-        }, 0);
-            // ---------------------
-
-            const calculatedTarget = now + (dbWaitMinutes * 60000);
+    useEffect(() => { // How long this barber really takes per service
+        const barberId = myQueueEntryId ? joinedBarberId : selectedBarberId;
+        if (!barberId || barberId === FIRST_AVAILABLE) { setDurationRanges({}); return; } // the pool projection has its own
+        let isCancelled = false;
+        api.queue.durations(barberId)
+            .then(data => { if (!isCancelled) setDurationRanges(data || {}); })
+            .catch(err => console.warn('[EWT] Falling back to menu durations:', err.message));
+        return () => { isCancelled = true; };
+    }, [myQueueEntryId, joinedBarberId, selectedBarberId]);
+
+    useEffect(() => { // Wait-time range from real cut times (src/waitTime.js)
+        if (!myQueueEntryId && !selectedBarberId) return;
+        setPeopleWaiting(liveQueue.filter(e => e.status === 'Waiting' || e.status === 'Up Next').length);
+
+        const now = Date.now();
+        const isPool = (myQueueEntryId ? joinedBarberId : selectedBarberId) === FIRST_AVAILABLE;
+        if (isPool && !poolProjection) { setFinishAt(null); return; }
+        const wait = isPool ? poolProjection : estimateWait(liveQueue, { myEntryId: myQueueEntryId, stats: durationRanges, now });
+        const next = finishTimes(wait, now);
+        // Once joined, refresh-to-refresh wobble (mostly the cut in the chair) doesn't move the estimate
+        setFinishAt(prev => (myQueueEntryId ? steadyFinishTimes(prev, next) : next));
+        setClockNow(now);
+    }, [liveQueue, myQueueEntryId, joinedBarberId, selectedBarberId, durationRanges, poolProjection]);
+
+    useEffect(() => { // Survives a reload while in line
+        if (myQueueEntryId && finishAt) localStorage.setItem('waitEstimate', JSON.stringify(finishAt));
+    }, [myQueueEntryId, finishAt]);
 
-            // Logic Split: Browsing vs Joined
-            if (!myQueueEntryId) {
-                // Browsing: Update strictly based on the new "Time-Adjusted" math
-                setFinishTime(calculatedTarget);
-            } 
-            else {
-                // Joined: Apply "Stickiness" to prevent minor jitters
-                const storedTarget = localStorage.getItem('targetFinishTime');
-                let currentTarget = storedTarget ? parseInt(storedTarget, 10) : 0;
-
-                // Update if: No target, Old target passed, or New calculation is FASTER
-                if (!currentTarget || currentTarget < now || calculatedTarget < currentTarget) {
-                    currentTarget = calculatedTarget;
-                    localStorage.setItem('targetFinishTime', currentTarget.toString());
-                    setFinishTime(currentTarget);
-                }
-            }
-            
-            // Update UI Minutes
-            const targetToUse = myQueueEntryId ? parseInt(localStorage.getItem('targetFinishTime') || calculatedTarget) : calculatedTarget;
-            const remainingMins = Math.max(0, Math.ceil((targetToUse - now) / 60000));
-            setDisplayWait(remainingMins);
-        };
-        
-        if (liveQueue.length > 0 || myQueueEntryId) {
-            calculateWaitTime();
-        }
-       
-    }, [liveQueue, myQueueEntryId]);
     // ADD THIS ENTIRE BLOCK BACK
     useEffect(() => { // Modal Button Countdown
         let timerId = null;
@@ -2946,24 +4080,66 @@ function CustomerView({ session }) {
         };
     }, [isServiceCompleteModalOpen, isCancelledModalOpen, isTooFarModalOpen]); // Dependencies are only for the remaining modals
 
-    // --- ADD THIS NEW BLOCK ---
-    useEffect(() => { // UI Re-render Timer (Checks Timestamp)
-        if (!myQueueEntryId) return;
-
-        // Update the UI every 5 seconds to keep the minute accurate
-        const timerId = setInterval(() => { 
-            const storedTarget = localStorage.getItem('targetFinishTime');
-            if (storedTarget) {
-                const target = parseInt(storedTarget, 10);
-                const now = Date.now();
-                // Calculate remaining minutes based on Real Time
-                const remaining = Math.max(0, Math.ceil((target - now) / 60000));
-                setDisplayWait(remaining);
-            }
-        }, 5000); 
-
+    useEffect(() => { // Count the estimate down between queue refreshes
+        if (!finishAt) return;
+        const timerId = setInterval(() => setClockNow(Date.now()), 15000);
         return () => clearInterval(timerId);
-    }, [myQueueEntryId]);
+    }, [finishAt]);
+
+    const selectedService = services.find(s => s.id.toString() === selectedServiceId);
+    const findMenuService = (id) => services.find(s => String(s.id) === String(id));
+    const waitRangeLabel = !finishAt ? t('customer.calculating')
+        : waitMinutes(finishAt.high) === 0 ? t('customer.noWait')
+        : waitMinutes(finishAt.low) === waitMinutes(finishAt.high) ? t('common.minutes', { count: waitMinutes(finishAt.high) })
+        : t('customer.waitRange', { low: waitMinutes(finishAt.low), high: waitMinutes(finishAt.high) });
+    const waitEstimateItem = (
+        <div className="ewt-item">
+            <span>{t('customer.estimatedWait')}</span>
+            <strong>{waitRangeLabel}</strong>
+            {finishAt && waitMinutes(finishAt.high) > 0 && <small>{t('customer.aroundTime', { time: fmt.time(finishAt.typical) })}</small>}
+        </div>
+    );
+    const seniorPwdCheckbox = pricingRules(shop).seniorPwdPercent > 0 && (
+        <label className="checkbox-row">
+            <input type="checkbox" checked={isSeniorPwd} onChange={(e) => setIsSeniorPwd(e.target.checked)} />
+            {t('customer.seniorPwd', { percent: pricingRules(shop).seniorPwdPercent })}
+        </label>
+    );
+    // "On break until 1:00 PM", "Day off" and so on, from the barber's working hours
+    const scheduleHint = (barber) => {
+        const { state, until } = workStatus(barber.schedule);
+        return state === 'working' ? null : t(`schedule.status.${state}`, { time: until ? fmt.time(`${dateKey(new Date())}T${until}`) : '' });
+    };
+    const { freeUntilHours, lateFee } = cancellationPolicy(shop);
+    const cancellationNote = lateFee > 0 ? t('cancellation.policy', { count: freeUntilHours, fee: fmt.money(lateFee) }) : t('cancellation.policyFree');
+
+    const handleCancelAppointment = async (appt) => {
+        const fee = new Date() < new Date(appt.cancellation_terms?.freeUntil) ? 0 : appt.cancellation_terms?.fee || 0;
+        const confirmed = await confirmDialog({
+            title: t('cancellation.title'),
+            message: fee > 0 ? t('cancellation.lateMessage', { fee: fmt.money(fee) }) : t('cancellation.freeMessage'),
+            confirmLabel: t('cancellation.confirm'),
+            cancelLabel: t('barber.keep'),
+            danger: true,
+        });
+        if (!confirmed) return;
+        try {
+            const cancelled = await api.appointments.cancel({ appointmentId: appt.id, userId: session.user.id });
+            toast(cancelled.cancellation_fee_php > 0 ? t('cancellation.doneWithFee', { fee: fmt.money(cancelled.cancellation_fee_php) }) : t('cancellation.done'), { type: 'success' });
+            fetchMyAppointments();
+        } catch (err) {
+            toast(err.message || t('cancellation.failed'), { type: 'error' });
+        }
+    };
+    const handleLeaveWaitlist = async (entry) => {
+        try {
+            await api.waitlist.leave({ waitlistId: entry.id, userId: session.user.id });
+            toast(t('waitlist.left'));
+            refreshMyWaitlist();
+        } catch (err) {
+            toast(err.message || t('waitlist.leaveFailed'), { type: 'error' });
+        }
+    };
     // --- Render Customer View ---
 // App.js (Inside function CustomerView({ session }) { ... })
 
@@ -2975,15 +4151,15 @@ return (
         <div className="modal-overlay" style={{ display: isInstructionsModalOpen ? 'flex' : 'none' }}>
             <div className="modal-content instructions-modal">
                 <div className="modal-body">
-                    <h2>How to Join</h2>
+                    <h2>{t('customer.howToJoin')}</h2>
                     <ol className="instructions-list">
-                        <li>Select your <strong>Service</strong>.</li>
-                        <li>Choose an <strong>Available Barber</strong>.</li>
-                        <li>Click <strong>"Join Queue"</strong> and wait!</li>
+                        <li>{t('customer.howToStep1')} <strong>{t('customer.howToStep1Bold')}</strong>.</li>
+                        <li>{t('customer.howToStep2')} <strong>{t('customer.howToStep2Bold')}</strong>.</li>
+                        <li>{t('customer.howToStep3')} <strong>{t('customer.howToStep3Bold')}</strong> {t('customer.howToStep3After')}</li>
                     </ol>
                 </div>
                 <div className="modal-footer">
-                    <button onClick={handleCloseInstructions} className="btn btn-primary">Got It!</button>
+                    <button onClick={handleCloseInstructions} className="btn btn-primary">{t('customer.gotIt')}</button>
                 </div>
             </div>
         </div>
@@ -2995,31 +4171,31 @@ return (
                     <form className="feedback-form" onSubmit={async (e) => {
                         e.preventDefault();
                         if (customerRating === 0) { 
-                            setMessage('Please select a star rating.'); 
+                            setMessage(t('customer.selectRating'), 'error');
                             return; 
                         }
                         if (feedbackText.trim().length < 1) { 
-                            setMessage('Please leave a short comment.'); 
+                            setMessage(t('customer.leaveComment'), 'error');
                             return; 
                         }
                         
                         try { 
-                            await axios.post(`${API_URL}/feedback`, { 
-                                barber_id: joinedBarberId, 
-                                customer_name: customerName, 
+                            await api.feedback.submit({ 
+                                barberId: joinedBarberId, 
+                                customerName, 
                                 comments: feedbackText.trim(), 
                                 rating: customerRating 
                             }); 
                         } catch (err) { 
                             console.error("Failed to submit feedback", err); 
-                            setMessage('Failed to submit feedback.');
+                            setMessage(t('customer.feedbackFailed'), 'error');
                         }
                         setFeedbackSubmitted(true);
                         setMessage(''); 
                     }}>
                         <div className="modal-body">
-                            <h2>Service Complete!</h2>
-                            <p>Thank you! Please rate your experience with {currentBarberName}:</p>
+                            <h2>{t('customer.serviceComplete')}</h2>
+                            <p>{t('customer.rateExperience', { name: currentBarberName })}</p>
                             
                             {/* NEW: Star Rating Input */}
                             <div className="star-rating-input" style={{fontSize: '2rem', marginBottom: '15px'}}>
@@ -3046,7 +4222,7 @@ return (
                                 boxShadow: 'rgb(30,30,30)'
                             }}>
                                 <div style={{fontSize: '1rem', marginBottom: '10px', color: 'var(--text-primary)'}}>
-                                    🔥 <strong>Maintain your fresh look!</strong>
+                                    🔥 <strong>{t('ads.headline')}</strong>
                                 </div>
 
                                 <div style={{display: 'flex', flexDirection: 'column', gap: '10px'}}>
@@ -3093,18 +4269,18 @@ return (
                                                     {product.title}
                                                 </div>
                                                 <div style={{fontSize: '0.75rem', color: 'black', opacity: 0.8}}>
-                                                    Click for details...
+                                                    {t('ads.clickForDetails')}
                                                 </div>
                                             </div>
 
                                             <div style={{fontWeight: '800', fontSize: '0.95rem', color: product.theme.text, marginLeft: '8px'}}>
-                                                {product.price}
+                                                {fmt.money(product.price)}
                                             </div>
                                         </div>
                                     ))}
                                 </div>
                                 <p style={{margin: '10px 0 0 0', fontSize: '0.75rem', fontStyle: 'italic', color: 'var(--text-secondary)'}}>
-                                    Tap a product to view details
+                                    {t('ads.tapProduct')}
                                 </p>
                             </div>
                             {/* ---------------------------------- */}
@@ -3113,7 +4289,7 @@ return (
                             <textarea 
                                 value={feedbackText} 
                                 onChange={(e) => setFeedbackText(e.target.value)} 
-                                placeholder="How was your cut? (Optional - e.g. 'Great fade!')"
+                                placeholder={t('customer.feedbackPlaceholder')}
                                 style={{
                                     width: '100%',
                                     minHeight: '120px', /* Reasonable height for typing */
@@ -3147,21 +4323,21 @@ return (
                                 className="btn btn-secondary" 
                                 onClick={() => { setFeedbackSubmitted(true); setCustomerRating(0); }} // Skip button action
                             >
-                                Skip
+                                {t('common.skip')}
                             </button>
                             <button type="submit" 
                                 className="btn btn-primary" 
                                 disabled={customerRating === 0 || feedbackText.trim().length < 5}>
-                                Submit Rating
+                                {t('customer.submitRating')}
                             </button>
                         </div>
                     </form>
                 ) : (
                     <>
-                        <div className="modal-body"><h2>Feedback Sent!</h2><p>Thank you for visiting!</p></div>
+                        <div className="modal-body"><h2>{t('customer.feedbackSent')}</h2><p>{t('customer.thanksForVisiting')}</p></div>
                         <div className="modal-footer">
                             <button id="close-complete-modal-btn" onClick={() => handleReturnToJoin(false)} disabled={isModalButtonDisabled} className="btn btn-primary">
-                                {isModalButtonDisabled ? `Please wait (${modalCountdown})...` : 'Okay'}
+                                {isModalButtonDisabled ? t('common.pleaseWait', { count: modalCountdown }) : t('common.okay')}
                             </button>
                         </div>
                     </>
@@ -3172,10 +4348,10 @@ return (
         {/* Cancelled Modal */}
         <div className="modal-overlay" style={{ display: isCancelledModalOpen ? 'flex' : 'none' }}>
             <div className="modal-content">
-                <div className="modal-body"><h2>Appointment Cancelled</h2><p>Your queue entry was cancelled.</p></div>
+                <div className="modal-body"><h2>{t('customer.appointmentCancelled')}</h2><p>{t('customer.entryCancelled')}</p></div>
                 <div className="modal-footer">
                     <button id="close-cancel-modal-btn" onClick={() => handleReturnToJoin(false)} disabled={isModalButtonDisabled} className="btn btn-primary">
-                        {isModalButtonDisabled ? `Please wait (${modalCountdown})...` : 'Okay'}
+                        {isModalButtonDisabled ? t('common.pleaseWait', { count: modalCountdown }) : t('common.okay')}
                     </button>
                 </div>
             </div>
@@ -3184,7 +4360,7 @@ return (
         {/* Too Far Modal */}
         <div className="modal-overlay" style={{ display: isTooFarModalOpen ? 'flex' : 'none' }}>
             <div className="modal-content">
-                <div className="modal-body"><h2>A Friendly Reminder!</h2><p>Hey, please don’t wander off too far...</p></div>
+                <div className="modal-body"><h2>{t('customer.tooFarTitle')}</h2><p>{t('customer.tooFarMessage')}</p></div>
                 <div className="modal-footer">
                     <button id="close-too-far-modal-btn" onClick={() => {
                         setIsTooFarModalOpen(false);
@@ -3194,7 +4370,7 @@ return (
                     }}
                     className="btn btn-primary"
                     >
-                        {isModalButtonDisabled ? `Please wait (${modalCountdown})...` : "Okay, I'll stay close"}
+                        {isModalButtonDisabled ? t('common.pleaseWait', { count: modalCountdown }) : t('customer.stayClose')}
                     </button>
                 </div>
             </div>
@@ -3204,39 +4380,52 @@ return (
         <div className="modal-overlay" style={{ display: isVIPModalOpen ? 'flex' : 'none' }}>
             <div className="modal-content">
                 <div className="modal-body">
-                    <h2>Priority Service Confirmation</h2>
+                    <h2>{t('customer.vipTitle')}</h2>
                     {selectedServiceId && services.find(s => s.id.toString() === selectedServiceId) ? (
-                        <p>You have selected <strong>{services.find(s => s.id.toString() === selectedServiceId).name}</strong>. This VIP priority service incurs an <strong>additional ₱100</strong> fee, guaranteeing you the next "Up Next" slot.</p>
+                        <p>{t('customer.vipSelected')} <strong>{services.find(s => s.id.toString() === selectedServiceId).name}</strong>. {t('customer.vipFeeNotice', { fee: fmt.money(shop.vip_fee_php) })}</p>
                     ) : (
-                        <p>VIP priority service incurs an <strong>additional ₱100</strong> fee, guaranteeing you the next "Up Next" slot. Please ensure you have selected a service.</p>
+                        <p>{t('customer.vipFeeNotice', { fee: fmt.money(shop.vip_fee_php) })} {t('customer.vipSelectService')}</p>
                     )}
-                    {!selectedServiceId && <p className="error-message small">Please select a service first.</p>}
+                    {!selectedServiceId && <p className="error-message small">{t('customer.selectServiceFirst')}</p>}
                 </div>
                 <div className="modal-footer">
-                     <button onClick={cancelVIP} className="btn btn-secondary">Cancel VIP</button>
-                    <button onClick={confirmVIP} disabled={!selectedServiceId} className="btn btn-primary">Confirm (+₱100)</button>
+                     <button onClick={cancelVIP} className="btn btn-secondary">{t('customer.cancelVip')}</button>
+                    <button onClick={confirmVIP} disabled={!selectedServiceId} className="btn btn-primary">{t('customer.confirmVip', { fee: fmt.money(shop.vip_fee_php) })}</button>
                 </div>
             </div>
         </div>
         
         {/* --- MAIN CONTENT START --- */}
         
+        {myWaitlist.filter(entry => isOfferOpen(entry)).map(entry => (
+            <WaitlistOfferBanner key={entry.id} entry={entry} userId={session.user.id} onChanged={() => { refreshMyWaitlist(); refreshMyAppointments(); }} />
+        ))}
+        {myAppointments.filter(appt => awaitsReply(appt)).map(appt => (
+            <ReminderBanner key={appt.id} appointment={appt} userId={session.user.id} onReplied={refreshMyAppointments} onCancel={() => handleCancelAppointment(appt)} />
+        ))}
+
         {/* 1. View Toggle Tabs */}
         <div className="card-header customer-view-tabs">
             <button className={viewMode === 'join' ? 'active' : ''} onClick={() => setViewMode('join')}>
-                Join Queue
+                {t('customer.tabJoin')}
             </button>
             <button className={viewMode === 'appointments' ? 'active' : ''} onClick={() => setViewMode('appointments')}>
-                Appointments
+                {t('customer.tabAppointments')}
             </button>
             <button className={viewMode === 'history' ? 'active' : ''} onClick={() => setViewMode('history')}>
-                My History
+                {t('customer.tabHistory')}
             </button>
         </div>
 
         {/* A. JOIN / BOOKING SECTION */}
         {viewMode === 'join' && !myQueueEntryId && (
             <div className="card-body">
+                {/* 0. BRANCH */}
+                <div className="shop-strip" style={{display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '15px', fontSize: '0.9rem'}}>
+                    <span>📍 <strong>{shop.name}</strong>{shop.address && <span style={{color: 'var(--text-secondary)'}}> · {shop.address}</span>}</span>
+                    {onChangeShop && <button type="button" onClick={onChangeShop} className="btn btn-link-style">{t('customer.changeBranch')}</button>}
+                </div>
+
                 {/* 1. SUB-TABS: NOW vs LATER */}
                 <div className="customer-view-tabs" style={{marginBottom: '20px', borderBottom: '1px solid var(--border-color)', paddingBottom: '10px'}}>
                     <button 
@@ -3244,102 +4433,72 @@ return (
                         onClick={() => setJoinMode('now')}
                         style={{flex: 1, textAlign: 'center'}}
                     >
-                        ⚡ Join Queue Now
+                        ⚡ {t('customer.joinNow')}
                     </button>
                     <button 
                         className={joinMode === 'later' ? 'active' : ''} 
-                        onClick={() => setJoinMode('later')}
+                        onClick={() => { setJoinMode('later'); if (selectedBarberId === FIRST_AVAILABLE) setSelectedBarberId(''); }} // appointments need a named barber
                         style={{flex: 1, textAlign: 'center'}}
                     >
-                        📅 Book Appointment
+                        📅 {t('customer.bookAppointment')}
                     </button>
                 </div>
 
                 {/* 2. SHARED INPUTS (Name, Email) */}
-                <div className="form-group"><label>Your Name:</label><input type="text" value={customerName} required readOnly className="prefilled-input" /></div>
-                <div className="form-group"><label>Your Email:</label><input type="email" value={customerEmail} readOnly className="prefilled-input" /></div>
+                <div className="form-group"><label>{t('customer.yourName')}</label><input type="text" value={customerName} required readOnly className="prefilled-input" /></div>
+                <div className="form-group"><label>{t('customer.yourEmail')}</label><input type="email" value={customerEmail} readOnly className="prefilled-input" /></div>
 
                 {/* --- OPTION A: JOIN NOW FORM (Full Logic) --- */}
                 {joinMode === 'now' && (
                     <form onSubmit={handleJoinQueue}>
-                        <div className="form-group"><label>Select Service:</label><select value={selectedServiceId} onChange={(e) => setSelectedServiceId(e.target.value)} required><option value="">-- Choose service --</option>{services.map((service) => (<option key={service.id} value={service.id}>{service.name} ({service.duration_minutes} min / ₱{service.price_php})</option>))}</select></div>
-                        <div className="form-group">
-                            <label>Group Size (Number of Heads):</label>
-                            
-                            {/* --- NEW STEPPER UI --- */}
-                            <div className="stepper-wrapper">
-                                <button 
-                                    type="button" 
-                                    className="btn-stepper"
-                                    onClick={() => setHeadCount(prev => Math.max(1, prev - 1))}
-                                >
-                                    −
-                                </button>
-                                <span className="stepper-count">{headCount}</span>
-                                <button 
-                                    type="button" 
-                                    className="btn-stepper"
-                                    onClick={() => setHeadCount(prev => prev + 1)}
-                                >
-                                    +
-                                </button>
-                            </div>
-                            
-                            {/* --- DYNAMIC INFO / WARNING --- */}
-                            <div style={{marginTop: '10px'}}>
-                                {headCount > 1 ? (
-                                    <div className="message warning small" style={{textAlign:'left'}}>
-                                        <strong style={{display:'block', marginBottom:'4px'}}>👥 Group Booking Details:</strong>
-                                        <ul style={{margin:0, paddingLeft:'20px'}}>
-                                            <li>This will book <strong>{headCount} slots</strong> back-to-back.</li>
-                                            <li>
-                                                Total Duration: <strong>
-                                                    {services.find(s => s.id.toString() === selectedServiceId)?.duration_minutes * headCount || 0} mins
-                                                </strong>.
-                                            </li>
-                                            <li style={{color: 'var(--error-color)', fontWeight: 'bold', marginTop:'5px'}}>
-                                                Note: Everyone must get the same service. 
-                                                <span style={{fontWeight:'normal', color:'var(--text-primary)'}}> If guests want different services, please join the queue individually.</span>
-                                            </li>
-                                        </ul>
-                                    </div>
-                                ) : (
-                                    <p className="message small">Booking for 1 person.</p>
-                                )}
-                            </div>
-                        </div>
+                        <div className="form-group"><label htmlFor="join-service">{t('customer.selectService')}</label><select id="join-service" value={selectedServiceId} onChange={(e) => setSelectedServiceId(e.target.value)} required><option value="">{t('customer.chooseService')}</option>{services.map((service) => (<option key={service.id} value={service.id}>{t('customer.serviceOption', { name: service.name, minutes: service.duration_minutes, price: fmt.money(service.price_php) })}</option>))}</select></div>
+                        <PartyEditor services={services} leadServiceId={selectedServiceId} guests={partyGuests} onChange={setPartyGuests} />
                         {/* VIP Toggle */}
                         {selectedServiceId && (
                             <div className="form-group vip-toggle-group">
-                                <label>Service Priority:</label>
+                                <label>{t('customer.servicePriority')}</label>
                                 <div className="priority-toggle-control">
-                                    <button type="button" className={`priority-option ${!isVIPToggled ? 'active' : ''}`} onClick={() => setIsVIPToggled(false)}>No Priority</button>
-                                    <button type="button" className={`priority-option ${isVIPToggled ? 'active vip' : ''}`} onClick={() => handleVIPToggle({ target: { checked: true } })} disabled={isVIPToggled}>VIP Priority (+₱100)</button>
+                                    <button type="button" className={`priority-option ${!isVIPToggled ? 'active' : ''}`} onClick={() => setIsVIPToggled(false)}>{t('customer.noPriority')}</button>
+                                    <button type="button" className={`priority-option ${isVIPToggled ? 'active vip' : ''}`} onClick={() => handleVIPToggle({ target: { checked: true } })} disabled={isVIPToggled}>{t('customer.vipPriority', { fee: fmt.money(shop.vip_fee_php) })}</button>
                                 </div>
-                                {isVIPToggled && (<p className="success-message small">VIP Priority is active. You will be placed Up Next.</p>)}
+                                {isVIPToggled && (<p className="success-message small">{t('customer.vipActive')}</p>)}
+                            </div>
+                        )}
+                        {selectedService && (
+                            <div className="form-group">
+                                {seniorPwdCheckbox}
+                                <PriceBreakdown
+                                    breakdown={priceBreakdown(shop, { items: partyItems({ party }, findMenuService), isVip: isVIPToggled, isSeniorPwd })}
+                                    totalLabel={t('pricing.estimatedTotal')}
+                                />
                             </div>
                         )}
                         
                         {/* Photo Upload */}
                         <div className="form-group photo-upload-group">
-                            <label>Desired Haircut Photo (Optional):</label>
+                            <label>{t('customer.photoLabel')}</label>
                             <input type="file" accept="image/*" onChange={handleFileChange} disabled={isUploading} id="file-upload" className="file-upload-input" />
-                            <label htmlFor="file-upload" className="btn btn-secondary btn-icon-label file-upload-label"><IconUpload />{selectedFile ? selectedFile.name : 'Choose a file...'}</label>
+                            <label htmlFor="file-upload" className="btn btn-secondary btn-icon-label file-upload-label"><IconUpload />{selectedFile ? selectedFile.name : t('customer.chooseFile')}</label>
                             <button type="button" onClick={() => handleUploadPhoto(null)} disabled={!selectedFile || isUploading || referenceImageUrl} className="btn btn-secondary btn-icon-label">
                                 {isUploading ? <Spinner /> : <IconUpload />}
-                                {isUploading ? 'Uploading...' : (referenceImageUrl ? 'Photo Attached' : 'Upload Photo')}
+                                {isUploading ? t('customer.uploading') : (referenceImageUrl ? t('customer.photoAttached') : t('customer.uploadPhoto'))}
                             </button>
-                            {referenceImageUrl && <p className="success-message small">Photo ready. <a href={referenceImageUrl} target="_blank" rel="noopener noreferrer">View Photo</a></p>}
+                            {referenceImageUrl && <p className="success-message small">{t('customer.photoReady')} <a href={referenceImageUrl} target="_blank" rel="noopener noreferrer">{t('customer.viewPhoto')}</a></p>}
                         </div>
 
                         {/* Barber Selection */}
                         <div className="form-group">
-                            <label>Select Available Barber:</label>
+                            <label>{t('customer.selectAvailableBarber')}</label>
                             {barbers.length > 0 ? (
                                 <div className="barber-selection-list">
+                                    <button type="button" className={`barber-card first-available-card ${selectedBarberId === FIRST_AVAILABLE ? 'selected' : ''}`} onClick={() => setSelectedBarberId(FIRST_AVAILABLE)}>
+                                        <span className="barber-name">⚡ {t('customer.firstAvailable')}</span>
+                                        <span className="small">{t('customer.firstAvailableHint')}</span>
+                                    </button>
                                     {barbers.map((barber) => (
-                                        <button type="button" key={barber.id} className={`barber-card ${selectedBarberId === barber.id.toString() ? 'selected' : ''}`} onClick={() => setSelectedBarberId(barber.id.toString())}>
+                                        <button type="button" key={barber.id} className={`barber-card ${selectedBarberId === barber.id.toString() ? 'selected' : ''}`} onClick={() => setSelectedBarberId(barber.id.toString())} disabled={!canJoinNow(barber.schedule)}>
                                             <span className="barber-name">{barber.full_name}</span>
+                                            {scheduleHint(barber) && <span className="small schedule-status">{scheduleHint(barber)}</span>}
                                             <div className="barber-rating">
                                                 <span className="star-icon">⭐</span>
                                                 <span className="score-text">{parseFloat(barber.average_score).toFixed(1)}</span>
@@ -3348,13 +4507,13 @@ return (
                                         </button>
                                     ))}
                                 </div>
-                            ) : (<p className="empty-text">No barbers are available right now.</p>)}
+                            ) : (<p className="empty-text">{t('customer.noBarbersAvailable')}</p>)}
                             <input type="hidden" value={selectedBarberId} required />
                         </div>
 
                         {/* Feedback List */}
-                        {selectedBarberId && (<div className="feedback-list-container customer-feedback">
-                            <h3 className="feedback-subtitle">Recent Feedback</h3>
+                        {selectedBarberId && selectedBarberId !== FIRST_AVAILABLE && (<div className="feedback-list-container customer-feedback">
+                            <h3 className="feedback-subtitle">{t('analytics.recentFeedback')}</h3>
                             <ul className="feedback-list">
                                 {barberFeedback.length > 0 ? (barberFeedback.map((item, index) => (
                                     <li key={index} className="feedback-item">
@@ -3368,23 +4527,24 @@ return (
                                                 </span>
                                             </span>
                                             <span className="feedback-customer">
-                                                {item.customer_name || 'Customer'}
+                                                {item.customer_name || t('auth.roleCustomer')}
                                             </span>
                                         </div>
                                         {item.comments && <p className="feedback-comment">"{item.comments}"</p>}
                                     </li>
-                                ))) : (<p className="empty-text">No feedback yet for this barber.</p>)}</ul></div>)}
+                                ))) : (<p className="empty-text">{t('customer.noBarberFeedback')}</p>)}</ul></div>)}
 
                         {/* EWT Display */}
                         {isQueueLoading && selectedBarberId ? (<div className="ewt-container skeleton-ewt"><SkeletonLoader height="40px" /></div>) : (selectedBarberId && (<div className="ewt-container">
-                            <div className="ewt-item"><span>Currently waiting</span><strong>{peopleWaiting} {peopleWaiting === 1 ? 'person' : 'people'}</strong></div>
-                            <div className="ewt-item"><span>Expected Time</span><strong>{finishTime > 0 ? new Date(finishTime).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' }) : 'Calculating...'}</strong></div>
+                            <div className="ewt-item"><span>{t('customer.currentlyWaiting')}</span><strong>{t('customer.peopleCount', { count: peopleWaiting })}</strong></div>
+                            {waitEstimateItem}
+                            {selectedBarberId === FIRST_AVAILABLE && likelyBarber && <p className="small">{t('customer.likelyBarber', { name: likelyBarber.full_name })}</p>}
                         </div>))}
 
-                        {isIOsDevice() && (<p className="message warning small"><b>iPhone Users:</b> Push alerts and sounds are not supported. Please keep this tab open and watch your email for notifications!</p>)}
+                        {isIOsDevice() && (<p className="message warning small"><b>{t('customer.iphoneUsers')}</b> {t('customer.iphoneWarning')}</p>)}
                         
                         <button type="submit" disabled={isLoading || !selectedBarberId || barbers.length === 0 || isUploading} className="btn btn-primary btn-full-width" style={{marginTop: '20px'}}>
-                            {isLoading ? <Spinner /> : 'Join Queue Now'}
+                            {isLoading ? <Spinner /> : t('customer.joinNow')}
                         </button>
                     </form>
                 )}
@@ -3392,12 +4552,13 @@ return (
                 {/* --- OPTION B: BOOK LATER FORM (New Logic) --- */}
                 {joinMode === 'later' && (
                     <form onSubmit={handleBooking}>
-                        <div className="form-group"><label>Select Service:</label><select value={selectedServiceId} onChange={(e) => setSelectedServiceId(e.target.value)} required><option value="">-- Choose service --</option>{services.map((service) => (<option key={service.id} value={service.id}>{service.name} ({service.duration_minutes} min / ₱{service.price_php})</option>))}</select></div>
+                        <div className="form-group"><label htmlFor="booking-service">{t('customer.selectService')}</label><select id="booking-service" value={selectedServiceId} onChange={(e) => setSelectedServiceId(e.target.value)} required><option value="">{t('customer.chooseService')}</option>{services.map((service) => (<option key={service.id} value={service.id}>{t('customer.serviceOption', { name: service.name, minutes: service.duration_minutes, price: fmt.money(service.price_php) })}</option>))}</select></div>
+                        <PartyEditor services={services} leadServiceId={selectedServiceId} guests={partyGuests} onChange={setPartyGuests} />
 
                         <div className="form-group">
-                            <label>Select Barber:</label>
-                            <select value={selectedBarberId} onChange={(e) => setSelectedBarberId(e.target.value)} required>
-                                <option value="">-- Choose Barber --</option>
+                            <label htmlFor="booking-barber">{t('customer.selectBarber')}</label>
+                            <select id="booking-barber" value={selectedBarberId} onChange={(e) => setSelectedBarberId(e.target.value)} required>
+                                <option value="">{t('customer.chooseBarber')}</option>
                                 {barbers.map(b => (
                                     <option key={b.id} value={b.id}>{b.full_name}</option>
                                 ))}
@@ -3405,8 +4566,9 @@ return (
                         </div>
 
                         <div className="form-group">
-                            <label>Select Date:</label>
+                            <label htmlFor="booking-date">{t('customer.selectDate')}</label>
                             <input 
+                                id="booking-date"
                                 type="date" 
                                 value={selectedDate} 
                                 min={getTomorrowDate()}   // <--- CHANGE THIS PART
@@ -3415,12 +4577,12 @@ return (
                             />
                         </div>
                         <div className="form-group">
-                            <label>Available Time Slots:</label>
+                            <label>{t('customer.availableSlots')}</label>
                             {!selectedBarberId || !selectedServiceId ? (
-                                <p className="message small">Select a Service and Barber to see times.</p>
+                                <p className="message small">{t('customer.selectForSlots')}</p>
                             ) : (
                                 <div className="slots-grid" style={{display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(80px, 1fr))', gap: '10px', marginTop: '10px'}}>
-                                    {availableSlots.length > 0 ? availableSlots.map(slot => (
+                                    {isSlotsLoading ? <Spinner /> : availableSlots.length > 0 ? availableSlots.map(slot => (
                                         <button 
                                             type="button" 
                                             key={slot} 
@@ -3428,60 +4590,40 @@ return (
                                             onClick={() => setSelectedSlot(slot)}
                                             style={{fontSize: '0.8rem', padding: '8px'}}
                                         >
-                                            {new Date(slot).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}
+                                            {fmt.time(slot)}
                                         </button>
                                     )) : (
-                                        <p className="empty-text" style={{gridColumn: '1/-1'}}>No slots available for this date.</p>
+                                        <p className="empty-text" style={{gridColumn: '1/-1'}}>{t('customer.noSlots')}</p>
                                     )}
                                 </div>
                             )}
+                            {selectedBarberId && selectedServiceId && !isSlotsLoading && availableSlots.length === 0 && (
+                                <WaitlistJoinForm
+                                    key={`${selectedBarberId}-${selectedDate}`}
+                                    barber={barbers.find(b => String(b.id) === String(selectedBarberId))}
+                                    date={selectedDate}
+                                    request={{ customer_name: customerName, customer_email: customerEmail, user_id: session?.user?.id, barber_id: selectedBarberId, service_id: selectedServiceId, party, is_senior_pwd: isSeniorPwd }}
+                                    onJoined={refreshMyWaitlist}
+                                />
+                            )}
                         </div>
-                        {selectedServiceId && (
-                            <div style={{
-                                marginTop: '15px',
-                                padding: '12px',
-                                background: 'rgba(255, 149, 0, 0.1)', // Orange background
-                                border: '1px solid var(--primary-orange)',
-                                borderRadius: '8px',
-                                color: 'var(--primary-orange)',
-                                fontSize: '0.9rem',
-                                textAlign: 'center'
-                            }}>
-                                <div style={{display: 'flex', justifyContent: 'space-between', marginBottom: '5px'}}>
-                                    <span>Service Price:</span>
-                                    <strong>₱{services.find(s => s.id.toString() === selectedServiceId)?.price_php}</strong>
-                                </div>
-                                <div style={{display: 'flex', justifyContent: 'space-between', marginBottom: '5px'}}>
-                                    <span>Appointment Fee:</span>
-                                    <strong>+ ₱100.00</strong>
-                                </div>
-                                <hr style={{borderColor: 'rgba(255, 149, 0, 0.3)', margin: '5px 0'}} />
-                                <div style={{display: 'flex', justifyContent: 'space-between', fontSize: '1.1rem'}}>
-                                    <strong>Total Estimate:</strong>
-                                    <strong>
-                                        ₱{(parseFloat(services.find(s => s.id.toString() === selectedServiceId)?.price_php || 0) + 100).toFixed(2)}
-                                    </strong>
-                                </div>
-                                <p style={{margin: '8px 0 0 0', fontSize: '0.75rem', opacity: 0.8}}>
-                                    *Fee guarantees your time slot. Payable at the shop.
-                                </p>
+                        {selectedService && (
+                            <div className="form-group">
+                                {seniorPwdCheckbox}
+                                <PriceBreakdown
+                                    breakdown={priceBreakdown(shop, { items: partyItems({ party }, findMenuService), isAppointment: true, isSeniorPwd, at: selectedSlot || undefined })}
+                                    totalLabel={t('customer.totalEstimate')}
+                                    note={`${t('customer.feeNote')} ${cancellationNote}`}
+                                />
                             </div>
                         )}
                         <button type="submit" disabled={isLoading || !selectedSlot} className="btn btn-primary btn-full-width" style={{marginTop: '20px'}}>
-                            {isLoading ? <Spinner /> : 'Confirm Booking'}
+                            {isLoading ? <Spinner /> : t('customer.confirmBooking')}
                         </button>
                     </form>
                 )}
                 
-                {/* FIX: improved message coloring logic */}
-                {message && (
-                    <p className={`message ${
-                        message.toLowerCase().includes('success') ? 'success' : 
-                        /failed|error|required|taken|invalid|missing|please|cannot/i.test(message) ? 'error' : 'success'
-                    }`}>
-                        {message}
-                    </p>
-                )}
+                {message && <p className={`message ${messageType}`}>{message}</p>}
             </div>
         )}
 
@@ -3489,17 +4631,17 @@ return (
         {viewMode === 'join' && myQueueEntryId && (
             <div className="live-queue-view card-body">
                 {/* --- YOUR LIVE QUEUE CONTENT GOES HERE --- */}
-                {myQueueEntry?.status === 'In Progress' && (<div className="status-banner in-progress-banner"><h2><IconCheck /> It's Your Turn!</h2><p>The barber is calling you now.</p></div>)}
+                {myQueueEntry?.status === 'In Progress' && (<div className="status-banner in-progress-banner"><h2><IconCheck /> {t('customer.yourTurn')}</h2><p>{t('customer.barberCalling')}</p></div>)}
                 {myQueueEntry?.status === 'Up Next' && (<div className={`status-banner up-next-banner ${myQueueEntry.is_confirmed ? 'confirmed-pulse' : ''}`}>
-                    <h2><IconNext /> You're Up Next!</h2>
+                    <h2><IconNext /> {t('customer.upNext')}</h2>
                     {optimisticMessage ? (<p className="success-message small" style={{textAlign: 'center'}}>{optimisticMessage}</p>) : (!myQueueEntry.is_confirmed ? (
                         <>
-                            <p>Please confirm you are ready to take the chair.</p>
+                            <p>{t('customer.confirmReady')}</p>
                             <button className="btn btn-primary btn-full-width" style={{ marginTop: '10px' }} onClick={async () => {
-                                setOptimisticMessage("Sending confirmation...");
+                                setOptimisticMessage(t('customer.sendingConfirmation'));
                                 try {
-                                    await axios.put(`${API_URL}/queue/confirm`, { queueId: myQueueEntryId });
-                                    setOptimisticMessage("✅ Confirmation Sent! Head to the shop.");
+                                    await api.queue.confirm(myQueueEntryId);
+                                    setOptimisticMessage(`✅ ${t('customer.confirmationSent')}`);
                                     setTimeout(() => {
                                         fetchPublicQueue(joinedBarberId);
                                         setOptimisticMessage(null);
@@ -3507,11 +4649,11 @@ return (
                                 } catch (err) {
                                     setOptimisticMessage(null);
                                     console.error("Confirm failed", err);
-                                    setMessage("Error: Could not confirm attendance. Please try again.");
+                                    setMessage(t('customer.confirmFailed'), 'error');
                                 }
-                            }}>I'm Coming! 🏃‍♂️</button>
+                            }}>{t('customer.imComing')} 🏃‍♂️</button>
                         </>
-                    ) : (<p><strong>✅ Confirmed!</strong> The barber knows you are coming. Please enter the shop now.</p>))}
+                    ) : (<p><strong>✅ {t('customer.confirmed')}</strong> {t('customer.barberKnows')}</p>))}
                 </div>)}
                 {/* OPPORTUNITY BANNER */}
                 {freeBarber && (
@@ -3530,10 +4672,10 @@ return (
                     }}>
                         <div style={{display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '5px'}}>
                             <span style={{fontSize: '1.5rem'}}>⚡</span>
-                            <h3 style={{margin: 0, fontSize: '1.1rem', fontWeight: '800'}}>Faster Seat Available!</h3>
+                            <h3 style={{margin: 0, fontSize: '1.1rem', fontWeight: '800'}}>{t('customer.fasterSeat')}</h3>
                         </div>
                         <p style={{margin: '0 0 10px 0', fontSize: '0.9rem'}}>
-                            <strong>{freeBarber.full_name}</strong> is free right now.
+                            <strong>{freeBarber.full_name}</strong> {t('customer.isFreeNow')}
                         </p>
                         <button 
                             onClick={handleSelfTransfer}
@@ -3546,26 +4688,37 @@ return (
                                 width: '100%'
                             }}
                         >
-                            Switch to {freeBarber.full_name}
+                            {t('customer.switchTo', { name: freeBarber.full_name })}
                         </button>
                     </div>
                 )}
-                <h2>Live Queue for {joinedBarberId ? currentBarberName : '...'}</h2>
+                <h2>{t('customer.liveQueueFor', { name: joinedBarberId ? currentBarberName : '...' })}</h2>
+                {isInPool && <p className="small">{likelyBarber ? t('customer.likelyBarber', { name: likelyBarber.full_name }) : t('customer.poolWaiting')}</p>}
                 <div className="queue-number-display">
-                    Your Queue Number is: 
+                    {t('customer.yourNumber')}
                     <strong>#{liveQueue.find(e => e.id.toString() === myQueueEntryId)?.daily_number || myQueueEntryId}</strong>
                 </div>
                 <div className="current-serving-display">
-                    <div className="serving-item now-serving"><span>Now Serving</span><strong>{nowServing ? `Customer #${nowServing.id}` : '---'}</strong></div>
-                    <div className="serving-item up-next"><span>Up Next</span><strong>{upNext ? `Customer #${upNext.id}` : '---'}</strong></div>
+                    <div className="serving-item now-serving"><span>{t('barber.nowServing')}</span><strong>{nowServing ? t('barber.customerNumber', { id: nowServing.id }) : '---'}</strong></div>
+                    <div className="serving-item up-next"><span>{t('barber.upNext')}</span><strong>{upNext ? t('barber.customerNumber', { id: upNext.id }) : '---'}</strong></div>
                 </div>
                 {queueMessage && <p className="message error">{queueMessage}</p>}
                 <div className="ewt-container">
-                    <div className="ewt-item"><span>Currently waiting</span><strong>{peopleWaiting} {peopleWaiting === 1 ? 'person' : 'people'}</strong></div>
-                    <div className="ewt-item"><span>Expected Time</span><strong>{finishTime > 0 ? new Date(finishTime).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' }) : 'Calculating...'}</strong></div>
+                    <div className="ewt-item"><span>{t('customer.currentlyWaiting')}</span><strong>{t('customer.peopleCount', { count: peopleWaiting })}</strong></div>
+                    {waitEstimateItem}
                 </div>
+                {isQueueUpdateAllowed && <ArrivalCheckIn entry={myQueueEntry} onCheckIn={handleCheckIn} />}
+                {isQueueUpdateAllowed && pushBackLimit > 0 && <PushBackCard peopleBehind={peopleBehind} usesLeft={pushBackUsesLeft} onPushBack={handlePushBack} />}
+                {myQueueEntry && <TrackingLinkCard queueId={myQueueEntryId} userId={session.user.id} />}
+                {myQueueEntry && (
+                    <details className="arrival-checkin">
+                        <summary>🕒 {t('timeline.title')}</summary>
+                        <EntryTimeline queueId={myQueueEntryId} />
+                    </details>
+                )}
+                {partnerPromo && (
                 <div 
-                onClick={() => window.open(CAFE_AD.locationLink, '_blank')}
+                onClick={() => window.open(partnerPromo.location_link, '_blank')}
                 style={{
                     margin: '15px 0',
                     background: 'linear-gradient(to right, #3e2723, #5d4037)', // Coffee Brown Gradient
@@ -3585,7 +4738,7 @@ return (
                     padding: '2px 6px', borderRadius: '4px',
                     zIndex: 2
                 }}>
-                    WAITING AREA PARTNER
+                    {t('customer.partnerBadge')}
                 </div>
 
                 <div style={{display: 'flex', alignItems: 'center'}}>
@@ -3593,7 +4746,7 @@ return (
                     <div style={{
                         width: '100px', 
                         height: '100px', 
-                        background: `url(${CAFE_AD.image}) center/cover no-repeat`,
+                        background: `url(${partnerPromo.image}) center/cover no-repeat`,
                         flexShrink: 0
                     }}></div>
 
@@ -3607,10 +4760,10 @@ return (
                             letterSpacing: '2px', /* Blanka looks better with spacing */
                             textTransform: 'uppercase'
                         }}>
-                            ☕ {CAFE_AD.name}
+                            ☕ {partnerPromo.name}
                         </h4>
                         <p style={{margin: 0, fontSize: '0.8rem', color: '#d7ccc8', lineHeight: '1.3'}}>
-                            {CAFE_AD.pitch}
+                            {partnerPromo.pitch}
                         </p>
                         <div style={{
                             marginTop: '6px', 
@@ -3618,7 +4771,7 @@ return (
                             color: '#ffc107', 
                             fontWeight: '600'
                         }}>
-                            {CAFE_AD.perks}
+                            {partnerPromo.perks}
                         </div>
                         
                         {/* CTA Button Lookalike */}
@@ -3631,11 +4784,12 @@ return (
                             fontSize: '0.7rem',
                             color: 'white'
                         }}>
-                            📍 Tap for Location
+                            📍 {t('customer.tapForLocation')}
                         </div>
                     </div>
                 </div>
             </div>
+                )}
                 <ul className="queue-list live">
                     {isQueueLoading ? (
                         <>
@@ -3644,7 +4798,7 @@ return (
                             <li className="skeleton-li"><SkeletonLoader height="25px" /></li>
                         </>
                     ) : (!isQueueLoading && liveQueue.length === 0 && !queueMessage ? (
-                        <li className="empty-text">Queue is empty.</li>
+                        <li className="empty-text">{t('customer.queueEmpty')}</li>
                     ) : (
                         liveQueue.map((entry, index) => {
                             // --- GHOST SLOT RENDER ---
@@ -3653,7 +4807,7 @@ return (
                                     <li key={entry.id} className="queue-item ghost-slot" style={{display:'flex', justifyContent:'space-between', alignItems:'center', padding:'12px 10px'}}>
                                         <div className="queue-item-info">
                                             <span style={{color:'var(--text-secondary)', marginRight:'5px'}}>{index + 1}.</span>
-                                            <strong style={{color:'var(--text-secondary)'}}>📅 {entry.display_time} - Reserved</strong>
+                                            <strong style={{color:'var(--text-secondary)'}}>📅 {t('customer.reservedSlot', { time: entry.display_time })}</strong>
                                         </div>
                                         <span className="status-badge" style={{
                                             background:'rgba(128, 128, 128, 0.1)', 
@@ -3663,7 +4817,7 @@ return (
                                             padding:'2px 8px',
                                             borderRadius:'4px'
                                         }}>
-                                            Booked
+                                            {t('customer.booked')}
                                         </span>
                                     </li>
                                 );
@@ -3675,12 +4829,12 @@ return (
                                     <div className="queue-item-info">
                                         <span>{index + 1}. </span>
                                         {entry.id.toString() === myQueueEntryId ? (
-                                            <strong>You ({entry.customer_name})</strong>
+                                            <strong>{t('customer.you', { name: entry.customer_name })}</strong>
                                         ) : (
                                             <span>{entry.customer_name}</span>
                                         )}
                                     </div>
-                                    <span className="public-queue-status">{entry.status}</span>
+                                    <span className="public-queue-status">{t(statusKey(entry.status))}</span>
                                 </li>
                             );
                         })
@@ -3688,15 +4842,15 @@ return (
                 </ul>
                     <div className="live-queue-actions">
                     {isQueueUpdateAllowed && (<div className="form-group photo-upload-group live-update-group">
-                        <label>Update Haircut Photo:</label>
+                        <label>{t('customer.updatePhoto')}</label>
                         <input type="file" accept="image/*" onChange={handleFileChange} disabled={isUploading} id="file-upload-update" className="file-upload-input" />
-                        <label htmlFor="file-upload-update" className="btn btn-secondary btn-icon-label file-upload-label"><IconUpload />{selectedFile ? selectedFile.name : 'Choose a file...'}</label>
+                        <label htmlFor="file-upload-update" className="btn btn-secondary btn-icon-label file-upload-label"><IconUpload />{selectedFile ? selectedFile.name : t('customer.chooseFile')}</label>
                         <button type="button" onClick={() => handleUploadPhoto(myQueueEntryId)} disabled={!selectedFile || isUploading} className="btn btn-secondary btn-icon-label">
                             {isUploading ? <Spinner /> : <IconUpload />}
-                            {isUploading ? 'Uploading...' : 'Replace Photo'}
+                            {isUploading ? t('customer.uploading') : t('customer.replacePhoto')}
                         </button>
-                        {myQueueEntry?.reference_image_url && <p className="success-message small">Current Photo: <a href={myQueueEntry.reference_image_url} target="_blank" rel="noopener noreferrer">View</a></p>}
-                        {referenceImageUrl && referenceImageUrl !== myQueueEntry?.reference_image_url && <p className="success-message small">New photo uploaded.</p>}
+                        {myQueueEntry?.reference_image_url && <p className="success-message small">{t('customer.currentPhoto')} <a href={myQueueEntry.reference_image_url} target="_blank" rel="noopener noreferrer">{t('common.view')}</a></p>}
+                        {referenceImageUrl && referenceImageUrl !== myQueueEntry?.reference_image_url && <p className="success-message small">{t('customer.newPhotoUploaded')}</p>}
                     </div>)}
                     <div className="chat-section">
                         {!isChatOpen && myQueueEntryId && (<button onClick={() => {
@@ -3704,27 +4858,27 @@ return (
                                 setIsChatOpen(true);
                                 setHasUnreadFromBarber(false);
                                 localStorage.removeItem('hasUnreadFromBarber');
-                            } else { console.error("Barber user ID missing."); setMessage("Cannot initiate chat."); }
+                            } else { console.error("Barber user ID missing."); setMessage(t('customer.chatUnavailable'), 'error'); }
                         }} className="btn btn-secondary btn-full-width btn-icon-label chat-toggle-button">
-                            <IconChat />Chat with Barber{hasUnreadFromBarber && (<span className="notification-badge"></span>)}</button>)}
+                            <IconChat />{t('customer.chatWithBarber')}{hasUnreadFromBarber && (<span className="notification-badge"></span>)}</button>)}
                         {isChatOpen && currentChatTargetBarberUserId && (
                             <div className="chat-window-container">
                                 <div className="chat-window-header">
                                     <div style={{display: 'flex', alignItems: 'center', gap: '10px'}}>
-                                        <h4>Chat with {currentBarberName}</h4>
+                                        <h4>{t('customer.chatWith', { name: currentBarberName })}</h4>
 
                                         {/* --- REPORT BUTTON HERE --- */}
                                         <button 
                                             onClick={() => setReportModalOpen(true)} 
                                             className="btn btn-danger btn-icon" 
-                                            title="Report Issue / Help"
+                                            title={t('customer.reportIssue')}
                                             style={{padding: '2px', width: '24px', height: '24px'}} // Make it small
                                         >
                                             ❓
                                         </button>
                                     </div>
 
-                                    <button onClick={() => setIsChatOpen(false)} className="btn btn-icon btn-close-chat" title="Close Chat">
+                                    <button onClick={() => setIsChatOpen(false)} className="btn btn-icon btn-close-chat" title={t('common.closeChat')}>
                                         <IconX />
                                     </button>
                                 </div>
@@ -3742,6 +4896,7 @@ return (
                                     onClose={() => setReportModalOpen(false)}
                                     reporterId={session.user.id}
                                     reportedId={currentChatTargetBarberUserId}
+                                    queueId={myQueueEntryId}
                                     userRole="customer" 
                                 />
                             </div>
@@ -3750,16 +4905,14 @@ return (
                 </div>
                 <div className="danger-zone">
                     <button 
-                        onClick={() => {
-                            // CONFIRMATION DIALOG ADDED HERE
-                            if (window.confirm("Are you sure? You will lose your spot in line and have to start over!")) {
-                                handleReturnToJoin(true);
-                            }
+                        onClick={async () => {
+                            const confirmed = await confirmDialog({ title: t('customer.leaveTitle'), message: t('customer.leaveMessage'), confirmLabel: t('customer.leaveQueue'), cancelLabel: t('customer.stay'), danger: true });
+                            if (confirmed) handleReturnToJoin(true);
                         }} 
                         disabled={isLoading} 
                         className='btn btn-danger btn-full-width'
                     >
-                        {isLoading ? <Spinner /> : 'Leave Queue / Join Another'}
+                        {isLoading ? <Spinner /> : t('customer.leaveOrJoinAnother')}
                     </button>
                 </div>
             </div>
@@ -3769,32 +4922,32 @@ return (
         {viewMode === 'history' && (
             <div className="card-body history-view">
                 <div style={{display:'flex', justifyContent:'space-between', alignItems:'center', marginBottom: '20px'}}>
-                    <h2 style={{margin: 0}}>My Past Services</h2>
+                    <h2 style={{margin: 0}}>{t('customer.pastServices')}</h2>
                     <button 
                         onClick={() => setIsMyReportsOpen(true)} 
                         className="btn btn-secondary" 
                         style={{fontSize:'0.85rem', padding:'6px 12px'}}
                     >
-                        ⚠️ My Reports
+                        ⚠️ {t('reports.myReports')}
                     </button>
                 </div>
                 {loyaltyHistory.length === 0 ? (
-                    <p className="empty-text">No past services found. Book your first cut!</p>
+                    <p className="empty-text">{t('customer.noPastServices')}</p>
                 ) : (
                     <ul className="history-list">
                         {loyaltyHistory.map((entry, index) => {
                             const statusClass = entry.status === 'Done' ? 'done' : 'cancelled';
-                            const servicePrice = entry.services?.price_php || 'N/A';
-                            const barberName = entry.barber_profiles?.full_name || 'Unrecorded Barber';
+                            const servicePrice = entry.services?.price_php;
+                            const barberName = entry.barber_profiles?.full_name || t('customer.unrecordedBarber');
 
                             return (
                                 <li key={index} className={`history-item ${statusClass}`}>
                                     <div className="history-details">
                                         <span className="date">
-                                            {new Date(entry.created_at).toLocaleDateString()}
+                                            {fmt.date(entry.created_at)}
                                         </span>
                                         <span className="service">
-                                            {entry.services?.name || 'Unknown Service'}
+                                            {entry.services?.name || t('common.unknownService')}
                                         </span>
                                         
                                         {/* NEW: Display Sanitized Star Rating for Done entries */}
@@ -3824,13 +4977,13 @@ return (
                                             </span>
                                         )}
                                         <span className="status-badge">
-                                            {entry.status}
+                                            {t(statusKey(entry.status))}
                                         </span>
                                     </div>
                                     {/* FIX: Display Comment if it exists */}
                                     {entry.comments && entry.comments.trim().length > 0 && (
                                         <p className="feedback-comment" style={{paddingLeft: '0', fontStyle: 'normal', marginTop: '5px', color: 'var(--text-primary)'}}>
-                                            Comment: "{entry.comments}"
+                                            {t('customer.comment', { comment: entry.comments })}
                                         </p>
                                     )}
                                     <div className="history-meta">
@@ -3838,7 +4991,7 @@ return (
                                             {barberName}
                                         </span>
                                         <span className="amount">
-                                            ₱{servicePrice}
+                                            {servicePrice != null ? fmt.money(servicePrice) : t('common.notAvailable')}
                                         </span>
                                     </div>
                                 </li>
@@ -3852,14 +5005,14 @@ return (
         {viewMode === 'appointments' && (
             <div className="card-body">
                 <div style={{display:'flex', justifyContent:'space-between', alignItems:'center', marginBottom:'20px'}}>
-                    <h2 style={{margin:0}}>My Bookings</h2>
-                    <button onClick={fetchMyAppointments} className="btn btn-secondary btn-icon" title="Refresh">
+                    <h2 style={{margin:0}}>{t('customer.myBookings')}</h2>
+                    <button onClick={fetchMyAppointments} className="btn btn-secondary btn-icon" title={t('common.refresh')}>
                         <IconRefresh />
                     </button>
                 </div>
 
                 {myAppointments.length === 0 ? (
-                    <p className="empty-text">No upcoming appointments found.</p>
+                    <p className="empty-text">{t('barber.noUpcomingAppointments')}</p>
                 ) : (
                     <ul className="queue-list">
                         {myAppointments.map((appt) => {
@@ -3893,7 +5046,7 @@ return (
                                 }}>
                                     <div style={{display:'flex', justifyContent:'space-between', alignItems:'center'}}>
                                         <strong style={{fontSize:'1.1rem'}}>
-                                            {dateObj.toLocaleDateString([], {weekday: 'short', month:'short', day:'numeric'})}
+                                            {fmt.date(dateObj, { weekday: 'short', month: 'short', day: 'numeric' })}
                                         </strong>
                                         <span style={{
                                             color: statusColor, 
@@ -3904,29 +5057,61 @@ return (
                                             fontWeight:'bold',
                                             textTransform: 'uppercase'
                                         }}>
-                                            {appt.is_converted_to_queue ? 'Live in Queue' : appt.status}
+                                            {appt.is_converted_to_queue ? t('customer.liveInQueue') : t(statusKey(appt.status))}
                                         </span>
                                     </div>
                                     
                                     <div style={{display:'flex', justifyContent:'space-between', fontSize:'0.95rem'}}>
-                                        <span>🕒 {dateObj.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}</span>
-                                        <span>✂️ {appt.services?.name || 'Service'}</span>
+                                        <span>🕒 {fmt.time(dateObj)}</span>
+                                        <span>✂️ {appt.services?.name || t('common.service')}</span>
                                     </div>
                                     
                                     <div style={{fontSize:'0.9rem', color:'var(--text-secondary)'}}>
-                                        Barber: <strong>{appt.barber_profiles?.full_name || 'Any'}</strong>
+                                        {t('customer.barberLabel')} <strong>{appt.barber_profiles?.full_name || t('customer.anyBarber')}</strong>
                                     </div>
 
                                     {appt.is_converted_to_queue && (
                                         <small style={{color: 'var(--link-color)', marginTop:'5px'}}>
-                                            * This booking has been moved to the Live Queue.
+                                            {t('customer.movedToQueue')}
                                         </small>
                                     )}
+                                    {appt.customer_response && appt.status === 'confirmed' && !appt.is_converted_to_queue && !isPast && (
+                                        <small className="reminder-reply">
+                                            {appt.customer_response === 'late' ? t('reminders.youAreLate', { minutes: appt.late_minutes }) : t('reminders.youConfirmed')}
+                                        </small>
+                                    )}
+                                    {appt.cancellation_fee_php > 0 && (
+                                        <small className="cancel-note">{t('cancellation.feeDue', { fee: fmt.money(appt.cancellation_fee_php) })}</small>
+                                    )}
+                                    <RescheduleControls appointment={appt} userId={session.user.id} side="customer" onChanged={fetchMyAppointments} />
+                                    {!appt.is_converted_to_queue && !isPast && <AddToCalendarButton appointment={appt} userId={session.user.id} />}
+                                    {appt.status === 'confirmed' && !appt.is_converted_to_queue && !isPast && (
+                                        <button type="button" className="btn btn-danger reschedule-toggle" onClick={() => handleCancelAppointment(appt)}>
+                                            {t('cancellation.button')}
+                                        </button>
+                                    )}
                                 </li>
                             );
                         })}
                     </ul>
                 )}
+
+                {myWaitlist.length > 0 && (
+                    <>
+                        <h3 className="waitlist-heading">{t('waitlist.heading')}</h3>
+                        <ul className="queue-list">
+                            {myWaitlist.map(entry => (
+                                <li key={entry.id} className="waitlist-entry">
+                                    <strong>{fmt.date(`${entry.date}T00:00:00`, { weekday: 'short', month: 'short', day: 'numeric' })}</strong>
+                                    <span>{t('waitlist.window', { from: fmt.time(`${entry.date}T${entry.window_start}`), to: fmt.time(`${entry.date}T${entry.window_end}`) })}</span>
+                                    <span>✂️ {entry.services?.name || t('common.service')} · {entry.barber_profiles?.full_name}</span>
+                                    <small>{t(isOfferOpen(entry) ? 'waitlist.statusOffered' : 'waitlist.statusWaiting')}</small>
+                                    <button type="button" className="btn btn-secondary reschedule-toggle" onClick={() => handleLeaveWaitlist(entry)}>{t('waitlist.leave')}</button>
+                                </li>
+                            ))}
+                        </ul>
+                    </>
+                )}
             </div>
         )}
         <MyReportsModal 
@@ -3996,21 +5181,21 @@ return (
                             justifyContent: 'space-between',
                             alignItems: 'center'
                         }}>
-                            <span style={{color: 'var(--text-secondary)'}}>Price:</span>
+                            <span style={{color: 'var(--text-secondary)'}}>{t('ads.price')}</span>
                             <strong style={{fontSize: '1.4rem', color: 'var(--primary-orange)'}}>
-                                {viewProduct.price}
+                                {fmt.money(viewProduct.price)}
                             </strong>
                         </div>
                         
                         <p style={{fontSize: '0.8rem', color: 'var(--text-secondary)', marginTop: '15px', textAlign: 'center'}}>
-                            To buy this, simply show this screen to the barber at the counter.
+                            {t('ads.howToBuy')}
                         </p>
                     </div>
 
                     {/* Footer */}
                     <div className="modal-footer single-action">
                         <button onClick={() => setViewProduct(null)} className="btn btn-primary btn-full-width">
-                            Close
+                            {t('common.close')}
                         </button>
                     </div>
                 </div>
@@ -4027,6 +5212,21 @@ return (
 function BarberAppLayout({ session, barberProfile, setBarberProfile }) {
     const [refreshAnalyticsSignal, setRefreshAnalyticsSignal] = useState(0);
     const [isMyReportsOpen, setIsMyReportsOpen] = useState(false);
+    const [isScheduleOpen, setIsScheduleOpen] = useState(false);
+    const [shop, setShop] = useState(null);
+    const { t } = useI18n();
+
+    useEffect(() => { // Branch details (fees, name) for the completion modal
+        if (!barberProfile.shop_id) return;
+        api.shops.get(barberProfile.shop_id)
+            .then(data => setShop(data))
+            .catch(err => console.error('Failed to load branch:', err));
+    }, [barberProfile.shop_id]);
+
+    useEffect(() => { // Web Push: chat messages from customers while the dashboard is in the background
+        subscribeToPush(session.user.id, { prompt: true })
+            .catch(err => console.warn('[Push] Could not subscribe:', err.message));
+    }, [session.user.id]);
 
     const handleCutComplete = useCallback(() => {
         setRefreshAnalyticsSignal(prev => prev + 1);
@@ -4035,18 +5235,19 @@ function BarberAppLayout({ session, barberProfile, setBarberProfile }) {
     return (
         <div className="app-layout barber-app-layout">
             <header className="app-header">
-                <h1>Welcome, {barberProfile.full_name}!</h1>
+                <h1>{t('layout.welcome', { name: barberProfile.full_name })}{shop && <small style={{display: 'block', fontSize: '0.9rem', fontWeight: 'normal', color: 'var(--text-secondary)'}}>📍 {shop.name}</small>}</h1>
                 <div className="header-actions">
                     <AvailabilityToggle
                         barberProfile={barberProfile}
                         session={session}
                         onAvailabilityChange={(newStatus) => setBarberProfile(prev => ({ ...prev, is_available: newStatus }))}
                     />
+                    <LanguageSwitcher />
                     <ThemeToggleButton />
                     <button
                         onClick={() => handleLogout(session.user.id)}
                         className="btn btn-icon"
-                        title="Logout"
+                        title={t('layout.logout')}
                     >
                         <IconLogout />
                     </button>
@@ -4054,16 +5255,31 @@ function BarberAppLayout({ session, barberProfile, setBarberProfile }) {
             </header>
             <main className="main-content">
                 <div className="container">
+                    {!barberProfile.shop_id && (
+                        <p className="message warning">{t('layout.noBranch')}</p>
+                    )}
                     <BarberDashboard
                         barberId={barberProfile.id}
                         barberName={barberProfile.full_name}
                         onCutComplete={handleCutComplete}
                         session={session}
+                        shop={shop}
                     />
                     <AnalyticsDashboard
                         barberId={barberProfile.id}
                         refreshSignal={refreshAnalyticsSignal}
                     />
+                    <div className="card">
+                        <div className="card-header" style={{display:'flex', justifyContent:'space-between', alignItems:'center'}}>
+                            <h2>🗓 {t('schedule.myHours')}</h2>
+                            <button onClick={() => setIsScheduleOpen(open => !open)} className="btn btn-secondary">{isScheduleOpen ? t('common.close') : t('schedule.edit')}</button>
+                        </div>
+                        {isScheduleOpen && (
+                            <div className="card-body">
+                                <ScheduleEditor barber={barberProfile} userId={session.user.id} onSaved={(updated) => setBarberProfile(prev => ({ ...prev, schedule: updated.schedule }))} />
+                            </div>
+                        )}
+                    </div>
                 </div>
             </main>
                 <MyReportsModal 
@@ -4075,18 +5291,202 @@ function BarberAppLayout({ session, barberProfile, setBarberProfile }) {
     );
 }
 
+// ##############################################
+// ##       BRANCH PRICING RULES (ADMIN)       ##
+// ##############################################
+// Lives outside AdminAppLayout so typing doesn't remount it; see src/pricing.js for the rule shapes.
+function PricingRulesEditor({ shop, userId, onSaved }) {
+    const { toast } = useDialog();
+    const { t } = useI18n();
+    const [rules, setRules] = useState(() => ({ ...DEFAULT_PRICING_RULES, ...(shop.pricing_rules || {}) }));
+    const [saving, setSaving] = useState(false);
+
+    const setRow = (list, index, field, value) => setRules(prev => ({ ...prev, [list]: prev[list].map((row, i) => (i === index ? { ...row, [field]: value } : row)) }));
+    const addRow = (list, row) => setRules(prev => ({ ...prev, [list]: [...prev[list], row] }));
+    const removeRow = (list, index) => setRules(prev => ({ ...prev, [list]: prev[list].filter((_, i) => i !== index) }));
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        const payload = {
+            group_discounts: rules.group_discounts.map(d => ({ min_heads: Number(d.min_heads), percent: Number(d.percent) })),
+            surcharges: rules.surcharges.map(s => ({ label: s.label.trim(), start: s.start, end: s.end, amount_php: Number(s.amount_php) })),
+            senior_pwd_percent: Number(rules.senior_pwd_percent),
+        };
+        const percents = [payload.senior_pwd_percent, ...payload.group_discounts.map(d => d.percent)];
+        if (percents.some(p => !(p >= 0 && p <= 100)) || payload.surcharges.some(s => !(s.amount_php >= 0))) {
+            return toast(t('admin.pricingInvalid'), { type: 'error' });
+        }
+
+        setSaving(true);
+        try {
+            await api.admin.updateShop(shop.id, { userId, pricing_rules: payload });
+            toast(t('admin.pricingSaved'), { type: 'success' });
+            onSaved();
+        } catch (err) {
+            toast(t('admin.actionFailed', { error: err.message }), { type: 'error' });
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="card">
+            <div className="card-header">
+                <h2>{t('admin.pricingFor', { name: shop.name })}</h2>
+            </div>
+            <form onSubmit={handleSave} className="card-body">
+                <p className="message small">{t('admin.pricingFeesNote')}</p>
+
+                <h3>{t('admin.groupDiscounts')}</h3>
+                {rules.group_discounts.map((d, i) => (
+                    <div key={i} className="pricing-rule-row">
+                        <label>{t('admin.minHeads')}<input type="number" min="2" value={d.min_heads} onChange={e => setRow('group_discounts', i, 'min_heads', e.target.value)} required /></label>
+                        <label>{t('admin.percentOff')}<input type="number" min="0" max="100" value={d.percent} onChange={e => setRow('group_discounts', i, 'percent', e.target.value)} required /></label>
+                        <button type="button" onClick={() => removeRow('group_discounts', i)} className="btn btn-secondary">{t('admin.remove')}</button>
+                    </div>
+                ))}
+                <button type="button" onClick={() => addRow('group_discounts', { min_heads: 3, percent: 10 })} className="btn btn-secondary">+ {t('admin.addGroupDiscount')}</button>
+
+                <h3>{t('admin.surcharges')}</h3>
+                {rules.surcharges.map((s, i) => (
+                    <div key={i} className="pricing-rule-row">
+                        <label>{t('admin.surchargeLabel')}<input value={s.label} onChange={e => setRow('surcharges', i, 'label', e.target.value)} placeholder={t('admin.surchargeLabelPlaceholder')} required /></label>
+                        <label>{t('admin.from')}<input type="time" value={s.start} onChange={e => setRow('surcharges', i, 'start', e.target.value)} required /></label>
+                        <label>{t('admin.until')}<input type="time" value={s.end} onChange={e => setRow('surcharges', i, 'end', e.target.value)} required /></label>
+                        <label>{t('admin.amountPerHead')}<input type="number" min="0" value={s.amount_php} onChange={e => setRow('surcharges', i, 'amount_php', e.target.value)} required /></label>
+                        <button type="button" onClick={() => removeRow('surcharges', i)} className="btn btn-secondary">{t('admin.remove')}</button>
+                    </div>
+                ))}
+                <button type="button" onClick={() => addRow('surcharges', { label: '', start: '17:00', end: '18:00', amount_php: 20 })} className="btn btn-secondary">+ {t('admin.addSurcharge')}</button>
+
+                <div className="form-group" style={{marginTop:'20px'}}>
+                    <label htmlFor="seniorPwdPercent">{t('admin.seniorPwdPercent')}</label>
+                    <input id="seniorPwdPercent" type="number" min="0" max="100" value={rules.senior_pwd_percent} onChange={e => setRules(prev => ({ ...prev, senior_pwd_percent: e.target.value }))} required />
+                </div>
+                <button type="submit" disabled={saving} className="btn btn-primary btn-full-width">
+                    {saving ? <Spinner /> : t('admin.savePricing')}
+                </button>
+            </form>
+        </div>
+    );
+}
+
+// ##############################################
+// ##     WORKING HOURS EDITOR (BARBER/ADMIN)  ##
+// ##############################################
+// Barbers edit their own hours from the dashboard; admins open the same editor
+// from Staff. See src/schedule.js for the shape that gets saved.
+const WEEK_START = new Date(2026, 0, 4); // a Sunday, only used to name the weekdays
+
+export function ScheduleEditor({ barber, userId, onSaved }) {
+    const { toast } = useDialog();
+    const { t, fmt } = useI18n();
+    const [schedule, setSchedule] = useState(() => barber.schedule ? JSON.parse(JSON.stringify(barber.schedule)) : defaultSchedule());
+    const [saving, setSaving] = useState(false);
+    const dayName = (i) => fmt.date(new Date(WEEK_START.getTime() + i * 86400000), { weekday: 'long' });
+
+    const setDay = (i, day) => setSchedule(prev => ({ ...prev, weekly: prev.weekly.map((d, j) => (j === i ? day : d)) }));
+    const setBreak = (i, b, field, value) => setDay(i, { ...schedule.weekly[i], breaks: schedule.weekly[i].breaks.map((br, j) => (j === b ? { ...br, [field]: value } : br)) });
+    const setException = (i, fields) => setSchedule(prev => ({ ...prev, exceptions: prev.exceptions.map((ex, j) => (j === i ? { ...ex, ...fields } : ex)) }));
+
+    const save = async (nextSchedule) => {
+        setSaving(true);
+        try {
+            const updated = await api.barbers.saveSchedule({ barberId: barber.id, userId, schedule: nextSchedule });
+            if (!nextSchedule) setSchedule(defaultSchedule());
+            toast(t(nextSchedule ? 'schedule.saved' : 'schedule.resetDone'), { type: 'success' });
+            onSaved(updated);
+        } catch (err) {
+            toast(t('admin.actionFailed', { error: err.message }), { type: 'error' });
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <form onSubmit={(e) => { e.preventDefault(); save(schedule); }} className="schedule-editor">
+            <p className="message small">{barber.schedule ? t('schedule.intro') : t('schedule.usingDefault')}</p>
+
+            <h3>{t('schedule.weeklyHours')}</h3>
+            {schedule.weekly.map((day, i) => (
+                <div key={i} className="schedule-day">
+                    <label className="checkbox-row">
+                        <input type="checkbox" checked={!!day} onChange={e => setDay(i, e.target.checked ? { ...DEFAULT_HOURS, breaks: [] } : null)} />
+                        {dayName(i)}
+                    </label>
+                    {day ? (
+                        <>
+                            <div className="pricing-rule-row">
+                                <label>{t('admin.from')}<input type="time" value={day.start} onChange={e => setDay(i, { ...day, start: e.target.value })} aria-label={t('schedule.startOf', { day: dayName(i) })} required /></label>
+                                <label>{t('admin.until')}<input type="time" value={day.end} onChange={e => setDay(i, { ...day, end: e.target.value })} aria-label={t('schedule.endOf', { day: dayName(i) })} required /></label>
+                                <button type="button" onClick={() => setDay(i, { ...day, breaks: [...day.breaks, { start: '12:00', end: '13:00' }] })} className="btn btn-secondary" aria-label={t('schedule.addBreakFor', { day: dayName(i) })}>+ {t('schedule.break')}</button>
+                            </div>
+                            {day.breaks.map((br, b) => (
+                                <div key={b} className="pricing-rule-row schedule-break">
+                                    <label>{t('schedule.breakFrom')}<input type="time" value={br.start} onChange={e => setBreak(i, b, 'start', e.target.value)} required /></label>
+                                    <label>{t('admin.until')}<input type="time" value={br.end} onChange={e => setBreak(i, b, 'end', e.target.value)} required /></label>
+                                    <button type="button" onClick={() => setDay(i, { ...day, breaks: day.breaks.filter((_, j) => j !== b) })} className="btn btn-secondary">{t('admin.remove')}</button>
+                                </div>
+                            ))}
+                        </>
+                    ) : <span className="empty-text">{t('schedule.dayOff')}</span>}
+                </div>
+            ))}
+
+            <h3>{t('schedule.exceptions')}</h3>
+            <p className="message small">{t('schedule.exceptionsHint')}</p>
+            {schedule.exceptions.map((ex, i) => (
+                <div key={i} className="schedule-day">
+                    <div className="pricing-rule-row">
+                        <label>{t('schedule.fromDate')}<input type="date" value={ex.from} onChange={e => setException(i, { from: e.target.value, to: ex.to < e.target.value ? e.target.value : ex.to })} required /></label>
+                        <label>{t('schedule.toDate')}<input type="date" value={ex.to} min={ex.from} onChange={e => setException(i, { to: e.target.value })} required /></label>
+                        <label>{t('schedule.note')}<input value={ex.note || ''} maxLength={80} onChange={e => setException(i, { note: e.target.value })} placeholder={t('schedule.notePlaceholder')} /></label>
+                        <button type="button" onClick={() => setSchedule(prev => ({ ...prev, exceptions: prev.exceptions.filter((_, j) => j !== i) }))} className="btn btn-secondary">{t('admin.remove')}</button>
+                    </div>
+                    <label className="checkbox-row">
+                        <input type="checkbox" checked={!!ex.off} onChange={e => setException(i, e.target.checked ? { off: true } : { off: false, start: ex.start || DEFAULT_HOURS.start, end: ex.end || DEFAULT_HOURS.end, breaks: ex.breaks || [] })} />
+                        {t('schedule.offAllDay')}
+                    </label>
+                    {!ex.off && (
+                        <div className="pricing-rule-row">
+                            <label>{t('admin.from')}<input type="time" value={ex.start} onChange={e => setException(i, { start: e.target.value })} required /></label>
+                            <label>{t('admin.until')}<input type="time" value={ex.end} onChange={e => setException(i, { end: e.target.value })} required /></label>
+                        </div>
+                    )}
+                </div>
+            ))}
+            <button type="button" onClick={() => setSchedule(prev => ({ ...prev, exceptions: [...prev.exceptions, { from: dateKey(new Date()), to: dateKey(new Date()), off: true, note: '' }] }))} className="btn btn-secondary">+ {t('schedule.addException')}</button>
+
+            <div className="reschedule-actions" style={{marginTop:'20px'}}>
+                <button type="submit" disabled={saving} className="btn btn-primary">{saving ? <Spinner /> : t('schedule.save')}</button>
+                {barber.schedule && <button type="button" disabled={saving} onClick={() => save(null)} className="btn btn-secondary">{t('schedule.reset')}</button>}
+            </div>
+        </form>
+    );
+}
+
 function AdminAppLayout({ session }) {
-    // Added 'staff' to tabs
-    const [activeTab, setActiveTab] = useState('live'); // 'live', 'stats', 'users', 'menu', 'staff'
+    const { toast, confirmDialog, promptDialog } = useDialog();
+    const { t, fmt } = useI18n();
+    // Tabs are routes: /admin/live, /admin/stats, /admin/staff, ... (see ADMIN_TABS)
+    const { tab: activeTab } = useParams();
+    const navigate = useNavigate();
+    const setActiveTab = (tab) => navigate(`/admin/${tab}`);
     
     // Data States
     const [allQueues, setAllQueues] = useState([]);
     const [barbers, setBarbers] = useState([]);
     const [transferMode, setTransferMode] = useState(null);
+    const [timelineEntry, setTimelineEntry] = useState(null);
+    const [scheduleBarber, setScheduleBarber] = useState(null);
     const [advancedStats, setAdvancedStats] = useState(null);
     const [users, setUsers] = useState([]);
     const [services, setServices] = useState([]);
     const [isEditingService, setIsEditingService] = useState(null);
+    const [shops, setShops] = useState([]);
+    const [shopId, setShopId] = useState(() => localStorage.getItem('adminShopId') || '');
+    const [isEditingShop, setIsEditingShop] = useState(null);
+    const currentShop = shops.find(s => s.id.toString() === shopId);
 
     // --- FETCHERS ---
 
@@ -4096,11 +5496,12 @@ function AdminAppLayout({ session }) {
         const [reports, setReports] = useState([]);
         // NEW: State to track notes for each specific report ID
         const [adminNotes, setAdminNotes] = useState({}); 
+        const [reportTimeline, setReportTimeline] = useState(null); // the visit a report was filed from
         
         const fetchReports = async () => {
             try {
-                const res = await axios.get(`${API_URL}/admin/reports`);
-                setReports(res.data);
+                const data = await api.admin.reports();
+                setReports(data);
             } catch (error) {
                 console.error("Failed to load reports", error);
             }
@@ -4112,18 +5513,19 @@ function AdminAppLayout({ session }) {
             const note = adminNotes[reportId] || ''; // Get the note for this specific report
             
             // Confirm action with the admin
-            if(!window.confirm(`Are you sure you want to ${action.toUpperCase()} this user?`)) return;
+            const actionLabel = t(`admin.reportAction.${action}`);
+            if (!(await confirmDialog({ title: t('admin.resolveReport'), message: t('admin.resolveReportMessage', { action: actionLabel }), confirmLabel: actionLabel, danger: action !== 'dismiss' }))) return;
             
             try {
                 // Send the action AND the note to the backend
-                await axios.put(`${API_URL}/admin/reports/resolve`, { 
+                await api.admin.resolveReport({ 
                     reportId, 
                     targetUserId: targetId, 
                     action,
                     adminNotes: note 
                 });
                 
-                alert(`Action taken: ${action}`);
+                toast(t('admin.actionTaken', { action: actionLabel }), { type: 'success' });
                 
                 // Clear the note from state and refresh list
                 setAdminNotes(prev => {
@@ -4133,7 +5535,7 @@ function AdminAppLayout({ session }) {
                 });
                 fetchReports();
             } catch (error) {
-                alert("Failed to process report.");
+                toast(t('admin.reportFailed'), { type: 'error' });
             }
         };
 
@@ -4144,9 +5546,9 @@ function AdminAppLayout({ session }) {
 
         return (
             <div className="card">
-                <div className="card-header"><h2>🚨 Incident Reports</h2></div>
+                <div className="card-header"><h2>🚨 {t('admin.incidentReports')}</h2></div>
                 <div className="card-body">
-                    {reports.length === 0 ? <p className="empty-text">No active reports.</p> : (
+                    {reports.length === 0 ? <p className="empty-text">{t('admin.noReports')}</p> : (
                         <ul className="queue-list">
                             {reports.map(r => (
                                 <li key={r.id} style={{
@@ -4161,12 +5563,12 @@ function AdminAppLayout({ session }) {
                                             background: r.status==='Pending'?'var(--error-color)':'var(--success-color)',
                                             color: '#fff', padding: '4px 8px', borderRadius: '4px'
                                         }}>
-                                            {r.status}
+                                            {t(statusKey(r.status))}
                                         </span>
                                     </div>
                                     
                                     <p style={{fontSize:'0.9rem', color:'var(--text-secondary)', marginBottom: '10px'}}>
-                                        <strong>{r.reporter?.full_name || 'Unknown'}</strong> reported <strong>{r.reported?.full_name || 'Unknown'}</strong>
+                                        <strong>{r.reporter?.full_name || t('common.unknown')}</strong> {t('admin.reported')} <strong>{r.reported?.full_name || t('common.unknown')}</strong>
                                     </p>
                                     
                                     <div style={{
@@ -4183,22 +5585,28 @@ function AdminAppLayout({ session }) {
                                     {/* --- NEW: Display Proof Image --- */}
                                     {r.proof_image_url && (
                                         <div style={{marginBottom: '15px'}}>
-                                            <strong style={{fontSize: '0.85rem', color:'var(--text-secondary)'}}>Attached Proof:</strong>
+                                            <strong style={{fontSize: '0.85rem', color:'var(--text-secondary)'}}>{t('admin.attachedProof')}</strong>
                                             <br />
                                             <a href={r.proof_image_url} target="_blank" rel="noopener noreferrer">
                                                 <img 
                                                     src={r.proof_image_url} 
-                                                    alt="Report Proof" 
+                                                    alt={t('admin.reportProof')}
                                                     style={{maxWidth: '100%', maxHeight: '200px', borderRadius: '4px', marginTop: '5px', border:'1px solid var(--border-color)'}} 
                                                 />
                                             </a>
                                         </div>
                                     )}
                                     
+                                    {r.queue_id && (
+                                        <button type="button" onClick={() => setReportTimeline({ id: r.queue_id })} className="btn btn-secondary" style={{marginBottom: '15px'}}>
+                                            🕒 {t('timeline.checkVisit', { id: r.queue_id })}
+                                        </button>
+                                    )}
+
                                     {/* NEW: Display Admin Notes if resolved */}
                                     {r.status !== 'Pending' && r.admin_notes && (
                                         <p style={{fontSize: '0.85rem', color: 'var(--text-secondary)'}}>
-                                            <strong>Admin Note:</strong> {r.admin_notes}
+                                            <strong>{t('admin.adminNote')}</strong> {r.admin_notes}
                                         </p>
                                     )}
 
@@ -4209,7 +5617,7 @@ function AdminAppLayout({ session }) {
                                             <textarea 
                                                 value={adminNotes[r.id] || ''}
                                                 onChange={(e) => handleNoteChange(r.id, e.target.value)}
-                                                placeholder="Enter resolution notes here (e.g., 'Verified via CCTV', 'First warning')..."
+                                                placeholder={t('admin.notesPlaceholder')}
                                                 style={{
                                                     width: '100%',
                                                     minHeight: '120px', /* Reasonable height for typing */
@@ -4241,13 +5649,13 @@ function AdminAppLayout({ session }) {
                                                     onClick={() => handleAction(r.id, r.reported_id, 'ban')} 
                                                     className="btn btn-danger btn-full-width"
                                                 >
-                                                    🔨 Ban User
+                                                    🔨 {t('admin.banUser')}
                                                 </button>
                                                 <button 
                                                     onClick={() => handleAction(r.id, r.reported_id, 'dismiss')} 
                                                     className="btn btn-secondary btn-full-width"
                                                 >
-                                                    Dismiss Report
+                                                    {t('admin.dismissReport')}
                                                 </button>
                                             </div>
                                         </div>
@@ -4255,7 +5663,7 @@ function AdminAppLayout({ session }) {
                                     
                                     {r.reported?.is_banned && (
                                         <p className="error-message small" style={{marginTop:'10px'}}>
-                                            ⚠️ This user is currently BANNED.
+                                            ⚠️ {t('admin.userBanned')}
                                         </p>
                                     )}
                                 </li>
@@ -4263,29 +5671,41 @@ function AdminAppLayout({ session }) {
                         </ul>
                     )}
                 </div>
+                <TimelineDrawer entry={reportTimeline} onClose={() => setReportTimeline(null)} />
             </div>
         );
     };
 
+    const fetchShops = useCallback(async () => {
+        try {
+            const data = await api.admin.shops();
+            setShops(data || []);
+            // Default to the first branch (or recover from a deleted one)
+            setShopId(current => (data || []).some(s => s.id.toString() === current) ? current : (data?.[0]?.id.toString() || ''));
+        } catch (e) { console.error("Failed to fetch branches:", e); }
+    }, []);
+
     const fetchLiveShop = useCallback(async () => {
+        if (!shopId) return;
         try {
             const [qRes, bRes] = await Promise.all([
-                supabase.from('queue_entries').select('*, services(name)').in('status', ['Waiting', 'Up Next', 'In Progress']),
-                axios.get(`${API_URL}/admin/barbers`) // This returns ALL barbers (active and inactive)
+                supabase.from('queue_entries').select('*, services(name)').eq('shop_id', shopId).in('status', ['Waiting', 'Up Next', 'In Progress']),
+                api.admin.barbers(shopId) // ALL barbers of this branch (active and inactive) plus unassigned ones
             ]);
             setAllQueues(qRes.data || []);
-            setBarbers(bRes.data || []);
+            setBarbers(bRes || []);
         } catch (e) { console.error(e); }
-    }, []);
+    }, [shopId]);
 
     const fetchAdvancedStats = useCallback(async () => {
-        try { const res = await axios.get(`${API_URL}/admin/analytics/advanced`); setAdvancedStats(res.data); } catch (e) {}
-    }, []);
+        if (!shopId) return;
+        try { const data = await api.admin.advancedAnalytics(shopId); setAdvancedStats(data); } catch (e) {}
+    }, [shopId]);
 
     const fetchUsers = useCallback(async () => {
         try { 
-            const res = await axios.get(`${API_URL}/admin/users`); 
-            setUsers(res.data); 
+            const data = await api.admin.users(); 
+            setUsers(data); 
         } catch (e) { 
             console.error("Failed to fetch users:", e);
             // Optional: Alert the admin so they know it failed
@@ -4294,22 +5714,31 @@ function AdminAppLayout({ session }) {
     }, []);
 
     const fetchServices = useCallback(async () => {
+        if (!shopId) return;
         try { 
             // Use the ADMIN endpoint to get active AND archived services
-            const res = await axios.get(`${API_URL}/admin/services`); 
-            setServices(res.data); 
+            const data = await api.admin.services(shopId); 
+            setServices(data); 
         } catch (e) { console.error(e); }
-    }, []);
+    }, [shopId]);
 
     const handleRestoreService = async (id) => {
         try {
-            await axios.put(`${API_URL}/admin/services/${id}/restore`, { userId: session.user.id });
+            await api.admin.restoreService(id, session.user.id);
             fetchServices();
-            alert("Service restored.");
-        } catch (e) { alert("Restore failed."); }
+            toast(t('admin.serviceRestored'), { type: 'success' });
+        } catch (e) { toast(t('admin.restoreFailed'), { type: 'error' }); }
     };
 
     // --- EFFECTS ---
+    useEffect(() => { fetchShops(); }, [fetchShops]);
+
+    useEffect(() => {
+        if (shopId) localStorage.setItem('adminShopId', shopId);
+        setAdvancedStats(null);
+        setTransferMode(null);
+    }, [shopId]);
+
     useEffect(() => {
         // Refresh live data every 5 seconds
         if (activeTab === 'live' || activeTab === 'staff') { 
@@ -4333,83 +5762,192 @@ function AdminAppLayout({ session }) {
         const price = form.servicePrice.value;
 
         // Frontend Validation
-        if (duration < 5) return alert("Duration must be at least 5 minutes.");
-        if (price < 0) return alert("Price cannot be negative.");
+        if (duration < 5) return toast(t('admin.durationTooShort'), { type: 'error' });
+        if (price < 0) return toast(t('admin.priceNegative'), { type: 'error' });
 
         try {
-            const payload = { userId: session.user.id, name, duration_minutes: duration, price_php: price };
+            const payload = { userId: session.user.id, shop_id: shopId, name, duration_minutes: duration, price_php: price };
             
             if (isEditingService) {
-                await axios.put(`${API_URL}/admin/services/${isEditingService.id}`, payload);
-                alert("Service updated!");
+                await api.admin.updateService(isEditingService.id, payload);
+                toast(t('admin.serviceUpdated'), { type: 'success' });
                 setIsEditingService(null);
             } else {
-                await axios.post(`${API_URL}/admin/services`, payload);
-                alert("Service added!");
+                await api.admin.createService(payload);
+                toast(t('admin.serviceAdded'), { type: 'success' });
             }
             form.reset();
             fetchServices();
         } catch (err) {
-            alert("Action failed: " + (err.response?.data?.error || err.message));
+            toast(t('admin.actionFailed', { error: err.message }), { type: 'error' });
         }
     };
 
     const handleDeleteService = async (id) => {
-        if (!window.confirm("Are you sure? This will hide the service from the menu.")) return;
+        if (!(await confirmDialog({ title: t('admin.archiveServiceTitle'), message: t('admin.archiveServiceMessage'), confirmLabel: t('admin.archive'), danger: true }))) return;
         try {
-            await axios.delete(`${API_URL}/admin/services/${id}`, { data: { userId: session.user.id } });
+            await api.admin.deleteService(id, session.user.id);
             fetchServices(); // Refresh list
-        } catch (err) { alert("Delete failed."); }
+        } catch (err) { toast(t('admin.deleteFailed'), { type: 'error' }); }
     };
 
     // 2. User Management
     const handleDeleteUser = async (targetId) => {
-        const confirmText = prompt("WARNING: This action cannot be undone.\nType 'DELETE' to permanently ban/delete this user account.");
+        const confirmText = await promptDialog({
+            title: t('admin.deleteUser'),
+            message: t('admin.deleteUserMessage', { word: 'DELETE' }),
+            placeholder: 'DELETE',
+            confirmLabel: t('admin.deleteUser'),
+            danger: true,
+            validate: (value) => (value === 'DELETE' ? '' : t('admin.deleteUserValidate', { word: 'DELETE' })),
+        });
         if (confirmText !== 'DELETE') return;
         try {
-            await axios.delete(`${API_URL}/admin/users/${targetId}`, { data: { userId: session.user.id } });
-            alert("User deleted.");
+            await api.admin.deleteUser(targetId, session.user.id);
+            toast(t('admin.userDeleted'), { type: 'success' });
             fetchUsers();
-        } catch (e) { alert("Delete failed: " + (e.response?.data?.error || e.message)); }
+        } catch (e) { toast(t('admin.deleteFailedWithError', { error: e.message }), { type: 'error' }); }
     };
 
     // 3. Staff Management (Toggle Active/Inactive)
     const handleToggleBarberStatus = async (barberId, currentStatus) => {
         const newStatus = !currentStatus;
-        const action = newStatus ? "ACTIVATE" : "DEACTIVATE";
-        if (!window.confirm(`Are you sure you want to ${action} this barber?`)) return;
+        const action = newStatus ? t('admin.activate') : t('admin.deactivate');
+        if (!(await confirmDialog({ title: t('admin.barberStatusTitle', { action }), message: t('admin.barberStatusMessage', { action }), confirmLabel: action, danger: !newStatus }))) return;
 
         try {
-            await axios.put(`${API_URL}/admin/barbers/${barberId}/status`, {
+            await api.admin.setBarberStatus({
                 userId: session.user.id,
-                is_active: newStatus
+                barberId,
+                isActive: newStatus
             });
             fetchLiveShop(); // Refresh barber list
         } catch (err) {
-            alert("Update failed: " + (err.response?.data?.error || err.message));
+            toast(t('admin.updateFailed', { error: err.message }), { type: 'error' });
+        }
+    };
+
+    // QR code at the barber's station: opens the join form with them preselected
+    const handleCopyJoinLink = async (barber) => {
+        const link = `${window.location.origin}/join/${barber.id}`;
+        try {
+            await navigator.clipboard.writeText(link);
+            toast(t('admin.joinLinkCopied', { name: barber.full_name, link }), { type: 'success' });
+        } catch (err) {
+            toast(t('admin.joinLink', { name: barber.full_name, link }), { duration: 10000 });
+        }
+    };
+
+    // 4. Branch Management
+    const handleAssignBarberShop = async (barberId, targetShopId) => {
+        try {
+            await api.admin.setBarberShop({ userId: session.user.id, barberId, shopId: targetShopId });
+            fetchLiveShop();
+        } catch (err) {
+            toast(t('admin.moveFailed', { error: err.message }), { type: 'error' });
+        }
+    };
+
+    const handleSaveShop = async (e) => {
+        e.preventDefault();
+        const form = e.target;
+        const promoName = form.promoName.value.trim();
+        const payload = {
+            userId: session.user.id,
+            name: form.shopName.value.trim(),
+            slug: form.shopSlug.value.trim().toLowerCase(),
+            address: form.shopAddress.value.trim(),
+            latitude: form.shopLat.value === '' ? null : form.shopLat.value,
+            longitude: form.shopLon.value === '' ? null : form.shopLon.value,
+            arrival_radius_meters: form.shopRadius.value,
+            vip_fee_php: form.shopVipFee.value,
+            appointment_fee_php: form.shopApptFee.value,
+            push_back_limit: form.shopPushBackLimit.value,
+            cancellation_policy: { free_until_hours: form.shopCancelHours.value, late_fee_percent: form.shopLateFeePercent.value },
+            reminder_hours: form.shopReminderHours.value.split(',').map(h => h.trim()).filter(Boolean).map(Number),
+            brand_color: form.shopColor.value,
+            logo_url: form.shopLogo.value.trim() || null,
+            partner_promo: promoName ? {
+                name: promoName,
+                pitch: form.promoPitch.value.trim(),
+                perks: form.promoPerks.value.trim(),
+                image: form.promoImage.value.trim(),
+                location_link: form.promoLink.value.trim(),
+            } : null,
+        };
+
+        if (!/^[a-z0-9-]+$/.test(payload.slug)) return toast(t('admin.slugInvalid'), { type: 'error' });
+        if (payload.vip_fee_php < 0 || payload.appointment_fee_php < 0) return toast(t('admin.feesNegative'), { type: 'error' });
+
+        try {
+            if (isEditingShop) {
+                await api.admin.updateShop(isEditingShop.id, payload);
+                toast(t('admin.branchUpdated'), { type: 'success' });
+                setIsEditingShop(null);
+            } else {
+                const created = await api.admin.createShop(payload);
+                toast(t('admin.branchAdded'), { type: 'success' });
+                setShopId(created.id.toString());
+            }
+            form.reset();
+            fetchShops();
+        } catch (err) {
+            toast(t('admin.actionFailed', { error: err.message }), { type: 'error' });
         }
     };
 
-    // 4. Transfer Logic
+    const handleToggleShopActive = async (shop) => {
+        const action = shop.is_active ? t('admin.closeAction') : t('admin.reopenAction');
+        if (!(await confirmDialog({ title: t('admin.branchStatusTitle', { action }), message: t('admin.branchStatusMessage', { action, name: shop.name }), confirmLabel: action, danger: shop.is_active }))) return;
+        try {
+            await api.admin.updateShop(shop.id, { userId: session.user.id, is_active: !shop.is_active });
+            fetchShops();
+        } catch (err) { toast(t('admin.updateFailed', { error: err.message }), { type: 'error' }); }
+    };
+
+    // 5. Transfer Logic
     const handleTransfer = async (targetBarberId) => {
         if (!transferMode) return;
-        if (window.confirm(`Transfer this customer to Barber #${targetBarberId}?`)) {
+        if (await confirmDialog({ title: t('admin.transferTitle'), message: t('admin.transferMessage', { id: targetBarberId }), confirmLabel: t('admin.transfer') })) {
             try {
-                await axios.put(`${API_URL}/admin/transfer`, {
+                await api.admin.transfer({
                     userId: session.user.id,
                     queueId: transferMode.queueId,
                     targetBarberId: targetBarberId
                 });
                 setTransferMode(null);
                 fetchLiveShop();
-            } catch (e) { alert("Transfer failed."); }
+            } catch (e) { toast(t('admin.transferFailed'), { type: 'error' }); }
         }
     };
 
     // --- SUB-COMPONENTS ---
 
+    const poolQueue = allQueues.filter(q => !q.barber_id).sort(byQueueOrder);
+
     const LiveShopView = () => (
         <div className="live-shop-grid" style={{display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))', gap: '15px'}}>
+            <div className="card" style={{border: '1px dashed var(--border-color)'}}>
+                <div className="card-header" style={{padding:'10px'}}>
+                    <h3 style={{fontSize:'1rem', margin:0}}>⚡ {t('customer.firstAvailable')}</h3>
+                </div>
+                <div className="card-body" style={{padding:'10px'}}>
+                    <h4 style={{fontSize:'0.8rem', color:'var(--text-secondary)', margin:'0 0 5px 0'}}>{t('admin.waitingCount', { count: poolQueue.length })}</h4>
+                    <ul className="queue-list" style={{maxHeight:'150px', overflowY:'auto'}}>
+                        {poolQueue.map(q => (
+                            <li key={q.id} className={q.is_vip ? 'vip-entry' : ''} style={{display:'flex', justifyContent:'space-between', padding:'5px', fontSize:'0.85rem'}}>
+                                <span style={{display:'flex', alignItems:'center', gap:'5px'}}>
+                                    {q.is_vip && <span style={{fontSize:'0.7rem'}}>👑</span>}
+                                    {q.customer_name}
+                                    <ArrivalBadge entry={q} />
+                                </span>
+                                <TimelineButton entry={q} onOpen={setTimelineEntry} />
+                                <button onClick={() => setTransferMode({ queueId: q.id, currentBarberId: null })} className="btn btn-secondary" style={{padding:'2px 5px', fontSize:'0.7rem'}}>➡ {t('admin.move')}</button>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            </div>
             {barbers.filter(b => b.is_active).map(barber => { // Only show active barbers in Live View
                 const barberQueue = allQueues.filter(q => q.barber_id === barber.id);
                 const inChair = barberQueue.find(q => q.status === 'In Progress');
@@ -4420,24 +5958,27 @@ function AdminAppLayout({ session }) {
                             <div>
                                 <h3 style={{fontSize:'1rem', margin:0}}>{barber.full_name}</h3>
                                 <small style={{color: barber.is_available ? 'var(--success-color)' : 'var(--text-secondary)'}}>
-                                    ● {barber.is_available ? 'Online' : 'Offline'}
+                                    ● {barber.is_available ? t('admin.online') : t('barber.offline')}
                                 </small>
                             </div>
                             {transferMode && transferMode.currentBarberId !== barber.id && (
-                                <button onClick={() => handleTransfer(barber.id)} className="btn btn-primary" style={{fontSize:'0.8rem', padding:'4px 8px'}}>Select</button>
+                                <button onClick={() => handleTransfer(barber.id)} className="btn btn-primary" style={{fontSize:'0.8rem', padding:'4px 8px'}}>{t('admin.select')}</button>
                             )}
                         </div>
                         <div className="card-body" style={{padding:'10px'}}>
-                            {inChair ? <div style={{background:'rgba(52,199,89,0.1)', padding:'5px', borderRadius:'4px', marginBottom:'5px', fontSize:'0.9rem'}}>✂️ <strong>{inChair.customer_name}</strong></div> : <div style={{fontStyle:'italic', fontSize:'0.9rem', color:'var(--text-secondary)'}}>Chair Empty</div>}
-                            <h4 style={{fontSize:'0.8rem', color:'var(--text-secondary)', margin:'10px 0 5px 0'}}>Waiting ({waiting.length})</h4>
+                            {inChair ? <div style={{background:'rgba(52,199,89,0.1)', padding:'5px', borderRadius:'4px', marginBottom:'5px', fontSize:'0.9rem'}}>✂️ <strong>{inChair.customer_name}</strong> <TimelineButton entry={inChair} onOpen={setTimelineEntry} /></div> : <div style={{fontStyle:'italic', fontSize:'0.9rem', color:'var(--text-secondary)'}}>{t('admin.chairEmpty')}</div>}
+                            <h4 style={{fontSize:'0.8rem', color:'var(--text-secondary)', margin:'10px 0 5px 0'}}>{t('admin.waitingCount', { count: waiting.length })}</h4>
                             <ul className="queue-list" style={{maxHeight:'150px', overflowY:'auto'}}>
                                 {waiting.map(q => (
                                     <li key={q.id} className={q.is_vip ? 'vip-entry' : ''} style={{display:'flex', justifyContent:'space-between', padding:'5px', fontSize:'0.85rem'}}>
                                         <span style={{display:'flex', alignItems:'center', gap:'5px'}}>
                                             {q.is_vip && <span style={{fontSize:'0.7rem'}}>👑</span>} 
                                             {q.customer_name}
+                                            <GuestBadge entry={q} />
+                                            <ArrivalBadge entry={q} />
                                         </span>
-                                        <button onClick={() => setTransferMode({ queueId: q.id, currentBarberId: barber.id })} className="btn btn-secondary" style={{padding:'2px 5px', fontSize:'0.7rem'}}>➡ Move</button>
+                                        <TimelineButton entry={q} onOpen={setTimelineEntry} />
+                                        <button onClick={() => setTransferMode({ queueId: q.id, currentBarberId: barber.id })} className="btn btn-secondary" style={{padding:'2px 5px', fontSize:'0.7rem'}}>➡ {t('admin.move')}</button>
                                     </li>
                                 ))}
                             </ul>
@@ -4445,20 +5986,21 @@ function AdminAppLayout({ session }) {
                     </div>
                 );
             })}
-            {barbers.filter(b => b.is_active).length === 0 && <p className="empty-text">No active barbers found.</p>}
+            {barbers.filter(b => b.is_active).length === 0 && <p className="empty-text">{t('admin.noActiveBarbers')}</p>}
         </div>
     );
 
     const StaffView = () => (
         <div className="card">
-            <div className="card-header"><h2>Staff Management</h2></div>
+            <div className="card-header"><h2>{t('admin.staffManagement')}</h2></div>
             <div className="card-body">
                 <table style={{width:'100%', borderCollapse:'collapse', color:'var(--text-primary)'}}>
                     <thead>
                         <tr style={{textAlign:'left', borderBottom:'1px solid var(--border-color)'}}>
-                            <th style={{padding:'10px'}}>Barber Name</th>
-                            <th style={{padding:'10px'}}>Status</th>
-                            <th style={{padding:'10px'}}>Action</th>
+                            <th style={{padding:'10px'}}>{t('admin.barberName')}</th>
+                            <th style={{padding:'10px'}}>{t('admin.branch')}</th>
+                            <th style={{padding:'10px'}}>{t('admin.status')}</th>
+                            <th style={{padding:'10px'}}>{t('admin.action')}</th>
                         </tr>
                     </thead>
                     <tbody>
@@ -4466,22 +6008,87 @@ function AdminAppLayout({ session }) {
                             <tr key={b.id} style={{borderBottom:'1px solid var(--border-color)', opacity: b.is_active ? 1 : 0.5}}>
                                 <td style={{padding:'10px'}}>{b.full_name}</td>
                                 <td style={{padding:'10px'}}>
-                                    {b.is_active ? <span style={{color:'var(--success-color)', fontWeight:'bold'}}>ACTIVE</span> : <span style={{color:'var(--error-color)', fontWeight:'bold'}}>BANNED/INACTIVE</span>}
+                                    <select value={b.shop_id || ''} onChange={(e) => handleAssignBarberShop(b.id, e.target.value)}>
+                                        {!b.shop_id && <option value="">{t('admin.unassigned')}</option>}
+                                        {shops.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                                    </select>
                                 </td>
                                 <td style={{padding:'10px'}}>
+                                    {b.is_active ? <span style={{color:'var(--success-color)', fontWeight:'bold'}}>{t('admin.active')}</span> : <span style={{color:'var(--error-color)', fontWeight:'bold'}}>{t('admin.bannedInactive')}</span>}
+                                </td>
+                                <td style={{padding:'10px', display:'flex', gap:'6px', flexWrap:'wrap'}}>
                                     <button 
                                         onClick={() => handleToggleBarberStatus(b.id, b.is_active)} 
                                         className={b.is_active ? "btn btn-danger" : "btn btn-success"}
                                         style={{fontSize:'0.8rem', padding: '5px 10px'}}
                                     >
-                                        {b.is_active ? 'Ban / Deactivate' : 'Unban & Activate'}
+                                        {b.is_active ? t('admin.banDeactivate') : t('admin.unbanActivate')}
+                                    </button>
+                                    <button onClick={() => handleCopyJoinLink(b)} className="btn btn-secondary" style={{fontSize:'0.8rem', padding: '5px 10px'}} title={t('admin.joinLinkTooltip')}>
+                                        🔗 {t('admin.joinLinkButton')}
+                                    </button>
+                                    <button onClick={() => setScheduleBarber(b)} className="btn btn-secondary" style={{fontSize:'0.8rem', padding: '5px 10px'}} aria-label={t('schedule.hoursFor', { name: b.full_name })}>
+                                        🗓 {t('schedule.button')}
                                     </button>
                                 </td>
                             </tr>
                         ))}
                     </tbody>
                 </table>
-                <p className="message small">Deactivating a barber hides them from the customer "Join Queue" list immediately.</p>
+                <p className="message small">{t('admin.deactivateNote')}</p>
+            </div>
+        </div>
+    );
+
+    const BranchesView = () => (
+        <div className="card">
+            <div className="card-header">
+                <h2>{isEditingShop ? t('admin.editNamed', { name: isEditingShop.name }) : t('admin.addBranch')}</h2>
+            </div>
+            <div className="card-body">
+                <form key={isEditingShop?.id || 'new'} onSubmit={handleSaveShop} style={{display:'grid', gap:'10px', gridTemplateColumns:'repeat(auto-fit, minmax(180px, 1fr))', marginBottom:'20px', paddingBottom:'20px', borderBottom:'1px solid var(--border-color)'}}>
+                    <div className="form-group"><label>{t('admin.branchName')}</label><input name="shopName" defaultValue={isEditingShop?.name || ''} required placeholder={t('admin.branchNamePlaceholder')} /></div>
+                    <div className="form-group"><label>{t('admin.linkCode')}</label><input name="shopSlug" defaultValue={isEditingShop?.slug || ''} required placeholder={t('admin.linkCodePlaceholder')} /></div>
+                    <div className="form-group"><label>{t('admin.address')}</label><input name="shopAddress" defaultValue={isEditingShop?.address || ''} /></div>
+                    <div className="form-group"><label>{t('admin.latitude')}</label><input name="shopLat" type="number" step="any" defaultValue={isEditingShop?.latitude ?? ''} /></div>
+                    <div className="form-group"><label>{t('admin.longitude')}</label><input name="shopLon" type="number" step="any" defaultValue={isEditingShop?.longitude ?? ''} /></div>
+                    <div className="form-group"><label>{t('admin.radius')}</label><input name="shopRadius" type="number" min="50" defaultValue={isEditingShop?.arrival_radius_meters || 200} required /></div>
+                    <div className="form-group"><label>{t('admin.vipFee')}</label><input name="shopVipFee" type="number" min="0" defaultValue={isEditingShop?.vip_fee_php ?? 100} required /></div>
+                    <div className="form-group"><label>{t('admin.appointmentFee')}</label><input name="shopApptFee" type="number" min="0" defaultValue={isEditingShop?.appointment_fee_php ?? 100} required /></div>
+                    <div className="form-group"><label htmlFor="shop-cancel-hours">{t('admin.freeCancelHours')}</label><input id="shop-cancel-hours" name="shopCancelHours" type="number" min="0" max="72" defaultValue={isEditingShop?.cancellation_policy?.free_until_hours ?? DEFAULT_CANCELLATION_POLICY.free_until_hours} required /></div>
+                    <div className="form-group"><label htmlFor="shop-late-fee">{t('admin.lateCancelFeePercent')}</label><input id="shop-late-fee" name="shopLateFeePercent" type="number" min="0" max="100" defaultValue={isEditingShop?.cancellation_policy?.late_fee_percent ?? DEFAULT_CANCELLATION_POLICY.late_fee_percent} required /></div>
+                    <div className="form-group"><label htmlFor="shop-reminder-hours">{t('admin.reminderHours')}</label><input id="shop-reminder-hours" name="shopReminderHours" type="text" inputMode="decimal" defaultValue={(isEditingShop?.reminder_hours ?? DEFAULT_REMINDER_HOURS).join(', ')} placeholder="24, 1" /><small>{t('admin.reminderHoursHint')}</small></div>
+                    <div className="form-group"><label>{t('admin.pushBackLimit')}</label><input name="shopPushBackLimit" type="number" min="0" max="10" defaultValue={isEditingShop?.push_back_limit ?? DEFAULT_PUSH_BACK_LIMIT} required /></div>
+                    <div className="form-group"><label>{t('admin.brandColor')}</label><input name="shopColor" type="color" defaultValue={isEditingShop?.brand_color || '#ff9500'} /></div>
+                    <div className="form-group"><label>{t('admin.logoUrl')}</label><input name="shopLogo" defaultValue={isEditingShop?.logo_url || ''} placeholder="https://..." /></div>
+                    <div className="form-group"><label>{t('admin.partnerName')}</label><input name="promoName" defaultValue={isEditingShop?.partner_promo?.name || ''} placeholder={t('admin.partnerNamePlaceholder')} /></div>
+                    <div className="form-group"><label>{t('admin.partnerPitch')}</label><input name="promoPitch" defaultValue={isEditingShop?.partner_promo?.pitch || ''} /></div>
+                    <div className="form-group"><label>{t('admin.partnerPerks')}</label><input name="promoPerks" defaultValue={isEditingShop?.partner_promo?.perks || ''} /></div>
+                    <div className="form-group"><label>{t('admin.partnerImage')}</label><input name="promoImage" defaultValue={isEditingShop?.partner_promo?.image || ''} /></div>
+                    <div className="form-group"><label>{t('admin.partnerLink')}</label><input name="promoLink" defaultValue={isEditingShop?.partner_promo?.location_link || ''} /></div>
+                    <div style={{display:'flex', alignItems:'end', gap:'10px'}}>
+                        <button type="submit" className="btn btn-primary btn-full-width">{isEditingShop ? t('admin.update') : t('admin.add')}</button>
+                        {isEditingShop && <button type="button" onClick={() => setIsEditingShop(null)} className="btn btn-secondary">{t('common.cancel')}</button>}
+                    </div>
+                </form>
+                <h3 style={{marginTop:0}}>{t('admin.allBranches')}</h3>
+                <ul className="queue-list">
+                    {shops.map(s => (
+                        <li key={s.id} style={{display:'flex', justifyContent:'space-between', alignItems:'center', opacity: s.is_active ? 1 : 0.5, borderLeft: `4px solid ${s.brand_color || 'var(--primary-orange)'}`}}>
+                            <div>
+                                <strong>{s.name}</strong>
+                                {!s.is_active && <span style={{marginLeft:'8px', color:'var(--error-color)', fontWeight:'bold', fontSize:'0.7rem'}}>{t('admin.closed')}</span>}
+                                <div style={{fontSize:'0.8rem', color:'var(--text-secondary)'}}>{s.address || t('admin.noAddress')} · {t('admin.link')} <code>?shop={s.slug}</code></div>
+                                <div style={{fontSize:'0.8rem'}}>{t('admin.branchSummary', { vip: fmt.money(s.vip_fee_php), appointment: fmt.money(s.appointment_fee_php), radius: fmt.number(s.arrival_radius_meters) })}</div>
+                            </div>
+                            <div style={{display:'flex', gap:'10px'}}>
+                                <a href={`/display/${s.slug}`} target="_blank" rel="noopener noreferrer" className="btn btn-secondary" style={{padding:'5px 10px'}}>{t('admin.tvDisplay')}</a>
+                                <button onClick={() => setIsEditingShop(s)} className="btn btn-secondary" style={{padding:'5px 10px'}}>{t('admin.edit')}</button>
+                                <button onClick={() => handleToggleShopActive(s)} className={s.is_active ? "btn btn-danger" : "btn btn-success"} style={{padding:'5px 10px'}}>{s.is_active ? t('common.close') : t('admin.reopen')}</button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
             </div>
         </div>
     );
@@ -4489,36 +6096,36 @@ function AdminAppLayout({ session }) {
     const MenuView = () => (
         <div className="card">
             <div className="card-header">
-                <h2>{isEditingService ? 'Edit Service' : 'Add New Service'}</h2>
+                <h2>{isEditingService ? t('admin.editService') : t('admin.addService')}</h2>
             </div>
             <div className="card-body">
                 <form onSubmit={handleSaveService} style={{display:'grid', gap:'10px', gridTemplateColumns:'repeat(auto-fit, minmax(150px, 1fr))', marginBottom:'20px', paddingBottom:'20px', borderBottom:'1px solid var(--border-color)'}}>
-                    <div className="form-group"><label>Service Name</label><input name="serviceName" defaultValue={isEditingService?.name || ''} required placeholder="e.g. Haircut" /></div>
-                    <div className="form-group"><label>Duration (mins)</label><input name="serviceDuration" type="number" defaultValue={isEditingService?.duration_minutes || 30} required min="5" /></div>
-                    <div className="form-group"><label>Price (₱)</label><input name="servicePrice" type="number" defaultValue={isEditingService?.price_php || 150} required min="0" /></div>
+                    <div className="form-group"><label>{t('admin.serviceName')}</label><input name="serviceName" defaultValue={isEditingService?.name || ''} required placeholder={t('admin.serviceNamePlaceholder')} /></div>
+                    <div className="form-group"><label>{t('admin.duration')}</label><input name="serviceDuration" type="number" defaultValue={isEditingService?.duration_minutes || 30} required min="5" /></div>
+                    <div className="form-group"><label>{t('admin.price')}</label><input name="servicePrice" type="number" defaultValue={isEditingService?.price_php || 150} required min="0" /></div>
                     <div style={{display:'flex', alignItems:'end', gap:'10px'}}>
-                        <button type="submit" className="btn btn-primary btn-full-width">{isEditingService ? 'Update' : 'Add'}</button>
-                        {isEditingService && <button type="button" onClick={() => setIsEditingService(null)} className="btn btn-secondary">Cancel</button>}
+                        <button type="submit" className="btn btn-primary btn-full-width">{isEditingService ? t('admin.update') : t('admin.add')}</button>
+                        {isEditingService && <button type="button" onClick={() => setIsEditingService(null)} className="btn btn-secondary">{t('common.cancel')}</button>}
                     </div>
                 </form>
-                <h3 style={{marginTop:0}}>Current Menu</h3>
+                <h3 style={{marginTop:0}}>{t('admin.currentMenu')}{currentShop ? ` · ${currentShop.name}` : ''}</h3>
                 <ul className="queue-list">
                     {services.map(s => (
                         <li key={s.id} style={{display:'flex', justifyContent:'space-between', alignItems:'center', opacity: s.is_active ? 1 : 0.5}}>
                             <div>
                                 <strong>{s.name}</strong> 
                                 <span style={{color:'var(--text-secondary)'}}> ({s.duration_minutes}m)</span>
-                                {!s.is_active && <span style={{marginLeft:'8px', color:'var(--error-color)', fontWeight:'bold', fontSize:'0.7rem'}}>ARCHIVED</span>}
-                                <div style={{fontWeight:'bold', color:'var(--primary-orange)'}}>₱{s.price_php}</div>
+                                {!s.is_active && <span style={{marginLeft:'8px', color:'var(--error-color)', fontWeight:'bold', fontSize:'0.7rem'}}>{t('admin.archived')}</span>}
+                                <div style={{fontWeight:'bold', color:'var(--primary-orange)'}}>{fmt.money(s.price_php)}</div>
                             </div>
                             <div style={{display:'flex', gap:'10px'}}>
                                 {s.is_active ? (
                                     <>
-                                        <button onClick={() => setIsEditingService(s)} className="btn btn-secondary" style={{padding:'5px 10px'}}>Edit</button>
-                                        <button onClick={() => handleDeleteService(s.id)} className="btn btn-danger" style={{padding:'5px 10px'}}>Delete</button>
+                                        <button onClick={() => setIsEditingService(s)} className="btn btn-secondary" style={{padding:'5px 10px'}}>{t('admin.edit')}</button>
+                                        <button onClick={() => handleDeleteService(s.id)} className="btn btn-danger" style={{padding:'5px 10px'}}>{t('admin.delete')}</button>
                                     </>
                                 ) : (
-                                    <button onClick={() => handleRestoreService(s.id)} className="btn btn-success" style={{padding:'5px 10px'}}>Restore</button>
+                                    <button onClick={() => handleRestoreService(s.id)} className="btn btn-success" style={{padding:'5px 10px'}}>{t('admin.restore')}</button>
                                 )}
                             </div>
                         </li>
@@ -4530,18 +6137,19 @@ function AdminAppLayout({ session }) {
 
     // --- SUPER DETAILED ANALYTICS VIEW (RESPONSIVE FIX) ---
     const StatsView = () => {
-        if (!advancedStats) return <div className="loading-fullscreen"><Spinner /><span>Crunching numbers...</span></div>;
+        if (!advancedStats) return <div className="loading-fullscreen"><Spinner /><span>{t('admin.crunching')}</span></div>;
         
         // --- SAFEGUARDS ---
         const totals = advancedStats.totals || { revenue: 0, cuts: 0 };
         const dailyTrend = advancedStats.dailyTrend || [];
         const barberStats = advancedStats.barberStats || [];
+        const serviceStats = advancedStats.serviceStats || [];
 
         // 1. Prepare Chart Data
         const trendData = {
-            labels: dailyTrend.map(d => d.day),
+            labels: dailyTrend.map(d => fmt.date(d.day + 'T00:00:00Z', { month: 'short', day: 'numeric' })),
             datasets: [{
-                label: 'Shop Revenue (₱)',
+                label: t('admin.shopRevenueLabel'),
                 data: dailyTrend.map(d => d.daily_total),
                 borderColor: '#ff9500',
                 backgroundColor: 'rgba(255, 149, 0, 0.1)',
@@ -4553,7 +6161,7 @@ function AdminAppLayout({ session }) {
         const barberComparisonData = {
             labels: barberStats.map(b => b.full_name),
             datasets: [{
-                label: 'Total Revenue (₱)',
+                label: t('admin.totalRevenueLabel'),
                 data: barberStats.map(b => b.total_revenue),
                 backgroundColor: [
                     'rgba(255, 99, 132, 0.7)',
@@ -4566,29 +6174,29 @@ function AdminAppLayout({ session }) {
             }]
         };
 
-        const topBarber = barberStats.length > 0 ? barberStats[0] : { full_name: 'No Data', total_revenue: 0 };
+        const topBarber = barberStats.length > 0 ? barberStats[0] : { full_name: t('admin.noData'), total_revenue: 0 };
 
         return (
             <div className="stats-container">
                 {/* --- ROW 1: KPI CARDS --- */}
                 <div className="analytics-grid" style={{marginBottom: '20px'}}>
                     <div className="analytics-item">
-                        <span className="analytics-label">Total Shop Revenue</span>
+                        <span className="analytics-label">{t('admin.totalShopRevenue')}</span>
                         <span className="analytics-value" style={{color: 'var(--success-color)'}}>
-                            ₱{parseInt(totals.revenue || 0).toLocaleString()}
+                            {fmt.money(Math.round(totals.revenue || 0))}
                         </span>
                     </div>
                     <div className="analytics-item">
-                        <span className="analytics-label">Total Haircuts</span>
-                        <span className="analytics-value">{totals.cuts || 0}</span>
+                        <span className="analytics-label">{t('admin.totalHaircuts')}</span>
+                        <span className="analytics-value">{fmt.number(totals.cuts)}</span>
                     </div>
                     <div className="analytics-item">
-                        <span className="analytics-label">Top Performer 🏆</span>
+                        <span className="analytics-label">{t('admin.topPerformer')} 🏆</span>
                         <span className="analytics-value" style={{fontSize: '1.4rem'}}>
                             {topBarber.full_name}
                         </span>
                         <small style={{color: 'var(--text-secondary)'}}>
-                            Earned ₱{(topBarber.total_revenue || 0).toLocaleString()}
+                            {t('admin.earned', { amount: fmt.money(topBarber.total_revenue) })}
                         </small>
                     </div>
                 </div>
@@ -4601,7 +6209,7 @@ function AdminAppLayout({ session }) {
                     marginBottom: '20px'
                 }}>
                     <div className="card" style={{padding: '20px'}}>
-                        <h3 style={{marginTop: 0, fontSize: '1rem'}}>📈 7-Day Revenue Trend</h3>
+                        <h3 style={{marginTop: 0, fontSize: '1rem'}}>📈 {t('admin.revenueTrend')}</h3>
                         <div style={{height: '250px'}}>
                             <Bar data={trendData} options={{ 
                                 responsive: true, 
@@ -4611,7 +6219,7 @@ function AdminAppLayout({ session }) {
                         </div>
                     </div>
                     <div className="card" style={{padding: '20px'}}>
-                        <h3 style={{marginTop: 0, fontSize: '1rem'}}>💈 Barber Comparison (Revenue)</h3>
+                        <h3 style={{marginTop: 0, fontSize: '1rem'}}>💈 {t('admin.barberComparison')}</h3>
                         <div style={{height: '250px'}}>
                             <Bar data={barberComparisonData} options={{ 
                                 indexAxis: 'y', 
@@ -4626,18 +6234,18 @@ function AdminAppLayout({ session }) {
                 {/* --- ROW 3: DETAILED LEADERBOARD TABLE (Scrollable) --- */}
                 <div className="card">
                     <div className="card-header">
-                        <h2>Detailed Performance Matrix</h2>
+                        <h2>{t('admin.performanceMatrix')}</h2>
                     </div>
                     {/* FIX: Added overflowX auto here to allow table scrolling on mobile */}
                     <div className="card-body" style={{overflowX: 'auto'}}>
                         <table style={{width: '100%', borderCollapse: 'collapse', minWidth: '600px'}}>
                             <thead>
                                 <tr style={{borderBottom: '2px solid var(--border-color)', textAlign: 'left'}}>
-                                    <th style={{padding: '12px'}}>Barber Name</th>
-                                    <th style={{padding: '12px'}}>Status</th>
-                                    <th style={{padding: '12px', textAlign: 'center'}}>Cuts</th>
-                                    <th style={{padding: '12px', textAlign: 'center'}}>Rating</th>
-                                    <th style={{padding: '12px', textAlign: 'right'}}>Revenue Generated</th>
+                                    <th style={{padding: '12px'}}>{t('admin.barberName')}</th>
+                                    <th style={{padding: '12px'}}>{t('admin.status')}</th>
+                                    <th style={{padding: '12px', textAlign: 'center'}}>{t('analytics.cuts')}</th>
+                                    <th style={{padding: '12px', textAlign: 'center'}}>{t('admin.rating')}</th>
+                                    <th style={{padding: '12px', textAlign: 'right'}}>{t('admin.revenueGenerated')}</th>
                                 </tr>
                             </thead>
                             <tbody>
@@ -4650,8 +6258,8 @@ function AdminAppLayout({ session }) {
                                             </td>
                                             <td style={{padding: '12px'}}>
                                                 {b.is_active 
-                                                    ? <span style={{color: 'var(--success-color)', background: 'rgba(52,199,89,0.1)', padding: '2px 8px', borderRadius: '4px', fontSize: '0.8rem'}}>Active</span> 
-                                                    : <span style={{color: 'var(--text-secondary)', background: 'rgba(100,100,100,0.1)', padding: '2px 8px', borderRadius: '4px', fontSize: '0.8rem'}}>Inactive</span>
+                                                    ? <span style={{color: 'var(--success-color)', background: 'rgba(52,199,89,0.1)', padding: '2px 8px', borderRadius: '4px', fontSize: '0.8rem'}}>{t('admin.activeLabel')}</span>
+                                                    : <span style={{color: 'var(--text-secondary)', background: 'rgba(100,100,100,0.1)', padding: '2px 8px', borderRadius: '4px', fontSize: '0.8rem'}}>{t('admin.inactiveLabel')}</span>
                                                 }
                                             </td>
                                             <td style={{padding: '12px', textAlign: 'center', fontSize: '1.1rem'}}>
@@ -4667,12 +6275,41 @@ function AdminAppLayout({ session }) {
                                                 </div>
                                             </td>
                                             <td style={{padding: '12px', textAlign: 'right', fontWeight: 'bold', color: 'var(--primary-orange)', fontSize: '1.1rem'}}>
-                                                ₱{(b.total_revenue || 0).toLocaleString()}
+                                                {fmt.money(b.total_revenue)}
                                             </td>
                                         </tr>
                                     ))
                                 ) : (
-                                    <tr><td colSpan="5" style={{padding: '20px', textAlign: 'center'}}>No performance data available yet.</td></tr>
+                                    <tr><td colSpan="5" style={{padding: '20px', textAlign: 'center'}}>{t('admin.noPerformanceData')}</td></tr>
+                                )}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+
+                {/* --- ROW 4: SERVICES (every head of a group counts) --- */}
+                <div className="card">
+                    <div className="card-header">
+                        <h2>{t('admin.serviceMix')}</h2>
+                    </div>
+                    <div className="card-body" style={{overflowX: 'auto'}}>
+                        <table style={{width: '100%', borderCollapse: 'collapse'}}>
+                            <thead>
+                                <tr style={{borderBottom: '2px solid var(--border-color)', textAlign: 'left'}}>
+                                    <th style={{padding: '12px'}}>{t('admin.serviceName')}</th>
+                                    <th style={{padding: '12px', textAlign: 'center'}}>{t('admin.heads')}</th>
+                                    <th style={{padding: '12px', textAlign: 'right'}}>{t('admin.menuSales')}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {serviceStats.length > 0 ? serviceStats.map(row => (
+                                    <tr key={row.service_id} style={{borderBottom: '1px solid var(--border-color)'}}>
+                                        <td style={{padding: '12px', fontWeight: '600'}}>{row.name}</td>
+                                        <td style={{padding: '12px', textAlign: 'center'}}>{fmt.number(row.heads)}</td>
+                                        <td style={{padding: '12px', textAlign: 'right'}}>{fmt.money(row.sales)}</td>
+                                    </tr>
+                                )) : (
+                                    <tr><td colSpan="3" style={{padding: '20px', textAlign: 'center'}}>{t('admin.noPerformanceData')}</td></tr>
                                 )}
                             </tbody>
                         </table>
@@ -4688,14 +6325,14 @@ function AdminAppLayout({ session }) {
                 <table style={{width:'100%', borderCollapse:'collapse', color:'var(--text-primary)'}}>
                     <thead>
                         <tr style={{textAlign:'left', borderBottom:'1px solid var(--border-color)'}}>
-                            <th style={{padding:'10px'}}>Name</th><th style={{padding:'10px'}}>Role</th><th style={{padding:'10px'}}>Action</th>
+                            <th style={{padding:'10px'}}>{t('admin.name')}</th><th style={{padding:'10px'}}>{t('admin.role')}</th><th style={{padding:'10px'}}>{t('admin.action')}</th>
                         </tr>
                     </thead>
                     <tbody>
                         {users.map(u => (
                             <tr key={u.id} style={{borderBottom:'1px solid var(--border-color)'}}>
-                                <td style={{padding:'10px'}}>{u.full_name}</td><td style={{padding:'10px'}}>{u.role}</td>
-                                <td style={{padding:'10px'}}>{u.role !== 'admin' && <button onClick={() => handleDeleteUser(u.id)} className="btn btn-danger" style={{fontSize:'0.8rem'}}>Delete</button>}</td>
+                                <td style={{padding:'10px'}}>{u.full_name}</td><td style={{padding:'10px'}}>{t(`role.${u.role}`)}</td>
+                                <td style={{padding:'10px'}}>{u.role !== 'admin' && <button onClick={() => handleDeleteUser(u.id)} className="btn btn-danger" style={{fontSize:'0.8rem'}}>{t('admin.delete')}</button>}</td>
                             </tr>
                         ))}
                     </tbody>
@@ -4707,35 +6344,57 @@ function AdminAppLayout({ session }) {
    return (
         <div className="app-layout admin-layout">
             <header className="app-header" style={{ borderBottom: '2px solid #7c4dff' }}>
-                <h1>Admin Command Center</h1>
+                <h1>{t('admin.commandCenter')}</h1>
                 <div className="header-actions">
+                    {shops.length > 0 && (
+                        <select value={shopId} onChange={(e) => setShopId(e.target.value)} title={t('admin.branch')} style={{maxWidth: '200px'}}>
+                            {shops.map(s => <option key={s.id} value={s.id}>{s.is_active ? s.name : t('admin.closedBranchOption', { name: s.name })}</option>)}
+                        </select>
+                    )}
+                    <LanguageSwitcher />
                     <ThemeToggleButton />
-                    <button onClick={() => handleLogout(session.user.id)} className="btn btn-icon"><IconLogout /></button>
+                    <button onClick={() => handleLogout(session.user.id)} className="btn btn-icon" title={t('layout.logout')}><IconLogout /></button>
                 </div>
             </header>
 
             {transferMode && (
                 <div style={{background:'var(--primary-orange)', color:'black', padding:'10px', textAlign:'center', fontWeight:'bold'}}>
-                    TRANSFER MODE ACTIVE: Select a barber below to move the customer. 
-                    <button onClick={() => setTransferMode(null)} style={{marginLeft:'10px', background:'white', border:'none', padding:'2px 8px', borderRadius:'4px'}}>Cancel</button>
+                    {t('admin.transferModeBanner')}
+                    <button onClick={() => setTransferMode(null)} style={{marginLeft:'10px', background:'white', border:'none', padding:'2px 8px', borderRadius:'4px'}}>{t('common.cancel')}</button>
                 </div>
             )}
 
             <div className="customer-view-tabs card-header" style={{ justifyContent: 'center', background: 'var(--surface-color)', marginTop: '10px', flexWrap: 'wrap' }}>
-                <button className={activeTab === 'live' ? 'active' : ''} onClick={() => setActiveTab('live')}>⚡ Live Shop</button>
-                <button className={activeTab === 'stats' ? 'active' : ''} onClick={() => setActiveTab('stats')}>📊 Analytics</button>
-                <button className={activeTab === 'staff' ? 'active' : ''} onClick={() => setActiveTab('staff')}>💈 Staff</button>
-                <button className={activeTab === 'menu' ? 'active' : ''} onClick={() => setActiveTab('menu')}>✂️ Menu</button>
-                <button className={activeTab === 'users' ? 'active' : ''} onClick={() => setActiveTab('users')}>👥 Users</button>
+                <button className={activeTab === 'live' ? 'active' : ''} onClick={() => setActiveTab('live')}>⚡ {t('admin.tabLive')}</button>
+                <button className={activeTab === 'stats' ? 'active' : ''} onClick={() => setActiveTab('stats')}>📊 {t('admin.tabStats')}</button>
+                <button className={activeTab === 'staff' ? 'active' : ''} onClick={() => setActiveTab('staff')}>💈 {t('admin.tabStaff')}</button>
+                <button className={activeTab === 'branches' ? 'active' : ''} onClick={() => setActiveTab('branches')}>🏬 {t('admin.tabBranches')}</button>
+                <button className={activeTab === 'menu' ? 'active' : ''} onClick={() => setActiveTab('menu')}>✂️ {t('admin.tabMenu')}</button>
+                <button className={activeTab === 'users' ? 'active' : ''} onClick={() => setActiveTab('users')}>👥 {t('admin.tabUsers')}</button>
                 {/* --- ADD THIS BUTTON --- */}
-                <button className={activeTab === 'reports' ? 'active' : ''} onClick={() => setActiveTab('reports')}>🚨 Reports</button>
+                <button className={activeTab === 'reports' ? 'active' : ''} onClick={() => setActiveTab('reports')}>🚨 {t('admin.tabReports')}</button>
             </div>
 
             <main className="main-content">
                 <div className="container" style={{maxWidth:'1200px'}}>
+                    {activeTab === 'live' && currentShop && <WalkInForm key={currentShop.id} shop={currentShop} barbers={barbers.filter(b => b.is_active && b.shop_id === currentShop.id)} onAdded={fetchLiveShop} />}
+                    {activeTab === 'live' && currentShop && <CheckInQrCard key={`qr-${currentShop.id}`} shop={currentShop} userId={session.user.id} />}
                     {activeTab === 'live' && <LiveShopView />}
                     {activeTab === 'stats' && <StatsView />}
                     {activeTab === 'staff' && <StaffView />}
+                    {activeTab === 'staff' && scheduleBarber && (
+                        <div className="card">
+                            <div className="card-header" style={{display:'flex', justifyContent:'space-between', alignItems:'center'}}>
+                                <h2>{t('schedule.hoursFor', { name: scheduleBarber.full_name })}</h2>
+                                <button onClick={() => setScheduleBarber(null)} className="btn btn-icon" title={t('common.close')}><IconX /></button>
+                            </div>
+                            <div className="card-body">
+                                <ScheduleEditor key={scheduleBarber.id} barber={scheduleBarber} userId={session.user.id} onSaved={(updated) => { setScheduleBarber(updated); fetchLiveShop(); }} />
+                            </div>
+                        </div>
+                    )}
+                    {activeTab === 'branches' && <BranchesView />}
+                    {activeTab === 'branches' && currentShop && <PricingRulesEditor key={currentShop.id} shop={currentShop} userId={session.user.id} onSaved={fetchShops} />}
                     {activeTab === 'menu' && <MenuView />}
                     {activeTab === 'users' && <UsersView />}
                     
@@ -4743,6 +6402,7 @@ function AdminAppLayout({ session }) {
                     {activeTab === 'reports' && <ReportsView />}
                 </div>
             </main>
+            <TimelineDrawer entry={timelineEntry} onClose={() => setTimelineEntry(null)} />
         </div>
     );
 }
@@ -4750,17 +6410,98 @@ function AdminAppLayout({ session }) {
 // ##############################################
 // ##         CUSTOMER APP LAYOUT            ##
 // ##############################################
+function ShopPicker({ onSelect }) {
+    const [shops, setShops] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState('');
+    const { t } = useI18n();
+
+    useEffect(() => {
+        api.shops.list()
+            .then(data => setShops(data || []))
+            .catch(err => { console.error('Failed to load branches:', err); setError(err.message || t('shopPicker.loadFailed')); })
+            .finally(() => setIsLoading(false));
+    }, [t]);
+
+    return (
+        <div className="card">
+            <div className="card-header"><h2>{t('shopPicker.title')}</h2></div>
+            <div className="card-body">
+                {isLoading ? (<SkeletonLoader height="60px" />) : error ? (<p className="message error">{error}</p>) : shops.length === 0 ? (
+                    <p className="empty-text">{t('shopPicker.noBranches')}</p>
+                ) : (
+                    <div className="barber-selection-list">
+                        {shops.map(shop => (
+                            <button type="button" key={shop.id} className="barber-card" onClick={() => onSelect(shop)} style={{borderLeft: `4px solid ${shop.brand_color || 'var(--primary-orange)'}`}}>
+                                {shop.logo_url && <img src={shop.logo_url} alt="" style={{width: '40px', height: '40px', borderRadius: '8px', objectFit: 'cover'}} />}
+                                <span className="barber-name">{shop.name}</span>
+                                {shop.address && <small style={{color: 'var(--text-secondary)'}}>{shop.address}</small>}
+                            </button>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
 function CustomerAppLayout({ session }) {
+    const [shop, setShop] = useState(null);
+    const [isShopLoading, setIsShopLoading] = useState(true);
+    const { t } = useI18n();
+
+    useEffect(() => { // A shared link (?shop=slug or a barber's /join/:barberId QR) wins over the last branch used
+        const resolveShopKey = async () => {
+            const fromLink = new URLSearchParams(window.location.search).get('shop');
+            if (fromLink) return fromLink;
+            const barberLink = window.location.pathname.match(/^\/join\/(\d+)/);
+            if (barberLink) {
+                const allBarbers = await api.barbers.list().catch(() => []);
+                const linked = allBarbers.find(b => b.id.toString() === barberLink[1]);
+                if (linked?.shop_id) return linked.shop_id.toString();
+            }
+            return localStorage.getItem('selectedShopId');
+        };
+
+        const loadShop = async () => {
+            const shopKey = await resolveShopKey();
+            if (!shopKey) return;
+            try {
+                const data = await api.shops.get(shopKey);
+                setShop(data);
+                localStorage.setItem('selectedShopId', data.id.toString());
+            } catch (err) {
+                console.warn(`Branch "${shopKey}" not found:`, err.message);
+                localStorage.removeItem('selectedShopId');
+            }
+        };
+        loadShop().finally(() => setIsShopLoading(false));
+    }, []);
+
+    const handleSelectShop = (selected) => {
+        localStorage.setItem('selectedShopId', selected.id.toString());
+        setShop(selected);
+    };
+
+    const handleChangeShop = () => {
+        localStorage.removeItem('selectedShopId');
+        setShop(null);
+    };
+
     return (
-        <div className="app-layout customer-app-layout">
+        <div className="app-layout customer-app-layout" style={shop?.brand_color ? { '--primary-orange': shop.brand_color } : undefined}>
             <header className="app-header">
-                <h1>Welcome, {session.user?.user_metadata?.full_name || 'Customer'}!</h1>
+                <h1>
+                    {shop?.logo_url && <img src={shop.logo_url} alt="" style={{height: '32px', marginRight: '10px', verticalAlign: 'middle', borderRadius: '6px'}} />}
+                    {t('layout.welcome', { name: session.user?.user_metadata?.full_name || t('auth.roleCustomer') })}
+                </h1>
                 <div className="header-actions">
+                    <LanguageSwitcher />
                     <ThemeToggleButton />
                     <button 
                         onClick={() => handleLogout(session.user.id)} 
                         className="btn btn-icon" 
-                        title="Logout"
+                        title={t('layout.logout')}
                     >
                         <IconLogout />
                     </button>
@@ -4768,7 +6509,13 @@ function CustomerAppLayout({ session }) {
             </header>
             <main className="main-content">
                 <div className="container">
-                    <CustomerView session={session} />
+                    {isShopLoading ? (
+                        <div className="loading-fullscreen"><Spinner /><span>{t('common.loading')}</span></div>
+                    ) : shop ? (
+                        <CustomerView key={shop.id} session={session} shop={shop} onChangeShop={handleChangeShop} />
+                    ) : (
+                        <ShopPicker onSelect={handleSelectShop} />
+                    )}
                 </div>
             </main>
         </div>
@@ -4776,6 +6523,7 @@ function CustomerAppLayout({ session }) {
 }
 
 function LandingPage({ onGetStarted, onLogin, onAdminClick }) {
+    const { t } = useI18n();
 
     return (
         <div className="landing-container">
@@ -4784,26 +6532,27 @@ function LandingPage({ onGetStarted, onLogin, onAdminClick }) {
                     <span style={{fontSize: '2rem'}}>⚡</span> Dash-Q
                 </div>
                 <div style={{display: 'flex', gap: '15px', alignItems: 'center'}}>
+                    <LanguageSwitcher />
                     <ThemeToggleButton />
                     <button onClick={onLogin} className="btn btn-link" style={{color: 'var(--text-primary)', fontWeight: 600}}>
-                        Login
+                        {t('auth.login')}
                     </button>
                 </div>
             </nav>
 
             <header className="hero-section">
                 <h1 className="hero-title">
-                    Queue Smarter,<br /> <span>Look Sharper.</span>
+                    {t('landing.heroLine1')}<br /> <span>{t('landing.heroLine2')}</span>
                 </h1>
                 <p className="hero-subtitle">
-                    Skip the long wait. Join the live queue from anywhere, book appointments, and get notified when it's your turn.
+                    {t('landing.subtitle')}
                 </p>
                 <div className="hero-buttons">
                     <button onClick={onGetStarted} className="btn btn-primary btn-hero">
-                        Get Started Now
+                        {t('landing.getStarted')}
                     </button>
                     <button onClick={onLogin} className="btn btn-secondary btn-hero">
-                        Barber Login
+                        {t('landing.barberLogin')}
                     </button>
                 </div>
             </header>
@@ -4812,18 +6561,18 @@ function LandingPage({ onGetStarted, onLogin, onAdminClick }) {
                 <div className="features-grid">
                     <div className="feature-card">
                         <div className="feature-icon"><IconNext /></div>
-                        <h3>Live Queue Tracking</h3>
-                        <p>See exactly how many people are ahead of you and your estimated wait time.</p>
+                        <h3>{t('landing.featureQueueTitle')}</h3>
+                        <p>{t('landing.featureQueueText')}</p>
                     </div>
                     <div className="feature-card">
                         <div className="feature-icon"><IconChat /></div>
-                        <h3>Direct Chat</h3>
-                        <p>Message your barber directly to clarify styles or delays without leaving the app.</p>
+                        <h3>{t('landing.featureChatTitle')}</h3>
+                        <p>{t('landing.featureChatText')}</p>
                     </div>
                     <div className="feature-card">
                         <div className="feature-icon"><IconCheck /></div>
-                        <h3>Hybrid Booking</h3>
-                        <p>Join the queue now for a quick cut or schedule an appointment for later.</p>
+                        <h3>{t('landing.featureBookingTitle')}</h3>
+                        <p>{t('landing.featureBookingText')}</p>
                     </div>
                 </div>
             </section>
@@ -4831,13 +6580,13 @@ function LandingPage({ onGetStarted, onLogin, onAdminClick }) {
             <footer className="landing-footer">
                 <p>&copy; 2025 Dash-Q. University of the Cordilleras.</p>
                 <div style={{display: 'flex', justifyContent: 'center', gap: '15px', marginTop: '10px', fontSize: '0.8rem'}}>
-                    <span>Developed by Aquino, Galima & Saldivar</span>
+                    <span>{t('landing.developedBy', { names: 'Aquino, Galima & Saldivar' })}</span>
                     <span>|</span>
                     <button 
                         onClick={onAdminClick} 
                         style={{background: 'none', border: 'none', color: 'var(--text-secondary)', cursor: 'pointer', padding: 0, font: 'inherit'}}
                     >
-                        Admin
+                        {t('landing.admin')}
                     </button>
                 </div>
             </footer>
@@ -4847,6 +6596,7 @@ function LandingPage({ onGetStarted, onLogin, onAdminClick }) {
 
 // --- ADMIN LOGIN COMPONENT ---
 function AdminLoginForm({ onCancel, onLoginSuccess }) {
+    const { t } = useI18n();
     const [username, setUsername] = useState('');
     const [password, setPassword] = useState('');
     const [loading, setLoading] = useState(false);
@@ -4859,15 +6609,15 @@ function AdminLoginForm({ onCancel, onLoginSuccess }) {
         setError('');
 
         try {
-            const response = await axios.post(`${API_URL}/login/username`, {
+            const data = await api.auth.login({
                 username: username.trim(),
                 password,
                 role: 'admin' // <--- Force 'admin' role
             });
 
-            if (response.data.user?.email && supabase) {
+            if (data.user?.email && supabase) {
                 const { error: authError } = await supabase.auth.signInWithPassword({
-                    email: response.data.user.email,
+                    email: data.user.email,
                     password
                 });
                 if (authError) throw authError;
@@ -4877,7 +6627,7 @@ function AdminLoginForm({ onCancel, onLoginSuccess }) {
             }
         } catch (err) {
             console.error("Admin login failed:", err);
-            setError(err.response?.data?.error || "Login failed. Check credentials.");
+            setError(err.message || t('adminLogin.failed'));
         } finally {
             setLoading(false);
         }
@@ -4887,22 +6637,22 @@ function AdminLoginForm({ onCancel, onLoginSuccess }) {
         <div className="auth-page-container" style={{backgroundImage: 'radial-gradient(circle at 50% 20%, rgba(124, 77, 255, 0.15), transparent 60%)'}}>
             <nav className="auth-nav">
                 <button onClick={onCancel} className="btn btn-link btn-back-home" style={{color: '#ff3b30'}}>
-                    ← Exit Admin Portal
+                    ← {t('adminLogin.exit')}
                 </button>
             </nav>
             
             <div className="auth-content">
                 <div className="card auth-card" style={{borderColor: '#ff3b30'}}>
                     <div className="card-header" style={{borderBottom: '2px solid #ff3b30'}}>
-                        <h2 style={{color: '#ff3b30'}}>Admin Access</h2>
+                        <h2 style={{color: '#ff3b30'}}>{t('adminLogin.title')}</h2>
                         <div style={{fontSize: '0.8rem', color: 'var(--text-secondary)', fontWeight: 'normal'}}>
-                            Authorized Personnel Only
+                            {t('adminLogin.authorizedOnly')}
                         </div>
                     </div>
                     
                     <form onSubmit={handleLogin} className="card-body">
                         <div className="form-group">
-                            <label>Admin Username:</label>
+                            <label>{t('adminLogin.username')}</label>
                             <input 
                                 type="text" 
                                 value={username} 
@@ -4913,7 +6663,7 @@ function AdminLoginForm({ onCancel, onLoginSuccess }) {
                         </div>
                         
                         <div className="form-group password-group">
-                            <label>Password:</label>
+                            <label>{t('auth.password')}</label>
                             <input
                                 type={showPassword ? 'text' : 'password'}
                                 value={password}
@@ -4935,14 +6685,14 @@ function AdminLoginForm({ onCancel, onLoginSuccess }) {
                             className="btn btn-full-width"
                             style={{backgroundColor: '#ff3b30', color: 'white', marginTop: '10px'}}
                         >
-                            {loading ? <Spinner /> : 'Authenticate'}
+                            {loading ? <Spinner /> : t('adminLogin.authenticate')}
                         </button>
                     </form>
 
                     <div className="card-footer" style={{borderTop: '1px solid var(--border-color)'}}>
                         {error && <p className="message error">{error}</p>}
                         <p style={{fontSize: '0.75rem', color: 'var(--text-secondary)', textAlign: 'center', marginTop: '10px'}}>
-                            System activity is logged.
+                            {t('adminLogin.activityLogged')}
                         </p>
                     </div>
                 </div>
@@ -4951,19 +6701,328 @@ function AdminLoginForm({ onCancel, onLoginSuccess }) {
     );
 }
 
+// --- Login / Signup page (/login) ---
+function LoginPage({ onBack, onAdminClick }) {
+    const { t } = useI18n();
+    return (
+        <div className="auth-page-container">
+            {/* Navigation Bar (Top Left) */}
+            <nav className="auth-nav">
+                <button 
+                    onClick={onBack} 
+                    className="btn btn-link btn-back-home"
+                >
+                    ← {t('auth.backToHome')}
+                </button>
+            </nav>
+            
+            {/* Centered Content */}
+            <div className="auth-content">
+                <AuthForm />
+                {/* Discrete Admin Link at the bottom */}
+                <div style={{marginTop: '30px', textAlign: 'center'}}>
+                    <button 
+                        onClick={onAdminClick} 
+                        className="btn btn-link" 
+                        style={{fontSize: '0.8rem', color: 'var(--text-secondary)', opacity: 0.5}}
+                    >
+                        {t('adminLogin.title')}
+                    </button>
+                </div>
+                {/* Optional: Small branding footer under the card */}
+                <p style={{
+                    marginTop: '20px', 
+                    color: 'var(--text-secondary)', 
+                    fontSize: '0.85rem', 
+                    opacity: 0.7
+                }}>
+                    Dash-Q &copy; 2025
+                </p>
+            </div>
+        </div>
+    );
+}
+
+// ##############################################
+// ##      NOW SERVING DISPLAY (SHOP TV)       ##
+// ##############################################
+// Read-only and signed-out: /display/:shop (slug or id) runs full screen on
+// the shop TV. Only ticket numbers are shown, never customer names.
+const CALLOUT_MS = 8000;
+
+const ticketLabel = (entry) => (entry ? `#${entry.daily_number || entry.id}` : '---');
+
+function NowServingDisplay() {
+    const { shop: shopKey } = useParams();
+    const navigate = useNavigate();
+    const { t } = useI18n();
+    const [shop, setShop] = useState(null);
+    const [boards, setBoards] = useState([]);
+    const [error, setError] = useState('');
+    const [callout, setCallout] = useState(null);
+    const [isSoundEnabled, setIsSoundEnabled] = useState(false);
+    const servingRef = useRef(null); // barberId -> entry in the chair; null until the first load
+
+    useEffect(() => {
+        if (!shopKey) return;
+        setShop(null);
+        setError('');
+        api.shops.get(shopKey)
+            .then(setShop)
+            .catch(err => { console.error('[Display] Failed to load branch:', err); setError(err.message || t('display.loadFailed')); });
+    }, [shopKey, t]);
+
+    const fetchBoards = useCallback(async (shopId) => {
+        try {
+            const barbers = await api.barbers.list(shopId);
+            const queues = await Promise.all(barbers.map(b => api.queue.publicList(b.id)));
+            const next = barbers.map((barber, i) => {
+                const entries = (queues[i] || []).filter(e => !e.is_ghost);
+                return {
+                    barber,
+                    inProgress: entries.find(e => e.status === 'In Progress') || null,
+                    upNext: entries.find(e => e.status === 'Up Next') || null,
+                    waitingCount: entries.filter(e => e.status === 'Waiting').length,
+                };
+            }).filter(b => b.barber.is_available || b.inProgress || b.upNext || b.waitingCount > 0);
+
+            // Ring for anyone who just sat down, but not for whoever was already in the chair on load
+            const previous = servingRef.current;
+            servingRef.current = Object.fromEntries(next.map(b => [b.barber.id, b.inProgress?.id || null]));
+            const called = previous && next.find(b => b.inProgress && previous[b.barber.id] !== b.inProgress.id);
+            if (called) {
+                setCallout({ id: called.inProgress.id, ticket: ticketLabel(called.inProgress), barberName: called.barber.full_name });
+                playSound(buzzerSound);
+            }
+            setBoards(next);
+            setError('');
+        } catch (err) {
+            console.error('[Display] Failed to load queues:', err);
+            setError(err.message || t('display.loadFailed'));
+        }
+    }, [t]);
+
+    useEffect(() => {
+        if (!shop?.id) return;
+        servingRef.current = null;
+        fetchBoards(shop.id);
+
+        const refresh = () => fetchBoards(shop.id);
+        const channel = supabase.channel(`display_${shop.id}`)
+            .on('postgres_changes', { event: '*', schema: 'public', table: 'queue_entries', filter: `shop_id=eq.${shop.id}` }, refresh)
+            .on('postgres_changes', { event: '*', schema: 'public', table: 'barber_profiles', filter: `shop_id=eq.${shop.id}` }, refresh)
+            .subscribe((status, err) => {
+                if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') console.error('[Display] Realtime channel error:', err);
+            });
+        const intervalId = setInterval(refresh, 15000);
+
+        return () => {
+            clearInterval(intervalId);
+            supabase.removeChannel(channel);
+        };
+    }, [shop?.id, fetchBoards]);
+
+    useEffect(() => {
+        if (!callout) return;
+        const timerId = setTimeout(() => setCallout(null), CALLOUT_MS);
+        return () => clearTimeout(timerId);
+    }, [callout]);
+
+    // Browsers only allow audio after a tap, so the TV needs one before the buzzer can ring
+    const enableSound = () => {
+        playSound(buzzerSound);
+        setIsSoundEnabled(true);
+    };
+
+    const goFullScreen = () => {
+        document.documentElement.requestFullscreen?.().catch(err => console.warn('[Display] Full screen was refused:', err.message));
+    };
+
+    if (!shopKey) {
+        return (
+            <div className="kiosk-display">
+                <ShopPicker onSelect={(picked) => navigate(`/display/${picked.slug || picked.id}`)} />
+            </div>
+        );
+    }
+
+    if (!shop) {
+        return error
+            ? <div className="kiosk-display"><p className="message error">{error}</p></div>
+            : <div className="loading-fullscreen"><Spinner /><span>{t('common.loading')}</span></div>;
+    }
+
+    return (
+        <div className="kiosk-display" style={{'--kiosk-accent': shop.brand_color || 'var(--primary-orange)'}}>
+            <header className="kiosk-header">
+                <div className="kiosk-title">
+                    {shop.logo_url && <img src={shop.logo_url} alt="" />}
+                    <h1>{shop.name}</h1>
+                </div>
+                <div className="kiosk-controls">
+                    <LanguageSwitcher />
+                    {!isSoundEnabled && <button type="button" className="btn btn-secondary" onClick={enableSound}>{t('display.enableSound')}</button>}
+                    <button type="button" className="btn btn-secondary" onClick={goFullScreen}>{t('display.fullScreen')}</button>
+                </div>
+            </header>
+
+            {error && <p className="message error">{error}</p>}
+
+            {boards.length === 0 ? (
+                <p className="empty-text">{t('display.noBarbers')}</p>
+            ) : (
+                <div className="kiosk-grid">
+                    {boards.map(({ barber, inProgress, upNext, waitingCount }) => (
+                        <section key={barber.id} className="kiosk-card" aria-label={barber.full_name}>
+                            <h2>{barber.full_name}</h2>
+                            <div className="current-serving-display">
+                                <div className="serving-item now-serving"><span>{t('barber.nowServing')}</span><strong>{ticketLabel(inProgress)}</strong></div>
+                                <div className="serving-item up-next"><span>{t('barber.upNext')}</span><strong>{ticketLabel(upNext)}</strong></div>
+                            </div>
+                            <p className="kiosk-waiting">{t('display.waitingCount', { count: waitingCount })}</p>
+                        </section>
+                    ))}
+                </div>
+            )}
+
+            <footer className="kiosk-footer">{t('display.joinHint', { link: `${window.location.host}/join?shop=${shop.slug}` })}</footer>
+
+            {callout && (
+                <div key={callout.id} className="kiosk-callout" role="alert">
+                    <span>{t('display.nowCalling')}</span>
+                    <strong>{callout.ticket}</strong>
+                    <span>{t('display.proceedTo', { name: callout.barberName })}</span>
+                </div>
+            )}
+        </div>
+    );
+}
+
+// ##############################################
+// ##        LIVE TRACKING (SHARED LINK)       ##
+// ##############################################
+// Read-only and signed-out: /track/:token follows one ticket for whoever the
+// customer sent the link to. The backend answers 410 once the visit is over.
+const TRACKING_REFRESH_MS = 30000;
+
+function TrackingView() {
+    const { token } = useParams();
+    const { t, fmt } = useI18n();
+    const [ticket, setTicket] = useState(null);
+    const [error, setError] = useState('');
+    const [isExpired, setIsExpired] = useState(false);
+    const [checkedAt, setCheckedAt] = useState(() => Date.now());
+
+    const fetchTicket = useCallback(async () => {
+        try {
+            setTicket(await api.queue.track(token));
+            setCheckedAt(Date.now());
+            setError('');
+        } catch (err) {
+            if (err.status === 404 || err.status === 410) {
+                setTicket(null);
+                setIsExpired(true);
+            }
+            setError(err.message || t('tracking.loadFailed'));
+        }
+    }, [token, t]);
+
+    useEffect(() => { fetchTicket(); }, [fetchTicket]);
+
+    const shopId = ticket?.shop_id;
+    useEffect(() => {
+        if (!shopId || isExpired) return;
+        // Same public queue updates the branch's customers get
+        const channel = supabase.channel(`track_${token}`)
+            .on('postgres_changes', { event: '*', schema: 'public', table: 'queue_entries', filter: `shop_id=eq.${shopId}` }, () => fetchTicket())
+            .subscribe((status, err) => {
+                if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') console.error('[Tracking] Realtime channel error:', err);
+            });
+        const intervalId = setInterval(fetchTicket, TRACKING_REFRESH_MS);
+        return () => {
+            clearInterval(intervalId);
+            supabase.removeChannel(channel);
+        };
+    }, [shopId, isExpired, token, fetchTicket]);
+
+    const wait = ticket?.wait;
+    const minutes = (value) => Math.max(0, Math.round(value));
+    const waitLabel = !wait ? t('customer.calculating')
+        : minutes(wait.high) === 0 ? t('customer.noWait')
+        : minutes(wait.low) === minutes(wait.high) ? t('common.minutes', { count: minutes(wait.high) })
+        : t('customer.waitRange', { low: minutes(wait.low), high: minutes(wait.high) });
+
+    return (
+        <div className="tracking-page">
+            <div className="card">
+                <div className="card-header">
+                    <h2>{ticket ? ticket.shop_name : t('tracking.title')}</h2>
+                    <LanguageSwitcher />
+                </div>
+                <div className="card-body">
+                    {isExpired ? (
+                        <p className="message">{t('tracking.expired')}</p>
+                    ) : !ticket ? (
+                        error ? <p className="message error">{error}</p> : <div className="loading-fullscreen"><Spinner /><span>{t('common.loading')}</span></div>
+                    ) : (
+                        <>
+                            <div className="queue-number-display">
+                                {t('tracking.ticket')}
+                                <strong>#{ticket.ticket}</strong>
+                            </div>
+                            <div className={`status-banner ${ticket.status === 'In Progress' ? 'in-progress-banner' : ticket.status === 'Up Next' ? 'up-next-banner' : ''}`}>
+                                <h2>{t(statusKey(ticket.status))}</h2>
+                                <p>{ticket.barber_name
+                                    ? t('tracking.withBarber', { name: ticket.barber_name })
+                                    : ticket.likely_barber_name ? t('customer.likelyBarber', { name: ticket.likely_barber_name }) : t('tracking.poolWaiting')}</p>
+                            </div>
+                            {ticket.status !== 'In Progress' && (
+                                <div className="ewt-container">
+                                    <div className="ewt-item"><span>{t('tracking.placeInLine')}</span><strong>{t('tracking.position', { position: ticket.position })}</strong></div>
+                                    <div className="ewt-item">
+                                        <span>{t('customer.estimatedWait')}</span>
+                                        <strong>{waitLabel}</strong>
+                                        {wait && minutes(wait.high) > 0 && <small>{t('customer.aroundTime', { time: fmt.time(checkedAt + wait.typical * 60000) })}</small>}
+                                    </div>
+                                </div>
+                            )}
+                            {error && <p className="message error">{error}</p>}
+                            <p className="small">{t('tracking.readOnly')}</p>
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
+
 // ##############################################
 // ##           MAIN APP COMPONENT           ##
 // ##############################################
-function App() {
+const ADMIN_TABS = ['live', 'stats', 'staff', 'branches', 'menu', 'users', 'reports'];
+
+/** Role guard: signed-out visitors go to /login (and come back after), other roles go to their own home. */
+function RequireRole({ session, userRole, role, home, children }) {
+    const location = useLocation();
+    if (!session) return <Navigate to="/login" replace state={{ from: location.pathname + location.search }} />;
+    if (userRole !== role) return <Navigate to={home} replace />;
+    return children;
+}
+
+function AdminTabRoute({ session }) {
+    const { tab } = useParams();
+    if (!ADMIN_TABS.includes(tab)) return <Navigate to="/admin/live" replace />;
+    return <AdminAppLayout session={session} />;
+}
+
+function AppRoutes() {
     const [session, setSession] = useState(null);
     const [userRole, setUserRole] = useState(null);
     const [barberProfile, setBarberProfile] = useState(null);
     const [loadingRole, setLoadingRole] = useState(true);
-    const [isUpdatingPassword, setIsUpdatingPassword] = useState(false);
-    
-    // --- NEW STATE: Controls Landing Page visibility ---
-    const [showLanding, setShowLanding] = useState(true); 
-    const [showAdminLogin, setShowAdminLogin] = useState(false);
+    const navigate = useNavigate();
+    const location = useLocation();
+    const { t } = useI18n();
 
     // --- Helper to Check Role ---
     const checkUserRole = useCallback(async (user) => {
@@ -4990,9 +7049,9 @@ function App() {
                 return; 
             }
 
-            const response = await axios.get(`${API_URL}/barber/profile/${user.id}`);
+            const profile = await api.barbers.profile(user.id);
             setUserRole('barber');
-            setBarberProfile(response.data);
+            setBarberProfile(profile);
 
         } catch (error) {
             setUserRole('customer');
@@ -5002,6 +7061,19 @@ function App() {
         }
     }, []);
 
+    // Only refetches the barber profile: checkUserRole() would fall back to the customer view if it fails again
+    const [isRetryingProfile, setIsRetryingProfile] = useState(false);
+    const retryBarberProfile = async () => {
+        setIsRetryingProfile(true);
+        try {
+            setBarberProfile(await api.barbers.profile(session.user.id));
+        } catch (error) {
+            console.error('[Barber] Failed to reload the barber profile:', error);
+        } finally {
+            setIsRetryingProfile(false);
+        }
+    };
+
     // --- Auth Listener ---
     useEffect(() => {
         if (!supabase?.auth) {
@@ -5011,103 +7083,87 @@ function App() {
 
         const { data: { subscription } } = supabase.auth.onAuthStateChange((_event, currentSession) => {
             if (_event === 'PASSWORD_RECOVERY') {
-                setIsUpdatingPassword(true);
+                navigate('/reset-password', { replace: true });
             }
 
             setSession(currentSession);
 
             if (currentSession?.user) {
-                // User is logged in, hide landing page immediately
-                setShowLanding(false); 
                 checkUserRole(currentSession.user);
             } else {
                 setUserRole('customer');
                 setBarberProfile(null);
                 setLoadingRole(false);
-                setIsUpdatingPassword(false);
-                // Note: We do NOT reset showLanding to true here. 
-                // If they logout, we show AuthForm (Login) by default, unless they refresh.
             }
         });
 
         return () => subscription?.unsubscribe();
-    }, [checkUserRole]);
+    }, [checkUserRole, navigate]);
     
+    useEffect(() => onNotificationClick(path => navigate(path)), [navigate]);
+
     // --- Render Logic ---
-    const renderAppContent = () => {
-        // 1. Loading State
-        if (loadingRole) return <div className="loading-fullscreen"><Spinner /><span>Loading...</span></div>;
-        
-        // 2. Password Reset
-        if (isUpdatingPassword) return <UpdatePasswordForm onPasswordUpdated={() => setIsUpdatingPassword(false)} />;
-        
-        // 3. Authenticated View
-        if (session) {
-            if (userRole === 'admin') return <AdminAppLayout session={session} />;
-            if (userRole === 'barber' && barberProfile) return <BarberAppLayout session={session} barberProfile={barberProfile} setBarberProfile={setBarberProfile} />;
-            return <CustomerAppLayout session={session} />;
-        }
+    if (loadingRole) return <div className="loading-fullscreen"><Spinner /><span>{t('common.loading')}</span></div>;
 
-        // 4. ADMIN LOGIN (New Section)
-        if (showAdminLogin) {
-            return <AdminLoginForm onCancel={() => setShowAdminLogin(false)} />;
-        }
+    const home = userRole === 'admin' ? '/admin/live' : userRole === 'barber' ? '/barber' : '/join';
+    const guard = (role, element) => <RequireRole session={session} userRole={userRole} role={role} home={home}>{element}</RequireRole>;
+    const customerLayout = guard('customer', <CustomerAppLayout session={session} />);
 
-        // 5. Landing Page
-        if (showLanding) {
-            return (
+    return (
+        <Routes>
+            {/* Public */}
+            <Route path="/" element={session ? <Navigate to={home} replace /> : (
                 <LandingPage 
-                    onGetStarted={() => setShowLanding(false)} 
-                    onLogin={() => setShowLanding(false)} 
-                    onAdminClick={() => { setShowLanding(false); setShowAdminLogin(true); }} // <--- Pass handler
+                    onGetStarted={() => navigate('/login')} 
+                    onLogin={() => navigate('/login')} 
+                    onAdminClick={() => navigate('/admin/login')}
                 />
-            );
-        }
-
-        // 6. Login/Signup Form (Unified Design)
-        return (
-            <div className="auth-page-container">
-                {/* Navigation Bar (Top Left) */}
-                <nav className="auth-nav">
-                    <button 
-                        onClick={() => setShowLanding(true)} 
-                        className="btn btn-link btn-back-home"
-                    >
-                        ← Back to Home
-                    </button>
-                </nav>
-                
-                {/* Centered Content */}
-                <div className="auth-content">
-                    <AuthForm />
-                    {/* Discrete Admin Link at the bottom */}
-                    <div style={{marginTop: '30px', textAlign: 'center'}}>
-                        <button 
-                            onClick={() => setShowAdminLogin(true)} 
-                            className="btn btn-link" 
-                            style={{fontSize: '0.8rem', color: 'var(--text-secondary)', opacity: 0.5}}
-                        >
-                            Admin Access
-                        </button>
-                    </div>
-                    {/* Optional: Small branding footer under the card */}
-                    <p style={{
-                        marginTop: '20px', 
-                        color: 'var(--text-secondary)', 
-                        fontSize: '0.85rem', 
-                        opacity: 0.7
-                    }}>
-                        Dash-Q &copy; 2025
-                    </p>
+            )} />
+            <Route path="/login" element={session ? <Navigate to={location.state?.from || home} replace /> : (
+                <LoginPage onBack={() => navigate('/')} onAdminClick={() => navigate('/admin/login')} />
+            )} />
+            <Route path="/admin/login" element={session ? <Navigate to={home} replace /> : <AdminLoginForm onCancel={() => navigate('/login')} />} />
+            <Route path="/display" element={<NowServingDisplay />} />
+            <Route path="/display/:shop" element={<NowServingDisplay />} />
+            <Route path="/track/:token" element={<TrackingView />} />
+            <Route path="/reset-password" element={session ? <UpdatePasswordForm onPasswordUpdated={() => navigate(home, { replace: true })} /> : <Navigate to="/login" replace />} />
+
+            {/* Customer (one layout instance, so queue state survives tab changes) */}
+            <Route element={customerLayout}>
+                <Route path="/join" element={null} />
+                <Route path="/join/:barberId" element={null} />
+                <Route path="/queue/:entryId" element={null} />
+                <Route path="/checkin/:code" element={null} />
+                <Route path="/history" element={null} />
+                <Route path="/appointments" element={null} />
+            </Route>
+
+            {/* Staff */}
+            <Route path="/barber" element={guard('barber', barberProfile ? <BarberAppLayout session={session} barberProfile={barberProfile} setBarberProfile={setBarberProfile} /> : (
+                <div className="loading-fullscreen">
+                    <span>{t('barber.profileMissing')}</span>
+                    <button type="button" className="btn btn-primary" onClick={retryBarberProfile} disabled={isRetryingProfile}>{isRetryingProfile ? <Spinner /> : t('common.tryAgain')}</button>
                 </div>
-            </div>
-        );
-    }
+            ))} />
+            <Route path="/admin" element={<Navigate to="/admin/live" replace />} />
+            <Route path="/admin/:tab" element={guard('admin', <AdminTabRoute session={session} />)} />
 
+            <Route path="*" element={<Navigate to={session ? home : '/'} replace />} />
+        </Routes>
+    );
+}
+
+function App() {
     return (
-        <ThemeProvider>
-            {renderAppContent()}
-        </ThemeProvider>
+        <BrowserRouter>
+            <ThemeProvider>
+                <I18nProvider>
+                    <DialogProvider>
+                        <AppRoutes />
+                    </DialogProvider>
+                </I18nProvider>
+            </ThemeProvider>
+        </BrowserRouter>
     );
 }
 
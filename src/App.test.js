@@ -1,8 +1,687 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import { render, screen, fireEvent, waitFor, act, within } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import App, { CustomerView, BarberDashboard, ScheduleEditor, DialogProvider } from './App';
+import * as api from './api';
+import { installMockApi, configureMockServer, resetMock, pushOutbox, sendDueReminders, expireWaitlistOffers } from './mock';
+import { db } from './mock/db';
+import { priceBreakdown } from './pricing';
+import { defaultSchedule, dateKey } from './schedule';
+import { icsText, appointmentEvent, calendarFile } from './calendar';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// The whole suite runs against the in-memory backend from src/mock: the fake
+// Supabase client (auth, channel, from, storage) replaces the real one, and
+// the API client is answered by the mock routes.
+jest.mock('./supabaseClient', () => ({ __esModule: true, default: require('./mock').mockSupabase }));
+
+const customerSession = { user: { id: 'u-cust-1', email: 'juan@dashq.local', user_metadata: { full_name: 'Juan Dela Cruz' } } };
+const barberSession = { user: { id: 'u-barber-1', email: 'marco@dashq.local', user_metadata: { full_name: 'Marco Reyes' } } };
+
+beforeAll(() => {
+    installMockApi(api.client);
+    configureMockServer({ latency: 0 });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+});
+
+beforeEach(() => {
+    localStorage.clear();
+    localStorage.setItem('hasSeenInstructions_v1', 'true');
+    resetMock();
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+// --- Helpers ---
+const shop = (id = 1) => db.shops.find(s => s.id === id);
+const providersAt = (path) => ({ children }) => (
+    <MemoryRouter initialEntries={[path]}>
+        <DialogProvider>{children}</DialogProvider>
+    </MemoryRouter>
+);
+const openCustomerView = (shopId = 1, path = '/join') => render(<CustomerView session={customerSession} shop={shop(shopId)} />, { wrapper: providersAt(path) });
+const openBarberDashboard = () => render(<BarberDashboard barberId={1} barberName="Marco Reyes" onCutComplete={() => {}} session={barberSession} shop={shop(1)} />, { wrapper: providersAt('/barber') });
+/** ISO time `days` from today at hour:minute local time, e.g. daysAhead(1, 10) is tomorrow at 10:00. */
+const daysAhead = (days, hour = 0, minute = 0) => { const d = new Date(); d.setDate(d.getDate() + days); d.setHours(hour, minute, 0, 0); return d.toISOString(); };
+
+async function joinQueueAsCustomer() {
+    await screen.findAllByRole('option', { name: /^Haircut \(30 min/ });
+    fireEvent.change(screen.getByLabelText('Select Service:'), { target: { value: '1' } });
+    fireEvent.click(await screen.findByRole('button', { name: /Marco Reyes/ }));
+    fireEvent.click(screen.getByRole('button', { name: 'Join Queue Now' }));
+    await waitFor(() => expect(localStorage.getItem('myQueueEntryId')).not.toBeNull());
+    return Number(localStorage.getItem('myQueueEntryId'));
+}
+
+async function completeWithTip(name, tip) {
+    fireEvent.click(await screen.findByRole('button', { name: new RegExp(`Complete: #\\d+ - ${name}`) }));
+    fireEvent.change(screen.getByLabelText(/TIP Amount/), { target: { value: String(tip) } });
+    fireEvent.click(screen.getByRole('button', { name: 'Complete & Log Profit' }));
+    await screen.findByText('Cut Completed!');
+    fireEvent.click(screen.getByRole('button', { name: 'OK' }));
+}
+
+const entry = (id) => db.queue_entries.find(e => e.id === id);
+
+// --- Tests ---
+test('shows the landing page to signed-out visitors', async () => {
+    render(<App />);
+    expect(await screen.findByText(/Queue Smarter/)).toBeInTheDocument();
+});
+
+test('the language picker translates the app and remembers the choice', async () => {
+    render(<App />);
+    await screen.findByText(/Queue Smarter/);
+    fireEvent.change(screen.getByRole('combobox', { name: 'Language' }), { target: { value: 'fil' } });
+    expect(await screen.findByText(/Pumila nang Matalino/)).toBeInTheDocument();
+    expect(screen.getByRole('combobox', { name: 'Wika' })).toHaveValue('fil');
+    expect(localStorage.getItem('language')).toBe('fil');
+});
+
+test('customer joins, barber calls and completes with a tip, customer leaves feedback', async () => {
+    // A walk-in is already Up Next, so the customer starts out Waiting
+    await api.queue.join({ customer_name: 'Pedro (Walk-in)', barber_id: 1, service_id: 1 });
+
+    openCustomerView();
+    openBarberDashboard();
+    const myId = await joinQueueAsCustomer();
+    expect(entry(myId).status).toBe('Waiting');
+
+    // Barber calls the walk-in; the customer is promoted to Up Next live
+    fireEvent.click(await screen.findByRole('button', { name: /Call: #\d+ - Pedro/ }));
+    expect(await screen.findByText(/You're Up Next!/)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: /I'm Coming!/ }));
+    expect(await screen.findByText(/Confirmation Sent!/)).toBeInTheDocument();
+    expect(entry(myId).is_confirmed).toBe(true);
+
+    await completeWithTip('Pedro', 0);
+
+    fireEvent.click(await screen.findByRole('button', { name: /Call: #\d+ - Juan Dela Cruz/ }));
+    expect(await screen.findByText(/It's Your Turn!/)).toBeInTheDocument();
+
+    await completeWithTip('Juan Dela Cruz', 50);
+    expect(entry(myId)).toMatchObject({ status: 'Done', tip_amount: 50, total_amount: 200 });
+
+    // Realtime "Done" opens the feedback modal
+    await waitFor(() => expect(screen.getByText('Service Complete!')).toBeVisible());
+    fireEvent.click(screen.getAllByText('★')[4]);
+    fireEvent.change(screen.getByPlaceholderText(/How was your cut/), { target: { value: 'Sharp fade, thanks!' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Submit Rating' }));
+
+    expect(await screen.findByText('Feedback Sent!')).toBeInTheDocument();
+    expect(db.feedback).toContainEqual(expect.objectContaining({ barber_id: 1, score: 5, comments: 'Sharp fade, thanks!', queue_entry_id: myId }));
+});
+
+test('customer who missed the cancellation event sees the Cancelled modal on return', async () => {
+    const { unmount } = openCustomerView();
+    const myId = await joinQueueAsCustomer();
+
+    // Customer closes the tab; the barber calls them and marks a no-show meanwhile
+    unmount();
+    openBarberDashboard();
+    fireEvent.click(await screen.findByRole('button', { name: /Call: #\d+ - Juan Dela Cruz/ }));
+    fireEvent.click(await screen.findByRole('button', { name: /Cancel \/ No-Show/ }));
+    fireEvent.click(screen.getByRole('button', { name: 'Yes, Cancel' }));
+    await waitFor(() => expect(entry(myId).status).toBe('Cancelled'));
+
+    // investigateDisappearance: gone from the public list -> /missed-event says Cancelled
+    openCustomerView();
+    await waitFor(() => expect(screen.getByText('Appointment Cancelled')).toBeVisible());
+    expect(localStorage.getItem('myQueueEntryId')).toBeNull();
+});
+
+test('customer transferred to another barber follows the move', async () => {
+    openCustomerView();
+    const myId = await joinQueueAsCustomer();
+
+    await api.admin.transfer({ userId: 'u-admin', queueId: myId, targetBarberId: 2 });
+
+    // The old barber's channel never sees the row again; the next re-fetch notices it is missing
+    act(() => { document.dispatchEvent(new Event('visibilitychange')); });
+
+    expect(await screen.findByText(/You have been transferred to another barber/)).toBeInTheDocument();
+    expect(localStorage.getItem('joinedBarberId')).toBe('2');
+    expect(screen.queryByText('Appointment Cancelled')).not.toBeVisible();
+});
+
+test('switching to a free barber moves the same entry without losing anything', async () => {
+    await api.queue.addWalkIn({ barberId: 1, customerName: 'Pedro', serviceId: 1, headCount: 1 });
+    const joined = await api.queue.join({ customer_name: 'Juan Dela Cruz', user_id: 'u-cust-1', barber_id: 1, service_id: 2, head_count: 2, is_vip: true, reference_image_url: 'https://example.com/fade.jpg' });
+    await api.chat.send({ senderId: 'u-cust-1', queueId: joined.id, message: 'Low fade please' });
+    localStorage.setItem('myQueueEntryId', String(joined.id));
+    localStorage.setItem('joinedBarberId', '1');
+
+    openCustomerView();
+    fireEvent.click(await screen.findByRole('button', { name: 'Switch to Jun Dizon' }));
+    fireEvent.click(await screen.findByRole('button', { name: 'Switch' }));
+    expect(await screen.findByText('Switched to Jun Dizon! You are number 1 in line.')).toBeInTheDocument();
+
+    // Same row: VIP jumps Jun's waiting guest, and nothing was reset
+    expect(entry(joined.id)).toMatchObject({ barber_id: 2, status: 'Up Next', service_id: 2, head_count: 2, is_vip: true, reference_image_url: 'https://example.com/fade.jpg', created_at: joined.created_at });
+    expect(db.chat_messages.filter(m => m.queue_entry_id === joined.id)).toHaveLength(1);
+    expect(localStorage.getItem('joinedBarberId')).toBe('2');
+});
+
+test('a late customer lets people behind go ahead and the barber is told', async () => {
+    await api.queue.addWalkIn({ barberId: 1, customerName: 'Pedro', serviceId: 1, headCount: 1 });
+    openBarberDashboard();
+    openCustomerView();
+    const myId = await joinQueueAsCustomer();
+    for (const name of ['Ana', 'Ben', 'Carlo']) await api.queue.addWalkIn({ barberId: 1, customerName: name, serviceId: 1, headCount: 1 });
+
+    expect(await screen.findByText('2 uses left this visit')).toBeInTheDocument();
+    await expect(api.queue.pushBack(myId, undefined, 1)).rejects.toThrow(/not your ticket/);
+    await expect(api.queue.pushBack(myId, 'u-cust-2', 1)).rejects.toThrow(/not your ticket/);
+    fireEvent.click(await screen.findByRole('button', { name: 'Let 2 go ahead' }));
+
+    expect(await screen.findByText("You let 2 people go ahead. You're now number 4 in line.")).toBeInTheDocument();
+    expect(await screen.findByText('⏪ Juan Dela Cruz is running late and let 2 people go ahead.')).toBeInTheDocument();
+    const { upNext, waiting } = await api.queue.details(1);
+    expect([upNext, ...waiting].map(e => e.customer_name)).toEqual(['Pedro', 'Ana', 'Ben', 'Juan Dela Cruz', 'Carlo']);
+    expect(entry(myId)).toMatchObject({ push_back_count: 1 });
+    expect(await screen.findByText('1 use left this visit')).toBeInTheDocument();
+
+    // Later updates to the same entry don't repeat the barber's toast
+    await act(() => api.queue.updateLocation(myId, 120));
+    await waitFor(() => expect(entry(myId).current_distance_meters).toBe(120));
+    expect(screen.getAllByText('⏪ Juan Dela Cruz is running late and let 2 people go ahead.')).toHaveLength(1);
+});
+
+test('customer only sees the chosen branch\'s barbers, menu and fees', async () => {
+    openCustomerView(2);
+
+    expect(await screen.findByRole('button', { name: /Rico Bautista/ })).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /Marco Reyes/ })).not.toBeInTheDocument();
+    expect(await screen.findByRole('option', { name: /^Beard Trim/ })).toBeInTheDocument();
+    expect(screen.queryByRole('option', { name: /^Kids Cut/ })).not.toBeInTheDocument();
+
+    fireEvent.change(screen.getByRole('combobox'), { target: { value: '4' } });
+    expect(screen.getByRole('button', { name: 'VIP Priority (+₱80)' })).toBeInTheDocument();
+});
+
+test('branch pricing rules itemize the join form and match what the backend logs', async () => {
+    const evening = new Date();
+    evening.setHours(17, 30, 0, 0);
+    const withSurcharge = { ...shop(1), pricing_rules: { ...shop(1).pricing_rules, surcharges: [{ label: 'Evening', start: '17:00', end: '18:00', amount_php: 20 }] } };
+    const quote = priceBreakdown(withSurcharge, { service: db.services[0], headCount: 3, isVip: true, isSeniorPwd: true, at: evening });
+    // Senior/PWD is 20% of the lead's ₱150 after the 10% group discount (₱135), not of the menu price
+    expect(quote.lines.map(line => [line.id, line.amount])).toEqual([['service', 450], ['group', -45], ['surcharge-0', 60], ['seniorPwd', -27], ['vip', 100]]);
+    expect(quote.total).toBe(538);
+    expect(priceBreakdown(shop(1), { service: db.services[0], headCount: 1, isSeniorPwd: true }).lines.map(line => line.amount)).toEqual([150, -30]);
+
+    openCustomerView();
+    await screen.findByRole('option', { name: /^Haircut \(30 min/ });
+    fireEvent.change(screen.getByRole('combobox'), { target: { value: '1' } });
+    fireEvent.click(screen.getByRole('button', { name: '+' }));
+    fireEvent.click(screen.getByRole('button', { name: '+' }));
+    fireEvent.click(screen.getByLabelText(/Senior citizen \/ PWD/));
+    expect(screen.getByText('Group discount (10%)')).toBeInTheDocument();
+    expect(screen.getByText('₱378')).toBeInTheDocument();
+
+    const myId = await joinQueueAsCustomer();
+    await api.queue.next(myId, 1);
+    await api.queue.complete({ queueId: myId, barberId: 1, tipAmount: 0 });
+    expect(entry(myId)).toMatchObject({ head_count: 3, is_senior_pwd: true, total_amount: 378 });
+});
+
+test('the senior/PWD discount comes off the lead\'s price after the group discount', () => {
+    const rules = { ...shop(1), pricing_rules: { group_discounts: [{ min_heads: 2, percent: 50 }], surcharges: [], senior_pwd_percent: 20 } };
+    const items = [{ service: db.services[0], count: 1 }, { service: db.services[2], count: 1 }]; // ₱150 lead + ₱100 guest
+    const quote = priceBreakdown(rules, { items, isSeniorPwd: true });
+    expect(quote.lines.map(line => [line.id, line.amount])).toEqual([['service-0', 150], ['service-1', 100], ['group', -125], ['seniorPwd', -15]]);
+    expect(quote.total).toBe(110);
+});
+
+test('a group picks a service per head and is priced, completed and counted item by item', async () => {
+    const { unmount } = openCustomerView();
+    await screen.findByRole('option', { name: /^Haircut \(30 min/ });
+    fireEvent.change(screen.getByLabelText('Select Service:'), { target: { value: '1' } });
+    fireEvent.click(screen.getByRole('button', { name: '+' }));
+    fireEvent.click(screen.getByRole('button', { name: '+' }));
+    fireEvent.change(screen.getByLabelText('Name of guest 1'), { target: { value: 'Migo' } });
+    fireEvent.change(screen.getByLabelText('Service for guest 1'), { target: { value: '3' } });
+    fireEvent.change(screen.getByLabelText('Service for guest 2'), { target: { value: '3' } });
+    expect(screen.getByText('70 mins')).toBeInTheDocument();
+    expect(screen.getByText('Kids Cut × 2')).toBeInTheDocument();
+    expect(screen.getByText('₱315')).toBeInTheDocument(); // 150 + 2 × 100, less 10% for three heads
+
+    const myId = await joinQueueAsCustomer();
+    expect(entry(myId)).toMatchObject({ head_count: 3, service_id: 1, party: [{ name: 'Juan Dela Cruz', service_id: 1 }, { name: 'Migo', service_id: 3 }, { name: '', service_id: 3 }] });
+    unmount();
+
+    await api.queue.next(myId, 1);
+    openBarberDashboard();
+    fireEvent.click(await screen.findByRole('button', { name: /Complete: #\d+ - Juan Dela Cruz/ }));
+    expect(await screen.findByText('Migo — Kids Cut')).toBeInTheDocument();
+    expect(screen.getByText('Guest 2 — Kids Cut')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Complete & Log Profit' }));
+    await screen.findByText('Cut Completed!');
+    expect(entry(myId).total_amount).toBe(315);
+
+    const { serviceStats } = await api.admin.advancedAnalytics(1);
+    expect(serviceStats.find(row => row.service_id === 3)).toMatchObject({ name: 'Kids Cut', heads: 2 });
+});
+
+test('the wait estimate is a range based on how long the barber really takes', async () => {
+    // Marco's last haircuts took 36, 40 and 44 minutes (the menu says 30)
+    [36, 40, 44].forEach((minutes, i) => db.queue_entries.push({
+        id: 900 + i, shop_id: 1, barber_id: 1, service_id: 1, head_count: 1, status: 'Done', customer_name: 'Past customer',
+        started_at: new Date(Date.now() - (i + 1) * 86400000).toISOString(),
+        completed_at: new Date(Date.now() - (i + 1) * 86400000 + minutes * 60000).toISOString(),
+        created_at: new Date(Date.now() - (i + 1) * 86400000).toISOString(),
+    }));
+    await api.queue.addWalkIn({ barberId: 1, customerName: 'Pedro', serviceId: 1, headCount: 1 });
+
+    openCustomerView();
+    fireEvent.click(await screen.findByRole('button', { name: /Marco Reyes/ }));
+    // With the seeded 23-minute cut the middle half spans 32.75–41 min around a 38-minute median,
+    // so one haircut ahead means 38 ± 4.1 minutes
+    const { 1: haircut } = await api.queue.durations(1);
+    expect(haircut).toMatchObject({ low: 32.8, typical: 38, high: 41, samples: 4, source: 'history' });
+    expect(await screen.findByText('34–42 min')).toBeInTheDocument();
+});
+
+test('queue calls and barber chat are pushed to the device that joined', async () => {
+    const { playerId } = await api.push.subscribe({ userId: 'u-cust-1', subscription: { endpoint: 'https://push.example/juan-phone' } });
+    const joined = await api.queue.join({ customer_name: 'Juan Dela Cruz', user_id: 'u-cust-1', barber_id: 1, service_id: 1, player_id: playerId });
+    expect(entry(joined.id).player_id).toBe(playerId);
+
+    await api.queue.next(joined.id, 1);
+    await api.chat.send({ senderId: 'u-barber-1', queueId: joined.id, message: 'Ready when you are' });
+
+    expect(pushOutbox.map(p => [p.title, p.url])).toEqual([
+        ["You're Up Next!", `/queue/${joined.id}`],
+        ["It's your turn!", `/queue/${joined.id}`],
+        ['💬 Marco Reyes', `/queue/${joined.id}?chat=open`],
+    ]);
+    expect(pushOutbox.every(p => p.endpoint === 'https://push.example/juan-phone')).toBe(true);
+});
+
+test('barber rejects a booking through the in-app reason dialog', async () => {
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60000);
+    tomorrow.setHours(10, 0, 0, 0);
+    const appt = await api.appointments.book({ customer_name: 'Juan Dela Cruz', user_id: 'u-cust-1', barber_id: 1, service_id: 1, scheduled_time: tomorrow.toISOString() });
+
+    openBarberDashboard();
+    fireEvent.click(await screen.findByRole('button', { name: /Bookings/ }));
+    fireEvent.click(await screen.findByRole('button', { name: /Reject/ }));
+
+    // Submitting empty is caught inline instead of closing the dialog
+    expect(screen.getByRole('dialog', { name: 'Cancel Appointment' })).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel Appointment' }));
+    expect(screen.getByText('This field is required.')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByPlaceholderText(/Emergency/), { target: { value: 'Shop closed early' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel Appointment' }));
+
+    expect(await screen.findByText('Appointment cancelled. Customer has been notified.')).toBeInTheDocument();
+    expect(db.appointments.find(a => a.id === appt.id)).toMatchObject({ status: 'cancelled', cancel_reason: 'Shop closed early' });
+});
+
+test('a "First available" customer waits in the shared pool until a barber calls them', async () => {
+    // Jun already has someone waiting, so Marco should be free first
+    openCustomerView();
+    await screen.findByRole('option', { name: /^Haircut \(30 min/ });
+    fireEvent.change(screen.getByRole('combobox'), { target: { value: '1' } });
+    fireEvent.click(await screen.findByRole('button', { name: /First available/ }));
+    expect(await screen.findByText('Most likely with Marco Reyes')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Join Queue Now' }));
+    await waitFor(() => expect(localStorage.getItem('myQueueEntryId')).not.toBeNull());
+    const id = Number(localStorage.getItem('myQueueEntryId'));
+    expect(entry(id)).toMatchObject({ barber_id: null, status: 'Waiting' });
+
+    openBarberDashboard();
+    expect(await screen.findByText('⚡ First available (1)')).toBeInTheDocument();
+    fireEvent.click(await screen.findByRole('button', { name: `Call: #${id} - Juan Dela Cruz` }));
+    await waitFor(() => expect(entry(id)).toMatchObject({ barber_id: 1, status: 'In Progress' }));
+    expect(await screen.findByText(/A barber picked you/)).toBeInTheDocument();
+});
+
+test('barber adds a walk-in who shows as a guest with chat disabled', async () => {
+    openBarberDashboard();
+    fireEvent.click(await screen.findByRole('button', { name: /Add walk-in/ }));
+    fireEvent.change(screen.getByLabelText('Customer name'), { target: { value: 'Lolo Ben' } });
+    await screen.findByRole('option', { name: /^Haircut \(30 min/ });
+    fireEvent.change(screen.getByLabelText('Service'), { target: { value: '1' } });
+    fireEvent.change(screen.getByLabelText('Heads'), { target: { value: '2' } });
+    fireEvent.change(screen.getByLabelText('Phone (optional)'), { target: { value: '0917 123 4567' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add to Queue' }));
+
+    const added = await waitFor(() => {
+        const row = db.queue_entries.find(e => e.customer_name === 'Lolo Ben');
+        expect(row).toMatchObject({ is_walk_in: true, user_id: null, head_count: 2, customer_phone: '09171234567', barber_id: 1 });
+        return row;
+    });
+    expect(await screen.findByText(`Lolo Ben added as #${added.daily_number}.`)).toBeInTheDocument();
+    expect(await screen.findByRole('link', { name: '09171234567' })).toHaveAttribute('href', 'tel:09171234567');
+    expect(screen.getByTitle('Walk-in guest, no chat')).toBeDisabled();
+});
+
+test('customer checks in with the shop QR code and the barber sees them as arrived', async () => {
+    const { unmount } = openCustomerView();
+    const myId = await joinQueueAsCustomer();
+    const { code } = await api.queue.checkinCode({ shopId: 1, userId: 'u-barber-1' });
+    await expect(api.queue.checkinCode({ shopId: 1, userId: 'u-cust-1' })).rejects.toThrow(/Only staff/);
+
+    fireEvent.change(await screen.findByLabelText('Check-in code'), { target: { value: 'WRONG1' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Check in' }));
+    expect(await screen.findByText(/not from this branch/)).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Check-in code'), { target: { value: code.toLowerCase() } });
+    fireEvent.click(screen.getByRole('button', { name: 'Check in' }));
+    expect(await screen.findByText(/Checked in at/)).toBeInTheDocument();
+    expect(entry(myId).arrived_at).toBeTruthy();
+    unmount();
+
+    openBarberDashboard();
+    expect(await screen.findByText(/📍 Arrived/)).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: /Show check-in QR/ }));
+    expect(await screen.findByRole('img', { name: 'Check-in QR code' })).toBeInTheDocument();
+    expect(screen.getByText(code)).toBeInTheDocument();
+});
+
+test('a shared tracking link follows the ticket read-only and expires when the visit is over', async () => {
+    const { unmount } = openCustomerView();
+    const myId = await joinQueueAsCustomer();
+    fireEvent.click(await screen.findByRole('button', { name: 'Share live tracking' }));
+    const link = (await screen.findByLabelText('Tracking link')).value;
+    expect(link).toMatch(/\/track\/[A-Z0-9]{20}$/);
+    await expect(api.queue.trackingLink(myId, 'u-cust-2')).rejects.toThrow(/not your ticket/);
+    await expect(api.queue.trackingLink(myId)).rejects.toThrow(/not your ticket/);
+    unmount();
+
+    window.history.pushState({}, '', new URL(link).pathname);
+    render(<App />);
+    expect(await screen.findByText(`#${entry(myId).daily_number}`)).toBeInTheDocument();
+    expect(screen.getByRole('heading', { name: 'Up Next' })).toBeInTheDocument();
+    expect(screen.getByText('With Marco Reyes')).toBeInTheDocument();
+    expect(screen.queryByText('Juan Dela Cruz')).not.toBeInTheDocument();
+
+    await act(async () => { await api.queue.next(myId, 1); });
+    expect(await screen.findByRole('heading', { name: 'In Progress' })).toBeInTheDocument();
+    await act(async () => { await api.queue.complete({ queueId: myId, barberId: 1, tipAmount: 0 }); });
+    expect(await screen.findByText('This visit is over, so the tracking link has expired.')).toBeInTheDocument();
+    window.history.pushState({}, '', '/');
+});
+
+test('every step of a visit lands on its timeline for the barber drawer and admin reports', async () => {
+    const { unmount } = openCustomerView();
+    const myId = await joinQueueAsCustomer();
+    await api.queue.confirm(myId);
+    await api.queue.updateLocation(myId, 480.4);
+    await api.queue.updateLocation(myId, 350); // within five minutes of the last ping, not logged again
+    await api.reports.submit({ reporterId: 'u-cust-1', reportedId: 'u-barber-1', queueId: myId, role: 'customer', reason: 'Other', description: 'Skipped me' });
+    unmount();
+
+    openBarberDashboard();
+    fireEvent.click(await screen.findByRole('button', { name: 'Timeline for Juan Dela Cruz' }));
+    const drawer = await screen.findByRole('dialog', { name: 'Visit timeline' });
+    expect(await within(drawer).findByText('Joined the queue')).toBeInTheDocument();
+    expect(within(drawer).getByText('Called up next')).toBeInTheDocument();
+    expect(within(drawer).getByText('Confirmed they are coming')).toBeInTheDocument();
+    expect(within(drawer).getAllByText(/Shared location/)).toHaveLength(1);
+    expect(within(drawer).getByText('Shared location, 480 m away')).toBeInTheDocument();
+
+    await act(async () => { await api.admin.transfer({ userId: 'u-admin', queueId: myId, targetBarberId: 2 }); });
+    expect(await within(drawer).findByText('Moved from Marco Reyes to Jun Dizon')).toBeInTheDocument();
+    expect(within(drawer).getByText('by admin')).toBeInTheDocument();
+    expect(db.reports.find(r => r.description === 'Skipped me').queue_id).toBe(myId);
+});
+
+test('a barber proposes a new booking time and the customer declines, then accepts, from My Bookings', async () => {
+    const booked = await api.appointments.book({ barber_id: 1, service_id: 1, customer_name: 'Juan Dela Cruz', user_id: 'u-cust-1', scheduled_time: daysAhead(1, 10) });
+    openCustomerView(1, '/appointments');
+    expect(await screen.findByRole('button', { name: /Reschedule/ })).toBeInTheDocument();
+
+    await act(async () => { await api.appointments.reschedule({ appointmentId: booked.id, userId: 'u-barber-1', scheduledTime: daysAhead(1, 14) }); });
+    expect(await screen.findByText(/Your barber asked to move this to/)).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Keep current time' }));
+    expect(await screen.findByRole('button', { name: /Reschedule/ })).toBeInTheDocument();
+    expect(db.appointments.find(a => a.id === booked.id)).toMatchObject({ scheduled_time: daysAhead(1, 10), reschedule: null });
+
+    await act(async () => { await api.appointments.reschedule({ appointmentId: booked.id, userId: 'u-barber-1', scheduledTime: daysAhead(1, 15) }); });
+    await expect(api.appointments.respondToReschedule({ appointmentId: booked.id, userId: 'u-barber-1', accept: true })).rejects.toThrow(/other side/);
+    fireEvent.click(await screen.findByRole('button', { name: 'Accept new time' }));
+    await waitFor(() => expect(db.appointments.find(a => a.id === booked.id)).toMatchObject({ scheduled_time: daysAhead(1, 15), reschedule: null }));
+    await expect(api.appointments.reschedule({ appointmentId: booked.id, userId: 'u-cust-2', scheduledTime: daysAhead(1, 16) })).rejects.toThrow(/not your booking/);
+});
+
+test('customers cancel bookings free before the branch cutoff and owe the late fee after it', async () => {
+    const day = dateKey(daysAhead(1));
+    const early = await api.appointments.book({ barber_id: 1, service_id: 1, customer_name: 'Juan Dela Cruz', user_id: 'u-cust-1', scheduled_time: daysAhead(1, 10) });
+    const { unmount } = openCustomerView(1, '/appointments');
+    fireEvent.click(await screen.findByRole('button', { name: 'Cancel booking' }));
+    expect(await screen.findByText('This is free. The slot opens up for other customers.')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Yes, cancel it' }));
+    expect(await screen.findByText('Booking cancelled. No fee is due.')).toBeInTheDocument();
+    expect(db.appointments.find(a => a.id === early.id)).toMatchObject({ status: 'cancelled', cancelled_by: 'customer', cancellation_fee_php: 0 });
+    expect(await api.appointments.slots({ barberId: 1, serviceId: 1, date: day })).toContain(daysAhead(1, 10));
+
+    await expect(api.admin.updateShop(1, { userId: 'u-admin', cancellation_policy: { free_until_hours: 100, late_fee_percent: 50 } })).rejects.toThrow(/0 to 72/);
+    await api.admin.updateShop(1, { userId: 'u-admin', cancellation_policy: { free_until_hours: 72, late_fee_percent: 50 } });
+    const late = await api.appointments.book({ barber_id: 1, service_id: 1, customer_name: 'Juan Dela Cruz', user_id: 'u-cust-1', scheduled_time: daysAhead(1, 11) });
+    await expect(api.appointments.cancel({ appointmentId: late.id, userId: 'u-barber-1' })).rejects.toThrow(/Only the customer/);
+    const cancelled = await api.appointments.cancel({ appointmentId: late.id, userId: 'u-cust-1' });
+    expect(cancelled.cancellation_fee_php).toBe(50); // half of Session Road's ₱100 appointment fee
+    unmount();
+
+    // The barber sees the late cancellation (not the free one) so the fee is collected at the shop
+    openBarberDashboard();
+    fireEvent.click(await screen.findByRole('button', { name: /Bookings/ }));
+    expect(await screen.findByText('Late cancellation: ₱50 due at the shop')).toBeInTheDocument();
+    expect(screen.getAllByText('Juan Dela Cruz')).toHaveLength(1);
+    expect(screen.queryByRole('button', { name: /Reject/ })).not.toBeInTheDocument();
+});
+
+test('working hours, breaks and time off drive booking slots and Join Now', async () => {
+    const weekday = (offset) => new Date(daysAhead(offset)).toLocaleDateString('en-PH', { weekday: 'long' });
+    const dateOf = (offset) => dateKey(daysAhead(offset));
+    render(<ScheduleEditor barber={db.barber_profiles[0]} userId="u-barber-1" onSaved={() => {}} />, { wrapper: providersAt('/barber') });
+    fireEvent.click(screen.getByRole('checkbox', { name: weekday(1) }));
+    fireEvent.click(screen.getByRole('button', { name: `Add a break on ${weekday(2)}` }));
+    fireEvent.click(screen.getByRole('button', { name: 'Save hours' }));
+    expect(await screen.findByText('Working hours saved.')).toBeInTheDocument();
+
+    expect(await api.appointments.slots({ barberId: 1, serviceId: 1, date: dateOf(1) })).toEqual([]);
+    const slots = await api.appointments.slots({ barberId: 1, serviceId: 1, date: dateOf(2) });
+    expect(slots).toContain(daysAhead(2, 11));
+    expect(slots).not.toContain(daysAhead(2, 12));
+    expect(slots).toContain(daysAhead(2, 13));
+    await expect(api.appointments.book({ barber_id: 1, service_id: 1, customer_name: 'Juan Dela Cruz', user_id: 'u-cust-1', scheduled_time: daysAhead(2, 12) })).rejects.toThrow(/not working at that time/);
+
+    const sickToday = { ...db.barber_profiles[0].schedule, exceptions: [{ from: dateOf(0), to: dateOf(0), off: true, note: 'Sick' }] };
+    await expect(api.barbers.saveSchedule({ barberId: 1, userId: 'u-barber-2', schedule: sickToday })).rejects.toThrow(/Only this barber or an admin/);
+    await api.barbers.saveSchedule({ barberId: 1, userId: 'u-admin', schedule: sickToday });
+    openCustomerView();
+    expect(await screen.findByRole('button', { name: /Marco Reyes.*Day off/ })).toBeDisabled();
+    await expect(api.queue.join({ customer_name: 'Pedro', barber_id: 1, service_id: 1 })).rejects.toThrow(/not working any more today/);
+});
+
+test('bookings export to .ics and the barber feed follows reschedules and cancellations', async () => {
+    const icsAt = (hour) => daysAhead(1, hour).replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const booked = await api.appointments.book({ barber_id: 1, service_id: 1, customer_name: 'Juan Dela Cruz', user_id: 'u-cust-1', scheduled_time: daysAhead(1, 10) });
+    URL.createObjectURL = jest.fn(() => 'blob:booking');
+    URL.revokeObjectURL = jest.fn();
+    const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    const { unmount } = openCustomerView(1, '/appointments');
+    fireEvent.click(await screen.findByRole('button', { name: /Add to calendar/ }));
+    await waitFor(() => expect(click).toHaveBeenCalled());
+    expect(URL.createObjectURL.mock.calls[0][0].type).toBe('text/calendar;charset=utf-8');
+    const file = await api.appointments.calendarFile({ appointmentId: booked.id, userId: 'u-cust-1' });
+    expect(file).toContain(`UID:appointment-${booked.id}@dashq.app`);
+    expect(file).toContain(`DTSTART:${icsAt(10)}`);
+    expect(file).toContain('SUMMARY:Haircut with Marco Reyes');
+    click.mockRestore();
+    unmount();
+
+    openBarberDashboard();
+    fireEvent.click(await screen.findByRole('button', { name: /Bookings/ }));
+    fireEvent.click(await screen.findByRole('button', { name: 'Get my calendar link' }));
+    const feedUrl = (await screen.findByLabelText('Calendar feed link')).value;
+    expect(feedUrl).toMatch(/\/calendar\/[A-Z0-9]{24}\.ics$/);
+    await expect(api.barbers.calendarFeed({ barberId: 1, userId: 'u-barber-2' })).rejects.toThrow(/Only this barber/);
+    const feed = () => api.client.get(feedUrl).then(res => res.data);
+
+    await api.appointments.reschedule({ appointmentId: booked.id, userId: 'u-cust-1', scheduledTime: daysAhead(1, 15) });
+    await api.appointments.respondToReschedule({ appointmentId: booked.id, userId: 'u-barber-1', accept: true });
+    expect(await feed()).toEqual(expect.stringContaining(`SEQUENCE:1\r\nDTSTART:${icsAt(15)}`));
+    await api.appointments.cancel({ appointmentId: booked.id, userId: 'u-cust-1' });
+    expect(await feed()).toEqual(expect.stringContaining('SEQUENCE:2'));
+    expect(await feed()).toContain('STATUS:CANCELLED');
+    // The download is the same event, cancelled at the newer sequence, not an iTIP CANCEL
+    const download = await api.appointments.calendarFile({ appointmentId: booked.id, userId: 'u-cust-1' });
+    expect(download).toContain('METHOD:PUBLISH');
+    expect(download).toEqual(expect.stringContaining('SEQUENCE:2'));
+    expect(download).toContain('STATUS:CANCELLED');
+});
+
+test('calendar text is escaped and long lines fold at 75 octets', () => {
+    expect(icsText('Fade; trim, wash\\rinse\nthen style')).toBe('Fade\\; trim\\, wash\\\\rinse\\nthen style');
+    const description = 'Bayad sa appointment ₱100, '.repeat(8);
+    const file = calendarFile([appointmentEvent({ id: 7, scheduled_time: '2026-10-20T02:00:00.000Z', status: 'confirmed' }, { minutes: 30, title: 'Haircut', description })]);
+    const lines = file.split('\r\n');
+    lines.forEach(line => expect(Buffer.byteLength(line, 'utf8')).toBeLessThanOrEqual(75));
+    expect(lines.filter(line => line.startsWith(' ')).length).toBeGreaterThan(1);
+    // Unfolding gives back the whole escaped value, multi-byte ₱ signs intact
+    expect(file.replace(/\r\n /g, '')).toContain(`DESCRIPTION:${icsText(description)}\r\n`);
+});
+
+test('booking reminders go out at the branch lead times and the customer answers from the banner', async () => {
+    const hoursBefore = (iso, hours) => new Date(new Date(iso).getTime() - hours * 3600000);
+    await expect(api.admin.updateShop(1, { userId: 'u-admin', reminder_hours: [48, 24, 2, 1] })).rejects.toThrow(/At most 3/);
+    await api.push.subscribe({ userId: 'u-cust-1', subscription: { endpoint: 'https://push.example/juan-phone' } });
+    const booked = await api.appointments.book({ barber_id: 1, service_id: 1, customer_name: 'Juan Dela Cruz', user_id: 'u-cust-1', scheduled_time: daysAhead(2, 10) });
+
+    expect(sendDueReminders()).toBe(0);
+    expect(sendDueReminders(hoursBefore(booked.scheduled_time, 23))).toBe(1);
+    expect(sendDueReminders(hoursBefore(booked.scheduled_time, 22))).toBe(0);
+    expect(pushOutbox[pushOutbox.length - 1]).toMatchObject({ title: 'Booking reminder', url: '/appointments' });
+
+    const { unmount } = openCustomerView(1, '/join');
+    expect(await screen.findByText(/^🔔 Reminder: Haircut with Marco Reyes on/)).toBeInTheDocument();
+    await expect(api.appointments.reply({ appointmentId: booked.id, userId: 'u-barber-1', response: 'confirmed' })).rejects.toThrow(/Only the customer/);
+    fireEvent.click(screen.getByRole('button', { name: /I'll be late/ }));
+    fireEvent.click(screen.getByRole('button', { name: '15 min late' }));
+    expect(await screen.findByText("Your barber knows you'll be about 15 min late.")).toBeInTheDocument();
+    await waitFor(() => expect(screen.queryByText(/^🔔 Reminder:/)).not.toBeInTheDocument());
+    expect(db.appointments.find(a => a.id === booked.id)).toMatchObject({ customer_response: 'late', late_minutes: 15, reminders_sent: [24] });
+    unmount();
+
+    openBarberDashboard();
+    fireEvent.click(await screen.findByRole('button', { name: /Bookings/ }));
+    expect(await screen.findByText('⏰ ~15 min late')).toBeInTheDocument();
+    expect(screen.getByText(/^🔔 Reminded/)).toBeInTheDocument();
+
+    expect(sendDueReminders(hoursBefore(booked.scheduled_time, 0.5))).toBe(1);
+    expect(pushOutbox[pushOutbox.length - 1]).toMatchObject({ title: 'Your booking is coming up', body: expect.stringContaining('Haircut with Marco Reyes') });
+});
+
+test('a fully booked date takes a waitlist and offers freed slots in turn with a one-tap claim', async () => {
+    const date = dateKey(daysAhead(2));
+    await api.barbers.saveSchedule({ barberId: 1, userId: 'u-barber-1', schedule: { ...defaultSchedule(), exceptions: [{ from: date, to: date, start: '10:00', end: '11:00' }] } });
+    const maria = { barber_id: 1, service_id: 1, customer_name: 'Maria Santos', user_id: 'u-cust-2' };
+    const early = await api.appointments.book({ ...maria, scheduled_time: daysAhead(2, 10) });
+    const late = await api.appointments.book({ ...maria, scheduled_time: daysAhead(2, 10, 30) });
+
+    openCustomerView(1, '/join');
+    fireEvent.click(await screen.findByRole('button', { name: /Book Appointment/ }));
+    await screen.findByRole('option', { name: 'Marco Reyes' });
+    fireEvent.change(screen.getByLabelText('Select Service:'), { target: { value: '1' } });
+    fireEvent.change(screen.getByLabelText('Select Barber:'), { target: { value: '1' } });
+    fireEvent.change(screen.getByLabelText('Select Date:'), { target: { value: date } });
+    expect(screen.queryByRole('button', { name: /Join the waitlist/ })).not.toBeInTheDocument(); // not while slots load
+    expect(await screen.findByText('No slots available for this date.')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: /Join the waitlist/ }));
+    expect(await screen.findByText(/You're on Marco Reyes's waitlist/)).toBeInTheDocument();
+    const [juanEntry] = db.appointment_waitlist;
+    expect(juanEntry).toMatchObject({ user_id: 'u-cust-1', date, window_start: '10:00', window_end: '11:00', status: 'waiting' });
+    await expect(api.waitlist.join({ ...maria, customer_name: 'Juan Dela Cruz', user_id: 'u-cust-1', date, window_start: '10:00', window_end: '11:00' })).rejects.toThrow(/already on Marco Reyes's waitlist/);
+    const mariaEntry = await api.waitlist.join({ ...maria, date, window_start: '10:00', window_end: '11:00' });
+
+    // The first freed slot is held for Juan, then moves on to Maria when his offer runs out
+    await api.appointments.cancel({ appointmentId: early.id, userId: 'u-cust-2' });
+    expect(await screen.findByText(/^🎉 A slot opened: .* with Marco Reyes/)).toBeInTheDocument();
+    expect(await api.appointments.slots({ barberId: 1, serviceId: 1, date })).toEqual([]);
+    expect(expireWaitlistOffers(new Date(Date.now() + 16 * 60000))).toBe(1);
+    await waitFor(() => expect(screen.queryByText(/A slot opened/)).not.toBeInTheDocument());
+    expect(juanEntry).toMatchObject({ status: 'waiting', passed_slots: [daysAhead(2, 10)] });
+    expect(db.appointment_waitlist.find(w => w.id === mariaEntry.id)).toMatchObject({ status: 'offered', offer: { scheduled_time: daysAhead(2, 10) } });
+    await api.waitlist.pass({ waitlistId: mariaEntry.id, userId: 'u-cust-2' });
+    expect(await api.appointments.slots({ barberId: 1, serviceId: 1, date })).toEqual([daysAhead(2, 10)]);
+
+    // A slot Juan hasn't passed on comes back to him and one tap books it
+    await api.appointments.reject(late.id, 'Double booked');
+    fireEvent.click(await screen.findByRole('button', { name: /Claim this slot/ }));
+    expect(await screen.findByText(/^Booked for/)).toBeInTheDocument();
+    expect(db.appointments.find(a => a.user_id === 'u-cust-1')).toMatchObject({ barber_id: 1, scheduled_time: daysAhead(2, 10, 30), status: 'confirmed' });
+    expect(juanEntry.status).toBe('booked');
+});
+
+test('waitlist offers leave time to answer and a slot that already started cannot be claimed', async () => {
+    const date = dateKey(daysAhead(2));
+    await api.barbers.saveSchedule({ barberId: 1, userId: 'u-barber-1', schedule: { ...defaultSchedule(), exceptions: [{ from: date, to: date, start: '10:00', end: '11:00' }] } });
+    const maria = { barber_id: 1, service_id: 1, customer_name: 'Maria Santos', user_id: 'u-cust-2' };
+    const early = await api.appointments.book({ ...maria, scheduled_time: daysAhead(2, 10) });
+    const late = await api.appointments.book({ ...maria, scheduled_time: daysAhead(2, 10, 30) });
+    const window = { date, window_start: '10:00', window_end: '11:00' };
+    const juanEntry = await api.waitlist.join({ ...maria, ...window, customer_name: 'Juan Dela Cruz', user_id: 'u-cust-1' });
+    const mariaEntry = await api.waitlist.join({ ...maria, ...window });
+    const waitlistRow = (id) => db.appointment_waitlist.find(w => w.id === id);
+
+    // Ten minutes before the slot there isn't a full offer window left, so it isn't offered on
+    await api.appointments.cancel({ appointmentId: early.id, userId: 'u-cust-2' });
+    expect(waitlistRow(juanEntry.id)).toMatchObject({ status: 'offered', offer: { scheduled_time: daysAhead(2, 10) } });
+    expect(expireWaitlistOffers(new Date(daysAhead(2, 9, 50)))).toBe(1);
+    expect(waitlistRow(mariaEntry.id)).toMatchObject({ status: 'waiting', offer: null });
+
+    // An open offer for a slot that has started is turned down and the customer keeps their place
+    await api.appointments.reject(late.id, 'Double booked');
+    expect(waitlistRow(juanEntry.id)).toMatchObject({ status: 'offered', offer: { scheduled_time: daysAhead(2, 10, 30) } });
+    waitlistRow(juanEntry.id).offer.scheduled_time = new Date(Date.now() - 60000).toISOString();
+    await expect(api.waitlist.claim({ waitlistId: juanEntry.id, userId: 'u-cust-1' })).rejects.toThrow(/already started/);
+    expect(waitlistRow(juanEntry.id)).toMatchObject({ status: 'waiting', offer: null });
+    expect(db.appointments.filter(a => a.user_id === 'u-cust-1')).toHaveLength(0);
+
+    // Moving a booking to another day frees its old slot for the waitlist too
+    const moved = await api.appointments.book({ ...maria, scheduled_time: daysAhead(2, 10, 30) });
+    await api.appointments.reschedule({ appointmentId: moved.id, userId: 'u-cust-2', scheduledTime: daysAhead(3, 14) });
+    await api.appointments.respondToReschedule({ appointmentId: moved.id, userId: 'u-barber-1', accept: true });
+    expect(waitlistRow(juanEntry.id)).toMatchObject({ status: 'offered', offer: { scheduled_time: daysAhead(2, 10, 30) } });
+
+    // If the barber takes the day off meanwhile, the claim fails and the slot isn't held any longer
+    await api.barbers.saveSchedule({ barberId: 1, userId: 'u-barber-1', schedule: { ...defaultSchedule(), exceptions: [{ from: date, to: date, off: true }] } });
+    await expect(api.waitlist.claim({ waitlistId: juanEntry.id, userId: 'u-cust-1' })).rejects.toThrow(/no longer working/);
+    expect(waitlistRow(juanEntry.id)).toMatchObject({ status: 'waiting', offer: null, passed_slots: expect.arrayContaining([daysAhead(2, 10, 30)]) });
+});
+
+test('signed-out visitors opening a staff route are sent to the login page', async () => {
+    window.history.pushState({}, '', '/admin/live');
+    render(<App />);
+    expect(await screen.findByRole('button', { name: '← Back to Home' })).toBeInTheDocument();
+    expect(window.location.pathname).toBe('/login');
+    window.history.pushState({}, '', '/');
+});
+
+test('the shop TV display rings up the ticket number when a barber calls someone', async () => {
+    window.history.pushState({}, '', '/display/session-road');
+    render(<App />);
+    const marco = await screen.findByRole('region', { name: 'Marco Reyes' });
+    const joined = await api.queue.join({ customer_name: 'Pedro (Walk-in)', barber_id: 1, service_id: 1 });
+
+    await act(async () => { await api.queue.next(joined.id, 1); });
+
+    const callout = await screen.findByRole('alert');
+    expect(callout).toHaveTextContent(`#${entry(joined.id).daily_number}`);
+    expect(callout).toHaveTextContent('Please proceed to Marco Reyes');
+    expect(callout).not.toHaveTextContent('Pedro');
+    expect(marco).toHaveTextContent('Now Serving');
+    window.history.pushState({}, '', '/');
+});
+
+test('a barber station QR link preselects that barber', async () => {
+    openCustomerView(1, '/join/2');
+    await waitFor(() => expect(screen.getByRole('button', { name: /Jun Dizon/ })).toHaveClass('selected'));
+    expect(screen.getByRole('button', { name: /Marco Reyes/ })).not.toHaveClass('selected');
 });
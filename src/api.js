@@ -0,0 +1,227 @@
+import axios from 'axios';
+import supabase from './supabaseClient';
+import { lineAmount } from './pricing';
+
+// ##############################################
+// ##             API CLIENT LAYER             ##
+// ##############################################
+// Every backend call goes through this module. Point the app at another
+// backend (e.g. a local server) with REACT_APP_API_URL.
+
+export const API_URL = process.env.REACT_APP_API_URL || 'https://dash-q-backend.onrender.com/api';
+
+export const client = axios.create({ baseURL: API_URL });
+
+/** Public URL of a barber's calendar feed (calendar apps fetch it directly, without the app). */
+export const calendarFeedUrl = (token) => `${API_URL}/calendar/${token}.ics`;
+
+if (process.env.REACT_APP_MOCK_API === 'true') {
+    const mock = require('./mock');
+    mock.installMockApi(client);
+    mock.startScheduledJobs();
+}
+
+/**
+ * Normalized error thrown by every API function.
+ * `message` is the server's `error` field when it sent one, `status` is the
+ * HTTP status (0 for network failures) and `details` mirrors the server's
+ * optional `details` payload (e.g. the existing entry on a 409 from /queue).
+ */
+export class ApiError extends Error {
+    constructor(message, { status = 0, details = null, data = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.details = details;
+        this.data = data;
+    }
+}
+
+// --- Attach the Supabase access token to every request ---
+client.interceptors.request.use(async (config) => {
+    try {
+        const { data } = await supabase.auth.getSession();
+        const token = data?.session?.access_token;
+        if (token) {
+            config.headers = config.headers || {};
+            config.headers.Authorization = `Bearer ${token}`;
+        }
+    } catch (err) {
+        console.warn("[api] Could not read Supabase session:", err.message);
+    }
+    return config;
+});
+
+// --- Turn axios errors into ApiError ---
+client.interceptors.response.use(
+    (response) => response,
+    (error) => {
+        const response = error.response;
+        const data = response?.data;
+        const serverMessage = typeof data === 'string' ? data : data?.error || data?.message;
+        return Promise.reject(new ApiError(serverMessage || error.message || 'Unexpected error.', {
+            status: response?.status || 0,
+            details: data?.details ?? null,
+            data: data ?? null,
+        }));
+    }
+);
+
+const get = (url, config) => client.get(url, config).then(res => res.data);
+const post = (url, body, config) => client.post(url, body, config).then(res => res.data);
+const put = (url, body, config) => client.put(url, body, config).then(res => res.data);
+const del = (url, body) => client.delete(url, { data: body }).then(res => res.data);
+
+// --- Auth ---
+export const auth = {
+    login: ({ username, password, role, pin }) => post('/login/username', { username, password, role, pin }),
+    signup: ({ username, email, password, fullName, role, barberCode }) => post('/signup/username', { username, email, password, fullName, role, barberCode }),
+    checkEmail: (email) => post('/check-email', { email }),
+    clearLogoutFlag: (userId) => put('/logout/flag', { userId }),
+};
+
+// --- Queue ---
+export const queue = {
+    join: (entry) => post('/queue', entry),
+    // Staff check-in for customers without an account (no chat or push for these entries)
+    addWalkIn: ({ barberId, customerName, serviceId, headCount, phone }) => post('/queue/walk-in', { barber_id: barberId, customer_name: customerName, service_id: serviceId, head_count: headCount, customer_phone: phone }),
+    leave: (queueId, userId) => del(`/queue/${queueId}`, { userId }),
+    next: (queueId, barberId) => put('/queue/next', { queue_id: queueId, barber_id: barberId }),
+    // `breakdown` is the app's priceBreakdown() (src/pricing.js). Its VIP charge, lines and
+    // total go along until every backend reprices the visit from the branch's rules itself.
+    complete: ({ queueId, barberId, tipAmount, isSeniorPwd, breakdown }) => post('/queue/complete', {
+        queue_id: queueId,
+        barber_id: barberId,
+        tip_amount: tipAmount,
+        is_senior_pwd: isSeniorPwd,
+        ...(breakdown && { vip_charge: lineAmount(breakdown, 'vip'), price_lines: breakdown.lines, amount_due: breakdown.total }),
+    }),
+    cancel: (queueId, barberId) => put('/queue/cancel', { queue_id: queueId, barber_id: barberId }),
+    confirm: (queueId) => put('/queue/confirm', { queueId }),
+    // "Push me back": let 1-3 people behind go ahead; returns the entry with its new `position`
+    pushBack: (queueId, userId, places) => put('/queue/push-back', { queueId, userId, places }),
+    // Arrival check-in with the code from the shop's QR (see CheckInQrCard)
+    checkIn: (queueId, code) => put('/queue/check-in', { queueId, code }),
+    checkinCode: ({ shopId, userId }) => get(`/queue/checkin-code/${shopId}`, { params: { userId } }),
+    // Read-only live tracking link for someone else to follow this ticket; `{ token }`
+    trackingLink: (queueId, userId) => post('/queue/tracking-link', { queueId, userId }),
+    // What /track/:token shows; 410 once the ticket is Done or Cancelled
+    track: (token) => get(`/track/${token}`),
+    updatePhoto: ({ queueId, barberId, referenceImageUrl }) => put('/queue/photo', { queueId, barberId, referenceImageUrl }),
+    updateLocation: (queueId, distance) => put('/queue/location', { queueId, distance }),
+    // Moves the same entry (service, photo, VIP, group, chat, place in line); returns it with its new `position`
+    selfTransfer: (queueId, targetBarberId) => post('/queue/self-transfer', { queueId, targetBarberId }),
+    publicList: (barberId) => get(`/queue/public/${barberId}`),
+    // Timeline of one entry: `[{ type, by, details, at }]`, oldest first
+    events: (queueId) => get(`/queue/${queueId}/events`),
+    details: (barberId) => get(`/queue/details/${barberId}`),
+    // Per-service duration ranges from this barber's finished cuts (see src/waitTime.js)
+    durations: (barberId) => get(`/queue/durations/${barberId}`),
+    // "First available" pool: `{ entries, projection: { barberId, low, typical, high } }`
+    pool: (shopId, { entryId, serviceIds } = {}) => get(`/queue/pool/${shopId}`, { params: { entryId, serviceIds: serviceIds?.join(',') } }),
+    missedEvent: (userId) => get(`/missed-event/${userId}`),
+};
+
+// --- Appointments ---
+export const appointments = {
+    book: (booking) => post('/appointments/book', booking),
+    // A group passes `serviceIds` (one per head) so the slot is long enough for everyone
+    // Rescheduling passes `appointmentId` instead, so the booking's own barber, party and slot are used
+    slots: ({ barberId, serviceId, serviceIds, appointmentId, date }) => get('/appointments/slots', { params: { barberId, serviceId, serviceIds: serviceIds?.join(','), appointmentId, date } }),
+    mine: (userId) => get(`/appointments/my/${userId}`),
+    forBarber: (barberId) => get(`/appointments/barber/${barberId}`),
+    // Customer side; the branch's cancellation_policy decides whether a late fee is recorded
+    cancel: ({ appointmentId, userId, reason }) => put('/appointments/cancel', { appointmentId, userId, reason }),
+    reject: (appointmentId, reason) => put('/appointments/reject', { appointmentId, reason }),
+    // Either side proposes a new slot; the other side answers with respondToReschedule()
+    reschedule: ({ appointmentId, userId, scheduledTime }) => put('/appointments/reschedule', { appointmentId, userId, scheduledTime }),
+    respondToReschedule: ({ appointmentId, userId, accept }) => put('/appointments/reschedule/respond', { appointmentId, userId, accept }),
+    // Answer to a reminder (src/reminders.js): response 'confirmed', or 'late' with lateMinutes
+    reply: ({ appointmentId, userId, response, lateMinutes }) => put('/appointments/reply', { appointmentId, userId, response, lateMinutes }),
+    // iCalendar text for one booking; a cancelled booking comes back marked STATUS:CANCELLED
+    calendarFile: ({ appointmentId, userId }) => get(`/appointments/${appointmentId}/calendar`, { params: { userId }, responseType: 'text' }),
+};
+
+// --- Waitlist for fully booked dates (src/waitlist.js) ---
+export const waitlist = {
+    // `request` is a booking without a slot plus `date`, `window_start` and `window_end` ('HH:MM')
+    join: (request) => post('/appointments/waitlist', request),
+    mine: (userId) => get(`/appointments/waitlist/my/${userId}`),
+    leave: ({ waitlistId, userId }) => put('/appointments/waitlist/leave', { waitlistId, userId }),
+    // An open offer is claimed (booked as an appointment) or passed on to the next customer
+    claim: ({ waitlistId, userId }) => put('/appointments/waitlist/claim', { waitlistId, userId }),
+    pass: ({ waitlistId, userId }) => put('/appointments/waitlist/pass', { waitlistId, userId }),
+};
+
+// --- Shops (branches) ---
+export const shops = {
+    list: () => get('/shops'),
+    get: (shopIdOrSlug) => get(`/shops/${shopIdOrSlug}`),
+};
+
+// --- Barbers & Services ---
+export const barbers = {
+    list: (shopId) => get('/barbers', { params: { shopId } }),
+    profile: (userId) => get(`/barber/profile/${userId}`),
+    setAvailability: ({ barberId, isAvailable, userId }) => put('/barber/availability', { barberId, isAvailable, userId }),
+    // Weekly hours, breaks and time off (src/schedule.js); `schedule: null` goes back to the default hours
+    saveSchedule: ({ barberId, userId, schedule }) => put('/barber/schedule', { barberId, userId, schedule }),
+    // Private iCalendar feed of the barber's bookings; `rotate` replaces the old link
+    calendarFeed: ({ barberId, userId, rotate = false }) => post('/barber/calendar-feed', { barberId, userId, rotate }),
+    customerLoyalty: (email) => get(`/barber/customer-loyalty/${email}`),
+};
+
+export const services = {
+    list: (shopId) => get('/services', { params: { shopId } }),
+};
+
+// --- Customer, Feedback, Analytics ---
+export const customer = {
+    history: (userId) => get(`/customer/history/${userId}`),
+};
+
+export const feedback = {
+    submit: ({ barberId, customerName, comments, rating }) => post('/feedback', { barber_id: barberId, customer_name: customerName, comments, rating }),
+    forBarber: (barberId) => get(`/feedback/${barberId}`),
+};
+
+export const analytics = {
+    forBarber: (barberId) => get(`/analytics/${barberId}`),
+};
+
+// --- Chat & Reports ---
+export const chat = {
+    send: ({ senderId, queueId, message }) => post('/chat/send', { senderId, queueId, message }),
+};
+
+export const reports = {
+    submit: (report) => post('/reports', report),
+    mine: (userId) => get(`/reports/my/${userId}`),
+};
+
+// --- Web Push ---
+export const push = {
+    subscribe: ({ userId, subscription }) => post('/push/subscribe', { userId, subscription }),
+    unsubscribe: (playerId) => del(`/push/subscribe/${playerId}`),
+};
+
+// --- Admin ---
+export const admin = {
+    shops: () => get('/admin/shops'),
+    createShop: (payload) => post('/admin/shops', payload),
+    updateShop: (shopId, payload) => put(`/admin/shops/${shopId}`, payload),
+    barbers: (shopId) => get('/admin/barbers', { params: { shopId } }),
+    setBarberShop: ({ userId, barberId, shopId }) => put(`/admin/barbers/${barberId}/shop`, { userId, shopId }),
+    setBarberStatus: ({ userId, barberId, isActive }) => put(`/admin/barbers/${barberId}/status`, { userId, is_active: isActive }),
+    transfer: ({ userId, queueId, targetBarberId }) => put('/admin/transfer', { userId, queueId, targetBarberId }),
+    advancedAnalytics: (shopId) => get('/admin/analytics/advanced', { params: { shopId } }),
+    users: () => get('/admin/users'),
+    deleteUser: (targetId, userId) => del(`/admin/users/${targetId}`, { userId }),
+    services: (shopId) => get('/admin/services', { params: { shopId } }),
+    createService: (payload) => post('/admin/services', payload),
+    updateService: (serviceId, payload) => put(`/admin/services/${serviceId}`, payload),
+    deleteService: (serviceId, userId) => del(`/admin/services/${serviceId}`, { userId }),
+    restoreService: (serviceId, userId) => put(`/admin/services/${serviceId}/restore`, { userId }),
+    reports: () => get('/admin/reports'),
+    resolveReport: ({ reportId, targetUserId, action, adminNotes }) => put('/admin/reports/resolve', { reportId, targetUserId, action, adminNotes }),
+};
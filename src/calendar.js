@@ -0,0 +1,87 @@
+// ##############################################
+// ##        CALENDAR EXPORT (iCalendar)       ##
+// ##############################################
+// Bookings become VEVENTs with a stable UID per appointment, so importing or
+// re-syncing updates the same calendar entry instead of adding a second one.
+// The backend bumps an appointment's `sequence` whenever its time or status
+// changes (reschedule accepted, cancelled, rejected); calendar apps use it to
+// tell the newer copy apart. Cancelled bookings are published as
+// STATUS:CANCELLED, in the barber's feed and in one-off downloads alike, so
+// calendars drop them. Files are always METHOD:PUBLISH; CANCEL is an iTIP
+// message from an organizer, which many calendar apps refuse to import.
+
+const PRODID = '-//Dash-Q//Bookings//EN';
+const UID_DOMAIN = 'dashq.app';
+
+/** 20261018T090000Z */
+export const icsDate = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/** Escapes text values (RFC 5545 §3.3.11). */
+export const icsText = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+const utf8Length = (char) => {
+    const code = char.codePointAt(0);
+    return code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+};
+
+/** Folds a content line to 75 octets; continuation lines start with a space. */
+function fold(line) {
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74; // the leading space counts
+        if (size + utf8Length(char) > limit) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += utf8Length(char);
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+export const appointmentUid = (appointment) => `appointment-${appointment.id}@${UID_DOMAIN}`;
+
+/**
+ * One VEVENT for a booking. `details` carries what the appointment row
+ * doesn't: `{ minutes, title, location, description }`.
+ */
+export function appointmentEvent(appointment, { minutes, title, location = '', description = '' }) {
+    const start = new Date(appointment.scheduled_time);
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${appointmentUid(appointment)}`,
+        `DTSTAMP:${icsDate(appointment.updated_at || appointment.created_at || Date.now())}`,
+        `SEQUENCE:${Number(appointment.sequence) || 0}`,
+        `DTSTART:${icsDate(start)}`,
+        `DTEND:${icsDate(start.getTime() + minutes * 60000)}`,
+        `SUMMARY:${icsText(title)}`,
+        location && `LOCATION:${icsText(location)}`,
+        description && `DESCRIPTION:${icsText(description)}`,
+        `STATUS:${appointment.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+        'END:VEVENT',
+    ];
+    return lines.filter(Boolean);
+}
+
+/** A whole VCALENDAR as text, for downloads and feeds. */
+export function calendarFile(events, { name = '' } = {}) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        name && `X-WR-CALNAME:${icsText(name)}`,
+        ...events.flat(),
+        'END:VCALENDAR',
+    ];
+    return lines.filter(Boolean).map(fold).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,874 @@
+// English is the source language; every key must exist here.
+const en = {
+    // --- common ---
+    'common.language': 'Language',
+    'common.switchToDark': 'Switch to dark mode',
+    'common.switchToLight': 'Switch to light mode',
+    'common.unexpectedError': 'Unexpected error.',
+    'common.errorPrefix': 'Error: {message}',
+    'common.hide': 'Hide',
+    'common.show': 'Show',
+    'common.notAvailable': 'N/A',
+    'common.refreshing': 'Refreshing...',
+    'common.chatWarning': 'Hey there! Just a friendly nudge to keep the chat open even when your phone’s screen is off.',
+    'common.closeChat': 'Close Chat',
+    'common.refresh': 'Refresh',
+    'common.alert': 'Alert',
+    'common.errorOccurred': 'An error occurred.',
+    'common.ok': 'OK',
+    'common.back': 'Back',
+    'common.yesCancel': 'Yes, Cancel',
+    'common.service': 'Service',
+    'common.cancel': 'Cancel',
+    'common.reference': 'Reference',
+    'common.close': 'Close',
+    'common.unknownService': 'Unknown Service',
+    'common.serverError': 'Server error.',
+    'common.invalidResponse': 'Invalid response from server.',
+    'common.skip': 'Skip',
+    'common.pleaseWait': 'Please wait ({count})...',
+    'common.okay': 'Okay',
+    'common.minutes': '{count} mins',
+    'common.minutes_one': '{count} min',
+    'common.view': 'View',
+    'common.unknown': 'Unknown',
+    'common.loading': 'Loading...',
+    'common.distanceAway': '{distance} away',
+    'common.unknownUser': 'Unknown User',
+    'common.tryAgain': 'Try again',
+
+    // --- auth ---
+    'auth.login': 'Login',
+    'auth.errUsernamePassword': 'Username/password required.',
+    'auth.errPinRequired': 'Barber PIN required.',
+    'auth.errInvalidResponse': 'Login failed: Invalid server response.',
+    'auth.errEmailName': 'Email/Full Name required.',
+    'auth.errBarberCode': 'Barber Code required.',
+    'auth.accountCreated': 'Account created! You can now log in.',
+    'auth.failed': 'Authentication failed: {reason}',
+    'auth.errEmailRequired': 'Email is required.',
+    'auth.errNotRegistered': 'The email address "{email}" is not registered.',
+    'auth.errRateLimit': 'Email rate limit exceeded. Please wait a moment.',
+    'auth.resetSent': 'Success! Check your email. The password reset link has been sent.',
+    'auth.welcomeTitle': 'Welcome to Dash-Q!',
+    'auth.developedBy': 'This application was proudly developed by:',
+    'auth.from': 'from',
+    'auth.getStarted': 'Get Started',
+    'auth.resetTitle': 'Reset Password',
+    'auth.resetIntro': 'Enter your email. We will send you a link to reset your password.',
+    'auth.email': 'Email:',
+    'auth.sendResetLink': 'Send Reset Link',
+    'auth.backToLogin': 'Back to Login',
+    'auth.signUp': 'Sign Up',
+    'auth.username': 'Username:',
+    'auth.password': 'Password:',
+    'auth.hidePassword': 'Hide password',
+    'auth.showPassword': 'Show password',
+    'auth.loginAs': 'Login As:',
+    'auth.roleCustomer': 'Customer',
+    'auth.roleBarber': 'Barber',
+    'auth.barberPin': 'Barber PIN:',
+    'auth.forgotPassword': 'Forgot Password?',
+    'auth.signUpAs': 'Sign Up As:',
+    'auth.emailHint': 'Needed for account functions.',
+    'auth.fullName': 'Full Name:',
+    'auth.barberCode': 'Barber Code:',
+    'auth.barberCodePlaceholder': 'Secret code',
+    'auth.required': 'Required.',
+    'auth.needAccount': 'Need account? Sign Up',
+    'auth.haveAccount': 'Have account? Login',
+    'auth.errPasswordLength': 'Password must be at least 6 characters.',
+    'auth.passwordUpdated': 'Password updated successfully! You can now log in.',
+    'auth.newPasswordTitle': 'Set Your New Password',
+    'auth.newPasswordIntro': 'You have been verified. Please enter a new password.',
+    'auth.newPassword': 'New Password:',
+    'auth.setNewPassword': 'Set New Password',
+    'auth.backToHome': 'Back to Home',
+
+    // --- landing ---
+    'landing.heroLine1': 'Queue Smarter,',
+    'landing.heroLine2': 'Look Sharper.',
+    'landing.subtitle': 'Skip the long wait. Join the live queue from anywhere, book appointments, and get notified when it\'s your turn.',
+    'landing.getStarted': 'Get Started Now',
+    'landing.barberLogin': 'Barber Login',
+    'landing.featureQueueTitle': 'Live Queue Tracking',
+    'landing.featureQueueText': 'See exactly how many people are ahead of you and your estimated wait time.',
+    'landing.featureChatTitle': 'Direct Chat',
+    'landing.featureChatText': 'Message your barber directly to clarify styles or delays without leaving the app.',
+    'landing.featureBookingTitle': 'Hybrid Booking',
+    'landing.featureBookingText': 'Join the queue now for a quick cut or schedule an appointment for later.',
+    'landing.developedBy': 'Developed by {names}',
+    'landing.admin': 'Admin',
+
+    // --- adminLogin ---
+    'adminLogin.failed': 'Login failed. Check credentials.',
+    'adminLogin.exit': 'Exit Admin Portal',
+    'adminLogin.title': 'Admin Access',
+    'adminLogin.authorizedOnly': 'Authorized Personnel Only',
+    'adminLogin.username': 'Admin Username:',
+    'adminLogin.authenticate': 'Authenticate',
+    'adminLogin.activityLogged': 'System activity is logged.',
+
+    // --- barber ---
+    'barber.couldNotUpdate': 'Could not update.',
+    'barber.status': 'Status:',
+    'barber.available': 'Available',
+    'barber.offline': 'Offline',
+    'barber.goOffline': 'Go Offline',
+    'barber.goOnline': 'Go Online',
+    'barber.appointmentsLoadFailed': 'Failed to load appointments.',
+    'barber.cancelAppointment': 'Cancel Appointment',
+    'barber.cancelReasonPrompt': 'Reason for cancellation? The customer will see this.',
+    'barber.cancelReasonPlaceholder': 'e.g., Emergency, Shop Closed',
+    'barber.keep': 'Keep',
+    'barber.appointmentCancelled': 'Appointment cancelled. Customer has been notified.',
+    'barber.appointmentCancelFailed': 'Failed to cancel appointment.',
+    'barber.loyaltyFailedTitle': 'Loyalty Check Failed',
+    'barber.loyaltyGuest': 'Customer {name} joined as a guest (no email recorded).',
+    'barber.loyaltyErrorTitle': 'Loyalty Check Error',
+    'barber.loyaltyErrorMessage': 'Failed to retrieve history from server.',
+    'barber.queueLoadFailed': 'Could not load queue details.',
+    'barber.safetyGapMessage': 'You have an appointment with {name} at {time} (in {minutes} mins).\n\nTaking a walk-in now might make you late. Are you sure?',
+    'barber.safetyGapTitle': '⚠️ Safety Warning',
+    'barber.callAnyway': 'Call Anyway',
+    'barber.wait': 'Wait',
+    'barber.queueEmptyTitle': 'Queue Empty',
+    'barber.queueEmptyMessage': 'There are no customers waiting to be called.',
+    'barber.actionRequired': 'Action Required',
+    'barber.completeFirst': 'Please complete {name} first before calling the next customer.',
+    'barber.callNextFailed': 'Failed call next.',
+    'barber.invalidTip': 'Invalid tip. Please enter 0 or more.',
+    'barber.cutCompleted': 'Cut Completed!',
+    'barber.cutCompletedMessage': 'Total logged profit: {amount} (Group of {count})',
+    'barber.cutCompletedMessage_one': 'Total logged profit: {amount}',
+    'barber.completeFailed': 'Failed to complete cut.',
+    'barber.cancelFailed': 'Failed to mark as cancelled.',
+    'barber.customerDetailsFailed': 'Could not get customer details.',
+    'barber.photo': '{label} Photo',
+    'barber.myQueue': 'My Queue ({name})',
+    'barber.queueError': 'Error loading queue: {error}',
+    'barber.nowServing': 'Now Serving',
+    'barber.upNext': 'Up Next',
+    'barber.customerNumber': 'Customer #{id}',
+    'barber.completeCustomer': 'Complete: #{id} - {name}',
+    'barber.cancelNoShow': 'Cancel / No-Show',
+    'barber.callCustomer': 'Call: #{id} - {name}',
+    'barber.callNext': 'Call Next Customer',
+    'barber.inChair': 'In Chair',
+    'barber.loyaltyTooltip': 'Check Customer Loyalty History',
+    'barber.checkLoyalty': 'Check Loyalty',
+    'barber.chat': 'Chat',
+    'barber.chairEmpty': 'Chair empty',
+    'barber.confirmed': 'CONFIRMED',
+    'barber.waitingConfirm': 'Waiting for confirm...',
+    'barber.nobodyUpNext': 'Nobody Up Next',
+    'barber.waiting': 'Waiting',
+    'barber.waitingEmpty': 'Waiting queue empty.',
+    'barber.groupOf': 'Group of {count}',
+    'barber.chatWithCustomer': 'Chat with Customer',
+    'barber.reportCustomer': 'Report Customer',
+    'barber.bookings': 'Bookings',
+    'barber.confirmCancelTitle': 'Confirm Cancellation',
+    'barber.confirmCancelMessage': 'Are you sure you want to mark Customer #{id} ({name}) as Cancelled/No-Show? This will not log earnings.',
+    'barber.completeCut': 'Complete Cut',
+    'barber.customerLabel': 'Customer:',
+    'barber.headsLabel': 'Heads:',
+    'barber.totalDue': 'Total Due:',
+    'barber.tipLabel': 'Enter TIP Amount (Optional):',
+    'barber.tipPlaceholder': 'e.g., 50',
+    'barber.completeAndLog': 'Complete & Log Profit',
+    'barber.loyaltyCheck': 'Loyalty Check',
+    'barber.fetchingHistory': 'Fetching history for {name}...',
+    'barber.loyaltyStatus': 'Loyalty Status',
+    'barber.emailLabel': 'Email:',
+    'barber.completedCuts': 'Completed Cuts: {count}',
+    'barber.loyaltyAchieved': 'Loyalty Achieved! This customer qualifies for a discount.',
+    'barber.pastServices': 'Past Services:',
+    'barber.noServiceHistory': 'No service history found.',
+    'barber.upcomingBookings': 'Upcoming Bookings',
+    'barber.noUpcomingAppointments': 'No upcoming appointments found.',
+    'barber.inQueue': 'IN QUEUE',
+    'barber.reject': 'Reject',
+    'barber.seniorPwdVerified': 'Senior/PWD ID checked',
+    'barber.guestNoChat': 'Walk-in guest, no chat',
+    'barber.firstAvailable': 'First available ({count})',
+    'barber.poolEmpty': 'Nobody is waiting for the first available barber.',
+    'barber.pushedBack': '⏪ {name} is running late and let {count} people go ahead.',
+    'barber.pushedBack_one': '⏪ {name} is running late and let 1 person go ahead.',
+    'barber.profileMissing': 'We couldn\'t load your barber profile.',
+
+    // --- analytics ---
+    'analytics.loadFailed': 'Could not load dashboard data.',
+    'analytics.chartTitle': 'Earnings per Day (Last 7 Days)',
+    'analytics.chartLabel': 'Daily Earnings (₱)',
+    'analytics.goalReached': '✅ Daily Goal Reached!',
+    'analytics.waitingFirstCut': '⏳ Waiting for first cut...',
+    'analytics.last7Days': 'Last 7 Days',
+    'analytics.title': 'Dashboard',
+    'analytics.today': 'Today',
+    'analytics.earnings': 'Earnings',
+    'analytics.cuts': 'Cuts',
+    'analytics.avgPrice': 'Avg Price',
+    'analytics.queueSize': 'Queue Size',
+    'analytics.totalEarnings': 'Total Earnings',
+    'analytics.totalCuts': 'Total Cuts',
+    'analytics.busiestDay': 'Busiest Day',
+    'analytics.carbonTitle': 'Shop Carbon Savings',
+    'analytics.todaysImpact': 'Today\'s Impact',
+    'analytics.allTimeReduced': 'All-Time Reduced',
+    'analytics.shopTotal': 'Dynamic Shop Total',
+    'analytics.noChartData': 'No chart data yet.',
+    'analytics.recentFeedback': 'Recent Feedback',
+    'analytics.noFeedback': 'No feedback yet.',
+    'analytics.refreshStats': 'Refresh Stats',
+
+    // --- customer ---
+    'customer.barberNumber': 'Barber #{id}',
+    'customer.leftQueue': 'You left the queue.',
+    'customer.leaveError': 'Error leaving queue.',
+    'customer.transferred': 'You have been transferred to another barber.',
+    'customer.entryRemoved': 'Your queue entry was removed.',
+    'customer.queueLoadFailed': 'Could not load queue data.',
+    'customer.selectFileFirst': 'Please select a file first.',
+    'customer.uploadingPhoto': 'Uploading photo...',
+    'customer.photoUploaded': 'Photo uploaded. Ready to join queue.',
+    'customer.photoUpdated': 'Photo successfully updated!',
+    'customer.photoUploadFailed': 'Photo upload failed: {error}',
+    'customer.joinFieldsRequired': 'Name, Barber, AND Service required.',
+    'customer.alreadyCheckedIn': 'You are already checked in!',
+    'customer.uploadPhotoFirst': 'Please click "Upload Photo" first!',
+    'customer.joiningQueue': 'Joining queue...',
+    'customer.joinSuccess': 'Success! You are #{id} in the queue.',
+    'customer.recoveringSpot': 'Found active booking! Recovering your spot (ID: #{id})...',
+    'customer.conflict': 'A conflict occurred.',
+    'customer.joinFailed': 'Failed to join. Try again.',
+    'customer.bookingFieldsRequired': 'All fields including a Time Slot are required.',
+    'customer.booking': 'Booking appointment...',
+    'customer.bookingSuccess': 'Success! Appointment confirmed for {time}.',
+    'customer.bookingFailed': 'Booking failed.',
+    'customer.switchTitle': 'Switch Barber?',
+    'customer.switchMessage': 'Switch to {name}? You keep your service, photo and place in line.',
+    'customer.switch': 'Switch',
+    'customer.switched': 'Switched to {name}! You are number {position} in line.',
+    'customer.switchFailed': 'Failed to switch.',
+    'customer.barbersLoadFailed': 'Could not load barbers.',
+    'customer.liveUpdatesUnavailable': 'Live updates unavailable.',
+    'customer.sendFailed': 'Failed to send message. Profanity?',
+    'customer.howToJoin': 'How to Join',
+    'customer.howToStep1': 'Select your',
+    'customer.howToStep1Bold': 'Service',
+    'customer.howToStep2': 'Choose an',
+    'customer.howToStep2Bold': 'Available Barber',
+    'customer.howToStep3': 'Click',
+    'customer.howToStep3Bold': '"Join Queue"',
+    'customer.howToStep3After': 'and wait!',
+    'customer.gotIt': 'Got It!',
+    'customer.selectRating': 'Please select a star rating.',
+    'customer.leaveComment': 'Please leave a short comment.',
+    'customer.feedbackFailed': 'Failed to submit feedback.',
+    'customer.serviceComplete': 'Service Complete!',
+    'customer.rateExperience': 'Thank you! Please rate your experience with {name}:',
+    'customer.feedbackPlaceholder': 'How was your cut? (Optional - e.g. \'Great fade!\')',
+    'customer.submitRating': 'Submit Rating',
+    'customer.feedbackSent': 'Feedback Sent!',
+    'customer.thanksForVisiting': 'Thank you for visiting!',
+    'customer.appointmentCancelled': 'Appointment Cancelled',
+    'customer.entryCancelled': 'Your queue entry was cancelled.',
+    'customer.tooFarTitle': 'A Friendly Reminder!',
+    'customer.tooFarMessage': 'Hey, please don’t wander off too far...',
+    'customer.stayClose': 'Okay, I\'ll stay close',
+    'customer.vipTitle': 'Priority Service Confirmation',
+    'customer.vipSelected': 'You have selected',
+    'customer.vipFeeNotice': 'VIP priority service incurs an additional {fee} fee, guaranteeing you the next "Up Next" slot.',
+    'customer.vipSelectService': 'Please ensure you have selected a service.',
+    'customer.selectServiceFirst': 'Please select a service first.',
+    'customer.cancelVip': 'Cancel VIP',
+    'customer.confirmVip': 'Confirm (+{fee})',
+    'customer.tabJoin': 'Join Queue',
+    'customer.tabAppointments': 'Appointments',
+    'customer.tabHistory': 'My History',
+    'customer.changeBranch': 'Change branch',
+    'customer.joinNow': 'Join Queue Now',
+    'customer.bookAppointment': 'Book Appointment',
+    'customer.yourName': 'Your Name:',
+    'customer.yourEmail': 'Your Email:',
+    'customer.selectService': 'Select Service:',
+    'customer.chooseService': '-- Choose service --',
+    'customer.serviceOption': '{name} ({minutes} min / {price})',
+    'customer.groupSize': 'Group Size (Number of Heads):',
+    'customer.groupDetails': 'Group Booking Details:',
+    'customer.groupSlots': 'This will book {count} slots back-to-back.',
+    'customer.groupDuration': 'Total Duration:',
+    'customer.bookingForOne': 'Booking for 1 person.',
+    'customer.servicePriority': 'Service Priority:',
+    'customer.noPriority': 'No Priority',
+    'customer.vipPriority': 'VIP Priority (+{fee})',
+    'customer.vipActive': 'VIP Priority is active. You will be placed Up Next.',
+    'customer.photoLabel': 'Desired Haircut Photo (Optional):',
+    'customer.chooseFile': 'Choose a file...',
+    'customer.uploading': 'Uploading...',
+    'customer.photoAttached': 'Photo Attached',
+    'customer.uploadPhoto': 'Upload Photo',
+    'customer.photoReady': 'Photo ready.',
+    'customer.viewPhoto': 'View Photo',
+    'customer.selectAvailableBarber': 'Select Available Barber:',
+    'customer.noBarbersAvailable': 'No barbers are available right now.',
+    'customer.noBarberFeedback': 'No feedback yet for this barber.',
+    'customer.currentlyWaiting': 'Currently waiting',
+    'customer.peopleCount': '{count} people',
+    'customer.peopleCount_one': '{count} person',
+    'customer.calculating': 'Calculating...',
+    'customer.iphoneUsers': 'iPhone Users:',
+    'customer.iphoneWarning': 'Push alerts and sounds are not supported. Please keep this tab open and watch your email for notifications!',
+    'customer.selectBarber': 'Select Barber:',
+    'customer.chooseBarber': '-- Choose Barber --',
+    'customer.selectDate': 'Select Date:',
+    'customer.availableSlots': 'Available Time Slots:',
+    'customer.selectForSlots': 'Select a Service and Barber to see times.',
+    'customer.noSlots': 'No slots available for this date.',
+    'customer.totalEstimate': 'Total Estimate:',
+    'customer.feeNote': '*Fee guarantees your time slot. Payable at the shop.',
+    'customer.confirmBooking': 'Confirm Booking',
+    'customer.yourTurn': 'It\'s Your Turn!',
+    'customer.barberCalling': 'The barber is calling you now.',
+    'customer.upNext': 'You\'re Up Next!',
+    'customer.confirmReady': 'Please confirm you are ready to take the chair.',
+    'customer.sendingConfirmation': 'Sending confirmation...',
+    'customer.confirmationSent': 'Confirmation Sent! Head to the shop.',
+    'customer.confirmFailed': 'Error: Could not confirm attendance. Please try again.',
+    'customer.imComing': 'I\'m Coming!',
+    'customer.confirmed': 'Confirmed!',
+    'customer.barberKnows': 'The barber knows you are coming. Please enter the shop now.',
+    'customer.fasterSeat': 'Faster Seat Available!',
+    'customer.isFreeNow': 'is free right now.',
+    'customer.switchTo': 'Switch to {name}',
+    'customer.liveQueueFor': 'Live Queue for {name}',
+    'customer.yourNumber': 'Your Queue Number is:',
+    'customer.partnerBadge': 'WAITING AREA PARTNER',
+    'customer.tapForLocation': 'Tap for Location',
+    'customer.queueEmpty': 'Queue is empty.',
+    'customer.reservedSlot': '{time} - Reserved',
+    'customer.booked': 'Booked',
+    'customer.you': 'You ({name})',
+    'customer.updatePhoto': 'Update Haircut Photo:',
+    'customer.replacePhoto': 'Replace Photo',
+    'customer.currentPhoto': 'Current Photo:',
+    'customer.newPhotoUploaded': 'New photo uploaded.',
+    'customer.chatUnavailable': 'Cannot initiate chat.',
+    'customer.chatWithBarber': 'Chat with Barber',
+    'customer.chatWith': 'Chat with {name}',
+    'customer.reportIssue': 'Report Issue / Help',
+    'customer.leaveTitle': 'Leave Queue?',
+    'customer.leaveMessage': 'You will lose your spot in line and have to start over!',
+    'customer.leaveQueue': 'Leave Queue',
+    'customer.stay': 'Stay',
+    'customer.leaveOrJoinAnother': 'Leave Queue / Join Another',
+    'customer.pastServices': 'My Past Services',
+    'customer.noPastServices': 'No past services found. Book your first cut!',
+    'customer.unrecordedBarber': 'Unrecorded Barber',
+    'customer.comment': 'Comment: "{comment}"',
+    'customer.myBookings': 'My Bookings',
+    'customer.liveInQueue': 'Live in Queue',
+    'customer.barberLabel': 'Barber:',
+    'customer.anyBarber': 'Any',
+    'customer.movedToQueue': '* This booking has been moved to the Live Queue.',
+    'customer.seniorPwd': 'Senior citizen / PWD ({percent}% off one head, show your ID at the counter)',
+    'customer.estimatedWait': 'Estimated Wait',
+    'customer.waitRange': '{low}–{high} min',
+    'customer.noWait': 'No wait',
+    'customer.aroundTime': 'around {time}',
+    'customer.firstAvailable': 'First available',
+    'customer.firstAvailableHint': 'Shortest wait, any barber',
+    'customer.likelyBarber': 'Most likely with {name}',
+    'customer.poolWaiting': 'You\'ll go to the first barber who frees up.',
+    'customer.pickedFromPool': 'A barber picked you from the First available line.',
+
+    // --- ads ---
+    'ads.seaSaltDescription': 'Achieve that messy, beach-vibes texture instantly.',
+    'ads.bestSeller': 'BEST SELLER',
+    'ads.pomadeDescription': 'Slick back style with high shine and all-day control.',
+    'ads.barbersChoice': 'BARBER\'S CHOICE',
+    'ads.powderDescription': 'Instant Volume & Stronghold matte finish.',
+    'ads.newArrival': 'NEW ARRIVAL',
+    'ads.headline': 'Maintain your fresh look!',
+    'ads.clickForDetails': 'Click for details...',
+    'ads.tapProduct': 'Tap a product to view details',
+    'ads.price': 'Price:',
+    'ads.howToBuy': 'To buy this, simply show this screen to the barber at the counter.',
+
+    // --- status ---
+    'status.waiting': 'Waiting',
+    'status.upNext': 'Up Next',
+    'status.inProgress': 'In Progress',
+    'status.done': 'Done',
+    'status.cancelled': 'Cancelled',
+    'status.reserved': 'Reserved',
+    'status.pending': 'Pending',
+    'status.resolved': 'Resolved',
+    'status.dismissed': 'Dismissed',
+
+    // --- reports ---
+    'reports.myReports': 'My Reports',
+    'reports.submitted': 'Report submitted successfully.',
+    'reports.submitFailed': 'Failed to submit report. {message}',
+    'reports.title': 'Report User',
+    'reports.intro': 'Submit a report to the Admin.',
+    'reports.reason': 'Reason:',
+    'reports.details': 'Details:',
+    'reports.detailsPlaceholder': 'Describe what happened...',
+    'reports.attach': 'Attach Screenshot (Optional):',
+    'reports.chooseImage': 'Choose Image...',
+    'reports.submit': 'Submit Report',
+    'reports.reasons.rude': 'Rude Behavior',
+    'reports.reasons.noShow': 'No-Show / Late',
+    'reports.reasons.language': 'Inappropriate Language',
+    'reports.reasons.scam': 'Scam / Spam',
+    'reports.reasons.other': 'Other',
+    'reports.none': 'You haven\'t submitted any reports.',
+    'reports.reported': 'Reported:',
+    'reports.adminResponse': 'Admin Response:',
+
+    // --- appointmentStatus ---
+    'appointmentStatus.pending': 'pending',
+    'appointmentStatus.confirmed': 'confirmed',
+    'appointmentStatus.cancelled': 'cancelled',
+
+    // --- layout ---
+    'layout.welcome': 'Welcome, {name}!',
+    'layout.logout': 'Logout',
+    'layout.noBranch': 'You are not assigned to a branch yet. Ask the admin to add you under Staff.',
+
+    // --- admin ---
+    'admin.reportAction.ban': 'BAN',
+    'admin.reportAction.dismiss': 'DISMISS',
+    'admin.resolveReport': 'Resolve Report',
+    'admin.resolveReportMessage': 'Are you sure you want to {action} this user?',
+    'admin.actionTaken': 'Action taken: {action}',
+    'admin.reportFailed': 'Failed to process report.',
+    'admin.incidentReports': 'Incident Reports',
+    'admin.noReports': 'No active reports.',
+    'admin.reported': 'reported',
+    'admin.attachedProof': 'Attached Proof:',
+    'admin.reportProof': 'Report Proof',
+    'admin.adminNote': 'Admin Note:',
+    'admin.notesPlaceholder': 'Enter resolution notes here (e.g., \'Verified via CCTV\', \'First warning\')...',
+    'admin.banUser': 'Ban User',
+    'admin.dismissReport': 'Dismiss Report',
+    'admin.userBanned': 'This user is currently BANNED.',
+    'admin.serviceRestored': 'Service restored.',
+    'admin.restoreFailed': 'Restore failed.',
+    'admin.durationTooShort': 'Duration must be at least 5 minutes.',
+    'admin.priceNegative': 'Price cannot be negative.',
+    'admin.serviceUpdated': 'Service updated!',
+    'admin.serviceAdded': 'Service added!',
+    'admin.actionFailed': 'Action failed: {error}',
+    'admin.archiveServiceTitle': 'Archive Service?',
+    'admin.archiveServiceMessage': 'This will hide the service from the menu.',
+    'admin.archive': 'Archive',
+    'admin.deleteFailed': 'Delete failed.',
+    'admin.deleteUser': 'Delete User',
+    'admin.deleteUserMessage': 'WARNING: This action cannot be undone.\nType \'{word}\' to permanently ban/delete this user account.',
+    'admin.deleteUserValidate': 'Type {word} in capital letters to confirm.',
+    'admin.userDeleted': 'User deleted.',
+    'admin.deleteFailedWithError': 'Delete failed: {error}',
+    'admin.activate': 'ACTIVATE',
+    'admin.deactivate': 'DEACTIVATE',
+    'admin.barberStatusTitle': '{action} Barber',
+    'admin.barberStatusMessage': 'Are you sure you want to {action} this barber?',
+    'admin.updateFailed': 'Update failed: {error}',
+    'admin.joinLinkCopied': 'Join link for {name} copied: {link}',
+    'admin.joinLink': 'Join link for {name}: {link}',
+    'admin.moveFailed': 'Move failed: {error}',
+    'admin.slugInvalid': 'Link code may only use lowercase letters, numbers and dashes.',
+    'admin.feesNegative': 'Fees cannot be negative.',
+    'admin.branchUpdated': 'Branch updated!',
+    'admin.branchAdded': 'Branch added!',
+    'admin.closeAction': 'CLOSE',
+    'admin.reopenAction': 'REOPEN',
+    'admin.branchStatusTitle': '{action} Branch',
+    'admin.branchStatusMessage': 'Are you sure you want to {action} {name}? Closed branches are hidden from customers.',
+    'admin.transferTitle': 'Transfer Customer',
+    'admin.transferMessage': 'Transfer this customer to Barber #{id}?',
+    'admin.transfer': 'Transfer',
+    'admin.transferFailed': 'Transfer failed.',
+    'admin.online': 'Online',
+    'admin.select': 'Select',
+    'admin.chairEmpty': 'Chair Empty',
+    'admin.waitingCount': 'Waiting ({count})',
+    'admin.move': 'Move',
+    'admin.noActiveBarbers': 'No active barbers found.',
+    'admin.staffManagement': 'Staff Management',
+    'admin.barberName': 'Barber Name',
+    'admin.branch': 'Branch',
+    'admin.status': 'Status',
+    'admin.action': 'Action',
+    'admin.unassigned': '-- Unassigned --',
+    'admin.active': 'ACTIVE',
+    'admin.bannedInactive': 'BANNED/INACTIVE',
+    'admin.banDeactivate': 'Ban / Deactivate',
+    'admin.unbanActivate': 'Unban & Activate',
+    'admin.joinLinkTooltip': 'Link for the QR code at this barber\'s station',
+    'admin.joinLinkButton': 'Join Link',
+    'admin.deactivateNote': 'Deactivating a barber hides them from the customer "Join Queue" list immediately.',
+    'admin.editNamed': 'Edit {name}',
+    'admin.addBranch': 'Add New Branch',
+    'admin.branchName': 'Branch Name',
+    'admin.branchNamePlaceholder': 'e.g. Dash-Q Session Road',
+    'admin.linkCode': 'Link Code',
+    'admin.linkCodePlaceholder': 'e.g. session-road',
+    'admin.address': 'Address',
+    'admin.latitude': 'Latitude',
+    'admin.longitude': 'Longitude',
+    'admin.radius': '"Too Far" Radius (m)',
+    'admin.vipFee': 'VIP Fee (₱)',
+    'admin.appointmentFee': 'Appointment Fee (₱)',
+    'admin.brandColor': 'Brand Color',
+    'admin.logoUrl': 'Logo URL',
+    'admin.partnerName': 'Partner Name',
+    'admin.partnerNamePlaceholder': 'Leave blank for no promo',
+    'admin.partnerPitch': 'Partner Pitch',
+    'admin.partnerPerks': 'Partner Perks',
+    'admin.partnerImage': 'Partner Image URL',
+    'admin.partnerLink': 'Partner Map Link',
+    'admin.update': 'Update',
+    'admin.add': 'Add',
+    'admin.allBranches': 'All Branches',
+    'admin.closed': 'CLOSED',
+    'admin.noAddress': 'No address',
+    'admin.link': 'Link:',
+    'admin.branchSummary': 'VIP {vip} · Appointment {appointment} · Radius {radius}m',
+    'admin.edit': 'Edit',
+    'admin.reopen': 'Reopen',
+    'admin.editService': 'Edit Service',
+    'admin.addService': 'Add New Service',
+    'admin.serviceName': 'Service Name',
+    'admin.serviceNamePlaceholder': 'e.g. Haircut',
+    'admin.duration': 'Duration (mins)',
+    'admin.price': 'Price (₱)',
+    'admin.currentMenu': 'Current Menu',
+    'admin.archived': 'ARCHIVED',
+    'admin.delete': 'Delete',
+    'admin.restore': 'Restore',
+    'admin.crunching': 'Crunching numbers...',
+    'admin.shopRevenueLabel': 'Shop Revenue (₱)',
+    'admin.totalRevenueLabel': 'Total Revenue (₱)',
+    'admin.noData': 'No Data',
+    'admin.totalShopRevenue': 'Total Shop Revenue',
+    'admin.totalHaircuts': 'Total Haircuts',
+    'admin.topPerformer': 'Top Performer',
+    'admin.earned': 'Earned {amount}',
+    'admin.revenueTrend': '7-Day Revenue Trend',
+    'admin.barberComparison': 'Barber Comparison (Revenue)',
+    'admin.performanceMatrix': 'Detailed Performance Matrix',
+    'admin.rating': 'Rating',
+    'admin.revenueGenerated': 'Revenue Generated',
+    'admin.activeLabel': 'Active',
+    'admin.inactiveLabel': 'Inactive',
+    'admin.noPerformanceData': 'No performance data available yet.',
+    'admin.name': 'Name',
+    'admin.role': 'Role',
+    'admin.commandCenter': 'Admin Command Center',
+    'admin.closedBranchOption': '{name} (closed)',
+    'admin.transferModeBanner': 'TRANSFER MODE ACTIVE: Select a barber below to move the customer.',
+    'admin.tabLive': 'Live Shop',
+    'admin.tabStats': 'Analytics',
+    'admin.tabStaff': 'Staff',
+    'admin.tabBranches': 'Branches',
+    'admin.tabMenu': 'Menu',
+    'admin.tabUsers': 'Users',
+    'admin.tabReports': 'Reports',
+    'admin.pricingFor': 'Pricing Rules: {name}',
+    'admin.pricingFeesNote': 'VIP and appointment fees are set in the branch form above. These rules apply on top of them.',
+    'admin.groupDiscounts': 'Group discounts',
+    'admin.minHeads': 'From (heads)',
+    'admin.percentOff': '% off',
+    'admin.addGroupDiscount': 'Group discount',
+    'admin.surcharges': 'Time-of-day surcharges (per head)',
+    'admin.surchargeLabel': 'Label',
+    'admin.surchargeLabelPlaceholder': 'e.g. Evening',
+    'admin.from': 'From',
+    'admin.until': 'Until',
+    'admin.amountPerHead': '₱ per head',
+    'admin.addSurcharge': 'Surcharge',
+    'admin.remove': 'Remove',
+    'admin.seniorPwdPercent': 'Senior/PWD discount (%)',
+    'admin.savePricing': 'Save Pricing Rules',
+    'admin.pricingSaved': 'Pricing rules saved!',
+    'admin.pricingInvalid': 'Percentages must be 0-100 and amounts cannot be negative.',
+    'admin.tvDisplay': '📺 TV Display',
+    'admin.pushBackLimit': 'Push-backs per visit',
+    'admin.serviceMix': 'Services',
+    'admin.heads': 'Heads',
+    'admin.menuSales': 'Menu Sales',
+    'admin.freeCancelHours': 'Free cancellation until (hours before)',
+    'admin.lateCancelFeePercent': 'Late cancellation (% of appointment fee due)',
+    'admin.reminderHours': 'Reminders (hours before the booking)',
+    'admin.reminderHoursHint': 'Comma-separated, up to 3, e.g. 24, 1. Leave empty to turn reminders off.',
+
+    // --- role ---
+    'role.admin': 'admin',
+    'role.barber': 'barber',
+    'role.customer': 'customer',
+
+    // --- shopPicker ---
+    'shopPicker.loadFailed': 'Could not load branches.',
+    'shopPicker.title': 'Choose a Branch',
+    'shopPicker.noBranches': 'No branches are open right now.',
+
+    // --- ios ---
+    'ios.title': 'Enable Notifications',
+    'ios.intro': 'To get notified when it\'s your turn, you must add this app to your Home Screen.',
+    'ios.step1': 'Tap the Share button below.',
+    'ios.step2': 'Scroll down and select "Add to Home Screen".',
+    'ios.later': 'I\'ll do it later',
+
+    // --- dialog ---
+    'dialog.required': 'This field is required.',
+    'dialog.enterNumber': 'Please enter a number.',
+    'dialog.select': '-- Select --',
+    'dialog.areYouSure': 'Are you sure?',
+    'dialog.inputRequired': 'Input Required',
+    'dialog.confirm': 'Confirm',
+    'dialog.submit': 'Submit',
+
+    // --- chat ---
+    'chat.placeholder': 'Type a message...',
+
+    // --- pricing ---
+    'pricing.service': '{name} × {count}',
+    'pricing.service_one': '{name}',
+    'pricing.groupDiscount': 'Group discount ({percent}%)',
+    'pricing.surcharge': '{label} surcharge × {count}',
+    'pricing.surcharge_one': '{label} surcharge',
+    'pricing.seniorPwd': 'Senior/PWD discount ({percent}%)',
+    'pricing.vipFee': 'VIP priority fee',
+    'pricing.appointmentFee': 'Appointment fee',
+    'pricing.estimatedTotal': 'Estimated total',
+
+    // --- display ---
+    'display.loadFailed': 'Could not load the queue.',
+    'display.enableSound': '🔔 Enable buzzer',
+    'display.fullScreen': '⛶ Full screen',
+    'display.noBarbers': 'No barbers on duty right now.',
+    'display.waitingCount': '{count} waiting',
+    'display.waitingCount_one': '1 waiting',
+    'display.joinHint': 'Join the queue from your phone: {link}',
+    'display.nowCalling': 'Now calling',
+    'display.proceedTo': 'Please proceed to {name}',
+
+    // --- walkIn ---
+    'walkIn.badge': 'Walk-in',
+    'walkIn.add': 'Add walk-in',
+    'walkIn.title': 'Add a walk-in customer',
+    'walkIn.note': 'For customers without the app. They get no chat or alerts, so call out their number or ring the phone below.',
+    'walkIn.barber': 'Barber',
+    'walkIn.chooseBarber': '-- Choose a barber --',
+    'walkIn.name': 'Customer name',
+    'walkIn.service': 'Service',
+    'walkIn.chooseService': '-- Choose a service --',
+    'walkIn.headCount': 'Heads',
+    'walkIn.phone': 'Phone (optional)',
+    'walkIn.submit': 'Add to Queue',
+    'walkIn.adding': 'Adding...',
+    'walkIn.missingFields': 'Please fill in the barber, name and service.',
+    'walkIn.added': '{name} added as #{number}.',
+    'walkIn.failed': 'Could not add walk-in: {error}',
+
+    // --- checkIn ---
+    'checkIn.showQr': 'Show check-in QR',
+    'checkIn.qrTitle': 'Arrival check-in',
+    'checkIn.qrAlt': 'Check-in QR code',
+    'checkIn.qrHint': 'Customers scan this from their live ticket, or type the code, to show they are in the shop. The code changes every day.',
+    'checkIn.qrFailed': 'Could not load the check-in code.',
+    'checkIn.arrivedAt': 'Arrived {time}',
+    'checkIn.title': 'At the shop already?',
+    'checkIn.prompt': 'Scan the QR code at the counter so your barber knows you are here.',
+    'checkIn.scan': 'Scan QR code',
+    'checkIn.codeLabel': 'Check-in code',
+    'checkIn.codePlaceholder': 'Or type the code under the QR',
+    'checkIn.submit': 'Check in',
+    'checkIn.cameraBlocked': 'Camera is not available. Type the code under the QR instead.',
+    'checkIn.youArrived': 'Checked in at {time}. Your barber knows you are here.',
+    'checkIn.done': 'You are checked in. See you in the chair!',
+    'checkIn.failed': 'Check-in failed. Please try again.',
+    'checkIn.joinFirst': 'Join the queue first, then scan the shop QR to check in.',
+
+    // --- pushBack ---
+    'pushBack.title': 'Running late?',
+    'pushBack.prompt': 'Let someone behind you go ahead instead of losing your spot.',
+    'pushBack.letAhead': 'Let {count} go ahead',
+    'pushBack.usesLeft': '{count} uses left this visit',
+    'pushBack.usesLeft_one': '1 use left this visit',
+    'pushBack.nobodyBehind': 'Nobody is behind you yet.',
+    'pushBack.done': 'You let {count} people go ahead. You\'re now number {position} in line.',
+    'pushBack.done_one': 'You let 1 person go ahead. You\'re now number {position} in line.',
+    'pushBack.failed': 'Could not move you back.',
+
+    // --- party ---
+    'party.guest': 'Guest {number}',
+    'party.guestName': 'Name of guest {number}',
+    'party.guestService': 'Service for guest {number}',
+    'party.ownService': 'Each guest can pick their own service.',
+
+    // --- tracking ---
+    'tracking.title': 'Live tracking',
+    'tracking.ticket': 'Ticket',
+    'tracking.withBarber': 'With {name}',
+    'tracking.poolWaiting': 'Goes to the first barber who frees up.',
+    'tracking.placeInLine': 'Place in line',
+    'tracking.position': 'Number {position}',
+    'tracking.readOnly': 'This page updates by itself. Only the person in line can change the ticket.',
+    'tracking.expired': 'This visit is over, so the tracking link has expired.',
+    'tracking.loadFailed': 'Could not load this ticket.',
+    'tracking.shareHeading': 'Someone waiting on you?',
+    'tracking.shareHint': 'Send them a link to follow your place in line and wait time. They can\'t change anything.',
+    'tracking.shareButton': 'Share live tracking',
+    'tracking.shareTitle': 'My place in line',
+    'tracking.linkLabel': 'Tracking link',
+    'tracking.copied': 'Tracking link copied. It stops working once your visit is over.',
+    'tracking.copyManually': 'Copy the link below and send it.',
+    'tracking.createFailed': 'Could not create a tracking link.',
+
+    // --- timeline ---
+    'timeline.title': 'Visit timeline',
+    'timeline.open': 'Timeline',
+    'timeline.openFor': 'Timeline for {name}',
+    'timeline.checkVisit': 'Check visit #{id} timeline',
+    'timeline.empty': 'Nothing recorded yet.',
+    'timeline.joined': 'Joined the queue',
+    'timeline.upNext': 'Called up next',
+    'timeline.bumpedByVip': 'Moved back to Waiting for a VIP',
+    'timeline.confirmed': 'Confirmed they are coming',
+    'timeline.arrived': 'Arrived (QR check-in)',
+    'timeline.seated': 'Seated with {barber}',
+    'timeline.completed': 'Completed, {amount} logged',
+    'timeline.cancelled': 'Cancelled',
+    'timeline.left': 'Left the queue',
+    'timeline.transferred': 'Moved from {from} to {to}',
+    'timeline.switched': 'Switched from {from} to {to}',
+    'timeline.pushedBack': 'Let {count} people go ahead',
+    'timeline.pushedBack_one': 'Let 1 person go ahead',
+    'timeline.photo': 'Reference photo updated',
+    'timeline.location': 'Shared location, {meters} m away',
+    'timeline.by.customer': 'by customer',
+    'timeline.by.barber': 'by barber',
+    'timeline.by.staff': 'by staff',
+    'timeline.by.admin': 'by admin',
+    'timeline.by.system': 'automatic',
+
+    // --- reschedule ---
+    'reschedule.button': 'Reschedule',
+    'reschedule.newDate': 'New date',
+    'reschedule.propose': 'Propose this time',
+    'reschedule.proposed': 'New time sent. The booking keeps its current slot until it is accepted.',
+    'reschedule.waiting': 'You asked to move this to {time}. Waiting for an answer.',
+    'reschedule.asked.customer': 'The customer asked to move this to {time}.',
+    'reschedule.asked.barber': 'Your barber asked to move this to {time}.',
+    'reschedule.accept': 'Accept new time',
+    'reschedule.decline': 'Keep current time',
+    'reschedule.accepted': 'Booking moved to the new time.',
+    'reschedule.declined': 'Booking stays at its current time.',
+    'reschedule.failed': 'Could not reschedule. Please try again.',
+
+    // --- cancellation ---
+    'cancellation.policy': 'Free cancellation until {count} hours before your slot. After that, {fee} of the appointment fee is still due.',
+    'cancellation.policy_one': 'Free cancellation until 1 hour before your slot. After that, {fee} of the appointment fee is still due.',
+    'cancellation.policyFree': 'You can cancel for free any time before your slot.',
+    'cancellation.button': 'Cancel booking',
+    'cancellation.title': 'Cancel this booking?',
+    'cancellation.freeMessage': 'This is free. The slot opens up for other customers.',
+    'cancellation.lateMessage': 'The free cancellation window has passed, so {fee} of the appointment fee is still due at the shop.',
+    'cancellation.confirm': 'Yes, cancel it',
+    'cancellation.done': 'Booking cancelled. No fee is due.',
+    'cancellation.doneWithFee': 'Booking cancelled. {fee} of the appointment fee is still due at the shop.',
+    'cancellation.feeDue': 'Late cancellation: {fee} due at the shop',
+    'cancellation.failed': 'Could not cancel the booking. Please try again.',
+
+    // --- schedule ---
+    'schedule.myHours': 'Working hours',
+    'schedule.edit': 'Edit hours',
+    'schedule.button': 'Hours',
+    'schedule.hoursFor': 'Working hours for {name}',
+    'schedule.intro': 'Bookings only go into these hours. Join Now closes after your last hour of the day.',
+    'schedule.usingDefault': 'No hours set yet: bookings use the shop hours (9:00 AM to 6:00 PM, every day) and Join Now follows the Online switch only.',
+    'schedule.weeklyHours': 'Every week',
+    'schedule.startOf': '{day} start',
+    'schedule.endOf': '{day} end',
+    'schedule.break': 'Break',
+    'schedule.addBreakFor': 'Add a break on {day}',
+    'schedule.breakFrom': 'Break from',
+    'schedule.dayOff': 'Day off',
+    'schedule.exceptions': 'Time off and special days',
+    'schedule.exceptionsHint': 'These replace the weekly hours on the dates they cover.',
+    'schedule.fromDate': 'From',
+    'schedule.toDate': 'To',
+    'schedule.note': 'Note',
+    'schedule.notePlaceholder': 'e.g. Vacation',
+    'schedule.offAllDay': 'Off all day',
+    'schedule.addException': 'Add time off or special hours',
+    'schedule.save': 'Save hours',
+    'schedule.saved': 'Working hours saved.',
+    'schedule.reset': 'Go back to shop hours',
+    'schedule.resetDone': 'Back on the shop hours.',
+    'schedule.status.break': 'On break until {time}',
+    'schedule.status.later': 'Starts at {time}',
+    'schedule.status.done': 'Done for today',
+    'schedule.status.off': 'Day off',
+
+    // --- calendar ---
+    'calendar.addToCalendar': 'Add to calendar',
+    'calendar.removeFromCalendar': 'Remove from my calendar',
+    'calendar.exportFailed': 'Could not create the calendar file.',
+    'calendar.feedHeading': 'Calendar feed',
+    'calendar.feedHint': 'Subscribe to this private link in Google Calendar, Apple Calendar or Outlook to see your bookings there. Changes and cancellations sync by themselves.',
+    'calendar.showFeed': 'Get my calendar link',
+    'calendar.feedLabel': 'Calendar feed link',
+    'calendar.subscribe': 'Subscribe',
+    'calendar.copy': 'Copy link',
+    'calendar.reset': 'Reset link',
+    'calendar.resetTitle': 'Reset calendar link?',
+    'calendar.resetMessage': 'The old link stops working, so calendars subscribed to it stop updating. Use this if the link was shared by mistake.',
+    'calendar.resetDone': 'New calendar link ready. Subscribe to it again.',
+    'calendar.feedFailed': 'Could not load your calendar link.',
+
+    // --- reminders ---
+    'reminders.banner': 'Reminder: {service} with {barber} on {date} at {time}.',
+    'reminders.bannerToday': 'Reminder: {service} with {barber} today at {time}.',
+    'reminders.confirm': 'Confirm',
+    'reminders.late': 'I\'ll be late',
+    'reminders.lateBy': '{minutes} min late',
+    'reminders.confirmed': 'Thanks! Your barber knows you\'re coming.',
+    'reminders.lateSent': 'Your barber knows you\'ll be about {minutes} min late.',
+    'reminders.replyFailed': 'Could not send your answer. Please try again.',
+    'reminders.youConfirmed': '✅ You confirmed this booking.',
+    'reminders.youAreLate': '⏰ You said you\'ll be about {minutes} min late.',
+    'reminders.sentAt': 'Reminded {time}',
+    'reminders.notSent': 'No reminder yet',
+    'reminders.statusConfirmed': 'Confirmed',
+    'reminders.statusLate': '~{minutes} min late',
+    'reminders.statusWaiting': 'Awaiting reply',
+    'reminders.statusNotAsked': 'Not asked yet',
+
+    // --- waitlist ---
+    'waitlist.prompt': 'Fully booked? Wait for a cancellation with {name}. We\'ll offer you the first slot that opens in your time window.',
+    'waitlist.from': 'From',
+    'waitlist.to': 'Until',
+    'waitlist.join': 'Join the waitlist',
+    'waitlist.joined': 'You\'re on {name}\'s waitlist for {date}.',
+    'waitlist.joinFailed': 'Could not join the waitlist. Please try again.',
+    'waitlist.offer': 'A slot opened: {date} at {time} with {barber}. It\'s held for you for {count} more min.',
+    'waitlist.claim': 'Claim this slot',
+    'waitlist.pass': 'No thanks',
+    'waitlist.claimed': 'Booked for {time}!',
+    'waitlist.passed': 'Okay, you\'re still on the waitlist.',
+    'waitlist.claimFailed': 'Could not claim the slot.',
+    'waitlist.heading': 'Waitlist',
+    'waitlist.window': 'Between {from} and {to}',
+    'waitlist.statusWaiting': 'Waiting for a cancellation',
+    'waitlist.statusOffered': 'A slot is waiting for you. Claim it above.',
+    'waitlist.leave': 'Leave waitlist',
+    'waitlist.left': 'You left the waitlist.',
+    'waitlist.leaveFailed': 'Could not leave the waitlist.',
+};
+
+export default en;
@@ -0,0 +1,874 @@
+// Filipino. Keys mirror en.js; a missing key falls back to English.
+const fil = {
+    // --- common ---
+    'common.language': 'Wika',
+    'common.switchToDark': 'Lumipat sa dark mode',
+    'common.switchToLight': 'Lumipat sa light mode',
+    'common.unexpectedError': 'May hindi inaasahang error.',
+    'common.errorPrefix': 'Error: {message}',
+    'common.hide': 'Itago',
+    'common.show': 'Ipakita',
+    'common.notAvailable': 'Wala',
+    'common.refreshing': 'Nire-refresh...',
+    'common.chatWarning': 'Hello! Paalala lang na panatilihing bukas ang chat kahit naka-off ang screen ng phone mo.',
+    'common.closeChat': 'Isara ang Chat',
+    'common.refresh': 'I-refresh',
+    'common.alert': 'Paalala',
+    'common.errorOccurred': 'Nagkaroon ng error.',
+    'common.ok': 'OK',
+    'common.back': 'Bumalik',
+    'common.yesCancel': 'Oo, Kanselahin',
+    'common.service': 'Serbisyo',
+    'common.cancel': 'Kanselahin',
+    'common.reference': 'Reference',
+    'common.close': 'Isara',
+    'common.unknownService': 'Hindi Kilalang Serbisyo',
+    'common.serverError': 'Error sa server.',
+    'common.invalidResponse': 'Di-wastong sagot mula sa server.',
+    'common.skip': 'Laktawan',
+    'common.pleaseWait': 'Maghintay ({count})...',
+    'common.okay': 'Sige',
+    'common.minutes': '{count} minuto',
+    'common.minutes_one': '{count} minuto',
+    'common.view': 'Tingnan',
+    'common.unknown': 'Hindi kilala',
+    'common.loading': 'Naglo-load...',
+    'common.distanceAway': '{distance} ang layo',
+    'common.unknownUser': 'Hindi Kilalang User',
+    'common.tryAgain': 'Subukan ulit',
+
+    // --- auth ---
+    'auth.login': 'Mag-login',
+    'auth.errUsernamePassword': 'Kailangan ang username/password.',
+    'auth.errPinRequired': 'Kailangan ang PIN ng barbero.',
+    'auth.errInvalidResponse': 'Hindi naka-login: Di-wastong sagot ng server.',
+    'auth.errEmailName': 'Kailangan ang Email/Buong Pangalan.',
+    'auth.errBarberCode': 'Kailangan ang Barber Code.',
+    'auth.accountCreated': 'Nagawa na ang account! Maaari ka nang mag-login.',
+    'auth.failed': 'Hindi na-authenticate: {reason}',
+    'auth.errEmailRequired': 'Kailangan ang email.',
+    'auth.errNotRegistered': 'Hindi nakarehistro ang email address na "{email}".',
+    'auth.errRateLimit': 'Naabot na ang limitasyon ng email. Maghintay muna sandali.',
+    'auth.resetSent': 'Tagumpay! Tingnan ang iyong email. Naipadala na ang link para i-reset ang password.',
+    'auth.welcomeTitle': 'Maligayang pagdating sa Dash-Q!',
+    'auth.developedBy': 'Buong pagmamalaking ginawa ang application na ito nina:',
+    'auth.from': 'mula sa',
+    'auth.getStarted': 'Magsimula',
+    'auth.resetTitle': 'I-reset ang Password',
+    'auth.resetIntro': 'Ilagay ang iyong email. Padadalhan ka namin ng link para i-reset ang password.',
+    'auth.email': 'Email:',
+    'auth.sendResetLink': 'Ipadala ang Reset Link',
+    'auth.backToLogin': 'Bumalik sa Login',
+    'auth.signUp': 'Mag-sign Up',
+    'auth.username': 'Username:',
+    'auth.password': 'Password:',
+    'auth.hidePassword': 'Itago ang password',
+    'auth.showPassword': 'Ipakita ang password',
+    'auth.loginAs': 'Mag-login bilang:',
+    'auth.roleCustomer': 'Customer',
+    'auth.roleBarber': 'Barbero',
+    'auth.barberPin': 'PIN ng Barbero:',
+    'auth.forgotPassword': 'Nakalimutan ang Password?',
+    'auth.signUpAs': 'Mag-sign Up bilang:',
+    'auth.emailHint': 'Kailangan para sa mga function ng account.',
+    'auth.fullName': 'Buong Pangalan:',
+    'auth.barberCode': 'Barber Code:',
+    'auth.barberCodePlaceholder': 'Lihim na code',
+    'auth.required': 'Kailangan.',
+    'auth.needAccount': 'Wala pang account? Mag-sign Up',
+    'auth.haveAccount': 'May account na? Mag-login',
+    'auth.errPasswordLength': 'Dapat hindi bababa sa 6 na karakter ang password.',
+    'auth.passwordUpdated': 'Matagumpay na na-update ang password! Maaari ka nang mag-login.',
+    'auth.newPasswordTitle': 'Itakda ang Bagong Password',
+    'auth.newPasswordIntro': 'Na-verify ka na. Maglagay ng bagong password.',
+    'auth.newPassword': 'Bagong Password:',
+    'auth.setNewPassword': 'Itakda ang Bagong Password',
+    'auth.backToHome': 'Bumalik sa Home',
+
+    // --- landing ---
+    'landing.heroLine1': 'Pumila nang Matalino,',
+    'landing.heroLine2': 'Pumorma nang Astig.',
+    'landing.subtitle': 'Iwasan ang mahabang paghihintay. Sumali sa live na pila kahit saan, mag-book ng appointment, at maabisuhan kapag ikaw na.',
+    'landing.getStarted': 'Magsimula Na',
+    'landing.barberLogin': 'Login ng Barbero',
+    'landing.featureQueueTitle': 'Live na Pagsubaybay sa Pila',
+    'landing.featureQueueText': 'Tingnan kung ilan ang nauuna sa iyo at ang tantiyang oras ng paghihintay.',
+    'landing.featureChatTitle': 'Direktang Chat',
+    'landing.featureChatText': 'Mag-message nang direkta sa iyong barbero tungkol sa istilo o pagkaantala nang hindi umaalis sa app.',
+    'landing.featureBookingTitle': 'Hybrid na Booking',
+    'landing.featureBookingText': 'Sumali sa pila ngayon para sa mabilisang gupit o mag-schedule ng appointment para mamaya.',
+    'landing.developedBy': 'Ginawa nina {names}',
+    'landing.admin': 'Admin',
+
+    // --- adminLogin ---
+    'adminLogin.failed': 'Hindi naka-login. Suriin ang credentials.',
+    'adminLogin.exit': 'Lumabas sa Admin Portal',
+    'adminLogin.title': 'Admin Access',
+    'adminLogin.authorizedOnly': 'Para sa Awtorisadong Tauhan Lamang',
+    'adminLogin.username': 'Admin Username:',
+    'adminLogin.authenticate': 'I-authenticate',
+    'adminLogin.activityLogged': 'Naitatala ang aktibidad ng system.',
+
+    // --- barber ---
+    'barber.couldNotUpdate': 'Hindi ma-update.',
+    'barber.status': 'Status:',
+    'barber.available': 'Available',
+    'barber.offline': 'Offline',
+    'barber.goOffline': 'Mag-offline',
+    'barber.goOnline': 'Mag-online',
+    'barber.appointmentsLoadFailed': 'Hindi ma-load ang mga appointment.',
+    'barber.cancelAppointment': 'Kanselahin ang Appointment',
+    'barber.cancelReasonPrompt': 'Dahilan ng pagkansela? Makikita ito ng customer.',
+    'barber.cancelReasonPlaceholder': 'hal., Emergency, Sarado ang Shop',
+    'barber.keep': 'Panatilihin',
+    'barber.appointmentCancelled': 'Nakansela ang appointment. Naabisuhan na ang customer.',
+    'barber.appointmentCancelFailed': 'Hindi makansela ang appointment.',
+    'barber.loyaltyFailedTitle': 'Hindi Ma-check ang Loyalty',
+    'barber.loyaltyGuest': 'Sumali si {name} bilang guest (walang naitalang email).',
+    'barber.loyaltyErrorTitle': 'Error sa Loyalty Check',
+    'barber.loyaltyErrorMessage': 'Hindi makuha ang history mula sa server.',
+    'barber.queueLoadFailed': 'Hindi ma-load ang detalye ng pila.',
+    'barber.safetyGapMessage': 'May appointment ka kay {name} nang {time} (sa loob ng {minutes} minuto).\n\nBaka ma-late ka kung tatanggap ka ng walk-in ngayon. Sigurado ka ba?',
+    'barber.safetyGapTitle': '⚠️ Babala',
+    'barber.callAnyway': 'Tawagin Pa Rin',
+    'barber.wait': 'Maghintay',
+    'barber.queueEmptyTitle': 'Walang Nakapila',
+    'barber.queueEmptyMessage': 'Walang customer na naghihintay na tawagin.',
+    'barber.actionRequired': 'Kailangan ng Aksyon',
+    'barber.completeFirst': 'Tapusin muna si {name} bago tumawag ng susunod na customer.',
+    'barber.callNextFailed': 'Hindi matawag ang susunod.',
+    'barber.invalidTip': 'Di-wastong tip. Maglagay ng 0 o higit pa.',
+    'barber.cutCompleted': 'Tapos na ang Gupit!',
+    'barber.cutCompletedMessage': 'Kabuuang naitalang kita: {amount} (Grupo ng {count})',
+    'barber.cutCompletedMessage_one': 'Kabuuang naitalang kita: {amount}',
+    'barber.completeFailed': 'Hindi matapos ang gupit.',
+    'barber.cancelFailed': 'Hindi mamarkahang kanselado.',
+    'barber.customerDetailsFailed': 'Hindi makuha ang detalye ng customer.',
+    'barber.photo': 'Larawan ni {label}',
+    'barber.myQueue': 'Aking Pila ({name})',
+    'barber.queueError': 'Error sa pag-load ng pila: {error}',
+    'barber.nowServing': 'Kasalukuyang Ginugupitan',
+    'barber.upNext': 'Susunod',
+    'barber.customerNumber': 'Customer #{id}',
+    'barber.completeCustomer': 'Tapusin: #{id} - {name}',
+    'barber.cancelNoShow': 'Kanselahin / Hindi Dumating',
+    'barber.callCustomer': 'Tawagin: #{id} - {name}',
+    'barber.callNext': 'Tawagin ang Susunod',
+    'barber.inChair': 'Nasa Upuan',
+    'barber.loyaltyTooltip': 'Tingnan ang Loyalty History ng Customer',
+    'barber.checkLoyalty': 'Tingnan ang Loyalty',
+    'barber.chat': 'Chat',
+    'barber.chairEmpty': 'Bakante ang upuan',
+    'barber.confirmed': 'KUMPIRMADO',
+    'barber.waitingConfirm': 'Hinihintay ang kumpirmasyon...',
+    'barber.nobodyUpNext': 'Walang Susunod',
+    'barber.waiting': 'Naghihintay',
+    'barber.waitingEmpty': 'Walang naghihintay sa pila.',
+    'barber.groupOf': 'Grupo ng {count}',
+    'barber.chatWithCustomer': 'Makipag-chat sa Customer',
+    'barber.reportCustomer': 'I-report ang Customer',
+    'barber.bookings': 'Mga Booking',
+    'barber.confirmCancelTitle': 'Kumpirmahin ang Pagkansela',
+    'barber.confirmCancelMessage': 'Sigurado ka bang mamarkahan si Customer #{id} ({name}) bilang Kanselado/Hindi Dumating? Hindi ito itatala sa kita.',
+    'barber.completeCut': 'Tapusin ang Gupit',
+    'barber.customerLabel': 'Customer:',
+    'barber.headsLabel': 'Bilang ng Ulo:',
+    'barber.totalDue': 'Kabuuang Babayaran:',
+    'barber.tipLabel': 'Ilagay ang TIP (Opsyonal):',
+    'barber.tipPlaceholder': 'hal., 50',
+    'barber.completeAndLog': 'Tapusin at Itala ang Kita',
+    'barber.loyaltyCheck': 'Loyalty Check',
+    'barber.fetchingHistory': 'Kinukuha ang history ni {name}...',
+    'barber.loyaltyStatus': 'Loyalty Status',
+    'barber.emailLabel': 'Email:',
+    'barber.completedCuts': 'Mga Natapos na Gupit: {count}',
+    'barber.loyaltyAchieved': 'Loyal Customer! Kwalipikado sa discount ang customer na ito.',
+    'barber.pastServices': 'Mga Nakaraang Serbisyo:',
+    'barber.noServiceHistory': 'Walang history ng serbisyo.',
+    'barber.upcomingBookings': 'Mga Paparating na Booking',
+    'barber.noUpcomingAppointments': 'Walang paparating na appointment.',
+    'barber.inQueue': 'NASA PILA',
+    'barber.reject': 'Tanggihan',
+    'barber.seniorPwdVerified': 'Nasuri ang Senior/PWD ID',
+    'barber.guestNoChat': 'Walk-in na bisita, walang chat',
+    'barber.firstAvailable': 'Unang bakante ({count})',
+    'barber.poolEmpty': 'Walang naghihintay sa unang bakanteng barbero.',
+    'barber.pushedBack': '⏪ Mahuhuli si {name} at pinauna ang {count} tao.',
+    'barber.pushedBack_one': '⏪ Mahuhuli si {name} at pinauna ang 1 tao.',
+    'barber.profileMissing': 'Hindi ma-load ang iyong barber profile.',
+
+    // --- analytics ---
+    'analytics.loadFailed': 'Hindi ma-load ang data ng dashboard.',
+    'analytics.chartTitle': 'Kita bawat Araw (Huling 7 Araw)',
+    'analytics.chartLabel': 'Arawang Kita (₱)',
+    'analytics.goalReached': '✅ Naabot ang Arawang Target!',
+    'analytics.waitingFirstCut': '⏳ Hinihintay ang unang gupit...',
+    'analytics.last7Days': 'Huling 7 Araw',
+    'analytics.title': 'Dashboard',
+    'analytics.today': 'Ngayong Araw',
+    'analytics.earnings': 'Kita',
+    'analytics.cuts': 'Gupit',
+    'analytics.avgPrice': 'Karaniwang Presyo',
+    'analytics.queueSize': 'Haba ng Pila',
+    'analytics.totalEarnings': 'Kabuuang Kita',
+    'analytics.totalCuts': 'Kabuuang Gupit',
+    'analytics.busiestDay': 'Pinakaabalang Araw',
+    'analytics.carbonTitle': 'Carbon Savings ng Shop',
+    'analytics.todaysImpact': 'Epekto Ngayong Araw',
+    'analytics.allTimeReduced': 'Kabuuang Nabawas',
+    'analytics.shopTotal': 'Kabuuan ng Shop',
+    'analytics.noChartData': 'Wala pang data para sa chart.',
+    'analytics.recentFeedback': 'Mga Bagong Feedback',
+    'analytics.noFeedback': 'Wala pang feedback.',
+    'analytics.refreshStats': 'I-refresh ang Stats',
+
+    // --- customer ---
+    'customer.barberNumber': 'Barbero #{id}',
+    'customer.leftQueue': 'Umalis ka na sa pila.',
+    'customer.leaveError': 'Error sa pag-alis sa pila.',
+    'customer.transferred': 'Inilipat ka sa ibang barbero.',
+    'customer.entryRemoved': 'Tinanggal ang iyong entry sa pila.',
+    'customer.queueLoadFailed': 'Hindi ma-load ang data ng pila.',
+    'customer.selectFileFirst': 'Pumili muna ng file.',
+    'customer.uploadingPhoto': 'Ina-upload ang larawan...',
+    'customer.photoUploaded': 'Na-upload ang larawan. Handa nang sumali sa pila.',
+    'customer.photoUpdated': 'Matagumpay na na-update ang larawan!',
+    'customer.photoUploadFailed': 'Hindi na-upload ang larawan: {error}',
+    'customer.joinFieldsRequired': 'Kailangan ang Pangalan, Barbero, AT Serbisyo.',
+    'customer.alreadyCheckedIn': 'Naka-check in ka na!',
+    'customer.uploadPhotoFirst': 'I-click muna ang "I-upload ang Larawan"!',
+    'customer.joiningQueue': 'Sumasali sa pila...',
+    'customer.joinSuccess': 'Tagumpay! Ikaw ay #{id} sa pila.',
+    'customer.recoveringSpot': 'May nakitang aktibong booking! Ibinabalik ang iyong puwesto (ID: #{id})...',
+    'customer.conflict': 'Nagkaroon ng conflict.',
+    'customer.joinFailed': 'Hindi nakasali. Subukan ulit.',
+    'customer.bookingFieldsRequired': 'Kailangan ang lahat ng field pati ang Oras.',
+    'customer.booking': 'Nagbu-book ng appointment...',
+    'customer.bookingSuccess': 'Tagumpay! Kumpirmado ang appointment sa {time}.',
+    'customer.bookingFailed': 'Hindi na-book.',
+    'customer.switchTitle': 'Lumipat ng Barbero?',
+    'customer.switchMessage': 'Lumipat kay {name}? Mananatili ang serbisyo, litrato at puwesto mo sa pila.',
+    'customer.switch': 'Lumipat',
+    'customer.switched': 'Lumipat kay {name}! Ikaw ang numero {position} sa pila.',
+    'customer.switchFailed': 'Hindi nakalipat.',
+    'customer.barbersLoadFailed': 'Hindi ma-load ang mga barbero.',
+    'customer.liveUpdatesUnavailable': 'Hindi available ang live updates.',
+    'customer.sendFailed': 'Hindi naipadala ang mensahe. May bawal na salita?',
+    'customer.howToJoin': 'Paano Sumali',
+    'customer.howToStep1': 'Piliin ang iyong',
+    'customer.howToStep1Bold': 'Serbisyo',
+    'customer.howToStep2': 'Pumili ng',
+    'customer.howToStep2Bold': 'Available na Barbero',
+    'customer.howToStep3': 'I-click ang',
+    'customer.howToStep3Bold': '"Sumali sa Pila"',
+    'customer.howToStep3After': 'at maghintay!',
+    'customer.gotIt': 'Sige!',
+    'customer.selectRating': 'Pumili ng star rating.',
+    'customer.leaveComment': 'Mag-iwan ng maikling komento.',
+    'customer.feedbackFailed': 'Hindi naipadala ang feedback.',
+    'customer.serviceComplete': 'Tapos na ang Serbisyo!',
+    'customer.rateExperience': 'Salamat! I-rate ang iyong karanasan kay {name}:',
+    'customer.feedbackPlaceholder': 'Kumusta ang gupit mo? (Opsyonal - hal. \'Ang ganda ng fade!\')',
+    'customer.submitRating': 'Ipadala ang Rating',
+    'customer.feedbackSent': 'Naipadala ang Feedback!',
+    'customer.thanksForVisiting': 'Salamat sa pagbisita!',
+    'customer.appointmentCancelled': 'Nakansela ang Appointment',
+    'customer.entryCancelled': 'Nakansela ang iyong entry sa pila.',
+    'customer.tooFarTitle': 'Isang Paalala!',
+    'customer.tooFarMessage': 'Huwag masyadong lumayo, ha...',
+    'customer.stayClose': 'Sige, hindi ako lalayo',
+    'customer.vipTitle': 'Kumpirmasyon ng Priority Service',
+    'customer.vipSelected': 'Pinili mo ang',
+    'customer.vipFeeNotice': 'May dagdag na {fee} ang VIP priority service, at sigurado kang ikaw ang "Susunod".',
+    'customer.vipSelectService': 'Siguraduhing nakapili ka ng serbisyo.',
+    'customer.selectServiceFirst': 'Pumili muna ng serbisyo.',
+    'customer.cancelVip': 'Kanselahin ang VIP',
+    'customer.confirmVip': 'Kumpirmahin (+{fee})',
+    'customer.tabJoin': 'Sumali sa Pila',
+    'customer.tabAppointments': 'Mga Appointment',
+    'customer.tabHistory': 'Aking History',
+    'customer.changeBranch': 'Palitan ang branch',
+    'customer.joinNow': 'Sumali sa Pila Ngayon',
+    'customer.bookAppointment': 'Mag-book ng Appointment',
+    'customer.yourName': 'Iyong Pangalan:',
+    'customer.yourEmail': 'Iyong Email:',
+    'customer.selectService': 'Pumili ng Serbisyo:',
+    'customer.chooseService': '-- Pumili ng serbisyo --',
+    'customer.serviceOption': '{name} ({minutes} min / {price})',
+    'customer.groupSize': 'Laki ng Grupo (Bilang ng Ulo):',
+    'customer.groupDetails': 'Detalye ng Group Booking:',
+    'customer.groupSlots': 'Magbu-book ito ng {count} sunod-sunod na slot.',
+    'customer.groupDuration': 'Kabuuang Tagal:',
+    'customer.bookingForOne': 'Booking para sa 1 tao.',
+    'customer.servicePriority': 'Priority ng Serbisyo:',
+    'customer.noPriority': 'Walang Priority',
+    'customer.vipPriority': 'VIP Priority (+{fee})',
+    'customer.vipActive': 'Aktibo ang VIP Priority. Ikaw ang ilalagay na Susunod.',
+    'customer.photoLabel': 'Larawan ng Gustong Gupit (Opsyonal):',
+    'customer.chooseFile': 'Pumili ng file...',
+    'customer.uploading': 'Ina-upload...',
+    'customer.photoAttached': 'May Nakalakip na Larawan',
+    'customer.uploadPhoto': 'I-upload ang Larawan',
+    'customer.photoReady': 'Handa na ang larawan.',
+    'customer.viewPhoto': 'Tingnan ang Larawan',
+    'customer.selectAvailableBarber': 'Pumili ng Available na Barbero:',
+    'customer.noBarbersAvailable': 'Walang available na barbero ngayon.',
+    'customer.noBarberFeedback': 'Wala pang feedback para sa barberong ito.',
+    'customer.currentlyWaiting': 'Kasalukuyang naghihintay',
+    'customer.peopleCount': '{count} tao',
+    'customer.peopleCount_one': '{count} tao',
+    'customer.calculating': 'Kinakalkula...',
+    'customer.iphoneUsers': 'Para sa iPhone:',
+    'customer.iphoneWarning': 'Hindi suportado ang push alerts at tunog. Panatilihing bukas ang tab na ito at bantayan ang iyong email para sa mga abiso!',
+    'customer.selectBarber': 'Pumili ng Barbero:',
+    'customer.chooseBarber': '-- Pumili ng Barbero --',
+    'customer.selectDate': 'Pumili ng Petsa:',
+    'customer.availableSlots': 'Mga Available na Oras:',
+    'customer.selectForSlots': 'Pumili ng Serbisyo at Barbero para makita ang mga oras.',
+    'customer.noSlots': 'Walang available na oras sa petsang ito.',
+    'customer.totalEstimate': 'Tantiyang Kabuuan:',
+    'customer.feeNote': '*Sinisiguro ng fee ang iyong oras. Babayaran sa shop.',
+    'customer.confirmBooking': 'Kumpirmahin ang Booking',
+    'customer.yourTurn': 'Ikaw Na!',
+    'customer.barberCalling': 'Tinatawag ka na ng barbero.',
+    'customer.upNext': 'Ikaw ang Susunod!',
+    'customer.confirmReady': 'Kumpirmahin na handa ka nang umupo.',
+    'customer.sendingConfirmation': 'Ipinapadala ang kumpirmasyon...',
+    'customer.confirmationSent': 'Naipadala ang Kumpirmasyon! Pumunta na sa shop.',
+    'customer.confirmFailed': 'Error: Hindi makumpirma ang pagdalo. Subukan ulit.',
+    'customer.imComing': 'Papunta na Ako!',
+    'customer.confirmed': 'Kumpirmado!',
+    'customer.barberKnows': 'Alam ng barbero na papunta ka na. Pumasok na sa shop.',
+    'customer.fasterSeat': 'May Mas Mabilis na Upuan!',
+    'customer.isFreeNow': 'ay bakante ngayon.',
+    'customer.switchTo': 'Lumipat kay {name}',
+    'customer.liveQueueFor': 'Live na Pila ni {name}',
+    'customer.yourNumber': 'Ang Iyong Numero sa Pila:',
+    'customer.partnerBadge': 'PARTNER SA WAITING AREA',
+    'customer.tapForLocation': 'I-tap para sa Lokasyon',
+    'customer.queueEmpty': 'Walang nakapila.',
+    'customer.reservedSlot': '{time} - Naka-reserve',
+    'customer.booked': 'Naka-book',
+    'customer.you': 'Ikaw ({name})',
+    'customer.updatePhoto': 'I-update ang Larawan ng Gupit:',
+    'customer.replacePhoto': 'Palitan ang Larawan',
+    'customer.currentPhoto': 'Kasalukuyang Larawan:',
+    'customer.newPhotoUploaded': 'Na-upload ang bagong larawan.',
+    'customer.chatUnavailable': 'Hindi masimulan ang chat.',
+    'customer.chatWithBarber': 'Makipag-chat sa Barbero',
+    'customer.chatWith': 'Makipag-chat kay {name}',
+    'customer.reportIssue': 'Mag-report ng Problema / Tulong',
+    'customer.leaveTitle': 'Umalis sa Pila?',
+    'customer.leaveMessage': 'Mawawala ang puwesto mo sa pila at magsisimula ka ulit!',
+    'customer.leaveQueue': 'Umalis sa Pila',
+    'customer.stay': 'Manatili',
+    'customer.leaveOrJoinAnother': 'Umalis sa Pila / Sumali sa Iba',
+    'customer.pastServices': 'Aking mga Nakaraang Serbisyo',
+    'customer.noPastServices': 'Wala pang nakaraang serbisyo. Mag-book ng unang gupit mo!',
+    'customer.unrecordedBarber': 'Hindi Naitalang Barbero',
+    'customer.comment': 'Komento: "{comment}"',
+    'customer.myBookings': 'Aking mga Booking',
+    'customer.liveInQueue': 'Nasa Live na Pila',
+    'customer.barberLabel': 'Barbero:',
+    'customer.anyBarber': 'Kahit sino',
+    'customer.movedToQueue': '* Nailipat na ang booking na ito sa Live na Pila.',
+    'customer.seniorPwd': 'Senior citizen / PWD ({percent}% bawas sa isang ulo, ipakita ang ID sa counter)',
+    'customer.estimatedWait': 'Tantyang Paghihintay',
+    'customer.waitRange': '{low}–{high} min',
+    'customer.noWait': 'Walang hintay',
+    'customer.aroundTime': 'bandang {time}',
+    'customer.firstAvailable': 'Unang bakante',
+    'customer.firstAvailableHint': 'Pinakamaikling hintay, kahit sinong barbero',
+    'customer.likelyBarber': 'Malamang kay {name}',
+    'customer.poolWaiting': 'Mapupunta ka sa unang barberong mababakante.',
+    'customer.pickedFromPool': 'Kinuha ka ng isang barbero mula sa pila ng Unang bakante.',
+
+    // --- ads ---
+    'ads.seaSaltDescription': 'Makuha agad ang magulo at pang-beach na texture.',
+    'ads.bestSeller': 'BEST SELLER',
+    'ads.pomadeDescription': 'Slick back na istilo na makintab at matibay buong araw.',
+    'ads.barbersChoice': 'PILI NG BARBERO',
+    'ads.powderDescription': 'Instant na Volume at matibay na matte finish.',
+    'ads.newArrival': 'BAGONG DATING',
+    'ads.headline': 'Panatilihing fresh ang iyong itsura!',
+    'ads.clickForDetails': 'I-click para sa detalye...',
+    'ads.tapProduct': 'I-tap ang produkto para makita ang detalye',
+    'ads.price': 'Presyo:',
+    'ads.howToBuy': 'Para bilhin ito, ipakita lang ang screen na ito sa barbero sa counter.',
+
+    // --- status ---
+    'status.waiting': 'Naghihintay',
+    'status.upNext': 'Susunod',
+    'status.inProgress': 'Ginugupitan',
+    'status.done': 'Tapos',
+    'status.cancelled': 'Kanselado',
+    'status.reserved': 'Naka-reserve',
+    'status.pending': 'Naghihintay',
+    'status.resolved': 'Naresolba',
+    'status.dismissed': 'Na-dismiss',
+
+    // --- reports ---
+    'reports.myReports': 'Aking mga Report',
+    'reports.submitted': 'Matagumpay na naipadala ang report.',
+    'reports.submitFailed': 'Hindi naipadala ang report. {message}',
+    'reports.title': 'I-report ang User',
+    'reports.intro': 'Magpadala ng report sa Admin.',
+    'reports.reason': 'Dahilan:',
+    'reports.details': 'Detalye:',
+    'reports.detailsPlaceholder': 'Ilarawan ang nangyari...',
+    'reports.attach': 'Maglakip ng Screenshot (Opsyonal):',
+    'reports.chooseImage': 'Pumili ng Larawan...',
+    'reports.submit': 'Ipadala ang Report',
+    'reports.reasons.rude': 'Bastos na Pag-uugali',
+    'reports.reasons.noShow': 'Hindi Dumating / Late',
+    'reports.reasons.language': 'Hindi Angkop na Pananalita',
+    'reports.reasons.scam': 'Scam / Spam',
+    'reports.reasons.other': 'Iba pa',
+    'reports.none': 'Wala ka pang naipadalang report.',
+    'reports.reported': 'Ini-report:',
+    'reports.adminResponse': 'Sagot ng Admin:',
+
+    // --- appointmentStatus ---
+    'appointmentStatus.pending': 'naghihintay',
+    'appointmentStatus.confirmed': 'kumpirmado',
+    'appointmentStatus.cancelled': 'kanselado',
+
+    // --- layout ---
+    'layout.welcome': 'Maligayang pagdating, {name}!',
+    'layout.logout': 'Mag-logout',
+    'layout.noBranch': 'Hindi ka pa naka-assign sa branch. Hilingin sa admin na idagdag ka sa Staff.',
+
+    // --- admin ---
+    'admin.reportAction.ban': 'I-BAN',
+    'admin.reportAction.dismiss': 'I-DISMISS',
+    'admin.resolveReport': 'Resolbahin ang Report',
+    'admin.resolveReportMessage': 'Sigurado ka bang {action} ang user na ito?',
+    'admin.actionTaken': 'Ginawang aksyon: {action}',
+    'admin.reportFailed': 'Hindi naproseso ang report.',
+    'admin.incidentReports': 'Mga Incident Report',
+    'admin.noReports': 'Walang aktibong report.',
+    'admin.reported': 'nag-report kay',
+    'admin.attachedProof': 'Nakalakip na Patunay:',
+    'admin.reportProof': 'Patunay ng Report',
+    'admin.adminNote': 'Tala ng Admin:',
+    'admin.notesPlaceholder': 'Ilagay ang resolution notes dito (hal., \'Na-verify sa CCTV\', \'Unang babala\')...',
+    'admin.banUser': 'I-ban ang User',
+    'admin.dismissReport': 'I-dismiss ang Report',
+    'admin.userBanned': 'Kasalukuyang naka-BAN ang user na ito.',
+    'admin.serviceRestored': 'Naibalik ang serbisyo.',
+    'admin.restoreFailed': 'Hindi naibalik.',
+    'admin.durationTooShort': 'Dapat hindi bababa sa 5 minuto ang tagal.',
+    'admin.priceNegative': 'Hindi puwedeng negatibo ang presyo.',
+    'admin.serviceUpdated': 'Na-update ang serbisyo!',
+    'admin.serviceAdded': 'Naidagdag ang serbisyo!',
+    'admin.actionFailed': 'Hindi nagawa ang aksyon: {error}',
+    'admin.archiveServiceTitle': 'I-archive ang Serbisyo?',
+    'admin.archiveServiceMessage': 'Itatago nito ang serbisyo mula sa menu.',
+    'admin.archive': 'I-archive',
+    'admin.deleteFailed': 'Hindi nabura.',
+    'admin.deleteUser': 'Burahin ang User',
+    'admin.deleteUserMessage': 'BABALA: Hindi na ito maibabalik.\nI-type ang \'{word}\' para permanenteng i-ban/burahin ang account na ito.',
+    'admin.deleteUserValidate': 'I-type ang {word} sa malalaking titik para kumpirmahin.',
+    'admin.userDeleted': 'Nabura ang user.',
+    'admin.deleteFailedWithError': 'Hindi nabura: {error}',
+    'admin.activate': 'I-ACTIVATE',
+    'admin.deactivate': 'I-DEACTIVATE',
+    'admin.barberStatusTitle': '{action} ang Barbero',
+    'admin.barberStatusMessage': 'Sigurado ka bang {action} ang barberong ito?',
+    'admin.updateFailed': 'Hindi na-update: {error}',
+    'admin.joinLinkCopied': 'Nakopya ang join link ni {name}: {link}',
+    'admin.joinLink': 'Join link ni {name}: {link}',
+    'admin.moveFailed': 'Hindi nailipat: {error}',
+    'admin.slugInvalid': 'Maliliit na titik, numero at gitling lang ang puwede sa link code.',
+    'admin.feesNegative': 'Hindi puwedeng negatibo ang fees.',
+    'admin.branchUpdated': 'Na-update ang branch!',
+    'admin.branchAdded': 'Naidagdag ang branch!',
+    'admin.closeAction': 'ISARA',
+    'admin.reopenAction': 'BUKSAN ULIT',
+    'admin.branchStatusTitle': '{action} ang Branch',
+    'admin.branchStatusMessage': 'Sigurado ka bang {action} ang {name}? Nakatago sa mga customer ang saradong branch.',
+    'admin.transferTitle': 'Ilipat ang Customer',
+    'admin.transferMessage': 'Ilipat ang customer na ito kay Barbero #{id}?',
+    'admin.transfer': 'Ilipat',
+    'admin.transferFailed': 'Hindi nailipat.',
+    'admin.online': 'Online',
+    'admin.select': 'Piliin',
+    'admin.chairEmpty': 'Bakanteng Upuan',
+    'admin.waitingCount': 'Naghihintay ({count})',
+    'admin.move': 'Ilipat',
+    'admin.noActiveBarbers': 'Walang aktibong barbero.',
+    'admin.staffManagement': 'Pamamahala ng Staff',
+    'admin.barberName': 'Pangalan ng Barbero',
+    'admin.branch': 'Branch',
+    'admin.status': 'Status',
+    'admin.action': 'Aksyon',
+    'admin.unassigned': '-- Walang Branch --',
+    'admin.active': 'AKTIBO',
+    'admin.bannedInactive': 'BANNED/HINDI AKTIBO',
+    'admin.banDeactivate': 'I-ban / I-deactivate',
+    'admin.unbanActivate': 'I-unban at I-activate',
+    'admin.joinLinkTooltip': 'Link para sa QR code sa puwesto ng barberong ito',
+    'admin.joinLinkButton': 'Join Link',
+    'admin.deactivateNote': 'Kapag na-deactivate ang barbero, agad siyang matatago sa listahang "Sumali sa Pila" ng customer.',
+    'admin.editNamed': 'I-edit ang {name}',
+    'admin.addBranch': 'Magdagdag ng Branch',
+    'admin.branchName': 'Pangalan ng Branch',
+    'admin.branchNamePlaceholder': 'hal. Dash-Q Session Road',
+    'admin.linkCode': 'Link Code',
+    'admin.linkCodePlaceholder': 'hal. session-road',
+    'admin.address': 'Address',
+    'admin.latitude': 'Latitude',
+    'admin.longitude': 'Longitude',
+    'admin.radius': 'Radius ng "Masyadong Malayo" (m)',
+    'admin.vipFee': 'VIP Fee (₱)',
+    'admin.appointmentFee': 'Appointment Fee (₱)',
+    'admin.brandColor': 'Kulay ng Brand',
+    'admin.logoUrl': 'Logo URL',
+    'admin.partnerName': 'Pangalan ng Partner',
+    'admin.partnerNamePlaceholder': 'Iwanang blangko kung walang promo',
+    'admin.partnerPitch': 'Pitch ng Partner',
+    'admin.partnerPerks': 'Perks ng Partner',
+    'admin.partnerImage': 'Image URL ng Partner',
+    'admin.partnerLink': 'Map Link ng Partner',
+    'admin.update': 'I-update',
+    'admin.add': 'Idagdag',
+    'admin.allBranches': 'Lahat ng Branch',
+    'admin.closed': 'SARADO',
+    'admin.noAddress': 'Walang address',
+    'admin.link': 'Link:',
+    'admin.branchSummary': 'VIP {vip} · Appointment {appointment} · Radius {radius}m',
+    'admin.edit': 'I-edit',
+    'admin.reopen': 'Buksan Ulit',
+    'admin.editService': 'I-edit ang Serbisyo',
+    'admin.addService': 'Magdagdag ng Serbisyo',
+    'admin.serviceName': 'Pangalan ng Serbisyo',
+    'admin.serviceNamePlaceholder': 'hal. Gupit',
+    'admin.duration': 'Tagal (minuto)',
+    'admin.price': 'Presyo (₱)',
+    'admin.currentMenu': 'Kasalukuyang Menu',
+    'admin.archived': 'NAKA-ARCHIVE',
+    'admin.delete': 'Burahin',
+    'admin.restore': 'Ibalik',
+    'admin.crunching': 'Kinakalkula ang mga numero...',
+    'admin.shopRevenueLabel': 'Kita ng Shop (₱)',
+    'admin.totalRevenueLabel': 'Kabuuang Kita (₱)',
+    'admin.noData': 'Walang Data',
+    'admin.totalShopRevenue': 'Kabuuang Kita ng Shop',
+    'admin.totalHaircuts': 'Kabuuang Gupit',
+    'admin.topPerformer': 'Nangungunang Barbero',
+    'admin.earned': 'Kumita ng {amount}',
+    'admin.revenueTrend': 'Takbo ng Kita sa 7 Araw',
+    'admin.barberComparison': 'Paghahambing ng Barbero (Kita)',
+    'admin.performanceMatrix': 'Detalyadong Performance Matrix',
+    'admin.rating': 'Rating',
+    'admin.revenueGenerated': 'Nalikhang Kita',
+    'admin.activeLabel': 'Aktibo',
+    'admin.inactiveLabel': 'Hindi Aktibo',
+    'admin.noPerformanceData': 'Wala pang performance data.',
+    'admin.name': 'Pangalan',
+    'admin.role': 'Role',
+    'admin.commandCenter': 'Admin Command Center',
+    'admin.closedBranchOption': '{name} (sarado)',
+    'admin.transferModeBanner': 'AKTIBO ANG TRANSFER MODE: Pumili ng barbero sa ibaba para ilipat ang customer.',
+    'admin.tabLive': 'Live Shop',
+    'admin.tabStats': 'Analytics',
+    'admin.tabStaff': 'Staff',
+    'admin.tabBranches': 'Mga Branch',
+    'admin.tabMenu': 'Menu',
+    'admin.tabUsers': 'Mga User',
+    'admin.tabReports': 'Mga Report',
+    'admin.pricingFor': 'Mga Patakaran sa Presyo: {name}',
+    'admin.pricingFeesNote': 'Nasa branch form sa itaas ang VIP at appointment fee. Idinadagdag ang mga patakarang ito sa mga iyon.',
+    'admin.groupDiscounts': 'Mga discount sa grupo',
+    'admin.minHeads': 'Mula (ulo)',
+    'admin.percentOff': '% bawas',
+    'admin.addGroupDiscount': 'Discount sa grupo',
+    'admin.surcharges': 'Dagdag-singil ayon sa oras (bawat ulo)',
+    'admin.surchargeLabel': 'Pangalan',
+    'admin.surchargeLabelPlaceholder': 'hal. Gabi',
+    'admin.from': 'Mula',
+    'admin.until': 'Hanggang',
+    'admin.amountPerHead': '₱ bawat ulo',
+    'admin.addSurcharge': 'Dagdag-singil',
+    'admin.remove': 'Alisin',
+    'admin.seniorPwdPercent': 'Discount ng Senior/PWD (%)',
+    'admin.savePricing': 'I-save ang mga Patakaran sa Presyo',
+    'admin.pricingSaved': 'Na-save ang mga patakaran sa presyo!',
+    'admin.pricingInvalid': 'Dapat 0-100 ang porsiyento at hindi puwedeng negatibo ang halaga.',
+    'admin.tvDisplay': '📺 TV Display',
+    'admin.pushBackLimit': 'Pag-urong bawat bisita',
+    'admin.serviceMix': 'Mga Serbisyo',
+    'admin.heads': 'Ulo',
+    'admin.menuSales': 'Benta sa Menu',
+    'admin.freeCancelHours': 'Libreng pagkansela hanggang (oras bago)',
+    'admin.lateCancelFeePercent': 'Huling pagkansela (% ng appointment fee)',
+    'admin.reminderHours': 'Mga paalala (oras bago ang booking)',
+    'admin.reminderHoursHint': 'Hiwalay sa kuwit, hanggang 3, hal. 24, 1. Iwanang blangko para patayin ang paalala.',
+
+    // --- role ---
+    'role.admin': 'admin',
+    'role.barber': 'barbero',
+    'role.customer': 'customer',
+
+    // --- shopPicker ---
+    'shopPicker.loadFailed': 'Hindi ma-load ang mga branch.',
+    'shopPicker.title': 'Pumili ng Branch',
+    'shopPicker.noBranches': 'Walang bukas na branch ngayon.',
+
+    // --- ios ---
+    'ios.title': 'I-enable ang Notifications',
+    'ios.intro': 'Para maabisuhan kapag ikaw na, kailangan mong idagdag ang app na ito sa iyong Home Screen.',
+    'ios.step1': 'I-tap ang Share button sa ibaba.',
+    'ios.step2': 'Mag-scroll pababa at piliin ang "Add to Home Screen".',
+    'ios.later': 'Mamaya na lang',
+
+    // --- dialog ---
+    'dialog.required': 'Kailangan ang field na ito.',
+    'dialog.enterNumber': 'Maglagay ng numero.',
+    'dialog.select': '-- Pumili --',
+    'dialog.areYouSure': 'Sigurado ka ba?',
+    'dialog.inputRequired': 'Kailangan ng Input',
+    'dialog.confirm': 'Kumpirmahin',
+    'dialog.submit': 'Ipadala',
+
+    // --- chat ---
+    'chat.placeholder': 'Mag-type ng mensahe...',
+
+    // --- pricing ---
+    'pricing.service': '{name} × {count}',
+    'pricing.service_one': '{name}',
+    'pricing.groupDiscount': 'Discount sa grupo ({percent}%)',
+    'pricing.surcharge': 'Dagdag-singil ({label}) × {count}',
+    'pricing.surcharge_one': 'Dagdag-singil ({label})',
+    'pricing.seniorPwd': 'Discount ng Senior/PWD ({percent}%)',
+    'pricing.vipFee': 'Bayad sa VIP na priyoridad',
+    'pricing.appointmentFee': 'Bayad sa appointment',
+    'pricing.estimatedTotal': 'Tantiyang kabuuan',
+
+    // --- display ---
+    'display.loadFailed': 'Hindi ma-load ang pila.',
+    'display.enableSound': '🔔 I-on ang buzzer',
+    'display.fullScreen': '⛶ Buong screen',
+    'display.noBarbers': 'Walang barberong naka-duty ngayon.',
+    'display.waitingCount': '{count} ang naghihintay',
+    'display.waitingCount_one': '1 ang naghihintay',
+    'display.joinHint': 'Pumila gamit ang iyong phone: {link}',
+    'display.nowCalling': 'Tinatawag na',
+    'display.proceedTo': 'Pumunta po kay {name}',
+
+    // --- walkIn ---
+    'walkIn.badge': 'Walk-in',
+    'walkIn.add': 'Magdagdag ng walk-in',
+    'walkIn.title': 'Magdagdag ng walk-in na customer',
+    'walkIn.note': 'Para sa mga customer na walang app. Walang chat o alerto, kaya tawagin ang numero nila o tawagan ang phone sa ibaba.',
+    'walkIn.barber': 'Barbero',
+    'walkIn.chooseBarber': '-- Pumili ng barbero --',
+    'walkIn.name': 'Pangalan ng customer',
+    'walkIn.service': 'Serbisyo',
+    'walkIn.chooseService': '-- Pumili ng serbisyo --',
+    'walkIn.headCount': 'Bilang ng tao',
+    'walkIn.phone': 'Phone (opsyonal)',
+    'walkIn.submit': 'Idagdag sa Pila',
+    'walkIn.adding': 'Idinadagdag...',
+    'walkIn.missingFields': 'Pakilagay ang barbero, pangalan at serbisyo.',
+    'walkIn.added': 'Naidagdag si {name} bilang #{number}.',
+    'walkIn.failed': 'Hindi maidagdag ang walk-in: {error}',
+
+    // --- checkIn ---
+    'checkIn.showQr': 'Ipakita ang check-in QR',
+    'checkIn.qrTitle': 'Check-in pagdating',
+    'checkIn.qrAlt': 'QR code para sa check-in',
+    'checkIn.qrHint': 'Ini-scan ito ng customer mula sa kanilang live ticket, o itina-type ang code, para ipakitang nasa shop na sila. Nagbabago ang code araw-araw.',
+    'checkIn.qrFailed': 'Hindi ma-load ang check-in code.',
+    'checkIn.arrivedAt': 'Dumating {time}',
+    'checkIn.title': 'Nasa shop ka na ba?',
+    'checkIn.prompt': 'I-scan ang QR code sa counter para malaman ng barbero mo na nandito ka na.',
+    'checkIn.scan': 'I-scan ang QR code',
+    'checkIn.codeLabel': 'Check-in code',
+    'checkIn.codePlaceholder': 'O i-type ang code sa ilalim ng QR',
+    'checkIn.submit': 'Mag-check in',
+    'checkIn.cameraBlocked': 'Hindi magamit ang camera. I-type na lang ang code sa ilalim ng QR.',
+    'checkIn.youArrived': 'Naka-check in noong {time}. Alam ng barbero mo na nandito ka na.',
+    'checkIn.done': 'Naka-check in ka na. Kita tayo sa upuan!',
+    'checkIn.failed': 'Hindi nakapag-check in. Pakisubukan muli.',
+    'checkIn.joinFirst': 'Pumila muna, saka i-scan ang QR ng shop para mag-check in.',
+
+    // --- pushBack ---
+    'pushBack.title': 'Mahuhuli ka ba?',
+    'pushBack.prompt': 'Paunahin ang nasa likod mo sa halip na mawala ang puwesto mo.',
+    'pushBack.letAhead': 'Paunahin ang {count}',
+    'pushBack.usesLeft': '{count} gamit na lang ngayong bisita',
+    'pushBack.usesLeft_one': '1 gamit na lang ngayong bisita',
+    'pushBack.nobodyBehind': 'Wala pang nasa likod mo.',
+    'pushBack.done': 'Pinauna mo ang {count} tao. Ikaw na ang numero {position} sa pila.',
+    'pushBack.done_one': 'Pinauna mo ang 1 tao. Ikaw na ang numero {position} sa pila.',
+    'pushBack.failed': 'Hindi ka mailipat pabalik.',
+
+    // --- party ---
+    'party.guest': 'Bisita {number}',
+    'party.guestName': 'Pangalan ng bisita {number}',
+    'party.guestService': 'Serbisyo para sa bisita {number}',
+    'party.ownService': 'Puwedeng pumili ng sariling serbisyo ang bawat bisita.',
+
+    // --- tracking ---
+    'tracking.title': 'Live na pagsubaybay',
+    'tracking.ticket': 'Tiket',
+    'tracking.withBarber': 'Kay {name}',
+    'tracking.poolWaiting': 'Mapupunta sa unang barberong mababakante.',
+    'tracking.placeInLine': 'Puwesto sa pila',
+    'tracking.position': 'Pang-{position}',
+    'tracking.readOnly': 'Kusang nag-a-update ang pahinang ito. Ang nasa pila lang ang puwedeng magbago ng tiket.',
+    'tracking.expired': 'Tapos na ang pagbisitang ito, kaya expired na ang tracking link.',
+    'tracking.loadFailed': 'Hindi ma-load ang tiket na ito.',
+    'tracking.shareHeading': 'May naghihintay ba sa iyo?',
+    'tracking.shareHint': 'Padalhan sila ng link para masundan ang puwesto mo sa pila at oras ng paghihintay. Wala silang mababago.',
+    'tracking.shareButton': 'I-share ang live tracking',
+    'tracking.shareTitle': 'Ang puwesto ko sa pila',
+    'tracking.linkLabel': 'Tracking link',
+    'tracking.copied': 'Nakopya ang tracking link. Hihinto ito kapag tapos na ang pagbisita mo.',
+    'tracking.copyManually': 'Kopyahin ang link sa ibaba at ipadala.',
+    'tracking.createFailed': 'Hindi makagawa ng tracking link.',
+
+    // --- timeline ---
+    'timeline.title': 'Timeline ng pagbisita',
+    'timeline.open': 'Timeline',
+    'timeline.openFor': 'Timeline ni {name}',
+    'timeline.checkVisit': 'Tingnan ang timeline ng pagbisita #{id}',
+    'timeline.empty': 'Wala pang naitala.',
+    'timeline.joined': 'Pumila',
+    'timeline.upNext': 'Tinawag bilang susunod',
+    'timeline.bumpedByVip': 'Ibinalik sa Naghihintay dahil sa VIP',
+    'timeline.confirmed': 'Kinumpirmang papunta na',
+    'timeline.arrived': 'Dumating (QR check-in)',
+    'timeline.seated': 'Naupo kay {barber}',
+    'timeline.completed': 'Tapos na, {amount} ang naitala',
+    'timeline.cancelled': 'Kinansela',
+    'timeline.left': 'Umalis sa pila',
+    'timeline.transferred': 'Inilipat mula kay {from} papunta kay {to}',
+    'timeline.switched': 'Lumipat mula kay {from} papunta kay {to}',
+    'timeline.pushedBack': 'Pinauna ang {count} tao',
+    'timeline.pushedBack_one': 'Pinauna ang 1 tao',
+    'timeline.photo': 'Na-update ang reference photo',
+    'timeline.location': 'Ibinahagi ang lokasyon, {meters} m ang layo',
+    'timeline.by.customer': 'ng customer',
+    'timeline.by.barber': 'ng barbero',
+    'timeline.by.staff': 'ng staff',
+    'timeline.by.admin': 'ng admin',
+    'timeline.by.system': 'awtomatiko',
+
+    // --- reschedule ---
+    'reschedule.button': 'Ilipat ang oras',
+    'reschedule.newDate': 'Bagong petsa',
+    'reschedule.propose': 'Imungkahi ang oras na ito',
+    'reschedule.proposed': 'Naipadala ang bagong oras. Mananatili ang kasalukuyang slot hangga\'t hindi ito tinatanggap.',
+    'reschedule.waiting': 'Hiniling mong ilipat ito sa {time}. Naghihintay ng sagot.',
+    'reschedule.asked.customer': 'Hiniling ng customer na ilipat ito sa {time}.',
+    'reschedule.asked.barber': 'Hiniling ng barbero mo na ilipat ito sa {time}.',
+    'reschedule.accept': 'Tanggapin ang bagong oras',
+    'reschedule.decline': 'Panatilihin ang oras',
+    'reschedule.accepted': 'Nailipat na ang booking sa bagong oras.',
+    'reschedule.declined': 'Mananatili ang booking sa kasalukuyang oras.',
+    'reschedule.failed': 'Hindi mailipat. Pakisubukang muli.',
+
+    // --- cancellation ---
+    'cancellation.policy': 'Libre ang pagkansela hanggang {count} oras bago ang iyong slot. Pagkatapos nito, may babayarang {fee} mula sa appointment fee.',
+    'cancellation.policy_one': 'Libre ang pagkansela hanggang 1 oras bago ang iyong slot. Pagkatapos nito, may babayarang {fee} mula sa appointment fee.',
+    'cancellation.policyFree': 'Maaari kang magkansela nang libre anumang oras bago ang iyong slot.',
+    'cancellation.button': 'Kanselahin ang booking',
+    'cancellation.title': 'Kanselahin ang booking na ito?',
+    'cancellation.freeMessage': 'Libre ito. Mabubuksan ang slot para sa ibang customer.',
+    'cancellation.lateMessage': 'Lampas na ang libreng pagkansela, kaya may babayarang {fee} mula sa appointment fee sa shop.',
+    'cancellation.confirm': 'Oo, kanselahin',
+    'cancellation.done': 'Nakansela ang booking. Walang babayaran.',
+    'cancellation.doneWithFee': 'Nakansela ang booking. May babayarang {fee} mula sa appointment fee sa shop.',
+    'cancellation.feeDue': 'Huling pagkansela: {fee} na babayaran sa shop',
+    'cancellation.failed': 'Hindi makansela ang booking. Pakisubukang muli.',
+
+    // --- schedule ---
+    'schedule.myHours': 'Oras ng trabaho',
+    'schedule.edit': 'I-edit ang oras',
+    'schedule.button': 'Oras',
+    'schedule.hoursFor': 'Oras ng trabaho ni {name}',
+    'schedule.intro': 'Sa mga oras na ito lang pumapasok ang bookings. Nagsasara ang Join Now pagkatapos ng huling oras mo sa araw na iyon.',
+    'schedule.usingDefault': 'Wala pang nakatakdang oras: gamit ng bookings ang oras ng shop (9:00 AM hanggang 6:00 PM, araw-araw) at sumusunod lang ang Join Now sa Online switch.',
+    'schedule.weeklyHours': 'Lingguhan',
+    'schedule.startOf': 'Simula ng {day}',
+    'schedule.endOf': 'Tapos ng {day}',
+    'schedule.break': 'Pahinga',
+    'schedule.addBreakFor': 'Magdagdag ng pahinga sa {day}',
+    'schedule.breakFrom': 'Pahinga mula',
+    'schedule.dayOff': 'Day off',
+    'schedule.exceptions': 'Bakasyon at espesyal na araw',
+    'schedule.exceptionsHint': 'Pinapalitan nito ang lingguhang oras sa mga petsang sakop nito.',
+    'schedule.fromDate': 'Mula',
+    'schedule.toDate': 'Hanggang',
+    'schedule.note': 'Tala',
+    'schedule.notePlaceholder': 'hal. Bakasyon',
+    'schedule.offAllDay': 'Walang pasok buong araw',
+    'schedule.addException': 'Magdagdag ng bakasyon o espesyal na oras',
+    'schedule.save': 'I-save ang oras',
+    'schedule.saved': 'Na-save ang oras ng trabaho.',
+    'schedule.reset': 'Bumalik sa oras ng shop',
+    'schedule.resetDone': 'Balik sa oras ng shop.',
+    'schedule.status.break': 'Nagpapahinga hanggang {time}',
+    'schedule.status.later': 'Magsisimula ng {time}',
+    'schedule.status.done': 'Tapos na ngayong araw',
+    'schedule.status.off': 'Day off',
+
+    // --- calendar ---
+    'calendar.addToCalendar': 'Idagdag sa kalendaryo',
+    'calendar.removeFromCalendar': 'Alisin sa kalendaryo ko',
+    'calendar.exportFailed': 'Hindi magawa ang calendar file.',
+    'calendar.feedHeading': 'Calendar feed',
+    'calendar.feedHint': 'I-subscribe ang pribadong link na ito sa Google Calendar, Apple Calendar o Outlook para makita roon ang bookings mo. Kusang nagsi-sync ang mga pagbabago at pagkansela.',
+    'calendar.showFeed': 'Kunin ang calendar link ko',
+    'calendar.feedLabel': 'Link ng calendar feed',
+    'calendar.subscribe': 'Mag-subscribe',
+    'calendar.copy': 'Kopyahin ang link',
+    'calendar.reset': 'I-reset ang link',
+    'calendar.resetTitle': 'I-reset ang calendar link?',
+    'calendar.resetMessage': 'Hindi na gagana ang lumang link, kaya titigil sa pag-update ang mga kalendaryong naka-subscribe dito. Gamitin ito kung naibahagi ang link nang hindi sinasadya.',
+    'calendar.resetDone': 'Handa na ang bagong calendar link. Mag-subscribe ulit.',
+    'calendar.feedFailed': 'Hindi ma-load ang calendar link mo.',
+
+    // --- reminders ---
+    'reminders.banner': 'Paalala: {service} kay {barber} sa {date}, {time}.',
+    'reminders.bannerToday': 'Paalala: {service} kay {barber} ngayong araw, {time}.',
+    'reminders.confirm': 'Kumpirmahin',
+    'reminders.late': 'Male-late ako',
+    'reminders.lateBy': '{minutes} min na late',
+    'reminders.confirmed': 'Salamat! Alam ng barbero mo na darating ka.',
+    'reminders.lateSent': 'Alam ng barbero mo na male-late ka nang mga {minutes} min.',
+    'reminders.replyFailed': 'Hindi naipadala ang sagot mo. Subukan ulit.',
+    'reminders.youConfirmed': '✅ Kinumpirma mo ang booking na ito.',
+    'reminders.youAreLate': '⏰ Sinabi mong male-late ka nang mga {minutes} min.',
+    'reminders.sentAt': 'Pinaalalahanan {time}',
+    'reminders.notSent': 'Wala pang paalala',
+    'reminders.statusConfirmed': 'Kumpirmado',
+    'reminders.statusLate': '~{minutes} min na late',
+    'reminders.statusWaiting': 'Hinihintay ang sagot',
+    'reminders.statusNotAsked': 'Hindi pa natatanong',
+
+    // --- waitlist ---
+    'waitlist.prompt': 'Puno na? Maghintay ng kanselasyon kay {name}. Iaalok namin sa iyo ang unang bakanteng oras sa napili mong oras.',
+    'waitlist.from': 'Mula',
+    'waitlist.to': 'Hanggang',
+    'waitlist.join': 'Sumali sa waitlist',
+    'waitlist.joined': 'Nasa waitlist ka na ni {name} para sa {date}.',
+    'waitlist.joinFailed': 'Hindi nakasali sa waitlist. Subukan ulit.',
+    'waitlist.offer': 'May bakanteng oras: {date}, {time} kay {barber}. Nakareserba ito para sa iyo nang {count} min pa.',
+    'waitlist.claim': 'Kunin ang oras na ito',
+    'waitlist.pass': 'Huwag na lang',
+    'waitlist.claimed': 'Naka-book na para sa {time}!',
+    'waitlist.passed': 'Sige, nasa waitlist ka pa rin.',
+    'waitlist.claimFailed': 'Hindi nakuha ang oras.',
+    'waitlist.heading': 'Waitlist',
+    'waitlist.window': 'Mula {from} hanggang {to}',
+    'waitlist.statusWaiting': 'Naghihintay ng kanselasyon',
+    'waitlist.statusOffered': 'May oras na naghihintay sa iyo. Kunin ito sa itaas.',
+    'waitlist.leave': 'Umalis sa waitlist',
+    'waitlist.left': 'Umalis ka na sa waitlist.',
+    'waitlist.leaveFailed': 'Hindi nakaalis sa waitlist.',
+};
+
+export default fil;
@@ -0,0 +1,874 @@
+// Ilocano. Keys mirror en.js; a missing key falls back to English.
+const ilo = {
+    // --- common ---
+    'common.language': 'Pagsasao',
+    'common.switchToDark': 'Agbalin iti dark mode',
+    'common.switchToLight': 'Agbalin iti light mode',
+    'common.unexpectedError': 'Adda saan a ninamnama nga error.',
+    'common.errorPrefix': 'Error: {message}',
+    'common.hide': 'Ilemmeng',
+    'common.show': 'Ipakita',
+    'common.notAvailable': 'Awan',
+    'common.refreshing': 'Ir-refresh...',
+    'common.chatWarning': 'Hello! Pammalagip laeng nga ilukatmo latta ti chat uray no nakaiddep ti screen ti teleponom.',
+    'common.closeChat': 'Irikep ti Chat',
+    'common.refresh': 'I-refresh',
+    'common.alert': 'Pammalagip',
+    'common.errorOccurred': 'Adda error.',
+    'common.ok': 'OK',
+    'common.back': 'Agsubli',
+    'common.yesCancel': 'Wen, Kanselaren',
+    'common.service': 'Serbisio',
+    'common.cancel': 'Kanselaren',
+    'common.reference': 'Reference',
+    'common.close': 'Irikep',
+    'common.unknownService': 'Saan nga Ammo a Serbisio',
+    'common.serverError': 'Error iti server.',
+    'common.invalidResponse': 'Saan nga umno a sungbat manipud iti server.',
+    'common.skip': 'Laksawan',
+    'common.pleaseWait': 'Agur-uray ({count})...',
+    'common.okay': 'Okey',
+    'common.minutes': '{count} a minuto',
+    'common.minutes_one': '{count} a minuto',
+    'common.view': 'Kitaen',
+    'common.unknown': 'Saan nga ammo',
+    'common.loading': 'Ag-lo-load...',
+    'common.distanceAway': '{distance} ti kaadayo',
+    'common.unknownUser': 'Saan nga Ammo a User',
+    'common.tryAgain': 'Padasen manen',
+
+    // --- auth ---
+    'auth.login': 'Sumrek',
+    'auth.errUsernamePassword': 'Masapul ti username/password.',
+    'auth.errPinRequired': 'Masapul ti PIN ti barbero.',
+    'auth.errInvalidResponse': 'Saan a nakastrek: Saan nga umno a sungbat ti server.',
+    'auth.errEmailName': 'Masapul ti Email/Naan a Nagan.',
+    'auth.errBarberCode': 'Masapul ti Barber Code.',
+    'auth.accountCreated': 'Naaramid ti account! Mabalinmon ti sumrek.',
+    'auth.failed': 'Saan a na-authenticate: {reason}',
+    'auth.errEmailRequired': 'Masapul ti email.',
+    'auth.errNotRegistered': 'Saan a nakarehistro ti email address a "{email}".',
+    'auth.errRateLimit': 'Nasobraan ti limitasion ti email. Agur-uray pay bassit.',
+    'auth.resetSent': 'Naballigi! Kitaem ti emailmo. Naipatulod ti link a pang-reset iti password.',
+    'auth.welcomeTitle': 'Naragsak nga isasangbay iti Dash-Q!',
+    'auth.developedBy': 'Napagpannakkel nga inaramid daytoy nga application da:',
+    'auth.from': 'manipud iti',
+    'auth.getStarted': 'Mangrugi',
+    'auth.resetTitle': 'I-reset ti Password',
+    'auth.resetIntro': 'Isuratmo ti emailmo. Mangipatulodkami iti link a pang-reset iti passwordmo.',
+    'auth.email': 'Email:',
+    'auth.sendResetLink': 'Ipatulod ti Reset Link',
+    'auth.backToLogin': 'Agsubli iti Login',
+    'auth.signUp': 'Agrehistro',
+    'auth.username': 'Username:',
+    'auth.password': 'Password:',
+    'auth.hidePassword': 'Ilemmeng ti password',
+    'auth.showPassword': 'Ipakita ti password',
+    'auth.loginAs': 'Sumrek kas:',
+    'auth.roleCustomer': 'Customer',
+    'auth.roleBarber': 'Barbero',
+    'auth.barberPin': 'PIN ti Barbero:',
+    'auth.forgotPassword': 'Nalipatam ti Password?',
+    'auth.signUpAs': 'Agrehistro kas:',
+    'auth.emailHint': 'Masapul para kadagiti function ti account.',
+    'auth.fullName': 'Naan a Nagan:',
+    'auth.barberCode': 'Barber Code:',
+    'auth.barberCodePlaceholder': 'Nalimed a code',
+    'auth.required': 'Masapul.',
+    'auth.needAccount': 'Awan pay ti account? Agrehistro',
+    'auth.haveAccount': 'Adda account? Sumrek',
+    'auth.errPasswordLength': 'Masapul nga saan a basbassit ngem 6 a karakter ti password.',
+    'auth.passwordUpdated': 'Naballigi a na-update ti password! Mabalinmon ti sumrek.',
+    'auth.newPasswordTitle': 'Ikabil ti Baro a Password',
+    'auth.newPasswordIntro': 'Na-verify kan. Mangikabil iti baro a password.',
+    'auth.newPassword': 'Baro a Password:',
+    'auth.setNewPassword': 'Ikabil ti Baro a Password',
+    'auth.backToHome': 'Agsubli iti Home',
+
+    // --- landing ---
+    'landing.heroLine1': 'Agpila a Nasirib,',
+    'landing.heroLine2': 'Agbalin a Nataraki.',
+    'landing.subtitle': 'Liklikan ti atiddog nga panagur-uray. Sumali iti live a pila uray sadinoman, agbook iti appointment, ket maipakaammo kenka no sika ti sumaruno.',
+    'landing.getStarted': 'Mangrugi Itan',
+    'landing.barberLogin': 'Login ti Barbero',
+    'landing.featureQueueTitle': 'Live a Panangsurot iti Pila',
+    'landing.featureQueueText': 'Kitaem no mano ti immun-una kenka ken ti pattapatta nga oras ti panagur-uray.',
+    'landing.featureChatTitle': 'Direkta a Chat',
+    'landing.featureChatText': 'Mensahem a direkta ti barberom maipapan iti estilo wenno panagbayag a saan a rumuar iti app.',
+    'landing.featureBookingTitle': 'Hybrid a Booking',
+    'landing.featureBookingText': 'Sumali iti pila ita para iti alisto a pukis wenno agiskedyul iti appointment para iti madamdama.',
+    'landing.developedBy': 'Inaramid da {names}',
+    'landing.admin': 'Admin',
+
+    // --- adminLogin ---
+    'adminLogin.failed': 'Saan a nakastrek. Kitaem ti credentials.',
+    'adminLogin.exit': 'Rumuar iti Admin Portal',
+    'adminLogin.title': 'Admin Access',
+    'adminLogin.authorizedOnly': 'Para Laeng Kadagiti Awtorisado',
+    'adminLogin.username': 'Admin Username:',
+    'adminLogin.authenticate': 'I-authenticate',
+    'adminLogin.activityLogged': 'Mairekord ti aktibidad ti system.',
+
+    // --- barber ---
+    'barber.couldNotUpdate': 'Saan a ma-update.',
+    'barber.status': 'Status:',
+    'barber.available': 'Available',
+    'barber.offline': 'Offline',
+    'barber.goOffline': 'Ag-offline',
+    'barber.goOnline': 'Ag-online',
+    'barber.appointmentsLoadFailed': 'Saan a ma-load dagiti appointment.',
+    'barber.cancelAppointment': 'Kanselaren ti Appointment',
+    'barber.cancelReasonPrompt': 'Rason ti panagkansela? Makita daytoy ti customer.',
+    'barber.cancelReasonPlaceholder': 'kas pagarigan, Emergency, Nakaserra ti Shop',
+    'barber.keep': 'Idulin',
+    'barber.appointmentCancelled': 'Nakansela ti appointment. Naipakaammo iti customer.',
+    'barber.appointmentCancelFailed': 'Saan a makansela ti appointment.',
+    'barber.loyaltyFailedTitle': 'Saan a Ma-check ti Loyalty',
+    'barber.loyaltyGuest': 'Simmali ni {name} kas guest (awan ti nairekord nga email).',
+    'barber.loyaltyErrorTitle': 'Error iti Loyalty Check',
+    'barber.loyaltyErrorMessage': 'Saan a maala ti history manipud iti server.',
+    'barber.queueLoadFailed': 'Saan a ma-load dagiti detalye ti pila.',
+    'barber.safetyGapMessage': 'Adda appointment-mo ken ni {name} iti {time} (iti uneg ti {minutes} a minuto).\n\nMabalin a ma-late ka no umawat ka iti walk-in ita. Siguradoka kadi?',
+    'barber.safetyGapTitle': '⚠️ Pakdaar',
+    'barber.callAnyway': 'Awagan Latta',
+    'barber.wait': 'Agur-uray',
+    'barber.queueEmptyTitle': 'Awan ti Agpilpila',
+    'barber.queueEmptyMessage': 'Awan ti customer nga agur-uray a maawagan.',
+    'barber.actionRequired': 'Masapul ti Aksion',
+    'barber.completeFirst': 'Leppasem pay ni {name} sakbay nga awagam ti sumaruno a customer.',
+    'barber.callNextFailed': 'Saan a maawagan ti sumaruno.',
+    'barber.invalidTip': 'Saan nga umno a tip. Mangikabil iti 0 wenno ad-adu pay.',
+    'barber.cutCompleted': 'Nalpas ti Pukis!',
+    'barber.cutCompletedMessage': 'Dagup a nairekord a ganansia: {amount} (Grupo ti {count})',
+    'barber.cutCompletedMessage_one': 'Dagup a nairekord a ganansia: {amount}',
+    'barber.completeFailed': 'Saan a malpas ti pukis.',
+    'barber.cancelFailed': 'Saan a mamarkaan a nakansela.',
+    'barber.customerDetailsFailed': 'Saan a maala dagiti detalye ti customer.',
+    'barber.photo': 'Ladawan ni {label}',
+    'barber.myQueue': 'Ti Pilak ({name})',
+    'barber.queueError': 'Error iti panag-load ti pila: {error}',
+    'barber.nowServing': 'Agdama a Mapukpukisan',
+    'barber.upNext': 'Sumaruno',
+    'barber.customerNumber': 'Customer #{id}',
+    'barber.completeCustomer': 'Leppasen: #{id} - {name}',
+    'barber.cancelNoShow': 'Kanselaren / Saan a Dimmateng',
+    'barber.callCustomer': 'Awagan: #{id} - {name}',
+    'barber.callNext': 'Awagan ti Sumaruno',
+    'barber.inChair': 'Adda iti Tugaw',
+    'barber.loyaltyTooltip': 'Kitaen ti Loyalty History ti Customer',
+    'barber.checkLoyalty': 'Kitaen ti Loyalty',
+    'barber.chat': 'Chat',
+    'barber.chairEmpty': 'Awan ti nakatugaw',
+    'barber.confirmed': 'NAKUMPIRMA',
+    'barber.waitingConfirm': 'Ur-urayen ti kumpirmasion...',
+    'barber.nobodyUpNext': 'Awan ti Sumaruno',
+    'barber.waiting': 'Agur-uray',
+    'barber.waitingEmpty': 'Awan ti agur-uray iti pila.',
+    'barber.groupOf': 'Grupo ti {count}',
+    'barber.chatWithCustomer': 'Makichat iti Customer',
+    'barber.reportCustomer': 'I-report ti Customer',
+    'barber.bookings': 'Dagiti Booking',
+    'barber.confirmCancelTitle': 'Kumpirmaen ti Panagkansela',
+    'barber.confirmCancelMessage': 'Siguradoka kadi a markaam ni Customer #{id} ({name}) a Nakansela/Saan a Dimmateng? Saan daytoy a mairekord iti ganansia.',
+    'barber.completeCut': 'Leppasen ti Pukis',
+    'barber.customerLabel': 'Customer:',
+    'barber.headsLabel': 'Bilang ti Ulo:',
+    'barber.totalDue': 'Dagup a Bayadan:',
+    'barber.tipLabel': 'Ikabil ti TIP (Saan a Masapul):',
+    'barber.tipPlaceholder': 'kas pagarigan, 50',
+    'barber.completeAndLog': 'Leppasen ken Irekord ti Ganansia',
+    'barber.loyaltyCheck': 'Loyalty Check',
+    'barber.fetchingHistory': 'Al-alaen ti history ni {name}...',
+    'barber.loyaltyStatus': 'Loyalty Status',
+    'barber.emailLabel': 'Email:',
+    'barber.completedCuts': 'Nalpas a Pukis: {count}',
+    'barber.loyaltyAchieved': 'Loyal a Customer! Kualipikado daytoy a customer iti discount.',
+    'barber.pastServices': 'Napalabas a Serbisio:',
+    'barber.noServiceHistory': 'Awan ti history ti serbisio.',
+    'barber.upcomingBookings': 'Dagiti Umay a Booking',
+    'barber.noUpcomingAppointments': 'Awan ti umay nga appointment.',
+    'barber.inQueue': 'ADDA ITI PILA',
+    'barber.reject': 'Ilaksid',
+    'barber.seniorPwdVerified': 'Nakita ti Senior/PWD ID',
+    'barber.guestNoChat': 'Walk-in a sangaili, awan ti chat',
+    'barber.firstAvailable': 'Umuna a nawaya ({count})',
+    'barber.poolEmpty': 'Awan ti agur-uray iti umuna a nawaya a barbero.',
+    'barber.pushedBack': '⏪ Maladaw ni {name} ket pinaunana ti {count} a tao.',
+    'barber.pushedBack_one': '⏪ Maladaw ni {name} ket pinaunana ti 1 a tao.',
+    'barber.profileMissing': 'Saan a maiload ti barber profile mo.',
+
+    // --- analytics ---
+    'analytics.loadFailed': 'Saan a ma-load ti data ti dashboard.',
+    'analytics.chartTitle': 'Ganansia iti Tunggal Aldaw (Naudi a 7 Aldaw)',
+    'analytics.chartLabel': 'Inaldaw a Ganansia (₱)',
+    'analytics.goalReached': '✅ Nagun-od ti Inaldaw a Target!',
+    'analytics.waitingFirstCut': '⏳ Ur-urayen ti umuna a pukis...',
+    'analytics.last7Days': 'Naudi a 7 Aldaw',
+    'analytics.title': 'Dashboard',
+    'analytics.today': 'Ita nga Aldaw',
+    'analytics.earnings': 'Ganansia',
+    'analytics.cuts': 'Pukis',
+    'analytics.avgPrice': 'Kadawyan a Presio',
+    'analytics.queueSize': 'Kaatiddog ti Pila',
+    'analytics.totalEarnings': 'Dagup ti Ganansia',
+    'analytics.totalCuts': 'Dagup ti Pukis',
+    'analytics.busiestDay': 'Kaokuparan nga Aldaw',
+    'analytics.carbonTitle': 'Carbon Savings ti Shop',
+    'analytics.todaysImpact': 'Epekto Ita nga Aldaw',
+    'analytics.allTimeReduced': 'Dagup a Nakissayan',
+    'analytics.shopTotal': 'Dagup ti Shop',
+    'analytics.noChartData': 'Awan pay ti data para iti chart.',
+    'analytics.recentFeedback': 'Kabarbaro a Feedback',
+    'analytics.noFeedback': 'Awan pay ti feedback.',
+    'analytics.refreshStats': 'I-refresh ti Stats',
+
+    // --- customer ---
+    'customer.barberNumber': 'Barbero #{id}',
+    'customer.leftQueue': 'Pimmanawka iti pila.',
+    'customer.leaveError': 'Error iti panagpanaw iti pila.',
+    'customer.transferred': 'Naiyaliska iti sabali a barbero.',
+    'customer.entryRemoved': 'Naikkat ti entry-mo iti pila.',
+    'customer.queueLoadFailed': 'Saan a ma-load ti data ti pila.',
+    'customer.selectFileFirst': 'Agpili pay iti file.',
+    'customer.uploadingPhoto': 'I-up-upload ti ladawan...',
+    'customer.photoUploaded': 'Na-upload ti ladawan. Nakasaganaka a sumali iti pila.',
+    'customer.photoUpdated': 'Naballigi a na-update ti ladawan!',
+    'customer.photoUploadFailed': 'Saan a na-upload ti ladawan: {error}',
+    'customer.joinFieldsRequired': 'Masapul ti Nagan, Barbero, KEN Serbisio.',
+    'customer.alreadyCheckedIn': 'Naka-check in kan!',
+    'customer.uploadPhotoFirst': 'I-click pay ti "I-upload ti Ladawan"!',
+    'customer.joiningQueue': 'Sumsumali iti pila...',
+    'customer.joinSuccess': 'Naballigi! Sika ti #{id} iti pila.',
+    'customer.recoveringSpot': 'Adda nasarakan nga aktibo a booking! Isubsublin ti lugarmo (ID: #{id})...',
+    'customer.conflict': 'Adda conflict.',
+    'customer.joinFailed': 'Saan a nakasali. Padasem manen.',
+    'customer.bookingFieldsRequired': 'Masapul amin a field agraman ti Oras.',
+    'customer.booking': 'Agbook-book iti appointment...',
+    'customer.bookingSuccess': 'Naballigi! Nakumpirma ti appointment iti {time}.',
+    'customer.bookingFailed': 'Saan a na-book.',
+    'customer.switchTitle': 'Agbaliw iti Barbero?',
+    'customer.switchMessage': 'Agbaliw ken ni {name}? Agtalinaed ti serbisio, ladawan ken lugarmo iti pila.',
+    'customer.switch': 'Agbaliw',
+    'customer.switched': 'Immakar ken ni {name}! Sika ti numero {position} iti pila.',
+    'customer.switchFailed': 'Saan a nakaakar.',
+    'customer.barbersLoadFailed': 'Saan a ma-load dagiti barbero.',
+    'customer.liveUpdatesUnavailable': 'Saan a available ti live updates.',
+    'customer.sendFailed': 'Saan a naipatulod ti mensahe. Adda kadi maiparit a sao?',
+    'customer.howToJoin': 'Kasano ti Sumali',
+    'customer.howToStep1': 'Pilien ti',
+    'customer.howToStep1Bold': 'Serbisio',
+    'customer.howToStep2': 'Agpili iti',
+    'customer.howToStep2Bold': 'Available a Barbero',
+    'customer.howToStep3': 'I-click ti',
+    'customer.howToStep3Bold': '"Sumali iti Pila"',
+    'customer.howToStep3After': 'ket agur-uray!',
+    'customer.gotIt': 'Okey!',
+    'customer.selectRating': 'Agpili iti star rating.',
+    'customer.leaveComment': 'Mangibati iti ababa a komento.',
+    'customer.feedbackFailed': 'Saan a naipatulod ti feedback.',
+    'customer.serviceComplete': 'Nalpas ti Serbisio!',
+    'customer.rateExperience': 'Agyamanak! I-rate ti kapadasam ken ni {name}:',
+    'customer.feedbackPlaceholder': 'Kasano ti pukismo? (Saan a masapul - kas pagarigan \'Nagsayaat ti fade!\')',
+    'customer.submitRating': 'Ipatulod ti Rating',
+    'customer.feedbackSent': 'Naipatulod ti Feedback!',
+    'customer.thanksForVisiting': 'Agyamanak iti isasarungkarmo!',
+    'customer.appointmentCancelled': 'Nakansela ti Appointment',
+    'customer.entryCancelled': 'Nakansela ti entry-mo iti pila.',
+    'customer.tooFarTitle': 'Pammalagip!',
+    'customer.tooFarMessage': 'Dika unay umadayo, a...',
+    'customer.stayClose': 'Okey, saanak nga umadayo',
+    'customer.vipTitle': 'Kumpirmasion ti Priority Service',
+    'customer.vipSelected': 'Pinilim ti',
+    'customer.vipFeeNotice': 'Adda nayon a {fee} ti VIP priority service, ket sigurado a sika ti "Sumaruno".',
+    'customer.vipSelectService': 'Siguraduem a nakapilika iti serbisio.',
+    'customer.selectServiceFirst': 'Agpili pay iti serbisio.',
+    'customer.cancelVip': 'Kanselaren ti VIP',
+    'customer.confirmVip': 'Kumpirmaen (+{fee})',
+    'customer.tabJoin': 'Sumali iti Pila',
+    'customer.tabAppointments': 'Dagiti Appointment',
+    'customer.tabHistory': 'Ti Historyk',
+    'customer.changeBranch': 'Sukatan ti branch',
+    'customer.joinNow': 'Sumali iti Pila Ita',
+    'customer.bookAppointment': 'Agbook iti Appointment',
+    'customer.yourName': 'Naganmo:',
+    'customer.yourEmail': 'Emailmo:',
+    'customer.selectService': 'Agpili iti Serbisio:',
+    'customer.chooseService': '-- Agpili iti serbisio --',
+    'customer.serviceOption': '{name} ({minutes} min / {price})',
+    'customer.groupSize': 'Kadakkel ti Grupo (Bilang ti Ulo):',
+    'customer.groupDetails': 'Detalye ti Group Booking:',
+    'customer.groupSlots': 'Mangbook daytoy iti {count} nga agsasaruno a slot.',
+    'customer.groupDuration': 'Dagup a Kabayag:',
+    'customer.bookingForOne': 'Booking para iti 1 a tao.',
+    'customer.servicePriority': 'Priority ti Serbisio:',
+    'customer.noPriority': 'Awan ti Priority',
+    'customer.vipPriority': 'VIP Priority (+{fee})',
+    'customer.vipActive': 'Aktibo ti VIP Priority. Sika ti maikabil a Sumaruno.',
+    'customer.photoLabel': 'Ladawan ti Kayat a Pukis (Saan a Masapul):',
+    'customer.chooseFile': 'Agpili iti file...',
+    'customer.uploading': 'I-up-upload...',
+    'customer.photoAttached': 'Adda Naikabit a Ladawan',
+    'customer.uploadPhoto': 'I-upload ti Ladawan',
+    'customer.photoReady': 'Nakasagana ti ladawan.',
+    'customer.viewPhoto': 'Kitaen ti Ladawan',
+    'customer.selectAvailableBarber': 'Agpili iti Available a Barbero:',
+    'customer.noBarbersAvailable': 'Awan ti available a barbero ita.',
+    'customer.noBarberFeedback': 'Awan pay ti feedback para iti daytoy a barbero.',
+    'customer.currentlyWaiting': 'Agdama nga agur-uray',
+    'customer.peopleCount': '{count} a tao',
+    'customer.peopleCount_one': '{count} a tao',
+    'customer.calculating': 'Kalkulkularen...',
+    'customer.iphoneUsers': 'Para iti iPhone:',
+    'customer.iphoneWarning': 'Saan a suportado ti push alerts ken uni. Ilukatmo latta daytoy a tab ken kitaem ti emailmo para kadagiti pakaammo!',
+    'customer.selectBarber': 'Agpili iti Barbero:',
+    'customer.chooseBarber': '-- Agpili iti Barbero --',
+    'customer.selectDate': 'Agpili iti Petsa:',
+    'customer.availableSlots': 'Dagiti Available nga Oras:',
+    'customer.selectForSlots': 'Agpili iti Serbisio ken Barbero tapno makita dagiti oras.',
+    'customer.noSlots': 'Awan ti available nga oras iti daytoy a petsa.',
+    'customer.totalEstimate': 'Pattapatta a Dagup:',
+    'customer.feeNote': '*Ti fee ti mangsigurado iti orasmo. Bayadan iti shop.',
+    'customer.confirmBooking': 'Kumpirmaen ti Booking',
+    'customer.yourTurn': 'Sika Itan!',
+    'customer.barberCalling': 'Aw-awagannaka itan ti barbero.',
+    'customer.upNext': 'Sika ti Sumaruno!',
+    'customer.confirmReady': 'Kumpirmaem a nakasaganaka nga agtugaw.',
+    'customer.sendingConfirmation': 'Ipatpatulod ti kumpirmasion...',
+    'customer.confirmationSent': 'Naipatulod ti Kumpirmasion! Mapanka iti shop.',
+    'customer.confirmFailed': 'Error: Saan a makumpirma ti iyaaymo. Padasem manen.',
+    'customer.imComing': 'Umayakon!',
+    'customer.confirmed': 'Nakumpirma!',
+    'customer.barberKnows': 'Ammo ti barbero nga umayka. Sumrekka itan iti shop.',
+    'customer.fasterSeat': 'Adda Nadardaras a Tugaw!',
+    'customer.isFreeNow': 'ket awan ti ar-aramidenna ita.',
+    'customer.switchTo': 'Umakar ken ni {name}',
+    'customer.liveQueueFor': 'Live a Pila ni {name}',
+    'customer.yourNumber': 'Ti Numeroam iti Pila:',
+    'customer.partnerBadge': 'PARTNER ITI WAITING AREA',
+    'customer.tapForLocation': 'I-tap para iti Lokasion',
+    'customer.queueEmpty': 'Awan ti agpilpila.',
+    'customer.reservedSlot': '{time} - Nareserba',
+    'customer.booked': 'Na-book',
+    'customer.you': 'Sika ({name})',
+    'customer.updatePhoto': 'I-update ti Ladawan ti Pukis:',
+    'customer.replacePhoto': 'Sukatan ti Ladawan',
+    'customer.currentPhoto': 'Agdama a Ladawan:',
+    'customer.newPhotoUploaded': 'Na-upload ti baro a ladawan.',
+    'customer.chatUnavailable': 'Saan a marugian ti chat.',
+    'customer.chatWithBarber': 'Makichat iti Barbero',
+    'customer.chatWith': 'Makichat ken ni {name}',
+    'customer.reportIssue': 'I-report ti Parikut / Tulong',
+    'customer.leaveTitle': 'Pumanaw iti Pila?',
+    'customer.leaveMessage': 'Mapukaw ti lugarmo iti pila ket mangrugika manen!',
+    'customer.leaveQueue': 'Pumanaw iti Pila',
+    'customer.stay': 'Agtalinaed',
+    'customer.leaveOrJoinAnother': 'Pumanaw iti Pila / Sumali iti Sabali',
+    'customer.pastServices': 'Dagiti Napalabas a Serbisiok',
+    'customer.noPastServices': 'Awan pay ti napalabas a serbisio. Agbook iti umuna a pukismo!',
+    'customer.unrecordedBarber': 'Saan a Nairekord a Barbero',
+    'customer.comment': 'Komento: "{comment}"',
+    'customer.myBookings': 'Dagiti Bookingko',
+    'customer.liveInQueue': 'Adda iti Live a Pila',
+    'customer.barberLabel': 'Barbero:',
+    'customer.anyBarber': 'Uray siasino',
+    'customer.movedToQueue': '* Naiyalis daytoy a booking iti Live a Pila.',
+    'customer.seniorPwd': 'Senior citizen / PWD ({percent}% a kissay iti maysa nga ulo, ipakitam ti ID iti counter)',
+    'customer.estimatedWait': 'Pagarup nga Panag-uray',
+    'customer.waitRange': '{low}–{high} min',
+    'customer.noWait': 'Awan ti uray',
+    'customer.aroundTime': 'agarup {time}',
+    'customer.firstAvailable': 'Umuna a nawaya',
+    'customer.firstAvailableHint': 'Kaababaan nga panagur-uray, uray sinno a barbero',
+    'customer.likelyBarber': 'Nalabit ken ni {name}',
+    'customer.poolWaiting': 'Mapanka iti umuna a barbero a mawayaan.',
+    'customer.pickedFromPool': 'Innalanaka ti maysa a barbero manipud iti pila ti Umuna a nawaya.',
+
+    // --- ads ---
+    'ads.seaSaltDescription': 'Gun-oden a dagus ti naburbor, pang-baybay a texture.',
+    'ads.bestSeller': 'BEST SELLER',
+    'ads.pomadeDescription': 'Slick back nga estilo a nasileng ken natibker iti agmalem.',
+    'ads.barbersChoice': 'PINILI TI BARBERO',
+    'ads.powderDescription': 'Dagus a Volume ken natibker a matte finish.',
+    'ads.newArrival': 'BARO NGA IMMAY',
+    'ads.headline': 'Taginayonem a fresh ti langam!',
+    'ads.clickForDetails': 'I-click para kadagiti detalye...',
+    'ads.tapProduct': 'I-tap ti produkto tapno makita dagiti detalye',
+    'ads.price': 'Presio:',
+    'ads.howToBuy': 'Tapno gatangen daytoy, ipakitam laeng daytoy a screen iti barbero iti counter.',
+
+    // --- status ---
+    'status.waiting': 'Agur-uray',
+    'status.upNext': 'Sumaruno',
+    'status.inProgress': 'Mapukpukisan',
+    'status.done': 'Nalpas',
+    'status.cancelled': 'Nakansela',
+    'status.reserved': 'Nareserba',
+    'status.pending': 'Ur-urayen',
+    'status.resolved': 'Narisut',
+    'status.dismissed': 'Na-dismiss',
+
+    // --- reports ---
+    'reports.myReports': 'Dagiti Reportko',
+    'reports.submitted': 'Naballigi a naipatulod ti report.',
+    'reports.submitFailed': 'Saan a naipatulod ti report. {message}',
+    'reports.title': 'I-report ti User',
+    'reports.intro': 'Mangipatulod iti report iti Admin.',
+    'reports.reason': 'Rason:',
+    'reports.details': 'Detalye:',
+    'reports.detailsPlaceholder': 'Iladawam ti napasamak...',
+    'reports.attach': 'Ikabit ti Screenshot (Saan a Masapul):',
+    'reports.chooseImage': 'Agpili iti Ladawan...',
+    'reports.submit': 'Ipatulod ti Report',
+    'reports.reasons.rude': 'Naalas a Kababalin',
+    'reports.reasons.noShow': 'Saan a Dimmateng / Nabayag',
+    'reports.reasons.language': 'Saan nga Umno a Pagsasao',
+    'reports.reasons.scam': 'Scam / Spam',
+    'reports.reasons.other': 'Sabali pay',
+    'reports.none': 'Awan pay ti naipatulodmo a report.',
+    'reports.reported': 'Na-report:',
+    'reports.adminResponse': 'Sungbat ti Admin:',
+
+    // --- appointmentStatus ---
+    'appointmentStatus.pending': 'ur-urayen',
+    'appointmentStatus.confirmed': 'nakumpirma',
+    'appointmentStatus.cancelled': 'nakansela',
+
+    // --- layout ---
+    'layout.welcome': 'Naragsak nga isasangbay, {name}!',
+    'layout.logout': 'Rumuar',
+    'layout.noBranch': 'Saanka pay a naidutok iti branch. Kiddawem iti admin nga inayonnaka iti Staff.',
+
+    // --- admin ---
+    'admin.reportAction.ban': 'I-BAN',
+    'admin.reportAction.dismiss': 'I-DISMISS',
+    'admin.resolveReport': 'Risuten ti Report',
+    'admin.resolveReportMessage': 'Siguradoka kadi a {action} daytoy a user?',
+    'admin.actionTaken': 'Naaramid nga aksion: {action}',
+    'admin.reportFailed': 'Saan a naproseso ti report.',
+    'admin.incidentReports': 'Dagiti Incident Report',
+    'admin.noReports': 'Awan ti aktibo a report.',
+    'admin.reported': 'inreport ni',
+    'admin.attachedProof': 'Naikabit a Pammaneknek:',
+    'admin.reportProof': 'Pammaneknek ti Report',
+    'admin.adminNote': 'Nota ti Admin:',
+    'admin.notesPlaceholder': 'Isurat ditoy ti resolution notes (kas pagarigan, \'Na-verify iti CCTV\', \'Umuna a pakdaar\')...',
+    'admin.banUser': 'I-ban ti User',
+    'admin.dismissReport': 'I-dismiss ti Report',
+    'admin.userBanned': 'Agdama a naka-BAN daytoy a user.',
+    'admin.serviceRestored': 'Naisubli ti serbisio.',
+    'admin.restoreFailed': 'Saan a naisubli.',
+    'admin.durationTooShort': 'Masapul a saan a basbassit ngem 5 a minuto ti kabayag.',
+    'admin.priceNegative': 'Saan a mabalin a negatibo ti presio.',
+    'admin.serviceUpdated': 'Na-update ti serbisio!',
+    'admin.serviceAdded': 'Nainayon ti serbisio!',
+    'admin.actionFailed': 'Saan a naaramid ti aksion: {error}',
+    'admin.archiveServiceTitle': 'I-archive ti Serbisio?',
+    'admin.archiveServiceMessage': 'Ilemmeng daytoy ti serbisio manipud iti menu.',
+    'admin.archive': 'I-archive',
+    'admin.deleteFailed': 'Saan a naikkat.',
+    'admin.deleteUser': 'Ikkaten ti User',
+    'admin.deleteUserMessage': 'PAKDAAR: Saanen a maisubli daytoy.\nI-type ti \'{word}\' tapno permanente nga i-ban/ikkaten daytoy nga account.',
+    'admin.deleteUserValidate': 'I-type ti {word} iti dadakkel a letra tapno kumpirmaen.',
+    'admin.userDeleted': 'Naikkat ti user.',
+    'admin.deleteFailedWithError': 'Saan a naikkat: {error}',
+    'admin.activate': 'I-ACTIVATE',
+    'admin.deactivate': 'I-DEACTIVATE',
+    'admin.barberStatusTitle': '{action} ti Barbero',
+    'admin.barberStatusMessage': 'Siguradoka kadi a {action} daytoy a barbero?',
+    'admin.updateFailed': 'Saan a na-update: {error}',
+    'admin.joinLinkCopied': 'Nakopia ti join link ni {name}: {link}',
+    'admin.joinLink': 'Join link ni {name}: {link}',
+    'admin.moveFailed': 'Saan a naiyalis: {error}',
+    'admin.slugInvalid': 'Babassit a letra, numero ken gitling laeng ti mabalin iti link code.',
+    'admin.feesNegative': 'Saan a mabalin a negatibo ti fees.',
+    'admin.branchUpdated': 'Na-update ti branch!',
+    'admin.branchAdded': 'Nainayon ti branch!',
+    'admin.closeAction': 'IRIKEP',
+    'admin.reopenAction': 'LUKATAN MANEN',
+    'admin.branchStatusTitle': '{action} ti Branch',
+    'admin.branchStatusMessage': 'Siguradoka kadi a {action} ti {name}? Nailemmeng kadagiti customer dagiti nakaserra a branch.',
+    'admin.transferTitle': 'Iyalis ti Customer',
+    'admin.transferMessage': 'Iyalis daytoy a customer ken ni Barbero #{id}?',
+    'admin.transfer': 'Iyalis',
+    'admin.transferFailed': 'Saan a naiyalis.',
+    'admin.online': 'Online',
+    'admin.select': 'Pilien',
+    'admin.chairEmpty': 'Awan ti Nakatugaw',
+    'admin.waitingCount': 'Agur-uray ({count})',
+    'admin.move': 'Iyalis',
+    'admin.noActiveBarbers': 'Awan ti aktibo a barbero.',
+    'admin.staffManagement': 'Panangtaripato ti Staff',
+    'admin.barberName': 'Nagan ti Barbero',
+    'admin.branch': 'Branch',
+    'admin.status': 'Status',
+    'admin.action': 'Aksion',
+    'admin.unassigned': '-- Awan ti Branch --',
+    'admin.active': 'AKTIBO',
+    'admin.bannedInactive': 'BANNED/SAAN AKTIBO',
+    'admin.banDeactivate': 'I-ban / I-deactivate',
+    'admin.unbanActivate': 'I-unban ken I-activate',
+    'admin.joinLinkTooltip': 'Link para iti QR code iti puesto daytoy a barbero',
+    'admin.joinLinkButton': 'Join Link',
+    'admin.deactivateNote': 'No ma-deactivate ti barbero, dagus a mailemmeng isuna iti listaan a "Sumali iti Pila" ti customer.',
+    'admin.editNamed': 'I-edit ti {name}',
+    'admin.addBranch': 'Mangnayon iti Branch',
+    'admin.branchName': 'Nagan ti Branch',
+    'admin.branchNamePlaceholder': 'kas pagarigan Dash-Q Session Road',
+    'admin.linkCode': 'Link Code',
+    'admin.linkCodePlaceholder': 'kas pagarigan session-road',
+    'admin.address': 'Address',
+    'admin.latitude': 'Latitude',
+    'admin.longitude': 'Longitude',
+    'admin.radius': 'Radius ti "Adayo Unay" (m)',
+    'admin.vipFee': 'VIP Fee (₱)',
+    'admin.appointmentFee': 'Appointment Fee (₱)',
+    'admin.brandColor': 'Kolor ti Brand',
+    'admin.logoUrl': 'Logo URL',
+    'admin.partnerName': 'Nagan ti Partner',
+    'admin.partnerNamePlaceholder': 'Ibatim a blangko no awan ti promo',
+    'admin.partnerPitch': 'Pitch ti Partner',
+    'admin.partnerPerks': 'Perks ti Partner',
+    'admin.partnerImage': 'Image URL ti Partner',
+    'admin.partnerLink': 'Map Link ti Partner',
+    'admin.update': 'I-update',
+    'admin.add': 'Inayon',
+    'admin.allBranches': 'Amin a Branch',
+    'admin.closed': 'NAKASERRA',
+    'admin.noAddress': 'Awan ti address',
+    'admin.link': 'Link:',
+    'admin.branchSummary': 'VIP {vip} · Appointment {appointment} · Radius {radius}m',
+    'admin.edit': 'I-edit',
+    'admin.reopen': 'Lukatan Manen',
+    'admin.editService': 'I-edit ti Serbisio',
+    'admin.addService': 'Mangnayon iti Serbisio',
+    'admin.serviceName': 'Nagan ti Serbisio',
+    'admin.serviceNamePlaceholder': 'kas pagarigan Pukis',
+    'admin.duration': 'Kabayag (minuto)',
+    'admin.price': 'Presio (₱)',
+    'admin.currentMenu': 'Agdama a Menu',
+    'admin.archived': 'NAKA-ARCHIVE',
+    'admin.delete': 'Ikkaten',
+    'admin.restore': 'Isubli',
+    'admin.crunching': 'Kalkulkularen dagiti numero...',
+    'admin.shopRevenueLabel': 'Ganansia ti Shop (₱)',
+    'admin.totalRevenueLabel': 'Dagup ti Ganansia (₱)',
+    'admin.noData': 'Awan ti Data',
+    'admin.totalShopRevenue': 'Dagup ti Ganansia ti Shop',
+    'admin.totalHaircuts': 'Dagup ti Pukis',
+    'admin.topPerformer': 'Kangatoan a Barbero',
+    'admin.earned': 'Nakaganansia iti {amount}',
+    'admin.revenueTrend': 'Tendensia ti Ganansia iti 7 Aldaw',
+    'admin.barberComparison': 'Panangyasping kadagiti Barbero (Ganansia)',
+    'admin.performanceMatrix': 'Detalyado a Performance Matrix',
+    'admin.rating': 'Rating',
+    'admin.revenueGenerated': 'Naganansia',
+    'admin.activeLabel': 'Aktibo',
+    'admin.inactiveLabel': 'Saan nga Aktibo',
+    'admin.noPerformanceData': 'Awan pay ti performance data.',
+    'admin.name': 'Nagan',
+    'admin.role': 'Role',
+    'admin.commandCenter': 'Admin Command Center',
+    'admin.closedBranchOption': '{name} (nakaserra)',
+    'admin.transferModeBanner': 'AKTIBO TI TRANSFER MODE: Agpili iti barbero iti baba tapno iyalis ti customer.',
+    'admin.tabLive': 'Live Shop',
+    'admin.tabStats': 'Analytics',
+    'admin.tabStaff': 'Staff',
+    'admin.tabBranches': 'Dagiti Branch',
+    'admin.tabMenu': 'Menu',
+    'admin.tabUsers': 'Dagiti User',
+    'admin.tabReports': 'Dagiti Report',
+    'admin.pricingFor': 'Dagiti Pagannurotan ti Presio: {name}',
+    'admin.pricingFeesNote': 'Adda iti branch form iti ngato ti VIP ken appointment fee. Mainayon dagitoy a pagannurotan kadagidiay.',
+    'admin.groupDiscounts': 'Dagiti discount ti grupo',
+    'admin.minHeads': 'Manipud (ulo)',
+    'admin.percentOff': '% a kissay',
+    'admin.addGroupDiscount': 'Discount ti grupo',
+    'admin.surcharges': 'Nayon a bayad segun iti oras (tunggal ulo)',
+    'admin.surchargeLabel': 'Nagan',
+    'admin.surchargeLabelPlaceholder': 'kas pagarigan Rabii',
+    'admin.from': 'Manipud',
+    'admin.until': 'Agingga',
+    'admin.amountPerHead': '₱ tunggal ulo',
+    'admin.addSurcharge': 'Nayon a bayad',
+    'admin.remove': 'Ikkaten',
+    'admin.seniorPwdPercent': 'Discount ti Senior/PWD (%)',
+    'admin.savePricing': 'Idulin dagiti Pagannurotan ti Presio',
+    'admin.pricingSaved': 'Naidulin dagiti pagannurotan ti presio!',
+    'admin.pricingInvalid': 'Masapul a 0-100 ti porsiento ken saan a mabalin a negatibo ti bayad.',
+    'admin.tvDisplay': '📺 TV Display',
+    'admin.pushBackLimit': 'Panagiyatras iti kada bisita',
+    'admin.serviceMix': 'Dagiti Serbisio',
+    'admin.heads': 'Ulo',
+    'admin.menuSales': 'Lako iti Menu',
+    'admin.freeCancelHours': 'Libre a panagkansela agingga (oras sakbay)',
+    'admin.lateCancelFeePercent': 'Naladaw a panagkansela (% ti appointment fee)',
+    'admin.reminderHours': 'Dagiti pakadakkel (oras sakbay ti booking)',
+    'admin.reminderHoursHint': 'Nasinsina iti koma, agingga iti 3, kas 24, 1. Ibati a blanko tapno maiddep dagiti pakadakkel.',
+
+    // --- role ---
+    'role.admin': 'admin',
+    'role.barber': 'barbero',
+    'role.customer': 'customer',
+
+    // --- shopPicker ---
+    'shopPicker.loadFailed': 'Saan a ma-load dagiti branch.',
+    'shopPicker.title': 'Agpili iti Branch',
+    'shopPicker.noBranches': 'Awan ti nakalukat a branch ita.',
+
+    // --- ios ---
+    'ios.title': 'I-enable ti Notifications',
+    'ios.intro': 'Tapno maipakaammo kenka no sika ti sumaruno, masapul nga inayonmo daytoy nga app iti Home Screen-mo.',
+    'ios.step1': 'I-tap ti Share button iti baba.',
+    'ios.step2': 'Ag-scroll iti baba ket pilien ti "Add to Home Screen".',
+    'ios.later': 'Madamdama laengen',
+
+    // --- dialog ---
+    'dialog.required': 'Masapul daytoy a field.',
+    'dialog.enterNumber': 'Mangikabil iti numero.',
+    'dialog.select': '-- Agpili --',
+    'dialog.areYouSure': 'Siguradoka kadi?',
+    'dialog.inputRequired': 'Masapul ti Input',
+    'dialog.confirm': 'Kumpirmaen',
+    'dialog.submit': 'Ipatulod',
+
+    // --- chat ---
+    'chat.placeholder': 'Agsurat iti mensahe...',
+
+    // --- pricing ---
+    'pricing.service': '{name} × {count}',
+    'pricing.service_one': '{name}',
+    'pricing.groupDiscount': 'Discount ti grupo ({percent}%)',
+    'pricing.surcharge': 'Nayon a bayad ({label}) × {count}',
+    'pricing.surcharge_one': 'Nayon a bayad ({label})',
+    'pricing.seniorPwd': 'Discount ti Senior/PWD ({percent}%)',
+    'pricing.vipFee': 'Bayad para iti VIP a pangrunaan',
+    'pricing.appointmentFee': 'Bayad iti appointment',
+    'pricing.estimatedTotal': 'Pattapatta a dagup',
+
+    // --- display ---
+    'display.loadFailed': 'Saan a mai-load ti pila.',
+    'display.enableSound': '🔔 Ipasingit ti buzzer',
+    'display.fullScreen': '⛶ Naan-anay a screen',
+    'display.noBarbers': 'Awan ti barbero nga naka-duty ita.',
+    'display.waitingCount': '{count} ti agur-uray',
+    'display.waitingCount_one': '1 ti agur-uray',
+    'display.joinHint': 'Agpila babaen ti telepono: {link}',
+    'display.nowCalling': 'Aw-awagan itan',
+    'display.proceedTo': 'Mapankayo ken ni {name}',
+
+    // --- walkIn ---
+    'walkIn.badge': 'Walk-in',
+    'walkIn.add': 'Agnayon iti walk-in',
+    'walkIn.title': 'Agnayon iti walk-in a kustomer',
+    'walkIn.note': 'Para kadagiti kustomer nga awan ti app. Awan ti chat wenno alerto, isu nga awagan ti numeroda wenno tawagan ti telepono iti baba.',
+    'walkIn.barber': 'Barbero',
+    'walkIn.chooseBarber': '-- Agpili iti barbero --',
+    'walkIn.name': 'Nagan ti kustomer',
+    'walkIn.service': 'Serbisio',
+    'walkIn.chooseService': '-- Agpili iti serbisio --',
+    'walkIn.headCount': 'Bilang ti tao',
+    'walkIn.phone': 'Telepono (saan a nasken)',
+    'walkIn.submit': 'Inayon iti Pila',
+    'walkIn.adding': 'Inay-ayon...',
+    'walkIn.missingFields': 'Pangngaasiyo ta ikabil ti barbero, nagan ken serbisio.',
+    'walkIn.added': 'Nainayon ni {name} kas #{number}.',
+    'walkIn.failed': 'Saan a mainayon ti walk-in: {error}',
+
+    // --- checkIn ---
+    'checkIn.showQr': 'Ipakita ti check-in QR',
+    'checkIn.qrTitle': 'Check-in iti isasangpet',
+    'checkIn.qrAlt': 'QR code para iti check-in',
+    'checkIn.qrHint': 'I-scan daytoy dagiti kustomer manipud iti live ticket-da, wenno i-type ti code, tapno maammuan nga adda dan iti shop. Agbaliw ti code inaldaw.',
+    'checkIn.qrFailed': 'Saan a mai-load ti check-in code.',
+    'checkIn.arrivedAt': 'Simmangpet {time}',
+    'checkIn.title': 'Adda kan iti shop?',
+    'checkIn.prompt': 'I-scan ti QR code iti counter tapno maammuan ti barbero nga adda kan.',
+    'checkIn.scan': 'I-scan ti QR code',
+    'checkIn.codeLabel': 'Check-in code',
+    'checkIn.codePlaceholder': 'Wenno i-type ti code iti baba ti QR',
+    'checkIn.submit': 'Ag-check in',
+    'checkIn.cameraBlocked': 'Saan a magamit ti camera. I-type laengen ti code iti baba ti QR.',
+    'checkIn.youArrived': 'Naka-check in idi {time}. Ammo ti barbero nga adda kan.',
+    'checkIn.done': 'Naka-check in kan. Agkita ta iti tugaw!',
+    'checkIn.failed': 'Saan a nakapag-check in. Padasem manen.',
+    'checkIn.joinFirst': 'Agpila pay, sa i-scan ti QR ti shop tapno ag-check in.',
+
+    // --- pushBack ---
+    'pushBack.title': 'Maladawka kadi?',
+    'pushBack.prompt': 'Paunaem ti adda iti likudam imbes a mapukaw ti lugarmo.',
+    'pushBack.letAhead': 'Paunaem ti {count}',
+    'pushBack.usesLeft': '{count} ti nabati a panagusar iti daytoy a bisita',
+    'pushBack.usesLeft_one': '1 ti nabati a panagusar iti daytoy a bisita',
+    'pushBack.nobodyBehind': 'Awan pay ti adda iti likudam.',
+    'pushBack.done': 'Pinaunam ti {count} a tao. Sika itan ti numero {position} iti pila.',
+    'pushBack.done_one': 'Pinaunam ti 1 a tao. Sika itan ti numero {position} iti pila.',
+    'pushBack.failed': 'Saanka a maiyatras.',
+
+    // --- party ---
+    'party.guest': 'Bisita {number}',
+    'party.guestName': 'Nagan ti bisita {number}',
+    'party.guestService': 'Serbisio para iti bisita {number}',
+    'party.ownService': 'Mabalin nga agpili ti tunggal bisita ti bukodna a serbisio.',
+
+    // --- tracking ---
+    'tracking.title': 'Live a panangsurot',
+    'tracking.ticket': 'Tiket',
+    'tracking.withBarber': 'Ken ni {name}',
+    'tracking.poolWaiting': 'Mapan iti umuna a barbero a mawayawayaan.',
+    'tracking.placeInLine': 'Puesto iti linia',
+    'tracking.position': 'Maika-{position}',
+    'tracking.readOnly': 'Agbaliw a bukodna daytoy a panid. Ti laeng adda iti linia ti makabaliw iti tiket.',
+    'tracking.expired': 'Nalpasen daytoy a bisita, isu nga expired ti tracking link.',
+    'tracking.loadFailed': 'Saan a ma-load daytoy a tiket.',
+    'tracking.shareHeading': 'Adda kadi agur-uray kenka?',
+    'tracking.shareHint': 'Ipatulodmo ti link tapno masurotda ti puestom iti linia ken oras ti panagur-uray. Awan ti mabalinda a baliwan.',
+    'tracking.shareButton': 'I-share ti live tracking',
+    'tracking.shareTitle': 'Ti puestok iti linia',
+    'tracking.linkLabel': 'Tracking link',
+    'tracking.copied': 'Nakopia ti tracking link. Agsardeng no malpas ti bisitam.',
+    'tracking.copyManually': 'Kopiaem ti link iti baba ket ipatulodmo.',
+    'tracking.createFailed': 'Saan a makaaramid iti tracking link.',
+
+    // --- timeline ---
+    'timeline.title': 'Timeline ti bisita',
+    'timeline.open': 'Timeline',
+    'timeline.openFor': 'Timeline ni {name}',
+    'timeline.checkVisit': 'Kitaen ti timeline ti bisita #{id}',
+    'timeline.empty': 'Awan pay ti nailista.',
+    'timeline.joined': 'Simmrek iti linia',
+    'timeline.upNext': 'Naawagan a sumaruno',
+    'timeline.bumpedByVip': 'Naisubli iti Agur-uray gapu iti VIP',
+    'timeline.confirmed': 'Kinumpirma nga umay',
+    'timeline.arrived': 'Simmangpet (QR check-in)',
+    'timeline.seated': 'Nagtugaw ken ni {barber}',
+    'timeline.completed': 'Nalpas, {amount} ti nailista',
+    'timeline.cancelled': 'Nakansela',
+    'timeline.left': 'Pimmanaw iti linia',
+    'timeline.transferred': 'Naiyalis manipud ken ni {from} ken ni {to}',
+    'timeline.switched': 'Simmukat manipud ken ni {from} ken ni {to}',
+    'timeline.pushedBack': 'Pinaunana ti {count} a tao',
+    'timeline.pushedBack_one': 'Pinaunana ti 1 a tao',
+    'timeline.photo': 'Na-update ti reference photo',
+    'timeline.location': 'Impakita ti lokasion, {meters} m ti kaadayo',
+    'timeline.by.customer': 'babaen ti customer',
+    'timeline.by.barber': 'babaen ti barbero',
+    'timeline.by.staff': 'babaen ti staff',
+    'timeline.by.admin': 'babaen ti admin',
+    'timeline.by.system': 'automatiko',
+
+    // --- reschedule ---
+    'reschedule.button': 'Iyakar ti oras',
+    'reschedule.newDate': 'Baro a petsa',
+    'reschedule.propose': 'Isingasing daytoy nga oras',
+    'reschedule.proposed': 'Naipatulod ti baro nga oras. Agtalinaed ti agdama a slot agingga a maawat.',
+    'reschedule.waiting': 'Kiniddawmo nga iyakar daytoy iti {time}. Agur-uray ti sungbat.',
+    'reschedule.asked.customer': 'Kiniddaw ti customer nga iyakar daytoy iti {time}.',
+    'reschedule.asked.barber': 'Kiniddaw ti barbero mo nga iyakar daytoy iti {time}.',
+    'reschedule.accept': 'Awaten ti baro nga oras',
+    'reschedule.decline': 'Taginayonen ti oras',
+    'reschedule.accepted': 'Naiyakar ti booking iti baro nga oras.',
+    'reschedule.declined': 'Agtalinaed ti booking iti agdama nga oras.',
+    'reschedule.failed': 'Saan a maiyakar. Padasem manen.',
+
+    // --- cancellation ---
+    'cancellation.policy': 'Libre ti panagkansela agingga iti {count} nga oras sakbay ti slot mo. Kalpasanna, masapul a bayadan ti {fee} manipud iti appointment fee.',
+    'cancellation.policy_one': 'Libre ti panagkansela agingga iti 1 nga oras sakbay ti slot mo. Kalpasanna, masapul a bayadan ti {fee} manipud iti appointment fee.',
+    'cancellation.policyFree': 'Mabalinmo ti agkansela a libre iti aniaman nga oras sakbay ti slot mo.',
+    'cancellation.button': 'Ikansela ti booking',
+    'cancellation.title': 'Ikansela daytoy a booking?',
+    'cancellation.freeMessage': 'Libre daytoy. Maluktan ti slot para kadagiti sabali a customer.',
+    'cancellation.lateMessage': 'Nalpasen ti libre a panagkansela, isu a masapul a bayadan ti {fee} manipud iti appointment fee iti shop.',
+    'cancellation.confirm': 'Wen, ikansela',
+    'cancellation.done': 'Nakansela ti booking. Awan ti bayadan.',
+    'cancellation.doneWithFee': 'Nakansela ti booking. Bayadan ti {fee} manipud iti appointment fee iti shop.',
+    'cancellation.feeDue': 'Naladaw a panagkansela: {fee} a bayadan iti shop',
+    'cancellation.failed': 'Saan a maikansela ti booking. Padasem manen.',
+
+    // --- schedule ---
+    'schedule.myHours': 'Oras ti trabaho',
+    'schedule.edit': 'Baliwan ti oras',
+    'schedule.button': 'Oras',
+    'schedule.hoursFor': 'Oras ti trabaho ni {name}',
+    'schedule.intro': 'Kadagitoy laeng nga oras ti pakaibilangan ti bookings. Agserra ti Join Now kalpasan ti maudi nga oram iti dayta nga aldaw.',
+    'schedule.usingDefault': 'Awan pay ti naikeddeng nga oras: usaren ti bookings ti oras ti shop (9:00 AM agingga 6:00 PM, inaldaw) ken ti Online switch laeng ti surotan ti Join Now.',
+    'schedule.weeklyHours': 'Linawas-linawas',
+    'schedule.startOf': 'Rugi ti {day}',
+    'schedule.endOf': 'Gibus ti {day}',
+    'schedule.break': 'Panaginana',
+    'schedule.addBreakFor': 'Agnayon ti panaginana iti {day}',
+    'schedule.breakFrom': 'Panaginana manipud',
+    'schedule.dayOff': 'Day off',
+    'schedule.exceptions': 'Bakasion ken espesyal nga aldaw',
+    'schedule.exceptionsHint': 'Sukatan dagitoy ti linawas nga oras kadagiti petsa a sakupenda.',
+    'schedule.fromDate': 'Manipud',
+    'schedule.toDate': 'Agingga',
+    'schedule.note': 'Nota',
+    'schedule.notePlaceholder': 'kas pagarigan Bakasion',
+    'schedule.offAllDay': 'Awan trabaho iti intero nga aldaw',
+    'schedule.addException': 'Agnayon ti bakasion wenno espesyal nga oras',
+    'schedule.save': 'Idulin ti oras',
+    'schedule.saved': 'Naidulin ti oras ti trabaho.',
+    'schedule.reset': 'Agsubli iti oras ti shop',
+    'schedule.resetDone': 'Nagsubli iti oras ti shop.',
+    'schedule.status.break': 'Aginana agingga {time}',
+    'schedule.status.later': 'Mangrugi iti {time}',
+    'schedule.status.done': 'Nalpasen ita nga aldaw',
+    'schedule.status.off': 'Day off',
+
+    // --- calendar ---
+    'calendar.addToCalendar': 'Inayon iti kalendario',
+    'calendar.removeFromCalendar': 'Ikkaten iti kalendariok',
+    'calendar.exportFailed': 'Saan a maaramid ti calendar file.',
+    'calendar.feedHeading': 'Calendar feed',
+    'calendar.feedHint': 'I-subscribe daytoy a pribado a link iti Google Calendar, Apple Calendar wenno Outlook tapno makitam sadiay dagiti bookings mo. Agsync a bukodna dagiti panagbaliw ken panagkansela.',
+    'calendar.showFeed': 'Alaen ti calendar link ko',
+    'calendar.feedLabel': 'Link ti calendar feed',
+    'calendar.subscribe': 'Ag-subscribe',
+    'calendar.copy': 'Kopiaen ti link',
+    'calendar.reset': 'I-reset ti link',
+    'calendar.resetTitle': 'I-reset ti calendar link?',
+    'calendar.resetMessage': 'Saanton nga agandar ti daan a link, isu nga agsardeng nga ag-update dagiti kalendario a naka-subscribe iti dayta. Usarem daytoy no naibinglay ti link a saan a gagara.',
+    'calendar.resetDone': 'Nakasagana ti baro a calendar link. Ag-subscribe manen.',
+    'calendar.feedFailed': 'Saan a ma-load ti calendar link mo.',
+
+    // --- reminders ---
+    'reminders.banner': 'Pakadakkel: {service} kenni {barber} iti {date}, {time}.',
+    'reminders.bannerToday': 'Pakadakkel: {service} kenni {barber} ita nga aldaw, {time}.',
+    'reminders.confirm': 'Kumpirmaren',
+    'reminders.late': 'Maladawak',
+    'reminders.lateBy': '{minutes} min a nalaka',
+    'reminders.confirmed': 'Agyamanak! Ammo ti barbero mo nga umayka.',
+    'reminders.lateSent': 'Ammo ti barbero mo nga maladawka iti agarup {minutes} min.',
+    'reminders.replyFailed': 'Saan a naipatulod ti sungbatmo. Padasem manen.',
+    'reminders.youConfirmed': '✅ Kinumpirmam daytoy a booking.',
+    'reminders.youAreLate': '⏰ Kinunam a maladawka iti agarup {minutes} min.',
+    'reminders.sentAt': 'Napakadakkelan {time}',
+    'reminders.notSent': 'Awan pay ti pakadakkel',
+    'reminders.statusConfirmed': 'Nakumpirma',
+    'reminders.statusLate': '~{minutes} min a nalaka',
+    'reminders.statusWaiting': 'Ur-urayen ti sungbat',
+    'reminders.statusNotAsked': 'Saan pay a naimtuod',
+
+    // --- waitlist ---
+    'waitlist.prompt': 'Napno? Agur-urayka iti makansela kenni {name}. Idiaymi kenka ti umuna a mailuk-at nga oras iti pinilim nga oras.',
+    'waitlist.from': 'Manipud',
+    'waitlist.to': 'Agingga',
+    'waitlist.join': 'Sumrek iti waitlist',
+    'waitlist.joined': 'Addaka iti waitlist ni {name} para iti {date}.',
+    'waitlist.joinFailed': 'Saan a nakastrek iti waitlist. Padasem manen.',
+    'waitlist.offer': 'Adda nailuk-at nga oras: {date}, {time} kenni {barber}. Naireserba para kenka iti {count} pay a min.',
+    'waitlist.claim': 'Alaen daytoy nga oras',
+    'waitlist.pass': 'Saan, agyamanak',
+    'waitlist.claimed': 'Nai-book para iti {time}!',
+    'waitlist.passed': 'Okey, addaka latta iti waitlist.',
+    'waitlist.claimFailed': 'Saan a naala ti oras.',
+    'waitlist.heading': 'Waitlist',
+    'waitlist.window': 'Manipud {from} agingga {to}',
+    'waitlist.statusWaiting': 'Agur-uray iti makansela',
+    'waitlist.statusOffered': 'Adda oras nga ur-urayennaka. Alaem iti ngato.',
+    'waitlist.leave': 'Pumanaw iti waitlist',
+    'waitlist.left': 'Pimmanawka iti waitlist.',
+    'waitlist.leaveFailed': 'Saan a nakapanaw iti waitlist.',
+};
+
+export default ilo;
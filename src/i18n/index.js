@@ -0,0 +1,85 @@
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import en from './en';
+import fil from './fil';
+import ilo from './ilo';
+
+// ##############################################
+// ##        TRANSLATIONS & FORMATTING         ##
+// ##############################################
+// t('customer.joinNow') looks the key up in the active language, falls back
+// to English, then to the key itself. `{name}` placeholders are filled from
+// the second argument; when `count` is 1 a `<key>_one` variant wins if present.
+//
+// Money, dates and times always go through `fmt` so every screen shows
+// ₱ amounts and month names the same way for the chosen language.
+
+export const LANGUAGES = [
+    { code: 'en', label: 'English', short: 'EN', locales: ['en-PH'] },
+    { code: 'fil', label: 'Filipino', short: 'FIL', locales: ['fil-PH', 'en-PH'] },
+    // There is no Ilocano CLDR data; dates fall back to Filipino month names
+    { code: 'ilo', label: 'Ilocano', short: 'ILO', locales: ['ilo-PH', 'fil-PH', 'en-PH'] },
+];
+
+const MESSAGES = { en, fil, ilo };
+const STORAGE_KEY = 'language';
+
+export function translate(lang, key, vars) {
+    const table = MESSAGES[lang] || en;
+    const pluralKey = vars && vars.count === 1 ? `${key}_one` : null;
+    const template = (pluralKey && (table[pluralKey] ?? en[pluralKey])) ?? table[key] ?? en[key] ?? key;
+    if (!vars) return template;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : match));
+}
+
+export function createFormatters(lang) {
+    const { locales } = LANGUAGES.find(l => l.code === lang) || LANGUAGES[0];
+    return {
+        /** ₱150, ₱1,234.50 */
+        money: (amount) => {
+            const value = Number(amount) || 0;
+            const digits = Number.isInteger(value) ? 0 : 2;
+            return new Intl.NumberFormat(locales, { style: 'currency', currency: 'PHP', minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value);
+        },
+        number: (value) => new Intl.NumberFormat(locales).format(Number(value) || 0),
+        /** 2:05 PM */
+        time: (value) => new Date(value).toLocaleTimeString(locales, { hour: 'numeric', minute: '2-digit' }),
+        /** Oct 18, 2026 (or any Intl date options) */
+        date: (value, options = { month: 'short', day: 'numeric', year: 'numeric' }) => new Date(value).toLocaleDateString(locales, options),
+        /** Oct 18, 2:05 PM */
+        dateTime: (value) => new Date(value).toLocaleString(locales, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }),
+    };
+}
+
+function buildContextValue(lang, setLang) {
+    return {
+        lang,
+        setLang,
+        t: (key, vars) => translate(lang, key, vars),
+        fmt: createFormatters(lang),
+    };
+}
+
+// Without a provider (e.g. a component rendered on its own in tests) everything is English
+const I18nContext = createContext(buildContextValue('en', () => {}));
+
+export const I18nProvider = ({ children }) => {
+    const [lang, setLang] = useState(() => {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        return MESSAGES[saved] ? saved : 'en';
+    });
+
+    useEffect(() => {
+        localStorage.setItem(STORAGE_KEY, lang);
+        document.documentElement.lang = lang;
+    }, [lang]);
+
+    const value = useMemo(() => buildContextValue(lang, setLang), [lang]);
+
+    return (
+        <I18nContext.Provider value={value}>
+            {children}
+        </I18nContext.Provider>
+    );
+};
+
+export const useI18n = () => useContext(I18nContext);
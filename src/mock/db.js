@@ -0,0 +1,138 @@
+// ##############################################
+// ##        MOCK BACKEND: IN-MEMORY DB        ##
+// ##############################################
+// Tables mirror the Supabase schema the real backend uses. State is kept in
+// memory and mirrored to sessionStorage so it survives the hard reload that
+// handleLogout() does (localStorage gets wiped there).
+
+const STORAGE_KEY = 'dashq_mock_db_v3';
+
+const minutesAgo = (mins) => new Date(Date.now() - mins * 60000).toISOString();
+
+export function createSeedData() {
+    return {
+        shops: [
+            {
+                id: 1, slug: 'session-road', name: 'Dash-Q Session Road', address: 'Session Rd, Baguio City',
+                latitude: 16.414830431367967, longitude: 120.59712292628716, arrival_radius_meters: 200,
+                vip_fee_php: 100, appointment_fee_php: 100, push_back_limit: 2,
+                pricing_rules: { group_discounts: [{ min_heads: 3, percent: 10 }], surcharges: [], senior_pwd_percent: 20 },
+                brand_color: '#ff9500', logo_url: null,
+                partner_promo: { name: 'Safehouse Cafe', pitch: 'Tired of standing? Wait here instead! nearby cafe', perks: '☕ Free WiFi  •   ₱159 Buy1Take1 Milktea  •  Board Games', image: '/sahouselogo.jpg', location_link: 'https://maps.app.goo.gl/ETUu5bxPA6t2yuSs6' },
+                is_active: true,
+            },
+            {
+                id: 2, slug: 'la-trinidad', name: 'Dash-Q La Trinidad', address: 'Km. 5, La Trinidad, Benguet',
+                latitude: 16.4557, longitude: 120.5876, arrival_radius_meters: 150,
+                vip_fee_php: 80, appointment_fee_php: 50, push_back_limit: 2,
+                pricing_rules: { group_discounts: [], surcharges: [{ label: 'Evening', start: '17:00', end: '18:00', amount_php: 20 }], senior_pwd_percent: 20 },
+                brand_color: '#34c759', logo_url: null,
+                partner_promo: null,
+                is_active: true,
+            },
+        ],
+        profiles: [
+            { id: 'u-admin', username: 'admin', email: 'admin@dashq.local', password: 'password', full_name: 'Shop Admin', role: 'admin', is_banned: false },
+            { id: 'u-barber-1', username: 'marco', email: 'marco@dashq.local', password: 'password', full_name: 'Marco Reyes', role: 'barber', is_banned: false },
+            { id: 'u-barber-2', username: 'jun', email: 'jun@dashq.local', password: 'password', full_name: 'Jun Dizon', role: 'barber', is_banned: false },
+            { id: 'u-barber-3', username: 'rico', email: 'rico@dashq.local', password: 'password', full_name: 'Rico Bautista', role: 'barber', is_banned: false },
+            { id: 'u-cust-1', username: 'juan', email: 'juan@dashq.local', password: 'password', full_name: 'Juan Dela Cruz', role: 'customer', is_banned: false },
+            { id: 'u-cust-2', username: 'maria', email: 'maria@dashq.local', password: 'password', full_name: 'Maria Santos', role: 'customer', is_banned: false },
+        ],
+        barber_profiles: [
+            { id: 1, shop_id: 1, user_id: 'u-barber-1', full_name: 'Marco Reyes', pin: '1234', is_active: true, is_available: true },
+            { id: 2, shop_id: 1, user_id: 'u-barber-2', full_name: 'Jun Dizon', pin: '1234', is_active: true, is_available: true },
+            { id: 3, shop_id: 2, user_id: 'u-barber-3', full_name: 'Rico Bautista', pin: '1234', is_active: true, is_available: true },
+        ],
+        services: [
+            { id: 1, shop_id: 1, name: 'Haircut', duration_minutes: 30, price_php: 150, is_active: true },
+            { id: 2, shop_id: 1, name: 'Haircut + Shave', duration_minutes: 45, price_php: 250, is_active: true },
+            { id: 3, shop_id: 1, name: 'Kids Cut', duration_minutes: 20, price_php: 100, is_active: true },
+            { id: 4, shop_id: 2, name: 'Haircut', duration_minutes: 30, price_php: 120, is_active: true },
+            { id: 5, shop_id: 2, name: 'Beard Trim', duration_minutes: 15, price_php: 80, is_active: true },
+        ],
+        queue_entries: [
+            { id: 1, shop_id: 1, daily_number: 1, customer_name: 'Walk-in Guest', customer_email: null, user_id: null, barber_id: 1, service_id: 1, status: 'Done', is_vip: false, head_count: 1, is_confirmed: true, reference_image_url: null, current_distance_meters: null, player_id: null, tip_amount: 20, vip_charge: 0, total_amount: 170, created_at: minutesAgo(120), started_at: minutesAgo(108), completed_at: minutesAgo(85), updated_at: minutesAgo(85) },
+            { id: 2, shop_id: 1, daily_number: 2, customer_name: 'Paolo (Guest)', customer_email: null, user_id: null, barber_id: 2, service_id: 2, status: 'Waiting', is_vip: false, head_count: 1, is_confirmed: false, reference_image_url: null, current_distance_meters: null, player_id: null, created_at: minutesAgo(10), updated_at: minutesAgo(10) },
+        ],
+        appointments: [],
+        feedback: [
+            { id: 1, barber_id: 1, customer_name: 'Walk-in Guest', comments: 'Clean fade, very quick.', score: 5, queue_entry_id: 1, created_at: minutesAgo(80) },
+        ],
+        reports: [],
+        chat_messages: [],
+        push_subscriptions: [],
+        checkin_codes: [],
+        tracking_links: [],
+        calendar_feeds: [],
+        appointment_waitlist: [],
+        queue_events: [],
+    };
+}
+
+function load() {
+    try {
+        const saved = typeof sessionStorage !== 'undefined' && sessionStorage.getItem(STORAGE_KEY);
+        // Tables added since the session was saved start out with their seed rows
+        if (saved) return { ...createSeedData(), ...JSON.parse(saved) };
+    } catch (err) {
+        console.warn('[mock] Could not restore saved mock DB:', err.message);
+    }
+    return createSeedData();
+}
+
+export const db = load();
+
+export function persist() {
+    try {
+        if (typeof sessionStorage !== 'undefined') sessionStorage.setItem(STORAGE_KEY, JSON.stringify(db));
+    } catch (err) {
+        console.warn('[mock] Could not persist mock DB:', err.message);
+    }
+}
+
+/** Wipes every table back to the seed data (used by tests and the demo reset). */
+export function resetDb(seed = createSeedData()) {
+    Object.keys(db).forEach(table => { delete db[table]; });
+    Object.assign(db, JSON.parse(JSON.stringify(seed)));
+    persist();
+}
+
+export function nextId(table) {
+    return db[table].reduce((max, row) => (typeof row.id === 'number' && row.id > max ? row.id : max), 0) + 1;
+}
+
+export const nowIso = () => new Date().toISOString();
+
+export const clone = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+// --- Relations (what the real API/PostgREST joins for us) ---
+export function findService(serviceId) {
+    return db.services.find(s => String(s.id) === String(serviceId)) || null;
+}
+
+export function findShop(shopId) {
+    return db.shops.find(s => String(s.id) === String(shopId) || s.slug === shopId) || null;
+}
+
+export function findBarber(barberId) {
+    return db.barber_profiles.find(b => String(b.id) === String(barberId)) || null;
+}
+
+export function findProfile(userId) {
+    return db.profiles.find(p => p.id === userId) || null;
+}
+
+/** Returns a queue entry, appointment or waitlist row with the `services`, `profiles` and `barber_profiles` joins the UI expects. */
+export function withRelations(table, row) {
+    if (!row) return row;
+    const out = clone(row);
+    if (table === 'queue_entries' || table === 'appointments' || table === 'appointment_waitlist') {
+        const service = findService(row.service_id);
+        const barber = findBarber(row.barber_id);
+        out.services = service ? { name: service.name, price_php: service.price_php, duration_minutes: service.duration_minutes } : null;
+        out.barber_profiles = barber ? { full_name: barber.full_name, user_id: barber.user_id } : null;
+        out.profiles = row.user_id ? { id: row.user_id } : null;
+    }
+    return out;
+}
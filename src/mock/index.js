@@ -0,0 +1,41 @@
+// ##############################################
+// ##              MOCK BACKEND                ##
+// ##############################################
+// Offline stand-in for the Express API and Supabase. Enabled with
+// REACT_APP_MOCK_API=true (see `npm run start:mock`).
+
+import { createMockSupabase } from './supabase';
+import { mockAdapter, configureMockServer, sendDueReminders, expireWaitlistOffers } from './server';
+import { resetDb } from './db';
+import { pushOutbox, clearPushOutbox } from './push';
+
+export const mockSupabase = createMockSupabase();
+
+/** Routes every request made through `client` to the in-browser mock routes. */
+export function installMockApi(client) {
+    client.defaults.adapter = mockAdapter;
+    console.info('[mock] API requests are served by the in-browser mock backend.');
+}
+
+/** Restores the seed data, e.g. between tests or from the dev console. */
+export function resetMock(seed) {
+    resetDb(seed);
+    clearPushOutbox();
+}
+
+/**
+ * Runs the real backend's every-minute jobs on a timer: booking reminders and
+ * lapsed waitlist offers. Returns a function that stops them. Tests call
+ * sendDueReminders() and expireWaitlistOffers() directly.
+ */
+export function startScheduledJobs(everyMs = 60000) {
+    const run = () => {
+        sendDueReminders();
+        expireWaitlistOffers();
+    };
+    run();
+    const timer = setInterval(run, everyMs);
+    return () => clearInterval(timer);
+}
+
+export { configureMockServer, pushOutbox, sendDueReminders, expireWaitlistOffers };
@@ -0,0 +1,20 @@
+// ##############################################
+// ##          MOCK BACKEND: WEB PUSH          ##
+// ##############################################
+// There is no push service offline, so "sent" notifications are handed to
+// the service worker (public/sw.js) directly, which then shows them exactly
+// like a real push. Every send is also kept in `pushOutbox` for tests.
+
+export const pushOutbox = [];
+
+export function deliverPush(subscription, payload) {
+    pushOutbox.push({ endpoint: subscription.endpoint, userId: subscription.user_id, ...payload });
+    if (typeof navigator === 'undefined' || !navigator.serviceWorker) return;
+    navigator.serviceWorker.ready
+        .then(registration => registration.active?.postMessage({ type: 'MOCK_PUSH', payload }))
+        .catch(err => console.warn('[mock] Push delivery failed:', err.message));
+}
+
+export function clearPushOutbox() {
+    pushOutbox.length = 0;
+}
@@ -0,0 +1,48 @@
+// ##############################################
+// ##       MOCK BACKEND: REALTIME EVENTS      ##
+// ##############################################
+// Fake `postgres_changes` feed. The mock routes call emitChange() after every
+// write, and the mock Supabase channels fan the payload out to subscribers.
+
+import { clone } from './db';
+
+const listeners = new Set();
+
+export function onChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * @param {string} table e.g. 'queue_entries' or 'chat_messages'
+ * @param {'INSERT'|'UPDATE'|'DELETE'} eventType
+ * @param {object|null} newRow
+ * @param {object|null} oldRow
+ */
+export function emitChange(table, eventType, newRow, oldRow = null) {
+    const payload = {
+        schema: 'public',
+        table,
+        eventType,
+        commit_timestamp: new Date().toISOString(),
+        new: clone(newRow) || {},
+        // Like Supabase without REPLICA IDENTITY FULL, the old row only carries its key
+        old: oldRow ? { id: oldRow.id } : {},
+    };
+    // Deliver asynchronously, like a real websocket message
+    setTimeout(() => listeners.forEach(listener => listener(payload)), 0);
+}
+
+/** Parses PostgREST-style filters such as `barber_id=eq.3`. */
+export function matchesFilter(filter, row) {
+    if (!filter) return true;
+    const [column, expression] = filter.split('=');
+    const dot = expression.indexOf('.');
+    const op = expression.slice(0, dot);
+    const value = expression.slice(dot + 1);
+    if (!row || !(column in row)) return false;
+    if (op === 'eq') return String(row[column]) === value;
+    if (op === 'neq') return String(row[column]) !== value;
+    if (op === 'in') return value.replace(/[()]/g, '').split(',').includes(String(row[column]));
+    return false;
+}
@@ -0,0 +1,1408 @@
+// ##############################################
+// ##          MOCK BACKEND: API ROUTES        ##
+// ##############################################
+// Implements the /api routes the frontend calls, against the in-memory DB.
+// Installed as an axios adapter on the shared API client, so no request ever
+// leaves the browser.
+
+import { AxiosError } from 'axios';
+import { db, persist, nextId, nowIso, clone, findShop, findService, findBarber, findProfile, withRelations } from './db';
+import { emitChange } from './realtime';
+import { deliverPush } from './push';
+import { priceBreakdown, lineAmount, cancellationTerms } from '../pricing';
+import { durationStats, estimateWait, projectPool } from '../waitTime';
+import { MAX_PARTY_SIZE, partyItems, partyMinutes } from '../party';
+import { MAX_EXCEPTIONS, hoursOn, isWorkingAt, canJoinNow, toMinutes, dateKey } from '../schedule';
+import { appointmentEvent, calendarFile } from '../calendar';
+import { MAX_REMINDERS, MAX_REMINDER_HOURS, LATE_MINUTES, passedReminders, dueReminder } from '../reminders';
+import { OFFER_MINUTES, MAX_WAITLIST_ENTRIES, fitsWindow, isOfferOpen } from '../waitlist';
+import { DEFAULT_PUSH_BACK_LIMIT, MAX_PUSH_BACK_PLACES } from '../pushBack';
+
+const ACTIVE_STATUSES = ['Waiting', 'Up Next', 'In Progress'];
+const SLOT_MINUTES = 30;
+
+let settings = { latency: 150 };
+
+/** Tweak the mock server (e.g. `{ latency: 0 }` in tests). */
+export function configureMockServer(options) {
+    settings = { ...settings, ...options };
+}
+
+class HttpError extends Error {
+    constructor(status, message, details) {
+        super(message);
+        this.status = status;
+        this.details = details;
+    }
+}
+
+const fail = (status, message, details) => { throw new HttpError(status, message, details); };
+
+// --- Helpers ---
+const isSameDay = (a, b) => new Date(a).toDateString() === new Date(b).toDateString();
+
+function insertRow(table, row) {
+    db[table].push(row);
+    emitChange(table, 'INSERT', row);
+    return row;
+}
+
+function updateRow(table, row, changes) {
+    const old = clone(row);
+    Object.assign(row, changes, { updated_at: nowIso() });
+    emitChange(table, 'UPDATE', row, old);
+    if (table === 'queue_entries' && row.status !== old.status) notifyQueueStatus(row);
+    return row;
+}
+
+function deleteRow(table, row) {
+    db[table] = db[table].filter(r => r !== row);
+    emitChange(table, 'DELETE', null, row);
+}
+
+// --- Web Push (what the real backend sends through the push service) ---
+function pushToUser(userId, payload) {
+    if (!userId) return;
+    db.push_subscriptions.filter(s => s.user_id === userId).forEach(sub => deliverPush(sub, payload));
+}
+
+/** The device that joined (`player_id`) plus any other device of a signed-in customer. */
+function pushToEntry(entry, payload) {
+    db.push_subscriptions
+        .filter(s => String(s.id) === String(entry.player_id) || (entry.user_id && s.user_id === entry.user_id))
+        .forEach(sub => deliverPush(sub, payload));
+}
+
+const QUEUE_PUSHES = {
+    'Up Next': (barber) => ({ title: "You're Up Next!", body: `Please head to the shop now. ${barber?.full_name || 'Your barber'} will call you soon.` }),
+    'In Progress': (barber) => ({ title: "It's your turn!", body: `${barber?.full_name || 'Your barber'} is ready for you.` }),
+    'Cancelled': () => ({ title: 'Queue entry cancelled', body: 'Your spot in the queue was cancelled. Tap to see details.' }),
+};
+
+function notifyQueueStatus(entry) {
+    const build = QUEUE_PUSHES[entry.status];
+    if (!build) return;
+    pushToEntry(entry, { ...build(findBarber(entry.barber_id)), tag: `queue-${entry.id}`, url: `/queue/${entry.id}` });
+}
+
+// --- Queue entry timeline ---
+// One `queue_events` row per thing that happened to an entry, so a dispute can
+// be checked against facts. `by` is who did it (customer, barber, staff, admin
+// or system) and `details` keeps names as they were at the time.
+const LOCATION_EVENT_EVERY_MS = 5 * 60000; // the app pings every few seconds; one row per 5 minutes is plenty
+
+const barberName = (barberId) => findBarber(barberId)?.full_name || null;
+
+function logQueueEvent(entry, type, by, details = {}) {
+    insertRow('queue_events', { id: nextId('queue_events'), queue_id: entry.id, type, by, details, at: nowIso() });
+}
+
+function logLocationPing(entry, meters) {
+    const last = db.queue_events.filter(e => e.queue_id === entry.id && e.type === 'location').pop();
+    if (last && Date.now() - new Date(last.at).getTime() < LOCATION_EVENT_EVERY_MS) return;
+    logQueueEvent(entry, 'location', 'customer', { meters });
+}
+
+function getEntry(queueId) {
+    return db.queue_entries.find(e => String(e.id) === String(queueId)) || fail(404, 'Queue entry not found.');
+}
+
+// `line_at` is only set once a customer pushes themselves back; otherwise the join time decides
+const lineTime = (entry) => new Date(entry.line_at || entry.created_at).getTime();
+const waitingOrder = (a, b) => (Number(!!b.is_vip) - Number(!!a.is_vip)) || (lineTime(a) - lineTime(b));
+
+function activeQueue(barberId) {
+    const entries = db.queue_entries.filter(e => String(e.barber_id) === String(barberId) && ACTIVE_STATUSES.includes(e.status));
+    const rank = { 'In Progress': 0, 'Up Next': 1, 'Waiting': 2 };
+    return entries.sort((a, b) => (rank[a.status] - rank[b.status]) || waitingOrder(a, b));
+}
+
+/** VIP takes the Up Next slot if the current Up Next is a regular customer. */
+function vipTakesUpNext(barberId) {
+    const upNext = activeQueue(barberId).find(e => e.status === 'Up Next');
+    if (upNext && !upNext.is_vip) {
+        updateRow('queue_entries', upNext, { status: 'Waiting', is_confirmed: false });
+        logQueueEvent(upNext, 'bumpedByVip', 'system');
+    }
+}
+
+/** Keeps exactly one "Up Next" per barber by promoting the head of the Waiting list. */
+function promoteUpNext(barberId) {
+    if (!barberId) return; // the First available pool has no Up Next of its own
+    const queue = activeQueue(barberId);
+    if (queue.some(e => e.status === 'Up Next')) return;
+    const first = queue.find(e => e.status === 'Waiting');
+    if (first) {
+        updateRow('queue_entries', first, { status: 'Up Next', is_confirmed: false });
+        logQueueEvent(first, 'upNext', 'system', { barber: barberName(barberId) });
+    }
+}
+
+// "First available" customers wait here with no barber until one calls them
+function poolQueue(shopId) {
+    return db.queue_entries.filter(e => String(e.shop_id) === String(shopId) && !e.barber_id && ACTIVE_STATUSES.includes(e.status)).sort(waitingOrder);
+}
+
+function barberDurations(barber) {
+    const services = db.services.filter(s => s.shop_id === barber.shop_id);
+    return durationStats(services, db.queue_entries.filter(e => e.barber_id === barber.id && e.status === 'Done'));
+}
+
+/** Who would most likely take `candidate` from the pool, and when. Null when no barber is available. */
+function projectFirstAvailable(shopId, candidate) {
+    const lanes = db.barber_profiles
+        .filter(b => String(b.shop_id) === String(shopId) && b.is_active && b.is_available && canJoinNow(b.schedule))
+        .map(b => ({ barberId: b.id, queue: activeQueue(b.id).map(e => withRelations('queue_entries', e)), stats: barberDurations(b) }));
+    return projectPool(lanes, poolQueue(shopId).map(e => withRelations('queue_entries', e)), candidate);
+}
+
+function nextDailyNumber(shopId) {
+    return db.queue_entries.filter(e => e.shop_id === shopId && isSameDay(e.created_at, Date.now())).length + 1;
+}
+
+// `?shopId=` is optional on list routes; without it every branch is returned
+const inShop = (row, shopId) => !shopId || String(row.shop_id) === String(shopId);
+
+function requireSameShop(entry, barber) {
+    if (entry.shop_id && barber.shop_id !== entry.shop_id) fail(400, 'That barber works at a different branch.');
+}
+
+const SHOP_FIELDS = ['name', 'slug', 'address', 'latitude', 'longitude', 'arrival_radius_meters', 'vip_fee_php', 'appointment_fee_php', 'push_back_limit', 'pricing_rules', 'cancellation_policy', 'reminder_hours', 'brand_color', 'logo_url', 'partner_promo', 'is_active'];
+const NUMERIC_SHOP_FIELDS = ['latitude', 'longitude', 'arrival_radius_meters', 'vip_fee_php', 'appointment_fee_php', 'push_back_limit'];
+
+function shopFromBody(body) {
+    const shop = {};
+    SHOP_FIELDS.forEach(field => {
+        if (body[field] === undefined) return;
+        shop[field] = NUMERIC_SHOP_FIELDS.includes(field) && body[field] !== null ? Number(body[field]) : body[field];
+    });
+    if (shop.pricing_rules) shop.pricing_rules = pricingRulesFromBody(shop.pricing_rules);
+    if (shop.cancellation_policy) shop.cancellation_policy = cancellationPolicyFromBody(shop.cancellation_policy);
+    if (shop.reminder_hours) shop.reminder_hours = reminderHoursFromBody(shop.reminder_hours);
+    if (shop.push_back_limit !== undefined && !(Number.isInteger(shop.push_back_limit) && shop.push_back_limit >= 0 && shop.push_back_limit <= 10)) fail(400, 'Push-back uses must be a whole number from 0 to 10.');
+    return shop;
+}
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const isPercent = (value) => Number.isFinite(value) && value >= 0 && value <= 100;
+
+function pricingRulesFromBody(rules) {
+    const clean = {
+        group_discounts: (rules.group_discounts || []).map(d => ({ min_heads: Number(d.min_heads), percent: Number(d.percent) })),
+        surcharges: (rules.surcharges || []).map(s => ({ label: String(s.label || '').trim(), start: s.start, end: s.end, amount_php: Number(s.amount_php) })),
+        senior_pwd_percent: Number(rules.senior_pwd_percent ?? 20),
+    };
+    if (clean.group_discounts.some(d => !(d.min_heads >= 2) || !isPercent(d.percent))) fail(400, 'Group discounts need at least 2 heads and a 0-100% discount.');
+    if (clean.surcharges.some(s => !s.label || !TIME_PATTERN.test(s.start) || !TIME_PATTERN.test(s.end) || !(s.amount_php >= 0))) fail(400, 'Surcharges need a label, HH:MM times and a non-negative amount.');
+    if (!isPercent(clean.senior_pwd_percent)) fail(400, 'Senior/PWD discount must be 0-100%.');
+    return clean;
+}
+
+function cancellationPolicyFromBody(policy) {
+    const clean = { free_until_hours: Number(policy.free_until_hours), late_fee_percent: Number(policy.late_fee_percent) };
+    if (!(Number.isInteger(clean.free_until_hours) && clean.free_until_hours >= 0 && clean.free_until_hours <= 72)) fail(400, 'Free cancellation must be a whole number of hours from 0 to 72.');
+    if (!isPercent(clean.late_fee_percent)) fail(400, 'The late cancellation fee must be 0-100% of the appointment fee.');
+    return clean;
+}
+
+function reminderHoursFromBody(hours) {
+    const clean = [...new Set((Array.isArray(hours) ? hours : [hours]).map(Number))].sort((a, b) => b - a);
+    if (clean.length > MAX_REMINDERS) fail(400, `At most ${MAX_REMINDERS} reminders per booking.`);
+    if (clean.some(h => !(h > 0 && h <= MAX_REMINDER_HOURS))) fail(400, `Reminders must be more than 0 and at most ${MAX_REMINDER_HOURS} hours before the booking.`);
+    return clean;
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function hoursFromBody(hours, what) {
+    const clean = { start: hours.start, end: hours.end, breaks: (hours.breaks || []).map(b => ({ start: b.start, end: b.end })) };
+    if (!TIME_PATTERN.test(clean.start) || !TIME_PATTERN.test(clean.end) || clean.start >= clean.end) fail(400, `${what}: the start time must be before the end time.`);
+    if (clean.breaks.some(b => !TIME_PATTERN.test(b.start) || !TIME_PATTERN.test(b.end) || b.start >= b.end || b.start < clean.start || b.end > clean.end)) fail(400, `${what}: breaks must start before they end and fall inside the working hours.`);
+    clean.breaks.sort((a, b) => a.start.localeCompare(b.start));
+    return clean;
+}
+
+function scheduleFromBody(schedule) {
+    if (!Array.isArray(schedule.weekly) || schedule.weekly.length !== 7) fail(400, 'The weekly hours need one entry per day.');
+    const exceptions = schedule.exceptions || [];
+    if (exceptions.length > MAX_EXCEPTIONS) fail(400, `At most ${MAX_EXCEPTIONS} time-off entries are allowed.`);
+    return {
+        weekly: schedule.weekly.map((day, i) => (day ? hoursFromBody(day, `Day ${i + 1} of the week`) : null)),
+        exceptions: exceptions.map(ex => {
+            if (!DATE_PATTERN.test(ex.from) || !DATE_PATTERN.test(ex.to) || ex.from > ex.to) fail(400, 'Time off needs a start date on or before its end date.');
+            const note = String(ex.note || '').trim().slice(0, 80);
+            return ex.off ? { from: ex.from, to: ex.to, off: true, note } : { from: ex.from, to: ex.to, off: false, note, ...hoursFromBody(ex, `Special hours from ${ex.from}`) };
+        }).sort((a, b) => a.from.localeCompare(b.from)),
+    };
+}
+
+function barberRating(barberId) {
+    const scores = db.feedback.filter(f => String(f.barber_id) === String(barberId)).map(f => f.score || 0);
+    const average = scores.length ? scores.reduce((a, b) => a + b, 0) / scores.length : 0;
+    return { average_score: Number(average.toFixed(1)), review_count: scores.length };
+}
+
+const publicBarber = (barber) => ({ ...clone(barber), pin: undefined, ...barberRating(barber.id) });
+
+const findAppointment = (appointmentId) => db.appointments.find(a => String(a.id) === String(appointmentId)) || null;
+
+const overlaps = (start, end, row, scheduledTime) => {
+    const rowStart = new Date(scheduledTime).getTime();
+    return start.getTime() < rowStart + (partyMinutes(row, findService) || SLOT_MINUTES) * 60000 && end > rowStart;
+};
+
+/** Booked appointments and open waitlist offers (src/waitlist.js) both hold their slot. */
+function appointmentConflicts(barberId, start, durationMinutes, ignoreId = null, ignoreWaitlistId = null) {
+    const end = start.getTime() + durationMinutes * 60000;
+    const booked = db.appointments.some(a => a.id !== ignoreId && String(a.barber_id) === String(barberId) && a.status !== 'cancelled' && overlaps(start, end, a, a.scheduled_time));
+    return booked || db.appointment_waitlist.some(w => w.id !== ignoreWaitlistId && String(w.barber_id) === String(barberId) && isOfferOpen(w) && overlaps(start, end, w, w.offer.scheduled_time));
+}
+
+// The join and booking forms send `party: [{ name, service_id }]` (see src/party.js).
+// Returns the cleaned list, or null for a plain `service_id` × `head_count`.
+function partyFromBody(body, shopId) {
+    if (!Array.isArray(body.party) || body.party.length === 0) return null;
+    if (body.party.length > MAX_PARTY_SIZE) fail(400, `Group size must be between 1 and ${MAX_PARTY_SIZE}.`);
+    return body.party.map((member, i) => {
+        const service = findService(member.service_id);
+        if (!service || service.shop_id !== shopId) fail(400, 'Service not found.');
+        return { name: String((i === 0 ? body.customer_name : member.name) || '').trim(), service_id: service.id };
+    });
+}
+
+function completedEntries(barberId = null) {
+    return db.queue_entries.filter(e => e.status === 'Done' && (barberId === null || String(e.barber_id) === String(barberId)));
+}
+
+const dayKey = (date) => new Date(date).toISOString().split('T')[0];
+
+// --- Route table ---
+const routes = [];
+
+function route(method, path, handler) {
+    const keys = [];
+    const pattern = path.replace(/:(\w+)/g, (_, key) => { keys.push(key); return '([^/]+)'; });
+    routes.push({ method, regex: new RegExp(`^${pattern}$`), keys, handler });
+}
+
+// Auth
+route('POST', '/login/username', ({ body }) => {
+    const profile = db.profiles.find(p => p.username === body.username);
+    if (!profile || profile.password !== body.password) fail(401, 'Invalid username or password.');
+    if (profile.is_banned) fail(403, 'This account has been banned.');
+    if (body.role === 'admin' && profile.role !== 'admin') fail(403, 'Not an admin account.');
+    if (body.role === 'barber') {
+        const barber = db.barber_profiles.find(b => b.user_id === profile.id);
+        if (!barber) fail(403, 'Not a barber account.');
+        if (!barber.is_active) fail(403, 'This barber account is inactive.');
+        if (barber.pin !== body.pin) fail(401, 'Invalid Barber PIN.');
+    }
+    return { user: { id: profile.id, email: profile.email } };
+});
+
+route('POST', '/signup/username', ({ body }) => {
+    if (db.profiles.some(p => p.username === body.username)) fail(409, 'Username already taken.');
+    if (db.profiles.some(p => p.email === body.email)) fail(409, 'Email already registered.');
+    if (body.role === 'barber' && body.barberCode !== 'DASHQ-BARBER') fail(403, 'Invalid Barber Code.');
+    const profile = { id: `u-${Date.now()}`, username: body.username, email: body.email, password: body.password, full_name: body.fullName, role: body.role === 'barber' ? 'barber' : 'customer', is_banned: false };
+    db.profiles.push(profile);
+    if (profile.role === 'barber') {
+        db.barber_profiles.push({ id: nextId('barber_profiles'), user_id: profile.id, full_name: profile.full_name, pin: '1234', is_active: true, is_available: false });
+        return { message: 'Barber account created! Your PIN is 1234.' };
+    }
+    return { message: 'Account created! You can now log in.' };
+});
+
+route('POST', '/check-email', ({ body }) => ({ found: db.profiles.some(p => p.email === body.email) }));
+
+route('PUT', '/logout/flag', ({ body }) => {
+    const barber = db.barber_profiles.find(b => b.user_id === body.userId);
+    if (barber) updateRow('barber_profiles', barber, { is_available: false });
+    return { success: true };
+});
+
+// Shops
+route('GET', '/shops', () => db.shops.filter(s => s.is_active).map(clone));
+
+route('GET', '/shops/:id', ({ params }) => {
+    const shop = findShop(params.id);
+    if (!shop || !shop.is_active) fail(404, 'Branch not found.');
+    return clone(shop);
+});
+
+// Barbers & services
+route('GET', '/barbers', ({ query }) => db.barber_profiles.filter(b => b.is_active && inShop(b, query.shopId)).map(publicBarber));
+
+route('GET', '/barber/profile/:userId', ({ params }) => {
+    const barber = db.barber_profiles.find(b => b.user_id === params.userId);
+    if (!barber) fail(404, 'Barber profile not found.');
+    return publicBarber(barber);
+});
+
+// Weekly hours, breaks and time off (see src/schedule.js); the barber or an admin may edit
+route('PUT', '/barber/schedule', ({ body }) => {
+    const barber = findBarber(body.barberId) || fail(404, 'Barber not found.');
+    if (barber.user_id !== body.userId && findProfile(body.userId)?.role !== 'admin') fail(403, 'Only this barber or an admin can change the schedule.');
+    updateRow('barber_profiles', barber, { schedule: body.schedule ? scheduleFromBody(body.schedule) : null });
+    return publicBarber(barber);
+});
+
+route('PUT', '/barber/availability', ({ body }) => {
+    const barber = findBarber(body.barberId) || fail(404, 'Barber not found.');
+    updateRow('barber_profiles', barber, { is_available: !!body.isAvailable });
+    return { is_available: barber.is_available };
+});
+
+route('GET', '/barber/customer-loyalty/:email', ({ params }) => {
+    const email = decodeURIComponent(params.email);
+    const history = db.queue_entries
+        .filter(e => e.customer_email === email && ['Done', 'Cancelled'].includes(e.status))
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+        .map(e => withRelations('queue_entries', e));
+    return { count: history.filter(e => e.status === 'Done').length, history };
+});
+
+route('GET', '/services', ({ query }) => db.services.filter(s => s.is_active && inShop(s, query.shopId)).map(clone));
+
+// Queue
+// `barber` is null for the First available pool
+function enqueue(shopId, barber, fields) {
+    const entry = insertRow('queue_entries', {
+        id: nextId('queue_entries'),
+        shop_id: shopId,
+        daily_number: nextDailyNumber(shopId),
+        customer_name: fields.customer_name,
+        customer_email: fields.customer_email || null,
+        customer_phone: fields.customer_phone || null,
+        user_id: fields.user_id || null,
+        barber_id: barber?.id || null,
+        service_id: Number(fields.service_id),
+        status: 'Waiting',
+        is_vip: !!fields.is_vip,
+        is_senior_pwd: !!fields.is_senior_pwd,
+        is_walk_in: !!fields.is_walk_in,
+        head_count: fields.head_count || 1,
+        party: fields.party || null,
+        is_confirmed: false,
+        reference_image_url: fields.reference_image_url || null,
+        current_distance_meters: null,
+        player_id: fields.player_id || null,
+        created_at: nowIso(),
+        updated_at: nowIso(),
+    });
+    logQueueEvent(entry, 'joined', fields.is_walk_in ? 'staff' : 'customer', { barber: barber?.full_name || null });
+    if (barber && entry.is_vip) vipTakesUpNext(barber.id);
+    promoteUpNext(barber?.id);
+    return withRelations('queue_entries', entry);
+}
+
+route('POST', '/queue', ({ body }) => {
+    const isPool = !!body.first_available;
+    const barber = isPool ? null : findBarber(body.barber_id);
+    if (!isPool && (!barber || !barber.is_active || !barber.is_available)) fail(400, 'Barber is currently unavailable.');
+    if (!isPool && !canJoinNow(barber.schedule)) fail(400, `${barber.full_name} is not working any more today.`);
+    const shopId = isPool ? Number(body.shop_id) : barber.shop_id;
+    const party = partyFromBody(body, shopId);
+    const service = findService(party ? party[0].service_id : body.service_id);
+    if (!service || service.shop_id !== shopId) fail(400, 'Service not found.');
+    const fields = { ...body, service_id: service.id, head_count: party ? party.length : Number(body.head_count) || 1, party, is_walk_in: false, customer_phone: null };
+    if (isPool && !projectFirstAvailable(shopId, fields)) fail(400, 'No barbers are available right now.');
+    if (body.user_id) {
+        const existing = db.queue_entries.find(e => e.user_id === body.user_id && ACTIVE_STATUSES.includes(e.status));
+        if (existing) fail(409, 'You are already in a queue.', clone(existing));
+    }
+    return enqueue(shopId, barber, fields);
+});
+
+// Staff check in a customer at the counter. There is no account behind the
+// entry, so no chat, push alerts or loyalty history; the phone is for calling them back.
+route('POST', '/queue/walk-in', ({ body }) => {
+    const barber = findBarber(body.barber_id);
+    if (!barber || !barber.is_active) fail(400, 'Barber not found.');
+    const service = findService(body.service_id);
+    if (!service || service.shop_id !== barber.shop_id) fail(400, 'Service not found.');
+    const name = String(body.customer_name || '').trim();
+    if (!name) fail(400, 'Please enter the customer\'s name.');
+    const headCount = Number(body.head_count) || 1;
+    if (!Number.isInteger(headCount) || headCount < 1 || headCount > MAX_PARTY_SIZE) fail(400, `Group size must be between 1 and ${MAX_PARTY_SIZE}.`);
+    const phone = String(body.customer_phone || '').replace(/[\s-]/g, '');
+    if (phone && !/^\+?\d{7,15}$/.test(phone)) fail(400, 'Please enter a valid phone number.');
+    return enqueue(barber.shop_id, barber, { customer_name: name, service_id: service.id, head_count: headCount, customer_phone: phone || null, is_walk_in: true });
+});
+
+route('DELETE', '/queue/:id', ({ params }) => {
+    const entry = getEntry(params.id);
+    logQueueEvent(entry, 'left', 'customer');
+    deleteRow('queue_entries', entry);
+    promoteUpNext(entry.barber_id);
+    return { success: true };
+});
+
+route('PUT', '/queue/next', ({ body }) => {
+    const entry = getEntry(body.queue_id);
+    if (activeQueue(body.barber_id).some(e => e.status === 'In Progress')) fail(400, 'Finish the customer in the chair first.');
+    // A pool customer belongs to whichever barber calls them first
+    const barberId = entry.barber_id || body.barber_id;
+    if (!entry.barber_id) {
+        if (entry.status !== 'Waiting') fail(409, 'Another barber already called this customer.');
+        requireSameShop(entry, findBarber(barberId) || fail(404, 'Barber not found.'));
+    }
+    updateRow('queue_entries', entry, { status: 'In Progress', started_at: nowIso(), barber_id: barberId });
+    logQueueEvent(entry, 'seated', 'barber', { barber: barberName(barberId) });
+    promoteUpNext(entry.barber_id);
+    return withRelations('queue_entries', entry);
+});
+
+route('POST', '/queue/complete', ({ body }) => {
+    const entry = getEntry(body.queue_id);
+    const tip = Number(body.tip_amount || 0);
+    // The barber confirms the senior/PWD ID at the chair, so their answer wins
+    const isSeniorPwd = body.is_senior_pwd ?? entry.is_senior_pwd;
+    const breakdown = priceBreakdown(findShop(entry.shop_id), { items: partyItems(entry, findService), isVip: entry.is_vip, isSeniorPwd, at: entry.created_at });
+    updateRow('queue_entries', entry, {
+        status: 'Done',
+        is_senior_pwd: !!isSeniorPwd,
+        tip_amount: tip,
+        vip_charge: lineAmount(breakdown, 'vip'),
+        price_lines: breakdown.lines,
+        total_amount: breakdown.total + tip,
+        completed_at: nowIso(),
+    });
+    logQueueEvent(entry, 'completed', 'barber', { barber: barberName(entry.barber_id), amount: entry.total_amount });
+    promoteUpNext(entry.barber_id);
+    return { success: true };
+});
+
+route('PUT', '/queue/cancel', ({ body }) => {
+    const entry = getEntry(body.queue_id);
+    updateRow('queue_entries', entry, { status: 'Cancelled' });
+    logQueueEvent(entry, 'cancelled', body.barber_id ? 'barber' : 'admin', { barber: barberName(body.barber_id) });
+    promoteUpNext(entry.barber_id);
+    return { success: true };
+});
+
+route('PUT', '/queue/confirm', ({ body }) => {
+    const entry = getEntry(body.queueId);
+    if (!entry.is_confirmed) logQueueEvent(entry, 'confirmed', 'customer');
+    updateRow('queue_entries', entry, { is_confirmed: true });
+    return { success: true };
+});
+
+// Arrival check-in: the QR code at the counter carries a per-branch code that
+// changes daily, so only someone standing in the shop can mark themselves "Arrived".
+const CHECKIN_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I, people type it too
+const randomCode = (length) => Array.from({ length }, () => CHECKIN_ALPHABET[Math.floor(Math.random() * CHECKIN_ALPHABET.length)]).join('');
+
+function checkinCode(shopId) {
+    const today = new Date().toDateString();
+    let row = db.checkin_codes.find(c => c.shop_id === shopId);
+    if (!row || row.day !== today) {
+        const code = randomCode(6);
+        row = row ? Object.assign(row, { code, day: today }) : { shop_id: shopId, code, day: today };
+        if (!db.checkin_codes.includes(row)) db.checkin_codes.push(row);
+        persist();
+    }
+    return row.code;
+}
+
+route('GET', '/queue/checkin-code/:shopId', ({ params, query }) => {
+    const shop = findShop(params.shopId) || fail(404, 'Branch not found.');
+    const isAdmin = findProfile(query.userId)?.role === 'admin';
+    const isShopBarber = db.barber_profiles.some(b => b.user_id === query.userId && b.shop_id === shop.id);
+    if (!isAdmin && !isShopBarber) fail(403, 'Only staff of this branch can show the check-in code.');
+    return { code: checkinCode(shop.id) };
+});
+
+route('PUT', '/queue/check-in', ({ body }) => {
+    const entry = getEntry(body.queueId);
+    if (!ACTIVE_STATUSES.includes(entry.status)) fail(400, 'This ticket is no longer in the queue.');
+    if (String(body.code || '').trim().toUpperCase() !== checkinCode(entry.shop_id)) fail(400, 'That code is not from this branch. Scan the QR code at the counter.');
+    // Being in the shop also answers the "I'm coming" question
+    if (!entry.arrived_at) {
+        updateRow('queue_entries', entry, { arrived_at: nowIso(), is_confirmed: true });
+        logQueueEvent(entry, 'arrived', 'customer');
+    }
+    return withRelations('queue_entries', entry);
+});
+
+// Live tracking: a read-only link the customer can send to whoever is waiting
+// on them. It only works while the ticket is still in the queue.
+const TRACKING_TOKEN_LENGTH = 20;
+
+route('POST', '/queue/tracking-link', ({ body }) => {
+    const entry = getEntry(body.queueId);
+    if (!body.userId || entry.user_id !== body.userId) fail(403, 'This is not your ticket.');
+    if (!ACTIVE_STATUSES.includes(entry.status)) fail(400, 'This ticket is no longer in the queue.');
+    let link = db.tracking_links.find(l => l.queue_id === entry.id);
+    if (!link) {
+        link = { token: randomCode(TRACKING_TOKEN_LENGTH), queue_id: entry.id, created_at: nowIso() };
+        db.tracking_links.push(link);
+        persist();
+    }
+    return { token: link.token };
+});
+
+// Ticket number, status, place in line, barber and wait range only: no names or photos
+route('GET', '/track/:token', ({ params }) => {
+    const link = db.tracking_links.find(l => l.token === params.token) || fail(404, 'This tracking link does not exist.');
+    const entry = db.queue_entries.find(e => e.id === link.queue_id);
+    if (!entry || !ACTIVE_STATUSES.includes(entry.status)) fail(410, 'This visit is over, so the tracking link has expired.');
+    const barber = findBarber(entry.barber_id);
+    const line = barber ? activeQueue(barber.id) : poolQueue(entry.shop_id);
+    const projection = barber ? null : projectFirstAvailable(entry.shop_id, entry);
+    const wait = barber
+        ? estimateWait(line.map(e => withRelations('queue_entries', e)), { myEntryId: entry.id, stats: barberDurations(barber) })
+        : projection;
+    return {
+        ticket: entry.daily_number || entry.id,
+        status: entry.status,
+        position: line.indexOf(entry) + 1,
+        shop_id: entry.shop_id,
+        shop_name: findShop(entry.shop_id)?.name || '',
+        barber_id: entry.barber_id,
+        barber_name: barber?.full_name || null,
+        likely_barber_name: projection ? findBarber(projection.barberId)?.full_name || null : null,
+        wait: wait && { low: wait.low, typical: wait.typical, high: wait.high },
+    };
+});
+
+route('PUT', '/queue/photo', ({ body }) => {
+    const entry = getEntry(body.queueId);
+    updateRow('queue_entries', entry, { reference_image_url: body.referenceImageUrl });
+    logQueueEvent(entry, 'photo', body.barberId ? 'barber' : 'customer');
+    return withRelations('queue_entries', entry);
+});
+
+route('PUT', '/queue/location', ({ body }) => {
+    const entry = getEntry(body.queueId);
+    updateRow('queue_entries', entry, { current_distance_meters: Math.round(body.distance) });
+    logLocationPing(entry, entry.current_distance_meters);
+    return { success: true };
+});
+
+// The same row moves, so service, photo, VIP, group size, chat history and join
+// time (the place in line) all carry over. Returns the entry plus its new `position`.
+route('POST', '/queue/self-transfer', ({ body }) => {
+    const entry = getEntry(body.queueId);
+    if (!['Waiting', 'Up Next'].includes(entry.status)) fail(400, 'Only customers still waiting can switch barbers.');
+    const target = findBarber(body.targetBarberId);
+    if (!target || !target.is_active || !target.is_available || !canJoinNow(target.schedule)) fail(400, 'That barber is no longer available.');
+    if (entry.barber_id === target.id) fail(400, 'You are already in that barber\'s line.');
+    requireSameShop(entry, target);
+    const fromBarberId = entry.barber_id;
+    updateRow('queue_entries', entry, { barber_id: target.id, status: 'Waiting', is_confirmed: false });
+    logQueueEvent(entry, 'switched', 'customer', { from: barberName(fromBarberId), to: target.full_name });
+    if (entry.is_vip) vipTakesUpNext(target.id);
+    promoteUpNext(fromBarberId);
+    promoteUpNext(target.id);
+    return { ...withRelations('queue_entries', entry), position: activeQueue(target.id).findIndex(e => e.id === entry.id) + 1 };
+});
+
+// "Push me back": a customer running late lets 1-3 people behind them go ahead
+// instead of leaving. Only `line_at` moves, so the join time (and wait history) stays true.
+route('PUT', '/queue/push-back', ({ body }) => {
+    const entry = getEntry(body.queueId);
+    if (!body.userId || entry.user_id !== body.userId) fail(403, 'This is not your ticket.');
+    if (!['Waiting', 'Up Next'].includes(entry.status)) fail(400, 'Only customers still waiting can move back.');
+    const places = Number(body.places);
+    if (!Number.isInteger(places) || places < 1 || places > MAX_PUSH_BACK_PLACES) fail(400, `You can move back 1 to ${MAX_PUSH_BACK_PLACES} places.`);
+    const limit = findShop(entry.shop_id)?.push_back_limit ?? DEFAULT_PUSH_BACK_LIMIT;
+    if ((entry.push_back_count || 0) >= limit) fail(400, 'You have used all your push-backs for this visit.');
+
+    const lineOf = () => (entry.barber_id ? activeQueue(entry.barber_id) : poolQueue(entry.shop_id));
+    const line = lineOf();
+    // VIPs stay ahead of regular customers, so only people of the same kind can pass
+    const behind = line.slice(line.indexOf(entry) + 1).filter(e => !!e.is_vip === !!entry.is_vip);
+    if (behind.length === 0) fail(400, 'Nobody is behind you yet.');
+    const passed = behind.slice(0, places);
+    const lastPassed = lineTime(passed[passed.length - 1]);
+    const nextInLine = behind[passed.length];
+    const lineAt = nextInLine ? (lastPassed + lineTime(nextInLine)) / 2 : lastPassed + 1000;
+
+    updateRow('queue_entries', entry, {
+        status: 'Waiting',
+        is_confirmed: false,
+        line_at: new Date(lineAt).toISOString(),
+        push_back_count: (entry.push_back_count || 0) + 1,
+        pushed_back_places: passed.length,
+        pushed_back_at: nowIso(),
+    });
+    logQueueEvent(entry, 'pushedBack', 'customer', { count: passed.length });
+    promoteUpNext(entry.barber_id);
+    return { ...withRelations('queue_entries', entry), position: lineOf().indexOf(entry) + 1 };
+});
+
+route('GET', '/queue/public/:barberId', ({ params }) => {
+    const entries = activeQueue(params.barberId).map(e => withRelations('queue_entries', e));
+    // Today's booked appointments show as "ghost" reserved slots at the end of the line
+    const ghosts = db.appointments
+        .filter(a => String(a.barber_id) === String(params.barberId) && a.status !== 'cancelled' && !a.is_converted_to_queue && isSameDay(a.scheduled_time, Date.now()) && new Date(a.scheduled_time) > new Date())
+        .map(a => ({
+            id: `appt-${a.id}`,
+            is_ghost: true,
+            status: 'Reserved',
+            display_time: new Date(a.scheduled_time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+            services: withRelations('appointments', a).services,
+        }));
+    return [...entries, ...ghosts];
+});
+
+// Oldest first; still answers after a customer left and the entry is gone
+route('GET', '/queue/:id/events', ({ params }) => db.queue_events
+    .filter(e => String(e.queue_id) === String(params.id))
+    .sort((a, b) => (new Date(a.at) - new Date(b.at)) || (a.id - b.id))
+    .map(clone));
+
+// How long this barber really takes per service; see src/waitTime.js
+route('GET', '/queue/durations/:barberId', ({ params }) => {
+    const barber = findBarber(params.barberId) || fail(404, 'Barber not found.');
+    return barberDurations(barber);
+});
+
+// `?entryId=` projects a pool customer; otherwise someone about to join with
+// `?serviceIds=1,3,3` (one per head)
+route('GET', '/queue/pool/:shopId', ({ params, query }) => {
+    const shop = findShop(params.shopId) || fail(404, 'Branch not found.');
+    const candidate = query.entryId
+        ? { id: query.entryId, ...(db.queue_entries.find(e => String(e.id) === String(query.entryId)) || {}) }
+        : { party: String(query.serviceIds || '').split(',').map(id => ({ service_id: Number(id) || null })) };
+    return {
+        entries: poolQueue(shop.id).map(e => withRelations('queue_entries', e)),
+        projection: projectFirstAvailable(shop.id, candidate),
+    };
+});
+
+route('GET', '/queue/details/:barberId', ({ params }) => {
+    const barber = findBarber(params.barberId);
+    const queue = activeQueue(params.barberId).map(e => withRelations('queue_entries', e));
+    const nextAppointment = db.appointments
+        .filter(a => String(a.barber_id) === String(params.barberId) && a.status !== 'cancelled' && !a.is_converted_to_queue && new Date(a.scheduled_time) > new Date(Date.now() - 10 * 60000))
+        .sort((a, b) => new Date(a.scheduled_time) - new Date(b.scheduled_time))[0] || null;
+    return {
+        inProgress: queue.find(e => e.status === 'In Progress') || null,
+        upNext: queue.find(e => e.status === 'Up Next') || null,
+        waiting: queue.filter(e => e.status === 'Waiting'),
+        pool: barber ? poolQueue(barber.shop_id).map(e => withRelations('queue_entries', e)) : [],
+        nextAppointment: clone(nextAppointment),
+    };
+});
+
+route('GET', '/missed-event/:userId', ({ params }) => {
+    const recent = db.queue_entries
+        .filter(e => e.user_id === params.userId && ['Done', 'Cancelled'].includes(e.status) && Date.now() - new Date(e.updated_at).getTime() < 15 * 60000)
+        .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at))[0];
+    return { event: recent ? recent.status : null };
+});
+
+// Appointments
+// A group passes `?serviceIds=1,3,3` (one per head) so the slot fits everyone
+// Rescheduling passes `?appointmentId=` instead: same barber and party, and the
+// booking's own current slot doesn't count as taken
+route('GET', '/appointments/slots', ({ query }) => {
+    const moving = query.appointmentId ? findAppointment(query.appointmentId) : null;
+    const barberId = moving ? moving.barber_id : query.barberId;
+    const service = findService(moving ? moving.service_id : query.serviceId);
+    if (!findBarber(barberId) || !service || !query.date) return [];
+    const duration = moving ? partyMinutes(moving, findService)
+        : query.serviceIds ? partyMinutes({ party: String(query.serviceIds).split(',').map(id => ({ service_id: id })) }, findService)
+        : service.duration_minutes;
+    return freeSlots(barberId, query.date, duration, moving);
+});
+
+/** Bookable start times (ISO) for a visit of `duration` minutes on 'YYYY-MM-DD'; `moving` is a booking being rescheduled. */
+function freeSlots(barberId, date, duration, moving = null) {
+    const { schedule } = findBarber(barberId);
+    const day = new Date(`${date}T00:00:00`);
+    const hours = hoursOn(schedule, day);
+    if (!hours) return [];
+    const slots = [];
+    for (let minutes = toMinutes(hours.start); minutes + duration <= toMinutes(hours.end); minutes += SLOT_MINUTES) {
+        const start = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes);
+        if (start <= new Date()) continue;
+        if (!isWorkingAt(schedule, start, duration)) continue; // lunch and other breaks
+        if (appointmentConflicts(barberId, start, duration, moving?.id)) continue;
+        if (moving && start.getTime() === new Date(moving.scheduled_time).getTime()) continue;
+        slots.push(start.toISOString());
+    }
+    return slots;
+}
+
+route('POST', '/appointments/book', ({ body }) => {
+    const barber = findBarber(body.barber_id) || fail(400, 'Barber not found.');
+    const party = partyFromBody(body, barber.shop_id);
+    const service = findService(party ? party[0].service_id : body.service_id) || fail(400, 'Service not found.');
+    const visit = { service_id: service.id, head_count: party ? party.length : 1, party };
+    const start = new Date(body.scheduled_time);
+    if (Number.isNaN(start.getTime()) || start <= new Date()) fail(400, 'Please pick a future time slot.');
+    if (!isWorkingAt(barber.schedule, start, partyMinutes(visit, findService))) fail(400, `${barber.full_name} is not working at that time.`);
+    if (appointmentConflicts(body.barber_id, start, partyMinutes(visit, findService))) fail(409, 'That slot was just taken. Please pick another.');
+    return withRelations('appointments', insertAppointment(barber, visit, start, body));
+});
+
+/** Saves a checked booking; `customer` carries customer_name, customer_email, user_id and is_senior_pwd. */
+function insertAppointment(barber, visit, start, customer) {
+    return insertRow('appointments', {
+        id: nextId('appointments'),
+        shop_id: barber.shop_id,
+        customer_name: customer.customer_name,
+        customer_email: customer.customer_email || null,
+        user_id: customer.user_id,
+        barber_id: Number(barber.id),
+        ...visit,
+        scheduled_time: start.toISOString(),
+        is_senior_pwd: !!customer.is_senior_pwd,
+        quoted_total: priceBreakdown(findShop(barber.shop_id), { items: partyItems(visit, findService), isAppointment: true, isSeniorPwd: !!customer.is_senior_pwd, at: start }).total,
+        status: 'confirmed',
+        sequence: 0,
+        reschedule: null,
+        ...freshReminders(findShop(barber.shop_id), start),
+        is_converted_to_queue: false,
+        created_at: nowIso(),
+        updated_at: nowIso(),
+    });
+}
+
+// `cancellation_terms` lets My Bookings say what cancelling would cost before the customer asks
+route('GET', '/appointments/my/:userId', ({ params }) => db.appointments
+    .filter(a => a.user_id === params.userId)
+    .sort((a, b) => new Date(b.scheduled_time) - new Date(a.scheduled_time))
+    .map(a => ({ ...withRelations('appointments', a), cancellation_terms: cancellationTerms(findShop(a.shop_id), a) })));
+
+// Late cancellations stay listed so the barber knows to collect the fee at the shop
+route('GET', '/appointments/barber/:barberId', ({ params }) => db.appointments
+    .filter(a => String(a.barber_id) === String(params.barberId) && (a.status !== 'cancelled' || a.cancellation_fee_php > 0) && new Date(a.scheduled_time) > new Date(Date.now() - 60 * 60000))
+    .sort((a, b) => new Date(a.scheduled_time) - new Date(b.scheduled_time))
+    .map(a => withRelations('appointments', a)));
+
+// Rescheduling: either side proposes a new slot (`reschedule` on the booking)
+// and the other side accepts or declines it. The booking keeps its current
+// slot until then, so nothing is lost if the answer is no.
+function appointmentSide(appt, userId) {
+    if (userId && appt.user_id === userId) return 'customer';
+    if (userId && findBarber(appt.barber_id)?.user_id === userId) return 'barber';
+    return fail(403, 'This is not your booking.');
+}
+
+function notifyOtherSide(appt, side, payload) {
+    const userId = side === 'customer' ? findBarber(appt.barber_id)?.user_id : appt.user_id;
+    pushToUser(userId, { ...payload, tag: `appointment-${appt.id}`, url: side === 'customer' ? '/barber' : '/appointments' });
+}
+
+const slotLabel = (iso) => new Date(iso).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+route('PUT', '/appointments/reschedule', ({ body }) => {
+    const appt = findAppointment(body.appointmentId) || fail(404, 'Appointment not found.');
+    const side = appointmentSide(appt, body.userId);
+    if (appt.status === 'cancelled' || appt.is_converted_to_queue) fail(400, 'This booking can no longer be moved.');
+    const start = new Date(body.scheduledTime);
+    if (Number.isNaN(start.getTime()) || start <= new Date()) fail(400, 'Please pick a future time slot.');
+    if (start.getTime() === new Date(appt.scheduled_time).getTime()) fail(400, 'That is already the booked time.');
+    if (!isWorkingAt(findBarber(appt.barber_id)?.schedule, start, partyMinutes(appt, findService))) fail(400, 'The barber is not working at that time.');
+    if (appointmentConflicts(appt.barber_id, start, partyMinutes(appt, findService), appt.id)) fail(409, 'That slot was just taken. Please pick another.');
+    updateRow('appointments', appt, { reschedule: { proposed_time: start.toISOString(), proposed_by: side, proposed_at: nowIso() } });
+    notifyOtherSide(appt, side, { title: 'New time proposed', body: `${side === 'customer' ? appt.customer_name : findBarber(appt.barber_id)?.full_name} asked to move the ${slotLabel(appt.scheduled_time)} booking to ${slotLabel(start)}.` });
+    return withRelations('appointments', appt);
+});
+
+route('PUT', '/appointments/reschedule/respond', ({ body }) => {
+    const appt = findAppointment(body.appointmentId) || fail(404, 'Appointment not found.');
+    const side = appointmentSide(appt, body.userId);
+    const proposal = appt.reschedule || fail(400, 'There is no new time to answer.');
+    if (proposal.proposed_by === side) fail(403, 'The other side has to answer your proposal.');
+    if (!body.accept) {
+        updateRow('appointments', appt, { reschedule: null });
+        notifyOtherSide(appt, side, { title: 'New time declined', body: `The booking stays on ${slotLabel(appt.scheduled_time)}.` });
+        return withRelations('appointments', appt);
+    }
+    const start = new Date(proposal.proposed_time);
+    if (start <= new Date()) fail(400, 'That time has already passed. Please propose another.');
+    if (!isWorkingAt(findBarber(appt.barber_id)?.schedule, start, partyMinutes(appt, findService))) fail(400, 'The barber is no longer working at that time. Please propose another.');
+    if (appointmentConflicts(appt.barber_id, start, partyMinutes(appt, findService), appt.id)) fail(409, 'That slot was just taken. Please propose another.');
+    // Surcharges depend on the time of day, so the quote follows the new slot
+    const quotedTotal = priceBreakdown(findShop(appt.shop_id), { items: partyItems(appt, findService), isAppointment: true, isSeniorPwd: appt.is_senior_pwd, at: start }).total;
+    const oldScheduledTime = appt.scheduled_time;
+    updateRow('appointments', appt, { scheduled_time: start.toISOString(), quoted_total: quotedTotal, reschedule: null, sequence: (appt.sequence || 0) + 1, ...freshReminders(findShop(appt.shop_id), start) });
+    notifyOtherSide(appt, side, { title: 'New time accepted', body: `The booking is now on ${slotLabel(start)}.` });
+    offerSlot(appt.barber_id, oldScheduledTime);
+    return withRelations('appointments', appt);
+});
+
+// Customer cancellation follows the branch's cancellation_policy: free before the
+// cutoff, after it the late fee is recorded on the booking to be settled at the shop
+route('PUT', '/appointments/cancel', ({ body }) => {
+    const appt = findAppointment(body.appointmentId) || fail(404, 'Appointment not found.');
+    if (appointmentSide(appt, body.userId) !== 'customer') fail(403, 'Only the customer can cancel this way. Barbers use Reject.');
+    if (appt.status === 'cancelled') fail(400, 'This booking is already cancelled.');
+    if (appt.is_converted_to_queue) fail(400, 'This booking is already in the live queue. Leave the queue instead.');
+    if (new Date(appt.scheduled_time) <= new Date()) fail(400, 'This booking has already started.');
+    const { fee } = cancellationTerms(findShop(appt.shop_id), appt);
+    updateRow('appointments', appt, { status: 'cancelled', cancelled_by: 'customer', cancel_reason: body.reason || null, cancellation_fee_php: fee, reschedule: null, sequence: (appt.sequence || 0) + 1 });
+    pushToUser(findBarber(appt.barber_id)?.user_id, { title: 'Booking cancelled', body: `${appt.customer_name} cancelled the ${slotLabel(appt.scheduled_time)} booking. The slot is open again.`, tag: `appointment-${appt.id}`, url: '/barber' });
+    offerSlot(appt.barber_id, appt.scheduled_time);
+    return withRelations('appointments', appt);
+});
+
+route('PUT', '/appointments/reject', ({ body }) => {
+    const appt = findAppointment(body.appointmentId) || fail(404, 'Appointment not found.');
+    updateRow('appointments', appt, { status: 'cancelled', cancelled_by: 'barber', cancel_reason: body.reason, reschedule: null, sequence: (appt.sequence || 0) + 1 });
+    pushToUser(appt.user_id, { title: 'Appointment cancelled', body: `Your ${slotLabel(appt.scheduled_time)} booking was cancelled: ${body.reason}`, tag: `appointment-${appt.id}`, url: '/appointments' });
+    offerSlot(appt.barber_id, appt.scheduled_time);
+    return { success: true };
+});
+
+// Reminders (see src/reminders.js). The real backend runs sendDueReminders() from
+// a scheduler every minute; the mock app starts the same sweep on a timer.
+function freshReminders(shop, start) {
+    return { reminders_sent: passedReminders(shop, start), last_reminder_at: null, customer_response: null, late_minutes: null };
+}
+
+/** Pushes every reminder that has come due by `now` and returns how many went out. Exported for tests. */
+export function sendDueReminders(now = new Date()) {
+    let sent = 0;
+    db.appointments.forEach(appt => {
+        const shop = findShop(appt.shop_id);
+        const hours = dueReminder(shop, appt, now);
+        if (hours === null) return;
+        updateRow('appointments', appt, { reminders_sent: passedReminders(shop, appt.scheduled_time, now), last_reminder_at: new Date(now).toISOString() });
+        const barber = findBarber(appt.barber_id);
+        pushToUser(appt.user_id, {
+            title: hours >= 24 ? 'Booking reminder' : 'Your booking is coming up',
+            body: `${findService(appt.service_id)?.name || 'Haircut'} with ${barber?.full_name || 'your barber'} on ${slotLabel(appt.scheduled_time)}. Confirm, tell us you'll be late, or cancel.`,
+            tag: `appointment-${appt.id}`,
+            url: '/appointments',
+        });
+        sent += 1;
+    });
+    if (sent > 0) persist();
+    return sent;
+}
+
+// The customer answers a reminder: 'confirmed', or 'late' with `lateMinutes`. They
+// may change their mind (confirm first, then say they'll be late) until the slot.
+route('PUT', '/appointments/reply', ({ body }) => {
+    const appt = findAppointment(body.appointmentId) || fail(404, 'Appointment not found.');
+    if (appointmentSide(appt, body.userId) !== 'customer') fail(403, 'Only the customer can answer a reminder.');
+    if (appt.status !== 'confirmed' || appt.is_converted_to_queue) fail(400, 'This booking is no longer waiting for an answer.');
+    if (new Date(appt.scheduled_time) <= new Date(Date.now() - 60 * 60000)) fail(400, 'This booking is already over.');
+    if (!['confirmed', 'late'].includes(body.response)) fail(400, 'Answer with confirmed or late.');
+    const lateMinutes = body.response === 'late' ? Number(body.lateMinutes) : null;
+    if (body.response === 'late' && !LATE_MINUTES.includes(lateMinutes)) fail(400, `Pick how late you'll be: ${LATE_MINUTES.join(', ')} minutes.`);
+    updateRow('appointments', appt, { customer_response: body.response, late_minutes: lateMinutes, responded_at: nowIso() });
+    pushToUser(findBarber(appt.barber_id)?.user_id, {
+        title: body.response === 'late' ? 'Customer running late' : 'Booking confirmed',
+        body: body.response === 'late'
+            ? `${appt.customer_name} will be about ${lateMinutes} min late for ${slotLabel(appt.scheduled_time)}.`
+            : `${appt.customer_name} confirmed the ${slotLabel(appt.scheduled_time)} booking.`,
+        tag: `appointment-${appt.id}`,
+        url: '/barber',
+    });
+    return withRelations('appointments', appt);
+});
+
+// Waitlist (see src/waitlist.js). Cancelling, rejecting or moving a booking calls
+// offerSlot(); open offers hold their slot in appointmentConflicts().
+const findWaitlistEntry = (waitlistId) => db.appointment_waitlist.find(w => String(w.id) === String(waitlistId)) || null;
+
+/** Offers `scheduledTime` to the first waiting customer it suits. Returns the entry, or null when nobody matches. */
+function offerSlot(barberId, scheduledTime, now = new Date()) {
+    const start = new Date(scheduledTime);
+    const expiresAt = new Date(new Date(now).getTime() + OFFER_MINUTES * 60000);
+    // The customer may take the whole offer window to answer, so the slot must still be ahead by then
+    if (start <= expiresAt) return null;
+    const barber = findBarber(barberId);
+    const entry = db.appointment_waitlist
+        .filter(w => w.status === 'waiting' && String(w.barber_id) === String(barberId) && !w.passed_slots.includes(start.toISOString()))
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+        .find(w => {
+            const minutes = partyMinutes(w, findService);
+            return fitsWindow(w, start, minutes) && isWorkingAt(barber?.schedule, start, minutes) && !appointmentConflicts(barberId, start, minutes);
+        });
+    if (!entry) return null;
+    updateRow('appointment_waitlist', entry, { status: 'offered', offer: { scheduled_time: start.toISOString(), expires_at: expiresAt.toISOString() } });
+    pushToUser(entry.user_id, {
+        title: 'A slot opened up',
+        body: `${slotLabel(start)} with ${barber?.full_name || 'your barber'} is yours if you claim it within ${OFFER_MINUTES} minutes.`,
+        tag: `waitlist-${entry.id}`,
+        url: '/appointments',
+    });
+    return entry;
+}
+
+/** The customer let an offer go (said no or ran out of time): they keep their place and the next customer gets the slot. */
+function releaseOffer(entry, now = new Date()) {
+    const { scheduled_time: slot } = entry.offer;
+    updateRow('appointment_waitlist', entry, { status: 'waiting', offer: null, passed_slots: [...entry.passed_slots, slot] });
+    offerSlot(entry.barber_id, slot, now);
+}
+
+/** Moves lapsed offers on and closes requests for dates that are over. Exported for tests. */
+export function expireWaitlistOffers(now = new Date()) {
+    let expired = 0;
+    db.appointment_waitlist.forEach(entry => {
+        if (entry.status === 'offered' && !isOfferOpen(entry, now)) {
+            releaseOffer(entry, now);
+            expired += 1;
+        }
+        if (['waiting', 'offered'].includes(entry.status) && entry.date < dateKey(now)) updateRow('appointment_waitlist', entry, { status: 'expired', offer: null });
+    });
+    if (expired > 0) persist();
+    return expired;
+}
+
+route('POST', '/appointments/waitlist', ({ body }) => {
+    if (!body.user_id) fail(401, 'Sign in to join the waitlist.');
+    const barber = findBarber(body.barber_id) || fail(400, 'Barber not found.');
+    const party = partyFromBody(body, barber.shop_id);
+    const service = findService(party ? party[0].service_id : body.service_id) || fail(400, 'Service not found.');
+    const visit = { service_id: service.id, head_count: party ? party.length : 1, party };
+    const minutes = partyMinutes(visit, findService);
+    if (!DATE_PATTERN.test(body.date) || body.date < dateKey(new Date())) fail(400, 'Please pick today or a later date.');
+    if (!TIME_PATTERN.test(body.window_start) || !TIME_PATTERN.test(body.window_end) || toMinutes(body.window_end) - toMinutes(body.window_start) < minutes) fail(400, `The time window has to be at least ${minutes} minutes long.`);
+    const open = db.appointment_waitlist.filter(w => w.user_id === body.user_id && ['waiting', 'offered'].includes(w.status));
+    if (open.some(w => String(w.barber_id) === String(barber.id) && w.date === body.date)) fail(409, `You are already on ${barber.full_name}'s waitlist for that day.`);
+    if (open.length >= MAX_WAITLIST_ENTRIES) fail(400, `You can wait for at most ${MAX_WAITLIST_ENTRIES} dates at a time.`);
+    const window = { date: body.date, window_start: body.window_start, window_end: body.window_end };
+    if (freeSlots(barber.id, body.date, minutes).some(slot => fitsWindow(window, slot, minutes))) fail(409, 'There is still a free slot in that window. Book it instead.');
+    const entry = insertRow('appointment_waitlist', {
+        id: nextId('appointment_waitlist'),
+        shop_id: barber.shop_id,
+        barber_id: barber.id,
+        user_id: body.user_id,
+        customer_name: body.customer_name,
+        customer_email: body.customer_email || null,
+        ...visit,
+        is_senior_pwd: !!body.is_senior_pwd,
+        ...window,
+        status: 'waiting',
+        offer: null,
+        passed_slots: [],
+        created_at: nowIso(),
+        updated_at: nowIso(),
+    });
+    return withRelations('appointment_waitlist', entry);
+});
+
+route('GET', '/appointments/waitlist/my/:userId', ({ params }) => db.appointment_waitlist
+    .filter(w => w.user_id === params.userId && ['waiting', 'offered'].includes(w.status))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.window_start.localeCompare(b.window_start))
+    .map(w => withRelations('appointment_waitlist', w)));
+
+function ownWaitlistEntry(body) {
+    const entry = findWaitlistEntry(body.waitlistId) || fail(404, 'Waitlist request not found.');
+    if (!body.userId || entry.user_id !== body.userId) fail(403, 'This is not your waitlist request.');
+    return entry;
+}
+
+route('PUT', '/appointments/waitlist/leave', ({ body }) => {
+    const entry = ownWaitlistEntry(body);
+    if (!['waiting', 'offered'].includes(entry.status)) fail(400, 'You are no longer on this waitlist.');
+    const slot = isOfferOpen(entry) ? entry.offer.scheduled_time : null;
+    updateRow('appointment_waitlist', entry, { status: 'left', offer: null });
+    if (slot) offerSlot(entry.barber_id, slot);
+    return { success: true };
+});
+
+route('PUT', '/appointments/waitlist/pass', ({ body }) => {
+    const entry = ownWaitlistEntry(body);
+    if (!isOfferOpen(entry)) fail(400, 'There is no open offer to pass on.');
+    releaseOffer(entry);
+    return withRelations('appointment_waitlist', entry);
+});
+
+route('PUT', '/appointments/waitlist/claim', ({ body }) => {
+    const entry = ownWaitlistEntry(body);
+    if (!isOfferOpen(entry)) {
+        if (entry.status === 'offered') {
+            releaseOffer(entry);
+            persist();
+        }
+        fail(410, 'This offer has expired. You are still on the waitlist.');
+    }
+    const barber = findBarber(entry.barber_id) || fail(400, 'Barber not found.');
+    const start = new Date(entry.offer.scheduled_time);
+    // A slot that can't be booked goes straight on instead of staying held until the offer runs out
+    const turnDown = (status, message) => {
+        releaseOffer(entry);
+        persist();
+        fail(status, `${message} You are still on the waitlist.`);
+    };
+    if (start <= new Date()) turnDown(410, 'That slot has already started.');
+    const visit = { service_id: entry.service_id, head_count: entry.head_count, party: entry.party };
+    if (!isWorkingAt(barber.schedule, start, partyMinutes(visit, findService))) turnDown(400, `${barber.full_name} is no longer working at that time.`);
+    if (appointmentConflicts(barber.id, start, partyMinutes(visit, findService), null, entry.id)) turnDown(409, 'That slot was just taken.');
+    const appt = insertAppointment(barber, visit, start, entry);
+    updateRow('appointment_waitlist', entry, { status: 'booked', offer: null, appointment_id: appt.id });
+    pushToUser(barber.user_id, { title: 'Booked from the waitlist', body: `${entry.customer_name} took the ${slotLabel(start)} slot.`, tag: `appointment-${appt.id}`, url: '/barber' });
+    return withRelations('appointments', appt);
+});
+
+// Calendar export (see src/calendar.js). The customer downloads one booking at a
+// time; each barber gets a private feed URL their calendar app polls.
+const FEED_TOKEN_LENGTH = 24;
+const FEED_HISTORY_DAYS = 30; // recent cancellations stay in the feed so subscribers drop them
+
+function calendarEventFor(appt, viewer) {
+    const barber = findBarber(appt.barber_id);
+    const shop = findShop(appt.shop_id);
+    const service = findService(appt.service_id);
+    const heads = appt.head_count > 1 ? ` (group of ${appt.head_count})` : '';
+    return appointmentEvent(appt, {
+        minutes: partyMinutes(appt, findService) || SLOT_MINUTES,
+        title: viewer === 'barber' ? `${appt.customer_name}${heads}: ${service?.name || 'Booking'}` : `${service?.name || 'Haircut'} with ${barber?.full_name || 'your barber'}${heads}`,
+        location: [shop?.name, shop?.address].filter(Boolean).join(', '),
+        description: `Dash-Q booking #${appt.id}. Estimated total ₱${appt.quoted_total ?? 0}.`,
+    });
+}
+
+route('GET', '/appointments/:id/calendar', ({ params, query }) => {
+    const appt = findAppointment(params.id) || fail(404, 'Appointment not found.');
+    const viewer = appointmentSide(appt, query.userId);
+    return calendarFile([calendarEventFor(appt, viewer)]);
+});
+
+route('POST', '/barber/calendar-feed', ({ body }) => {
+    const barber = findBarber(body.barberId) || fail(404, 'Barber not found.');
+    if (barber.user_id !== body.userId) fail(403, 'Only this barber can see their calendar feed.');
+    let feed = db.calendar_feeds.find(f => f.barber_id === barber.id);
+    if (feed && body.rotate) {
+        db.calendar_feeds = db.calendar_feeds.filter(f => f !== feed);
+        feed = null;
+    }
+    if (!feed) {
+        feed = { token: randomCode(FEED_TOKEN_LENGTH), barber_id: barber.id, created_at: nowIso() };
+        db.calendar_feeds.push(feed);
+        persist();
+    }
+    return { token: feed.token };
+});
+
+route('GET', '/calendar/:token', ({ params }) => {
+    const feed = db.calendar_feeds.find(f => f.token === params.token.replace(/\.ics$/, '')) || fail(404, 'This calendar feed does not exist. Ask for a new link.');
+    const barber = findBarber(feed.barber_id) || fail(404, 'Barber not found.');
+    const since = Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60000;
+    const events = db.appointments
+        .filter(a => a.barber_id === barber.id && new Date(a.scheduled_time).getTime() >= since)
+        .sort((a, b) => new Date(a.scheduled_time) - new Date(b.scheduled_time))
+        .map(a => calendarEventFor(a, 'barber'));
+    return calendarFile(events, { name: `Dash-Q: ${barber.full_name}` });
+});
+
+// Customer, feedback, analytics
+route('GET', '/customer/history/:userId', ({ params }) => db.queue_entries
+    .filter(e => e.user_id === params.userId && ['Done', 'Cancelled'].includes(e.status))
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+    .map(e => {
+        const review = db.feedback.find(f => f.queue_entry_id === e.id);
+        return { ...withRelations('queue_entries', e), score: review ? review.score : null, comments: review ? review.comments : null };
+    }));
+
+route('POST', '/feedback', ({ body }) => {
+    const lastVisit = completedEntries(body.barber_id)
+        .filter(e => e.customer_name === body.customer_name)
+        .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at))[0];
+    const row = insertRow('feedback', {
+        id: nextId('feedback'),
+        barber_id: Number(body.barber_id),
+        customer_name: body.customer_name,
+        comments: body.comments,
+        score: body.rating,
+        queue_entry_id: lastVisit ? lastVisit.id : null,
+        created_at: nowIso(),
+    });
+    return clone(row);
+});
+
+route('GET', '/feedback/:barberId', ({ params }) => db.feedback
+    .filter(f => String(f.barber_id) === String(params.barberId))
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+    .slice(0, 10)
+    .map(clone));
+
+route('GET', '/analytics/:barberId', ({ params }) => {
+    const done = completedEntries(params.barberId);
+    const weekAgo = Date.now() - 7 * 24 * 60 * 60000;
+    const today = done.filter(e => isSameDay(e.updated_at, Date.now()));
+    const week = done.filter(e => new Date(e.updated_at).getTime() >= weekAgo);
+    const sum = (rows) => rows.reduce((total, e) => total + Number(e.total_amount || 0), 0);
+
+    const byDay = {};
+    week.forEach(e => { const key = dayKey(e.updated_at); byDay[key] = (byDay[key] || 0) + Number(e.total_amount || 0); });
+    const dailyData = Object.keys(byDay).sort().map(day => ({ day, daily_earnings: byDay[day] }));
+    const busiest = dailyData.reduce((best, d) => (d.daily_earnings > best.earnings ? { name: new Date(`${d.day}T00:00:00Z`).toLocaleDateString(undefined, { weekday: 'long' }), earnings: d.daily_earnings } : best), { name: 'N/A', earnings: 0 });
+    const shopCutsToday = completedEntries().filter(e => isSameDay(e.updated_at, Date.now())).length;
+
+    return {
+        totalEarningsToday: sum(today),
+        totalCutsToday: today.length,
+        totalEarningsWeek: sum(week),
+        totalCutsWeek: week.length,
+        dailyData,
+        busiestDay: busiest,
+        currentQueueSize: activeQueue(params.barberId).length,
+        totalCutsAllTime: done.length,
+        carbonSavedToday: shopCutsToday > 0 ? 5 : 0,
+        carbonSavedTotal: completedEntries().length * 5,
+        showEarningsAnalytics: true,
+    };
+});
+
+// Web Push subscriptions (one row per device, keyed by endpoint)
+route('POST', '/push/subscribe', ({ body }) => {
+    const endpoint = body.subscription?.endpoint || fail(400, 'Subscription endpoint is required.');
+    if (!body.userId) fail(400, 'userId is required.');
+    const existing = db.push_subscriptions.find(s => s.endpoint === endpoint);
+    if (existing) {
+        updateRow('push_subscriptions', existing, { user_id: body.userId, subscription: body.subscription });
+        return { playerId: existing.id };
+    }
+    const row = insertRow('push_subscriptions', {
+        id: nextId('push_subscriptions'),
+        user_id: body.userId,
+        endpoint,
+        subscription: body.subscription,
+        created_at: nowIso(),
+    });
+    return { playerId: row.id };
+});
+
+route('DELETE', '/push/subscribe/:id', ({ params }) => {
+    const row = db.push_subscriptions.find(s => String(s.id) === String(params.id));
+    if (row) deleteRow('push_subscriptions', row);
+    return { success: true };
+});
+
+// Chat & reports
+route('POST', '/chat/send', ({ body }) => {
+    const entry = getEntry(body.queueId);
+    if (!body.message || !body.message.trim()) fail(400, 'Message cannot be empty.');
+    const row = insertRow('chat_messages', {
+        id: nextId('chat_messages'),
+        queue_entry_id: Number(body.queueId),
+        sender_id: body.senderId,
+        message: body.message,
+        created_at: nowIso(),
+    });
+
+    const barber = findBarber(entry.barber_id);
+    const preview = { body: body.message.slice(0, 120), tag: `chat-${entry.id}` };
+    if (entry.user_id && body.senderId === entry.user_id) {
+        pushToUser(barber?.user_id, { ...preview, title: `💬 ${entry.customer_name}`, url: `/barber?chat=${entry.id}` });
+    } else {
+        pushToEntry(entry, { ...preview, title: `💬 ${barber?.full_name || 'Your barber'}`, url: `/queue/${entry.id}?chat=open` });
+    }
+    return clone(row);
+});
+
+route('POST', '/reports', ({ body }) => {
+    const row = insertRow('reports', {
+        id: nextId('reports'),
+        reporter_id: body.reporterId,
+        reported_id: body.reportedId,
+        queue_id: body.queueId || null, // the visit the report is about, so admins can check its timeline
+        role: body.role,
+        reason: body.reason,
+        description: body.description,
+        proof_image_url: body.proofImageUrl || null,
+        status: 'Pending',
+        admin_notes: null,
+        created_at: nowIso(),
+    });
+    return clone(row);
+});
+
+const reportWithPeople = (r) => {
+    const reporter = findProfile(r.reporter_id);
+    const reported = findProfile(r.reported_id);
+    return {
+        ...clone(r),
+        reporter: reporter ? { full_name: reporter.full_name } : null,
+        reported: reported ? { full_name: reported.full_name, is_banned: reported.is_banned } : null,
+    };
+};
+
+route('GET', '/reports/my/:userId', ({ params }) => db.reports
+    .filter(r => r.reporter_id === params.userId)
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+    .map(reportWithPeople));
+
+// Admin
+route('GET', '/admin/shops', () => db.shops.map(clone));
+
+route('POST', '/admin/shops', ({ body }) => {
+    const shop = { id: nextId('shops'), is_active: true, partner_promo: null, ...shopFromBody(body) };
+    if (!shop.name || !shop.slug) fail(400, 'Branch name and link code are required.');
+    if (findShop(shop.slug)) fail(409, 'That link code is already used by another branch.');
+    db.shops.push(shop);
+    return clone(shop);
+});
+
+route('PUT', '/admin/shops/:id', ({ params, body }) => {
+    const shop = findShop(params.id) || fail(404, 'Branch not found.');
+    const changes = shopFromBody(body);
+    const clash = changes.slug && findShop(changes.slug);
+    if (clash && clash !== shop) fail(409, 'That link code is already used by another branch.');
+    Object.assign(shop, changes);
+    return clone(shop);
+});
+
+// Unassigned barbers (fresh sign-ups) show up under every branch so they can be placed
+route('GET', '/admin/barbers', ({ query }) => db.barber_profiles
+    .filter(b => inShop(b, query.shopId) || !b.shop_id)
+    .map(publicBarber));
+
+route('PUT', '/admin/barbers/:id/shop', ({ params, body }) => {
+    const barber = findBarber(params.id) || fail(404, 'Barber not found.');
+    if (!findShop(body.shopId)) fail(404, 'Branch not found.');
+    if (activeQueue(barber.id).length > 0) fail(400, 'Move or finish this barber\'s queue first.');
+    updateRow('barber_profiles', barber, { shop_id: Number(body.shopId) });
+    return publicBarber(barber);
+});
+
+route('PUT', '/admin/barbers/:id/status', ({ params, body }) => {
+    const barber = findBarber(params.id) || fail(404, 'Barber not found.');
+    updateRow('barber_profiles', barber, { is_active: !!body.is_active, is_available: body.is_active ? barber.is_available : false });
+    return publicBarber(barber);
+});
+
+route('PUT', '/admin/transfer', ({ body }) => {
+    const entry = getEntry(body.queueId);
+    const target = findBarber(body.targetBarberId) || fail(404, 'Barber not found.');
+    requireSameShop(entry, target);
+    const fromBarberId = entry.barber_id;
+    updateRow('queue_entries', entry, { barber_id: target.id, status: 'Waiting', is_confirmed: false });
+    logQueueEvent(entry, 'transferred', 'admin', { from: barberName(fromBarberId), to: target.full_name });
+    promoteUpNext(fromBarberId);
+    promoteUpNext(target.id);
+    return withRelations('queue_entries', entry);
+});
+
+route('GET', '/admin/analytics/advanced', ({ query }) => {
+    const done = completedEntries().filter(e => inShop(e, query.shopId));
+    const byDay = {};
+    done.filter(e => Date.now() - new Date(e.updated_at).getTime() < 7 * 24 * 60 * 60000)
+        .forEach(e => { const key = dayKey(e.updated_at); byDay[key] = (byDay[key] || 0) + Number(e.total_amount || 0); });
+    const barberStats = db.barber_profiles.filter(b => inShop(b, query.shopId)).map(b => {
+        const cuts = completedEntries(b.id);
+        const { average_score, review_count } = barberRating(b.id);
+        return {
+            full_name: b.full_name,
+            is_active: b.is_active,
+            cut_count: cuts.length,
+            avg_rating: average_score,
+            review_count,
+            total_revenue: cuts.reduce((total, e) => total + Number(e.total_amount || 0), 0),
+        };
+    }).sort((a, b) => b.total_revenue - a.total_revenue);
+    // Per service, every head of a group counts: one adult cut and two kids' cuts are three services
+    const byService = {};
+    done.forEach(e => partyItems(e, findService).forEach(({ service, count }) => {
+        if (!service) return;
+        const row = byService[service.id] || (byService[service.id] = { service_id: service.id, name: service.name, heads: 0, sales: 0 });
+        row.heads += count;
+        row.sales += count * Number(service.price_php || 0);
+    }));
+    return {
+        totals: { revenue: done.reduce((total, e) => total + Number(e.total_amount || 0), 0), cuts: done.length },
+        dailyTrend: Object.keys(byDay).sort().map(day => ({ day, daily_total: byDay[day] })),
+        barberStats,
+        serviceStats: Object.values(byService).sort((a, b) => b.heads - a.heads),
+    };
+});
+
+route('GET', '/admin/users', () => db.profiles.map(({ password, ...profile }) => clone(profile)));
+
+route('DELETE', '/admin/users/:id', ({ params }) => {
+    const profile = findProfile(params.id) || fail(404, 'User not found.');
+    if (profile.role === 'admin') fail(403, 'Admins cannot be deleted.');
+    db.profiles = db.profiles.filter(p => p !== profile);
+    db.barber_profiles = db.barber_profiles.filter(b => b.user_id !== profile.id);
+    return { success: true };
+});
+
+route('GET', '/admin/services', ({ query }) => db.services.filter(s => inShop(s, query.shopId)).map(clone));
+
+route('POST', '/admin/services', ({ body }) => {
+    if (!findShop(body.shop_id)) fail(400, 'Pick a branch for this service.');
+    const row = { id: nextId('services'), shop_id: Number(body.shop_id), name: body.name, duration_minutes: Number(body.duration_minutes), price_php: Number(body.price_php), is_active: true };
+    db.services.push(row);
+    return clone(row);
+});
+
+route('PUT', '/admin/services/:id/restore', ({ params }) => {
+    const service = findService(params.id) || fail(404, 'Service not found.');
+    service.is_active = true;
+    return clone(service);
+});
+
+route('PUT', '/admin/services/:id', ({ params, body }) => {
+    const service = findService(params.id) || fail(404, 'Service not found.');
+    Object.assign(service, { name: body.name, duration_minutes: Number(body.duration_minutes), price_php: Number(body.price_php) });
+    return clone(service);
+});
+
+route('DELETE', '/admin/services/:id', ({ params }) => {
+    const service = findService(params.id) || fail(404, 'Service not found.');
+    service.is_active = false;
+    return { success: true };
+});
+
+route('GET', '/admin/reports', () => [...db.reports]
+    .sort((a, b) => (a.status === 'Pending' ? -1 : 1) - (b.status === 'Pending' ? -1 : 1) || new Date(b.created_at) - new Date(a.created_at))
+    .map(reportWithPeople));
+
+route('PUT', '/admin/reports/resolve', ({ body }) => {
+    const report = db.reports.find(r => String(r.id) === String(body.reportId)) || fail(404, 'Report not found.');
+    report.status = body.action === 'ban' ? 'Resolved' : 'Dismissed';
+    report.admin_notes = body.adminNotes || null;
+    if (body.action === 'ban') {
+        const target = findProfile(body.targetUserId);
+        if (target) target.is_banned = true;
+    }
+    return reportWithPeople(report);
+});
+
+// --- Dispatcher ---
+function parseBody(data) {
+    if (!data) return {};
+    if (typeof data !== 'string') return data;
+    try { return JSON.parse(data); } catch (err) { return {}; }
+}
+
+/** Resolves one request against the route table. Exported for tests. */
+export function handleRequest({ method, url, params = {}, data }) {
+    const parsed = new URL(url, 'http://mock.local');
+    const path = parsed.pathname.replace(/^\/api/, '');
+    const query = { ...Object.fromEntries(parsed.searchParams.entries()), ...params };
+    const upper = method.toUpperCase();
+
+    for (const r of routes) {
+        if (r.method !== upper) continue;
+        const match = path.match(r.regex);
+        if (!match) continue;
+        const routeParams = {};
+        r.keys.forEach((key, i) => { routeParams[key] = decodeURIComponent(match[i + 1]); });
+        try {
+            const result = r.handler({ params: routeParams, query, body: parseBody(data) });
+            if (upper !== 'GET') persist();
+            return { status: upper === 'POST' ? 201 : 200, data: result === undefined ? {} : result };
+        } catch (err) {
+            if (err instanceof HttpError) return { status: err.status, data: { error: err.message, details: err.details } };
+            console.error('[mock] Route crashed:', upper, path, err);
+            return { status: 500, data: { error: 'Mock server error.' } };
+        }
+    }
+    return { status: 404, data: { error: `No mock route for ${upper} ${path}` } };
+}
+
+/** axios adapter that answers from the mock routes instead of the network. */
+export function mockAdapter(config) {
+    const url = config.baseURL && config.url.startsWith(config.baseURL) ? config.url.slice(config.baseURL.length) : config.url;
+    return new Promise((resolve, reject) => {
+        setTimeout(() => {
+            const { status, data } = handleRequest({ method: config.method, url, params: config.params, data: config.data });
+            const response = { data, status, statusText: String(status), headers: {}, config, request: {} };
+            if (status >= 200 && status < 300) resolve(response);
+            else reject(new AxiosError(`Request failed with status code ${status}`, status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST, config, {}, response));
+        }, settings.latency);
+    });
+}
@@ -0,0 +1,187 @@
+// ##############################################
+// ##        MOCK BACKEND: SUPABASE CLIENT     ##
+// ##############################################
+// Same surface the app uses from the real client: auth, channel/removeChannel,
+// from() for reads, and storage for photo uploads.
+
+import { db, findProfile, withRelations, clone } from './db';
+import { onChange, matchesFilter } from './realtime';
+
+const SESSION_KEY = 'dashq_mock_session';
+
+function buildSession(profile) {
+    return {
+        access_token: `mock-token-${profile.id}`,
+        refresh_token: `mock-refresh-${profile.id}`,
+        token_type: 'bearer',
+        user: {
+            id: profile.id,
+            email: profile.email,
+            user_metadata: { full_name: profile.full_name },
+        },
+    };
+}
+
+function readStoredSession() {
+    try {
+        const saved = typeof sessionStorage !== 'undefined' && sessionStorage.getItem(SESSION_KEY);
+        return saved ? JSON.parse(saved) : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+function storeSession(session) {
+    if (typeof sessionStorage === 'undefined') return;
+    if (session) sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    else sessionStorage.removeItem(SESSION_KEY);
+}
+
+// --- Query builder (read-only, PostgREST flavoured) ---
+function query(table) {
+    const filters = [];
+    let orderBy = null;
+    let limitTo = null;
+
+    const run = (mode) => {
+        if (!db[table]) {
+            return Promise.resolve({ data: null, error: new Error(`Unknown table: ${table}`) });
+        }
+        let rows = db[table].filter(row => filters.every(fn => fn(row)));
+        if (orderBy) {
+            const { column, ascending } = orderBy;
+            rows = [...rows].sort((a, b) => (a[column] > b[column] ? 1 : a[column] < b[column] ? -1 : 0) * (ascending ? 1 : -1));
+        }
+        if (limitTo !== null) rows = rows.slice(0, limitTo);
+        rows = rows.map(row => withRelations(table, row));
+
+        if (mode === 'many') return Promise.resolve({ data: rows, error: null });
+        if (rows.length > 1) return Promise.resolve({ data: null, error: new Error('Multiple rows returned') });
+        if (mode === 'single' && rows.length === 0) return Promise.resolve({ data: null, error: new Error('No rows returned') });
+        return Promise.resolve({ data: rows[0] || null, error: null });
+    };
+
+    const builder = {
+        select: () => builder,
+        eq: (column, value) => { filters.push(row => String(row[column]) === String(value)); return builder; },
+        neq: (column, value) => { filters.push(row => String(row[column]) !== String(value)); return builder; },
+        in: (column, values) => { filters.push(row => values.map(String).includes(String(row[column]))); return builder; },
+        gte: (column, value) => { filters.push(row => row[column] >= value); return builder; },
+        lte: (column, value) => { filters.push(row => row[column] <= value); return builder; },
+        order: (column, { ascending = true } = {}) => { orderBy = { column, ascending }; return builder; },
+        limit: (count) => { limitTo = count; return builder; },
+        single: () => run('single'),
+        maybeSingle: () => run('maybeSingle'),
+        then: (resolve, reject) => run('many').then(resolve, reject),
+    };
+    return builder;
+}
+
+// --- Realtime channels ---
+function createChannel(name) {
+    const bindings = [];
+    let unsubscribe = null;
+
+    const channel = {
+        topic: name,
+        on(type, config, callback) {
+            if (type === 'postgres_changes') bindings.push({ config, callback });
+            return channel;
+        },
+        subscribe(statusCallback) {
+            unsubscribe = onChange((payload) => {
+                bindings.forEach(({ config, callback }) => {
+                    if (config.table && config.table !== payload.table) return;
+                    if (config.event && config.event !== '*' && config.event !== payload.eventType) return;
+                    const row = payload.eventType === 'DELETE' ? payload.old : payload.new;
+                    if (!matchesFilter(config.filter, row)) return;
+                    callback(payload);
+                });
+            });
+            if (statusCallback) setTimeout(() => statusCallback('SUBSCRIBED'), 0);
+            return channel;
+        },
+        _close() {
+            if (unsubscribe) unsubscribe();
+            unsubscribe = null;
+        },
+    };
+    return channel;
+}
+
+export function createMockSupabase() {
+    let currentSession = readStoredSession();
+    const authListeners = new Set();
+
+    const notify = (event) => {
+        authListeners.forEach(listener => listener(event, currentSession));
+    };
+
+    const setCurrentSession = (session, event) => {
+        currentSession = session;
+        storeSession(session);
+        notify(event);
+    };
+
+    const auth = {
+        getSession: () => Promise.resolve({ data: { session: currentSession }, error: null }),
+        onAuthStateChange(callback) {
+            authListeners.add(callback);
+            setTimeout(() => callback('INITIAL_SESSION', currentSession), 0);
+            return { data: { subscription: { unsubscribe: () => authListeners.delete(callback) } } };
+        },
+        async signInWithPassword({ email, password }) {
+            const profile = db.profiles.find(p => p.email === email);
+            if (!profile || profile.password !== password) {
+                return { data: { session: null }, error: new Error('Invalid login credentials') };
+            }
+            const session = buildSession(profile);
+            setCurrentSession(session, 'SIGNED_IN');
+            return { data: { session, user: session.user }, error: null };
+        },
+        async signOut() {
+            setCurrentSession(null, 'SIGNED_OUT');
+            return { error: null };
+        },
+        async setSession() {
+            // handleLogout() forces an "expired" session; there is nothing to refresh here.
+            return { data: { session: currentSession }, error: null };
+        },
+        async resetPasswordForEmail(email) {
+            console.info(`[mock] Password reset link for ${email}: ${window.location.origin}`);
+            return { data: {}, error: null };
+        },
+        async updateUser({ password }) {
+            const profile = currentSession && findProfile(currentSession.user.id);
+            if (!profile) return { data: null, error: new Error('Not signed in') };
+            if (password) profile.password = password;
+            return { data: { user: currentSession.user }, error: null };
+        },
+    };
+
+    const uploads = {};
+
+    return {
+        auth,
+        channel: (name) => createChannel(name),
+        removeChannel: (channel) => {
+            if (channel && channel._close) channel._close();
+            return Promise.resolve('ok');
+        },
+        from: (table) => query(table),
+        storage: {
+            from: (bucket) => ({
+                async upload(path, file) {
+                    const url = (typeof URL !== 'undefined' && URL.createObjectURL && file instanceof Blob)
+                        ? URL.createObjectURL(file)
+                        : `mock://${bucket}/${path}`;
+                    uploads[`${bucket}/${path}`] = url;
+                    return { data: { path }, error: null };
+                },
+                getPublicUrl: (path) => ({ data: { publicUrl: uploads[`${bucket}/${path}`] || `mock://${bucket}/${path}` } }),
+            }),
+        },
+        // Test/demo helper: the currently signed-in user, if any
+        _currentUser: () => clone(currentSession?.user || null),
+    };
+}
@@ -0,0 +1,36 @@
+// ##############################################
+// ##              GROUP PARTIES               ##
+// ##############################################
+// A group visit lists who is getting what, lead customer first:
+//
+//   party: [{ name: 'Ramon', service_id: 1 }, { name: 'Migo', service_id: 3 }, { name: 'Lia', service_id: 3 }]
+//
+// `head_count` is the party size and `service_id` the lead's service, so code
+// that only needs those keeps working. Walk-ins and older entries have no
+// `party`; partyMembers() reads them as `service_id` × `head_count`.
+
+export const MAX_PARTY_SIZE = 10;
+
+/** Everyone in the visit as `[{ name, service_id }]`, lead customer first. */
+export function partyMembers(entry) {
+    if (Array.isArray(entry?.party) && entry.party.length > 0) return entry.party;
+    const heads = Math.max(1, Number(entry?.head_count) || 1);
+    return Array.from({ length: heads }, (_, i) => ({ name: i === 0 ? entry?.customer_name || '' : '', service_id: entry?.service_id }));
+}
+
+/** `[{ service_id, count }]` in the order first seen, e.g. one Haircut then two Kids Cuts. */
+export function serviceCounts(members) {
+    const counts = [];
+    members.forEach(member => {
+        const item = counts.find(c => String(c.service_id) === String(member.service_id));
+        if (item) item.count += 1;
+        else counts.push({ service_id: member.service_id, count: 1 });
+    });
+    return counts;
+}
+
+/** The party's services resolved for priceBreakdown(): `[{ service, count }]`. */
+export const partyItems = (entry, findService) => serviceCounts(partyMembers(entry)).map(({ service_id, count }) => ({ service: findService(service_id), count }));
+
+/** Total menu minutes for the party (what a booking slot has to fit). */
+export const partyMinutes = (entry, findService) => partyMembers(entry).reduce((total, member) => total + (Number(findService(member.service_id)?.duration_minutes) || 0), 0);
@@ -0,0 +1,125 @@
+import { toMinutes } from './schedule';
+
+// ##############################################
+// ##              PRICING RULES               ##
+// ##############################################
+// Every peso amount the app shows or logs comes from priceBreakdown(). The
+// rules belong to the branch: `vip_fee_php`, `appointment_fee_php` and the
+// admin-edited `pricing_rules` object:
+//
+//   {
+//     group_discounts: [{ min_heads: 3, percent: 10 }],
+//     surcharges: [{ label: 'Evening', start: '17:00', end: '18:00', amount_php: 20 }],
+//     senior_pwd_percent: 20,
+//   }
+//
+// Surcharges are per head and use the time the visit was booked for (join
+// time for the queue, the slot for appointments). The senior/PWD discount
+// covers the ID holder's own service only, not the rest of the group; with a
+// mixed party (see src/party.js) that is the lead customer's service, after
+// any group discount.
+//
+// `cancellation_policy` says until when a customer may cancel a booking for
+// free and how much of the appointment fee is still due after that:
+//
+//   { free_until_hours: 2, late_fee_percent: 100 }
+
+export const DEFAULT_PRICING_RULES = {
+    group_discounts: [],
+    surcharges: [],
+    senior_pwd_percent: 20,
+};
+
+export const DEFAULT_CANCELLATION_POLICY = {
+    free_until_hours: 2,
+    late_fee_percent: 100,
+};
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/** True when `date` falls inside a 'HH:MM'–'HH:MM' window (windows may cross midnight). */
+export function isWithinWindow(date, start, end) {
+    const d = new Date(date);
+    const now = d.getHours() * 60 + d.getMinutes();
+    const from = toMinutes(start);
+    const until = toMinutes(end);
+    return from <= until ? now >= from && now < until : now >= from || now < until;
+}
+
+/** The branch's fees and rules with defaults filled in. */
+export function pricingRules(shop) {
+    const rules = { ...DEFAULT_PRICING_RULES, ...(shop?.pricing_rules || {}) };
+    return {
+        vipFee: Number(shop?.vip_fee_php) || 0,
+        appointmentFee: Number(shop?.appointment_fee_php) || 0,
+        groupDiscounts: rules.group_discounts || [],
+        surcharges: rules.surcharges || [],
+        seniorPwdPercent: Number(rules.senior_pwd_percent) || 0,
+    };
+}
+
+/**
+ * Itemized price for one visit. Each line has a translation `key` plus `vars`
+ * for its label and a signed `amount`; `total` never goes below zero. Tips are
+ * not part of the price and are added on top by the caller.
+ *
+ * A group with different services passes `items` (`[{ service, count }]`,
+ * lead's service first, see partyItems()) instead of `service` × `headCount`.
+ */
+export function priceBreakdown(shop, { service, headCount = 1, items = null, isVip = false, isAppointment = false, isSeniorPwd = false, at = new Date() } = {}) {
+    const rules = pricingRules(shop);
+    const services = (items && items.length > 0 ? items : [{ service, count: headCount }])
+        .map(item => ({ service: item.service, count: Math.max(1, Number(item.count) || 1) }));
+    const heads = services.reduce((sum, item) => sum + item.count, 0);
+    const unitPrice = Number(services[0].service?.price_php) || 0;
+    const lines = services.map((item, i) => ({
+        id: services.length === 1 ? 'service' : `service-${i}`,
+        key: 'pricing.service',
+        vars: { name: item.service?.name || '', count: item.count },
+        amount: (Number(item.service?.price_php) || 0) * item.count,
+        service_id: item.service?.id ?? null,
+    }));
+    const serviceTotal = lines.reduce((sum, line) => sum + line.amount, 0);
+
+    const groupDiscount = rules.groupDiscounts
+        .filter(d => heads >= Number(d.min_heads))
+        .sort((a, b) => Number(b.percent) - Number(a.percent))[0];
+    const groupPercent = groupDiscount ? Number(groupDiscount.percent) || 0 : 0;
+    if (groupPercent > 0) {
+        lines.push({ id: 'group', key: 'pricing.groupDiscount', vars: { percent: groupPercent }, amount: -roundMoney(serviceTotal * groupPercent / 100) });
+    }
+
+    rules.surcharges
+        .filter(s => Number(s.amount_php) > 0 && isWithinWindow(at, s.start, s.end))
+        .forEach((s, i) => lines.push({ id: `surcharge-${i}`, key: 'pricing.surcharge', vars: { label: s.label, count: heads }, amount: Number(s.amount_php) * heads }));
+
+    if (isSeniorPwd && rules.seniorPwdPercent > 0) {
+        // Off what the ID holder still pays after the group discount, so the two don't stack on the menu price
+        const discountedPrice = unitPrice * (1 - groupPercent / 100);
+        lines.push({ id: 'seniorPwd', key: 'pricing.seniorPwd', vars: { percent: rules.seniorPwdPercent }, amount: -roundMoney(discountedPrice * rules.seniorPwdPercent / 100) });
+    }
+    if (isVip && rules.vipFee > 0) lines.push({ id: 'vip', key: 'pricing.vipFee', vars: {}, amount: rules.vipFee });
+    if (isAppointment && rules.appointmentFee > 0) lines.push({ id: 'appointment', key: 'pricing.appointmentFee', vars: {}, amount: rules.appointmentFee });
+
+    const total = Math.max(0, roundMoney(lines.reduce((sum, line) => sum + line.amount, 0)));
+    return { lines, total };
+}
+
+/** Fee part of a breakdown, e.g. what the backend logs as `vip_charge`. */
+export const lineAmount = (breakdown, id) => breakdown.lines.find(line => line.id === id)?.amount || 0;
+
+/** The branch's cancellation cutoff and late fee with defaults filled in. */
+export function cancellationPolicy(shop) {
+    const policy = { ...DEFAULT_CANCELLATION_POLICY, ...(shop?.cancellation_policy || {}) };
+    const freeUntilHours = Math.max(0, Number(policy.free_until_hours) || 0);
+    const lateFee = roundMoney(pricingRules(shop).appointmentFee * (Number(policy.late_fee_percent) || 0) / 100);
+    // Cancelling right up to the slot, or a late fee of ₱0, means there is nothing to warn about
+    return { freeUntilHours, lateFee: freeUntilHours > 0 ? lateFee : 0 };
+}
+
+/** What cancelling `appointment` costs: `{ freeUntil }` (ISO) and the `fee` due if cancelled at `at`. */
+export function cancellationTerms(shop, appointment, at = new Date()) {
+    const { freeUntilHours, lateFee } = cancellationPolicy(shop);
+    const freeUntil = new Date(new Date(appointment.scheduled_time).getTime() - freeUntilHours * 3600000);
+    return { freeUntil: freeUntil.toISOString(), fee: new Date(at) < freeUntil ? 0 : lateFee };
+}
@@ -0,0 +1,78 @@
+import * as api from './api';
+
+// ##############################################
+// ##        WEB PUSH + DEEP LINK HELPERS      ##
+// ##############################################
+// The service worker lives in public/sw.js. The backend stores one
+// subscription per device and returns its id, which the app sends as
+// `player_id` when joining the queue.
+
+const VAPID_PUBLIC_KEY = process.env.REACT_APP_VAPID_PUBLIC_KEY;
+const IS_MOCK = process.env.REACT_APP_MOCK_API === 'true';
+
+export const isPushSupported = () => (
+    typeof window !== 'undefined' &&
+    'serviceWorker' in navigator &&
+    'PushManager' in window &&
+    'Notification' in window
+);
+
+export function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js')
+            .then(reg => console.log('[Push] Service worker registered:', reg.scope))
+            .catch(err => console.error('[Push] Service worker registration failed:', err));
+    });
+}
+
+function urlBase64ToUint8Array(base64String) {
+    const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+    const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+    const raw = window.atob(base64);
+    return Uint8Array.from([...raw].map(char => char.charCodeAt(0)));
+}
+
+/**
+ * Asks for permission (only when `prompt` is true), subscribes this device and
+ * registers it with the backend. Resolves to the subscription id, or null when
+ * push is unavailable or was declined.
+ */
+export async function subscribeToPush(userId, { prompt = false } = {}) {
+    if (!userId || !isPushSupported()) return null;
+
+    let permission = Notification.permission;
+    if (permission === 'default' && prompt) permission = await Notification.requestPermission();
+    if (permission !== 'granted') return null;
+
+    const registration = await navigator.serviceWorker.ready;
+    let subscription;
+    if (IS_MOCK) {
+        // No push service offline; the mock backend delivers through the worker directly
+        subscription = { endpoint: `mock://push/${userId}`, keys: {} };
+    } else {
+        if (!VAPID_PUBLIC_KEY) {
+            console.warn('[Push] REACT_APP_VAPID_PUBLIC_KEY is not set; background alerts are off.');
+            return null;
+        }
+        subscription = await registration.pushManager.getSubscription() ||
+            await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: urlBase64ToUint8Array(VAPID_PUBLIC_KEY) });
+    }
+
+    const { playerId } = await api.push.subscribe({ userId, subscription: subscription.toJSON ? subscription.toJSON() : subscription });
+    localStorage.setItem('pushPlayerId', playerId);
+    return playerId;
+}
+
+// --- Notification taps while the app is open ---
+/** Calls `handler(path)` with the notification's in-app route, e.g. `/queue/12?chat=open`. Returns an unsubscribe function. */
+export function onNotificationClick(handler) {
+    if (!('serviceWorker' in navigator)) return () => {};
+    const listener = (event) => {
+        if (event.data?.type !== 'NOTIFICATION_CLICK') return;
+        const url = new URL(event.data.url, window.location.origin);
+        handler(url.pathname + url.search);
+    };
+    navigator.serviceWorker.addEventListener('message', listener);
+    return () => navigator.serviceWorker.removeEventListener('message', listener);
+}
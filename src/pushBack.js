@@ -0,0 +1,10 @@
+// ##############################################
+// ##              PUSH ME BACK                ##
+// ##############################################
+// A customer running late lets 1 to MAX_PUSH_BACK_PLACES people behind them go
+// ahead instead of leaving. The branch's `push_back_limit` caps how often that
+// works per visit (0 turns it off); branches that haven't set one get
+// DEFAULT_PUSH_BACK_LIMIT. Each entry counts its uses in `push_back_count`.
+
+export const DEFAULT_PUSH_BACK_LIMIT = 2;
+export const MAX_PUSH_BACK_PLACES = 3;
@@ -0,0 +1,51 @@
+// ##############################################
+// ##          APPOINTMENT REMINDERS           ##
+// ##############################################
+// The branch's `reminder_hours` says how long before a booking the customer
+// is reminded, e.g. [24, 1] for the day before and about an hour before. The
+// backend checks upcoming bookings every minute with dueReminder(), pushes the
+// reminder and records it on the appointment:
+//
+//   reminders_sent: [24]            lead times already sent (or skipped)
+//   last_reminder_at: '2026-…'      when the latest one went out
+//   customer_response: 'confirmed'  or 'late' (with `late_minutes`), null until answered
+//
+// Lead times that had already passed when the booking was made or moved are
+// skipped instead of sent late. Cancelling from a reminder goes through the
+// usual cancellation policy (see src/pricing.js).
+
+export const DEFAULT_REMINDER_HOURS = [24, 1];
+export const MAX_REMINDERS = 3;
+export const MAX_REMINDER_HOURS = 72;
+export const LATE_MINUTES = [10, 15, 30];
+
+const HOUR_MS = 3600000;
+
+/** The branch's lead times in hours, furthest first. */
+export function reminderHours(shop) {
+    const hours = Array.isArray(shop?.reminder_hours) ? shop.reminder_hours : DEFAULT_REMINDER_HOURS;
+    return hours.map(Number).filter(h => h > 0).sort((a, b) => b - a);
+}
+
+/** Lead times whose moment has come by `now` for a booking at `scheduledTime`. */
+export const passedReminders = (shop, scheduledTime, now = new Date()) => reminderHours(shop)
+    .filter(hours => new Date(scheduledTime).getTime() - hours * HOUR_MS <= new Date(now).getTime());
+
+/**
+ * The lead time to remind about now, or null. When several came due at once
+ * (the backend was down for a while) only the nearest one is sent.
+ */
+export function dueReminder(shop, appointment, now = new Date()) {
+    if (appointment.status !== 'confirmed' || appointment.is_converted_to_queue) return null;
+    if (new Date(appointment.scheduled_time) <= new Date(now)) return null;
+    const sent = appointment.reminders_sent || [];
+    const due = passedReminders(shop, appointment.scheduled_time, now).filter(hours => !sent.includes(hours));
+    return due.length > 0 ? Math.min(...due) : null;
+}
+
+/** True while a reminded booking still waits for the customer's Confirm / I'll be late / Cancel. */
+export const awaitsReply = (appointment, now = new Date()) => !!appointment.last_reminder_at
+    && appointment.status === 'confirmed'
+    && !appointment.is_converted_to_queue
+    && !appointment.customer_response
+    && new Date(appointment.scheduled_time) > new Date(now);
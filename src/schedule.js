@@ -0,0 +1,84 @@
+// ##############################################
+// ##        WORKING HOURS & TIME OFF          ##
+// ##############################################
+// A barber's `schedule` says when they take bookings and Join Now customers:
+//
+//   {
+//     weekly: [null, { start: '09:00', end: '18:00', breaks: [{ start: '12:00', end: '13:00' }] }, ...],
+//     exceptions: [
+//       { from: '2026-12-24', to: '2026-12-26', off: true, note: 'Holidays' },
+//       { from: '2026-11-02', to: '2026-11-02', start: '13:00', end: '18:00', breaks: [] },
+//     ],
+//   }
+//
+// `weekly` has one slot per day of the week, Sunday first; null is a day off.
+// An exception covers every date from `from` to `to` and replaces the weekly
+// hours on those days. Barbers without a schedule work DEFAULT_HOURS every
+// day for bookings, and Join Now only follows their Online switch.
+
+export const DEFAULT_HOURS = { start: '09:00', end: '18:00', breaks: [] };
+export const MAX_EXCEPTIONS = 50;
+
+export const defaultSchedule = () => ({
+    weekly: Array.from({ length: 7 }, () => ({ ...DEFAULT_HOURS, breaks: [] })),
+    exceptions: [],
+});
+
+/** Minutes since midnight for an 'HH:MM' string. */
+export const toMinutes = (hhmm) => {
+    const [hours, minutes] = String(hhmm || '0:0').split(':').map(Number);
+    return (hours || 0) * 60 + (minutes || 0);
+};
+
+/** Minutes since local midnight for a date or time (seconds count as a fraction). */
+export const minutesIntoDay = (date) => {
+    const d = new Date(date);
+    return d.getHours() * 60 + d.getMinutes() + d.getSeconds() / 60;
+};
+
+/** 'YYYY-MM-DD' for `date` in local time (what date inputs and exceptions use). */
+export function dateKey(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/** The exception covering `date`, if any. */
+export const exceptionOn = (schedule, date) => (schedule?.exceptions || []).find(ex => ex.from <= dateKey(date) && dateKey(date) <= ex.to) || null;
+
+/** `{ start, end, breaks }` worked on `date` ('HH:MM' strings), or null for a day off. */
+export function hoursOn(schedule, date) {
+    if (!schedule) return DEFAULT_HOURS;
+    const exception = exceptionOn(schedule, date);
+    if (exception) return exception.off ? null : { start: exception.start, end: exception.end, breaks: exception.breaks || [] };
+    const day = schedule.weekly?.[new Date(date).getDay()];
+    return day ? { start: day.start, end: day.end, breaks: day.breaks || [] } : null;
+}
+
+/** True when `[start, start + durationMinutes]` fits inside the day's hours and misses every break. */
+export function isWorkingAt(schedule, start, durationMinutes = 0) {
+    const hours = hoursOn(schedule, start);
+    if (!hours) return false;
+    const from = minutesIntoDay(start);
+    const until = from + durationMinutes;
+    if (from < toMinutes(hours.start) || until > toMinutes(hours.end)) return false;
+    return !hours.breaks.some(b => from < toMinutes(b.end) && until > toMinutes(b.start));
+}
+
+/**
+ * Where the barber stands at `now` for Join Now: `{ state, until }` with
+ * state 'working', 'break' (back at `until`), 'later' (starts at `until`),
+ * 'done' (finished for today) or 'off' (day off). Joining is open in every
+ * state but 'done' and 'off'. `until` is an 'HH:MM' string.
+ */
+export function workStatus(schedule, now = new Date()) {
+    if (!schedule) return { state: 'working', until: null };
+    const hours = hoursOn(schedule, now);
+    if (!hours) return { state: 'off', until: null };
+    const at = minutesIntoDay(now);
+    if (at >= toMinutes(hours.end)) return { state: 'done', until: null };
+    if (at < toMinutes(hours.start)) return { state: 'later', until: hours.start };
+    const onBreak = hours.breaks.find(b => at >= toMinutes(b.start) && at < toMinutes(b.end));
+    return onBreak ? { state: 'break', until: onBreak.end } : { state: 'working', until: hours.end };
+}
+
+export const canJoinNow = (schedule, now = new Date()) => !['done', 'off'].includes(workStatus(schedule, now).state);
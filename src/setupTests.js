@@ -3,3 +3,26 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+import { TextEncoder, TextDecoder } from 'util';
+
+// react-router expects the Encoding API, which this jsdom version lacks.
+Object.assign(global, { TextEncoder, TextDecoder });
+
+// jsdom has no media playback; playSound() expects play() to return a promise.
+window.HTMLMediaElement.prototype.play = () => Promise.resolve();
+window.HTMLMediaElement.prototype.pause = () => {};
+
+// Used by IOSInstallPrompt and the theme provider; jsdom doesn't implement it.
+window.matchMedia = window.matchMedia || ((query) => ({
+  matches: false,
+  media: query,
+  onchange: null,
+  addListener: () => {},
+  removeListener: () => {},
+  addEventListener: () => {},
+  removeEventListener: () => {},
+  dispatchEvent: () => false,
+}));
+
+// ChatWindow scrolls to the newest message; jsdom has no layout.
+window.HTMLElement.prototype.scrollIntoView = function scrollIntoView() {};
@@ -0,0 +1,154 @@
+import { partyMembers, serviceCounts } from './party';
+
+// ##############################################
+// ##           WAIT-TIME ESTIMATES            ##
+// ##############################################
+// Estimates come from how long each barber really takes, not just the menu.
+// The backend turns finished queue entries (`started_at` → `completed_at`,
+// per head) into per-service ranges with durationStats(); the app adds up
+// everyone ahead with estimateWait() and shows a range such as "12–20 min".
+
+export const DEFAULT_SERVICE_MINUTES = 30;
+export const MIN_SAMPLES = 3;
+const HISTORY_LIMIT = 40; // most recent finished cuts per barber
+const MENU_SPREAD = 0.25; // ± around the menu time when there is no history
+const IN_CHAIR_FLOOR_MINUTES = 5;
+const STEADY_WITHIN_MS = 2 * 60000;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+function quantile(sorted, q) {
+    const position = (sorted.length - 1) * q;
+    const base = Math.floor(position);
+    const next = sorted[base + 1];
+    return next === undefined ? sorted[base] : sorted[base] + (position - base) * (next - sorted[base]);
+}
+
+function rangeOf(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return { low: quantile(sorted, 0.25), typical: quantile(sorted, 0.5), high: quantile(sorted, 0.75), samples: sorted.length };
+}
+
+const menuRange = (minutes) => ({ low: minutes * (1 - MENU_SPREAD), typical: minutes, high: minutes * (1 + MENU_SPREAD), samples: 0, source: 'menu' });
+
+/** Minutes per head for one finished entry, or null when it can't be trusted (e.g. "Complete" tapped an hour late). */
+export function cutMinutesPerHead(entry, menuMinutes = DEFAULT_SERVICE_MINUTES) {
+    if (!entry.started_at || !entry.completed_at) return null;
+    const minutes = (new Date(entry.completed_at) - new Date(entry.started_at)) / 60000 / Math.max(1, Number(entry.head_count) || 1);
+    if (!(minutes >= 3) || minutes > Math.max(4 * menuMinutes, 60)) return null;
+    return minutes;
+}
+
+/**
+ * Per-service ranges in minutes per head for one barber:
+ * `{ [serviceId]: { low, typical, high, samples, source } }`. `source` is
+ * 'history' (this barber on this service), 'barber' (this barber's pace on
+ * the rest of the menu, scaled to this service) or 'menu'.
+ */
+export function durationStats(services, finishedEntries) {
+    const menuMinutes = Object.fromEntries(services.map(s => [String(s.id), Number(s.duration_minutes) || DEFAULT_SERVICE_MINUTES]));
+    const samplesByService = {};
+    const paceRatios = [];
+    [...finishedEntries]
+        .sort((a, b) => new Date(b.completed_at) - new Date(a.completed_at))
+        .slice(0, HISTORY_LIMIT)
+        .forEach(entry => {
+            // A mixed group's time can't be split between its services
+            if (serviceCounts(partyMembers(entry)).length > 1) return;
+            const menu = menuMinutes[String(entry.service_id)];
+            const minutes = menu ? cutMinutesPerHead(entry, menu) : null;
+            if (minutes === null) return;
+            samplesByService[entry.service_id] = [...(samplesByService[entry.service_id] || []), minutes];
+            paceRatios.push(minutes / menu);
+        });
+
+    const pace = paceRatios.length >= MIN_SAMPLES ? rangeOf(paceRatios) : null;
+    return Object.fromEntries(services.map(service => {
+        const menu = menuMinutes[String(service.id)];
+        const samples = samplesByService[service.id] || [];
+        let range = menuRange(menu);
+        if (samples.length >= MIN_SAMPLES) range = { ...rangeOf(samples), source: 'history' };
+        else if (pace) range = { low: menu * pace.low, typical: menu * pace.typical, high: menu * pace.high, samples: pace.samples, source: 'barber' };
+        return [service.id, { ...range, low: round1(range.low), typical: round1(range.typical), high: round1(range.high) }];
+    }));
+}
+
+/** Expected minutes in the chair for one entry (every member of a group) and its ± spread. */
+const cutLength = (entry, stats) => partyMembers(entry).reduce((total, member) => {
+    const menuMinutes = String(member.service_id) === String(entry.service_id) ? entry.services?.duration_minutes : null;
+    const range = stats[member.service_id] || menuRange(menuMinutes || DEFAULT_SERVICE_MINUTES);
+    return { typical: total.typical + range.typical, spread: total.spread + (range.high - range.low) / 2 };
+}, { typical: 0, spread: 0 });
+
+/**
+ * Minutes until `myEntryId` gets the chair (or, while browsing, until someone
+ * joining now would) as `{ low, typical, high }`. The spreads of the people
+ * ahead are treated as independent, so the range widens slower than the line
+ * grows.
+ */
+export function estimateWait(queue, { myEntryId = null, stats = {}, now = Date.now() } = {}) {
+    const myIndex = myEntryId ? queue.findIndex(e => String(e.id) === String(myEntryId)) : -1;
+    const ahead = myIndex !== -1 ? queue.slice(0, myIndex) : queue;
+
+    let typical = 0;
+    let variance = 0;
+    ahead.forEach(entry => {
+        let { typical: expected, spread } = cutLength(entry, stats);
+        if (entry.status === 'In Progress') {
+            const startedAt = new Date(entry.started_at || entry.updated_at).getTime();
+            const elapsed = Number.isNaN(startedAt) ? 0 : Math.max(0, (now - startedAt) / 60000);
+            expected = Math.max(IN_CHAIR_FLOOR_MINUTES, expected - elapsed);
+            spread = Math.min(spread, expected);
+        }
+        typical += expected;
+        variance += spread ** 2;
+    });
+
+    const spread = Math.sqrt(variance);
+    return { low: Math.max(0, typical - spread), typical, high: typical + spread };
+}
+
+/** Turns a wait in minutes into clock times (ms) so the estimate counts down by itself. */
+export const finishTimes = (wait, now = Date.now()) => ({
+    low: now + wait.low * 60000,
+    typical: now + wait.typical * 60000,
+    high: now + wait.high * 60000,
+});
+
+/** Keeps the previous finish times unless the new ones moved by more than a couple of minutes. */
+export function steadyFinishTimes(previous, next) {
+    if (!previous) return next;
+    const moved = ['low', 'typical', 'high'].some(key => Math.abs(next[key] - previous[key]) > STEADY_WITHIN_MS);
+    return moved ? next : previous;
+}
+
+/**
+ * The "First available" pool. `lanes` is one `{ barberId, queue, stats }` per
+ * available barber; each pool entry in turn goes to the barber who would
+ * finish it soonest, after that barber's own line. Returns who would most
+ * likely take `candidate` (a pool entry, or `{ service_id, head_count }` /
+ * `{ party }` for someone about to join) and the wait until then as
+ * `{ barberId, low, typical, high }`, or null when nobody is available.
+ */
+export function projectPool(lanes, pool, candidate, now = Date.now()) {
+    if (lanes.length === 0) return null;
+    const chairs = lanes.map(lane => {
+        const wait = estimateWait(lane.queue, { stats: lane.stats, now });
+        return { barberId: lane.barberId, stats: lane.stats, typical: wait.typical, variance: ((wait.high - wait.low) / 2) ** 2 };
+    });
+    const soonestFinish = (entry) => chairs.reduce((best, chair) => (
+        chair.typical + cutLength(entry, chair.stats).typical < best.typical + cutLength(entry, best.stats).typical ? chair : best
+    ));
+
+    const ahead = candidate.id ? pool.slice(0, Math.max(0, pool.findIndex(e => String(e.id) === String(candidate.id)))) : pool;
+    ahead.forEach(entry => {
+        const chair = soonestFinish(entry);
+        const cut = cutLength(entry, chair.stats);
+        chair.typical += cut.typical;
+        chair.variance += cut.spread ** 2;
+    });
+
+    const chair = soonestFinish(candidate);
+    const spread = Math.sqrt(chair.variance);
+    return { barberId: chair.barberId, low: Math.max(0, chair.typical - spread), typical: chair.typical, high: chair.typical + spread };
+}
@@ -0,0 +1,39 @@
+import { toMinutes, dateKey, minutesIntoDay } from './schedule';
+
+// ##############################################
+// ##        WAITLIST FOR FULL DATES           ##
+// ##############################################
+// When a barber has no free slot on a date, customers can wait for one inside a
+// time window. One `appointment_waitlist` row per request:
+//
+//   {
+//     barber_id: 1, service_id: 1, party: [...] | null, head_count: 1,
+//     date: '2026-10-20', window_start: '13:00', window_end: '17:00',
+//     status: 'waiting',   // 'offered', 'booked', 'left' or 'expired'
+//     offer: { scheduled_time: '2026-10-20T06:00:00.000Z', expires_at: '…' } | null,
+//     passed_slots: [],    // slots this customer let go, never offered to them again
+//   }
+//
+// A cancelled, rejected or moved booking frees its slot; the backend offers it
+// to the first customer (oldest request) whose window fits the whole visit. The
+// slot is held for OFFER_MINUTES while they decide, so slots starting sooner than
+// that aren't offered and a slot that has started can't be claimed. Claiming
+// books it in one tap; letting it lapse or saying no keeps their place and
+// moves the offer on to the next customer in line.
+
+export const OFFER_MINUTES = 15;
+export const MAX_WAITLIST_ENTRIES = 5; // open requests per customer
+
+/** True when a visit of `durationMinutes` starting at `start` falls inside the entry's date and window. */
+export function fitsWindow(entry, start, durationMinutes) {
+    const from = minutesIntoDay(start);
+    return dateKey(start) === entry.date && from >= toMinutes(entry.window_start) && from + durationMinutes <= toMinutes(entry.window_end);
+}
+
+/** True while the entry holds an offer that can still be claimed. */
+export const isOfferOpen = (entry, now = new Date()) => entry.status === 'offered' && !!entry.offer && new Date(entry.offer.expires_at) > new Date(now);
+
+/** Whole minutes left to claim an offer (at least 1 while it is open). */
+export const offerMinutesLeft = (entry, now = new Date()) => (isOfferOpen(entry, now)
+    ? Math.max(1, Math.ceil((new Date(entry.offer.expires_at) - new Date(now)) / 60000))
+    : 0);